@@ -6,6 +6,12 @@ class ExplorationApp {
     this.uiManager = new UIManager();
     this.isExploring = false;
     this.startLocation = null;
+    this.liveStep = 0;
+    this.livePanoId = null;
+    this.liveHeading = 0;
+    this.replayStep = null;
+    this.replayTimer = null;
+    this.replayCache = new ReplayStepCache({ fetchPage: (page) => this.fetchRunEvents(page) });
   }
 
   initialize() {
@@ -55,6 +61,13 @@ class ExplorationApp {
       
       this.startLocation = data.startLocation;
       this.mapManager.setRun(data.runId);
+      this.mapManager.setGeofence(data.geofence);
+      this.mapManager.setParentBranch(data.forkedFrom);
+      this.uiManager.updateRegionCoverage(data.regionCoverage);
+      this.uiManager.updateIntent(data.intent);
+      this.replayCache.setRun(data.runId, data.forkedFrom);
+      this.exitReplay();
+      this.livePanoId = data.panoId || null;
       
       if (data.startPanoId) {
         window.START_PANO_ID = data.startPanoId;
@@ -87,6 +100,7 @@ class ExplorationApp {
       }
       if (data.stepCount !== undefined) {
         this.uiManager.updateStep(data.stepCount);
+        this.setLiveStep(data.stepCount);
       }
       
       // Update exploration state
@@ -113,6 +127,7 @@ class ExplorationApp {
       if (data.position) {
         this.mapManager.setCurrentPosition(data.position);
       }
+      this.mapManager.setAgents(data.agents);
     });
 
     this.socket.on('path-state', (data) => {
@@ -129,12 +144,23 @@ class ExplorationApp {
       if (data.runId) {
         this.mapManager.setRun(data.runId);
       }
+      this.mapManager.setGeofence(data.geofence);
+      this.mapManager.setParentBranch(data.forkedFrom);
+      this.uiManager.updateRegionCoverage(data.regionCoverage);
+      this.uiManager.updateIntent(data.intent);
+      this.replayCache.setRun(data.runId || this.replayCache.runId, data.forkedFrom);
+      this.exitReplay();
+      if (data.panoId) {
+        this.livePanoId = data.panoId;
+        this.liveHeading = 0;
+      }
 
       if (data.stats) {
         this.uiManager.updateStats(data.stats);
       }
       if (data.stepCount !== undefined) {
         this.uiManager.updateStep(data.stepCount);
+        this.setLiveStep(data.stepCount);
       }
 
       this.isExploring = data.isExploring || false;
@@ -150,6 +176,7 @@ class ExplorationApp {
       if (data.position) {
         this.mapManager.setCurrentPosition(data.position);
       }
+      this.mapManager.setAgents(data.agents);
       if (data.panoId && this.streetViewManager.panorama) {
         this.streetViewManager.updatePosition(data.panoId, 0);
       }
@@ -164,6 +191,10 @@ class ExplorationApp {
 
     this.socket.on('position-update', (data) => {
       console.log('Position update', data);
+      if (isAdditionalAgent(data.agentId)) {
+        this.mapManager.setAgentPosition(data.agentId, data.position);
+        return;
+      }
       this.mapManager.setCurrentPosition(data.position);
       this.uiManager.updateStats(data.stats);
     });
@@ -171,36 +202,73 @@ class ExplorationApp {
     this.socket.on('move-decision', (data) => {
       console.log('Move decision', data);
       if (data.intermediate) {
-        this.mapManager.setCurrentPosition(data.newPosition);
+        if (isAdditionalAgent(data.agentId)) {
+          this.mapManager.setAgentPosition(data.agentId, data.newPosition);
+        } else {
+          this.mapManager.setCurrentPosition(data.newPosition);
+        }
+        return;
+      }
+
+      // Additional agents share the map, stats and log but not the street view or the step counter
+      if (isAdditionalAgent(data.agentId)) {
+        this.mapManager.applyLivePosition(data.newPosition, data);
+        this.uiManager.updateStats(data.stats);
+        this.uiManager.addDecisionEntry(data);
         return;
       }
 
       this.mapManager.applyLivePosition(data.newPosition, data);
-      if (this.streetViewManager.panorama) {
+      this.livePanoId = data.panoId;
+      this.liveHeading = data.direction;
+      // A scrubbed timeline keeps showing its step until the viewer returns to live
+      if (this.streetViewManager.panorama && this.replayStep === null) {
         this.streetViewManager.updatePosition(data.panoId, data.direction);
       }
       this.uiManager.updateStats(data.stats);
       this.uiManager.updateStep(data.stepCount);
+      this.setLiveStep(data.stepCount);
+      if (data.intent) {
+        this.uiManager.updateIntent(data.intent);
+      }
       this.uiManager.addDecisionEntry(data);
     });
 
+    this.socket.on('region-coverage', (summary) => {
+      this.uiManager.updateRegionCoverage(summary);
+    });
+
+    this.socket.on('usage-budget-exceeded', (data) => {
+      this.uiManager.showError(data.action === 'pause'
+        ? `Model ${data.scope} budget of $${data.limitUsd} reached; exploration paused`
+        : `Model ${data.scope} budget of $${data.limitUsd} reached; switched to the ${data.strategy} strategy`);
+    });
+
     this.socket.on('exploration-stopped', () => {
       console.log('Exploration stopped');
       this.isExploring = false;
       this.uiManager.setExplorationState(false);
     });
 
-    this.socket.on('exploration-reset', () => {
+    this.socket.on('exploration-reset', (data) => {
       console.log('Exploration reset');
+      this.replayCache.setRun(data?.runId || null);
+      this.exitReplay();
+      this.livePanoId = null;
+      this.setLiveStep(0);
       this.isExploring = false;
       this.uiManager.setExplorationState(false);
       this.mapManager.reset();
+      this.mapManager.setParentBranch(null);
       if (this.streetViewManager.panorama) {
         this.streetViewManager.reset();
       }
       this.uiManager.clearDecisionLog();
       this.uiManager.updateStats({ locationsVisited: 0, distanceTraveled: 0 });
+      this.uiManager.updateRegionCoverage(data?.regionCoverage);
+      this.uiManager.updateIntent(null);
       this.uiManager.updateStep(0);
+      this.mapManager.setAgents(data?.agents);
     });
 
     this.socket.on('step-complete', () => {
@@ -230,14 +298,34 @@ class ExplorationApp {
       console.log('State saved:', data);
       this.uiManager.showSuccess('State saved');
     });
+
+    this.socket.on('destination-updated', (data) => {
+      const destination = data?.destination;
+      if (!destination) return;
+      if (destination.status === 'active') {
+        this.uiManager.showSuccess(`Navigating to ${destination.label} (${destination.distanceMeters}m away)`);
+      } else if (destination.status === 'arrived') {
+        this.uiManager.showSuccess(`Already at ${destination.label}`);
+      } else {
+        this.uiManager.showSuccess(`Destination ${destination.label} cleared`);
+      }
+    });
     
     // Handle state restoration broadcast
     this.socket.on('state-loaded', (data) => {
       console.log('State restored:', data);
       
+      this.replayCache.setRun(data.runId || null, data.forkedFrom);
+      this.exitReplay();
+      this.livePanoId = data.panoId || null;
+      this.liveHeading = 0;
+
       // Update UI with loaded state
       this.uiManager.updateStats(data.stats);
+      this.uiManager.updateRegionCoverage(data.regionCoverage);
+      this.uiManager.updateIntent(data.intent);
       this.uiManager.updateStep(data.stepCount);
+      this.setLiveStep(data.stepCount);
       
       // Clear and reload decision history
       this.uiManager.clearDecisionLog();
@@ -249,6 +337,9 @@ class ExplorationApp {
       
       // Update map with full path
       this.mapManager.reset(data.runId || null);
+      this.mapManager.setGeofence(data.geofence);
+      this.mapManager.setParentBranch(data.forkedFrom);
+      this.mapManager.setAgents(data.agents);
       if (data.fullPath && data.fullPath.length > 0) {
         this.mapManager.loadFullPath(data.fullPath, data);
       }
@@ -264,6 +355,16 @@ class ExplorationApp {
   }
 
   setupEventListeners() {
+    this.uiManager.replaySlider.addEventListener('input', () => {
+      const step = Number(this.uiManager.replaySlider.value);
+      clearTimeout(this.replayTimer);
+      this.replayTimer = setTimeout(() => this.scrubTo(step), 120);
+    });
+
+    this.uiManager.replayLiveBtn.addEventListener('click', () => {
+      this.exitReplay();
+    });
+
     this.uiManager.startBtn.addEventListener('click', () => {
       this.startExploration();
     });
@@ -414,6 +515,68 @@ class ExplorationApp {
     }
   }
 
+  setLiveStep(stepCount) {
+    this.liveStep = Number(stepCount) || 0;
+    this.uiManager.updateTimeline(this.liveStep, this.replayStep);
+  }
+
+  async fetchRunEvents({ runId, fromStep, limit, types, agentId }) {
+    const params = new URLSearchParams({
+      fromStep: String(fromStep),
+      limit: String(limit),
+      types: types.join(',')
+    });
+    if (agentId) params.set('agentId', agentId);
+    const response = await fetch(`/api/runs/${encodeURIComponent(runId)}/events?${params.toString()}`);
+    if (!response.ok) {
+      throw new Error(`Run events request failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async scrubTo(stepCount) {
+    if (!(stepCount > 0) || stepCount >= this.liveStep) {
+      this.exitReplay();
+      return;
+    }
+
+    this.replayStep = stepCount;
+    this.uiManager.updateTimeline(this.liveStep, stepCount);
+    let step = null;
+    try {
+      step = await this.replayCache.getStep(stepCount);
+    } catch (error) {
+      console.warn('Failed to load replay step:', error.message);
+    }
+    // A newer scrub (or a return to live) superseded this one while it loaded
+    if (this.replayStep !== stepCount) return;
+    if (!step) {
+      this.uiManager.hideReplayStep();
+      this.uiManager.showError(`Step ${stepCount} is not in the run history`);
+      return;
+    }
+
+    this.mapManager.setReplayPosition(step.position);
+    if (this.streetViewManager.panorama && step.panoId) {
+      this.streetViewManager.updatePosition(step.panoId, step.direction);
+    }
+    this.uiManager.showReplayStep(step);
+  }
+
+  exitReplay() {
+    clearTimeout(this.replayTimer);
+    const wasReplaying = this.replayStep !== null;
+    this.replayStep = null;
+    this.uiManager.hideReplayStep();
+    this.uiManager.updateTimeline(this.liveStep, null);
+    if (!wasReplaying) return;
+
+    this.mapManager.setReplayPosition(null);
+    if (this.streetViewManager.panorama && this.livePanoId) {
+      this.streetViewManager.updatePosition(this.livePanoId, this.liveHeading);
+    }
+  }
+
   getAuthToken() {
     // Get auth token from adminAuth module
     if (window.adminAuth && window.adminAuth.authToken) {
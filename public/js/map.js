@@ -1,7 +1,12 @@
+// Heat changes with every step; refetch heatmap tiles every few steps rather than on each move
+const HEATMAP_REFRESH_STEPS = 10;
+
 class MapManager {
   constructor() {
     this.map = null;
     this.currentMarker = null;
+    this.agentMarkers = new Map(); // additional agents' markers by agentId
+    this.agentCount = 1;
     this.startMarker = null;
     this.pathLine = null;
     this.pathState = new MinimapPathState();
@@ -12,6 +17,8 @@ class MapManager {
     this.pendingFullPathStates = [];
     this.pendingLivePositions = [];
     this.pendingMarkerPosition = null;
+    this.livePosition = null;
+    this.replayPosition = null;
     this.userHasInteracted = false; // Track if user manually adjusted the map
     this.updatesSinceFit = 0; // Reduce expensive fit computations
     this.fitEveryNUpdates = 20; // Fit bounds every N incremental updates
@@ -29,6 +36,11 @@ class MapManager {
     this.fullVectorRevealRaf = null;
     this.fullVectorRevealCoordinates = null;
     this.hasInitialPathFit = false;
+    this.geofence = null;
+    this.parentBranchRunId = null;
+    this.parentBranchCoordinates = [];
+    this.heatmapVisible = localStorage.getItem('minimapHeatmap') === 'on';
+    this.heatmapVersion = 0;
     this.initializeMinimapSize(); // Initialize saved size preferences
   }
   
@@ -134,8 +146,12 @@ class MapManager {
         this.addStartMarker();
         this.addCurrentMarker();
         this.initializePath();
+        this.#renderGeofence();
+        this.#renderParentBranch();
         this.addArchiveTiles(this.archiveTileVersion, this.archiveTileRendererRevision);
+        this.#renderHeatmap();
         this.addResetButton();
+        this.addHeatmapToggle();
         this.mapLoaded = true;
         
         this.#flushPendingUpdates();
@@ -291,6 +307,8 @@ class MapManager {
     const totalPoints = Number(meta.totalPoints);
     if (!runId || !Number.isFinite(sequence) || sequence <= 0) return;
     if (!Number.isFinite(totalPoints) || totalPoints <= this.pathCoordinates.length) return;
+    // The binary full path has no agent ids; runs with several agents keep the coloured archive tiles.
+    if (this.agentCount > 1 || this.pathState.hasAdditionalAgents) return;
 
     const key = `${runId}:${sequence}:${totalPoints}`;
     if (
@@ -340,6 +358,7 @@ class MapManager {
       this.pathCoordinates = [];
       this.#resetFullVectorPath();
       this.#renderPath();
+      this.#resetHeatmap();
     }
   }
 
@@ -360,6 +379,7 @@ class MapManager {
     this.hydrateFullVectorPath(meta);
     this.pathCoordinates = this.pathState.coordinates;
     this.#renderPath();
+    this.#refreshHeatmap(meta.stepCount);
 
     // Fit once on batch load. The historical path is rendered as tiles, so this
     // can show the whole journey without loading every point into GeoJSON.
@@ -446,14 +466,7 @@ class MapManager {
 
     this.map.addSource('path', {
       type: 'geojson',
-      data: {
-        type: 'Feature',
-        properties: {},
-        geometry: {
-          type: 'LineString',
-          coordinates: []
-        }
-      }
+      data: { type: 'FeatureCollection', features: [] }
     });
 
     this.map.addLayer({
@@ -480,15 +493,187 @@ class MapManager {
         'line-cap': 'round'
       },
       paint: {
-        'line-color': '#f44336',
+        'line-color': ['coalesce', ['get', 'color'], '#f44336'],
         'line-width': 2,
         'line-opacity': 0.8
       }
     });
   }
 
+  setGeofence(geojson) {
+    this.geofence = geojson || null;
+    if (this.isReady()) {
+      this.#renderGeofence();
+    }
+  }
+
+  // Forked runs also show the run they branched from, so both paths past the fork point are visible
+  async setParentBranch(forkedFrom) {
+    const runId = forkedFrom?.runId || null;
+    if (runId === this.parentBranchRunId) return;
+    this.parentBranchRunId = runId;
+    this.parentBranchCoordinates = [];
+
+    if (runId) {
+      try {
+        const response = await fetch(`/api/runs/${encodeURIComponent(runId)}/path`);
+        if (!response.ok) {
+          throw new Error(`Parent branch request failed (${response.status})`);
+        }
+        const branch = await response.json();
+        if (this.parentBranchRunId !== runId) return;
+        this.parentBranchCoordinates = Array.isArray(branch.coordinates) ? branch.coordinates : [];
+      } catch (error) {
+        console.warn('Failed to load parent branch path:', error.message);
+      }
+    }
+
+    if (this.isReady()) {
+      this.#renderParentBranch();
+    }
+  }
+
+  #renderParentBranch() {
+    const data = {
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'LineString', coordinates: this.parentBranchCoordinates }
+    };
+    const source = this.map.getSource('parent-branch');
+    if (source) {
+      source.setData(data);
+      return;
+    }
+
+    this.map.addSource('parent-branch', { type: 'geojson', data });
+    this.map.addLayer({
+      id: 'parent-branch-layer',
+      type: 'line',
+      source: 'parent-branch',
+      layout: {
+        'line-join': 'round',
+        'line-cap': 'round'
+      },
+      paint: {
+        'line-color': '#757575',
+        'line-width': 2,
+        'line-opacity': 0.6,
+        'line-dasharray': [1, 2]
+      }
+    }, 'full-vector-path-layer');
+  }
+
+  #renderGeofence() {
+    const data = this.geofence || { type: 'FeatureCollection', features: [] };
+    const source = this.map.getSource('geofence');
+    if (source) {
+      source.setData(data);
+      return;
+    }
+
+    this.map.addSource('geofence', { type: 'geojson', data });
+    // Insert beneath the path so the route stays readable inside the fence
+    this.map.addLayer({
+      id: 'geofence-fill-layer',
+      type: 'fill',
+      source: 'geofence',
+      paint: {
+        'fill-color': '#1976d2',
+        'fill-opacity': 0.05
+      }
+    }, 'full-vector-path-layer');
+    this.map.addLayer({
+      id: 'geofence-line-layer',
+      type: 'line',
+      source: 'geofence',
+      paint: {
+        'line-color': '#1976d2',
+        'line-width': 1.5,
+        'line-dasharray': [2, 2],
+        'line-opacity': 0.8
+      }
+    }, 'full-vector-path-layer');
+  }
+
+  setHeatmapVisible(visible) {
+    this.heatmapVisible = Boolean(visible);
+    localStorage.setItem('minimapHeatmap', this.heatmapVisible ? 'on' : 'off');
+    if (this.isReady()) {
+      this.#renderHeatmap();
+    }
+  }
+
+  #refreshHeatmap(stepCount) {
+    const version = Math.floor((Number(stepCount) || 0) / HEATMAP_REFRESH_STEPS);
+    if (version === this.heatmapVersion) return;
+    this.heatmapVersion = version;
+    if (this.isReady()) {
+      this.#renderHeatmap();
+    }
+  }
+
+  #resetHeatmap() {
+    this.heatmapVersion = 0;
+    if (!this.map) return;
+    this.#removeHeatmap();
+    if (this.isReady()) {
+      this.#renderHeatmap();
+    }
+  }
+
+  #removeHeatmap() {
+    if (this.map.getLayer('visit-heatmap-layer')) {
+      this.map.removeLayer('visit-heatmap-layer');
+    }
+    if (this.map.getSource('visit-heatmap')) {
+      this.map.removeSource('visit-heatmap');
+    }
+  }
+
+  // Visit density of the whole run: hot where the agent keeps coming back or lingers
+  #renderHeatmap() {
+    if (!this.heatmapVisible) {
+      this.#removeHeatmap();
+      return;
+    }
+
+    const runId = encodeURIComponent(this.pathState.runId || '');
+    const tileUrl = `/tiles/heatmap/{z}/{x}/{y}.mvt?run=${runId}&v=${this.heatmapVersion}`;
+    const source = this.map.getSource('visit-heatmap');
+    if (source) {
+      source.setTiles([tileUrl]);
+      return;
+    }
+
+    this.map.addSource('visit-heatmap', { type: 'vector', tiles: [tileUrl], maxzoom: 18 });
+    this.map.addLayer({
+      id: 'visit-heatmap-layer',
+      type: 'heatmap',
+      source: 'visit-heatmap',
+      'source-layer': 'visit-density',
+      paint: {
+        'heatmap-weight': ['interpolate', ['linear'], ['get', 'weight'], 0, 0, 1, 0.15, 6, 0.6, 20, 1],
+        'heatmap-intensity': ['interpolate', ['linear'], ['zoom'], 10, 0.5, 16, 1.2],
+        'heatmap-radius': ['interpolate', ['linear'], ['zoom'], 10, 6, 15, 14, 18, 30],
+        'heatmap-opacity': 0.75,
+        'heatmap-color': [
+          'interpolate',
+          ['linear'],
+          ['heatmap-density'],
+          0, 'rgba(33, 102, 172, 0)',
+          0.2, 'rgb(103, 169, 207)',
+          0.45, 'rgb(253, 219, 120)',
+          0.7, 'rgb(239, 138, 98)',
+          1, 'rgb(178, 24, 43)'
+        ]
+      }
+    }, this.map.getLayer('full-vector-path-layer') ? 'full-vector-path-layer' : undefined);
+  }
+
   setCurrentPosition(position) {
     if (!position) return;
+    this.livePosition = position;
+    if (this.replayPosition) return;
     if (!this.isReady()) {
       this.pendingMarkerPosition = position;
       return;
@@ -500,6 +685,57 @@ class MapManager {
     }
   }
 
+  // While the timeline is scrubbed the marker shows the replayed step; live moves keep extending the path
+  setReplayPosition(position) {
+    this.replayPosition = position || null;
+    const target = this.replayPosition || this.livePosition;
+    if (!target || !this.isReady() || !this.currentMarker) return;
+
+    const lngLat = [target.lng, target.lat];
+    this.currentMarker.setLngLat(lngLat);
+    if (this.replayPosition && !this.map.getBounds().contains(lngLat)) {
+      this.map.panTo(lngLat);
+    }
+  }
+
+  /**
+   * Shows where every agent of the run stands. The first agent keeps the current-position marker;
+   * each additional agent gets a marker in its path colour.
+   */
+  setAgents(agents) {
+    const list = Array.isArray(agents) ? agents : [];
+    this.agentCount = Math.max(1, list.length);
+    const additional = list.filter(agent => isAdditionalAgent(agent?.agentId));
+    for (const [agentId, marker] of this.agentMarkers) {
+      if (!additional.some(agent => agent.agentId === agentId)) {
+        marker.remove();
+        this.agentMarkers.delete(agentId);
+      }
+    }
+    for (const agent of additional) {
+      if (agent.position) this.setAgentPosition(agent.agentId, agent.position);
+    }
+  }
+
+  setAgentPosition(agentId, position) {
+    if (!position || !this.isReady()) return;
+    let marker = this.agentMarkers.get(agentId);
+    if (!marker) {
+      const el = document.createElement('div');
+      el.className = 'marker-agent';
+      el.title = agentId;
+      el.style.width = '16px';
+      el.style.height = '16px';
+      el.style.borderRadius = '50%';
+      el.style.border = '3px solid white';
+      el.style.boxSizing = 'border-box';
+      el.style.backgroundColor = agentPathColor(agentId);
+      marker = new maplibregl.Marker({ element: el }).setLngLat([position.lng, position.lat]).addTo(this.map);
+      this.agentMarkers.set(agentId, marker);
+    }
+    marker.setLngLat([position.lng, position.lat]);
+  }
+
   applyLivePosition(position, meta = {}) {
     // Queue updates if map isn't ready yet
     if (!this.isReady()) {
@@ -508,11 +744,16 @@ class MapManager {
     }
 
     const result = this.pathState.applyLivePosition(position, meta);
-    this.setCurrentPosition(position);
+    if (isAdditionalAgent(meta.agentId)) {
+      this.setAgentPosition(meta.agentId, position);
+    } else {
+      this.setCurrentPosition(position);
+    }
     if (!result.applied) return;
 
     this.pathCoordinates = this.pathState.coordinates;
     this.#renderPath();
+    this.#refreshHeatmap(meta.stepCount);
 
     // Only auto-fit bounds if user hasn't manually interacted with the map
     if (!this.userHasInteracted) {
@@ -535,12 +776,15 @@ class MapManager {
   #renderPath() {
     if (this.map && this.map.getSource('path')) {
       this.map.getSource('path').setData({
-        type: 'Feature',
-        properties: {},
-        geometry: {
-          type: 'LineString',
-          coordinates: this.pathCoordinates
-        }
+        type: 'FeatureCollection',
+        features: this.pathState.lines.map(line => ({
+          type: 'Feature',
+          properties: { agentId: line.agentId, color: line.color },
+          geometry: {
+            type: 'LineString',
+            coordinates: line.coordinates
+          }
+        }))
       });
     }
   }
@@ -893,6 +1137,7 @@ class MapManager {
     this.pendingFullPathStates = [];
     this.pendingLivePositions = [];
     this.pendingMarkerPosition = null;
+    this.replayPosition = null;
     this.userHasInteracted = false; // Reset interaction tracking
     this.updatesSinceFit = 0;
     this.fullPathBounds = null;
@@ -901,17 +1146,16 @@ class MapManager {
     this.hasInitialPathFit = false;
     this.#resetFullVectorPath();
     this.removeArchiveTiles();
+    this.#resetHeatmap();
     
     if (this.map && this.map.getSource('path')) {
-      this.map.getSource('path').setData({
-        type: 'Feature',
-        properties: {},
-        geometry: {
-          type: 'LineString',
-          coordinates: []
-        }
-      });
+      this.map.getSource('path').setData({ type: 'FeatureCollection', features: [] });
+    }
+    for (const marker of this.agentMarkers.values()) {
+      marker.remove();
     }
+    this.agentMarkers.clear();
+    this.agentCount = 1;
     
     if (this.currentMarker && this.startPosition) {
       this.currentMarker.setLngLat([this.startPosition.lng, this.startPosition.lat]);
@@ -955,6 +1199,23 @@ class MapManager {
     }
   }
   
+  addHeatmapToggle() {
+    const toggle = document.createElement('button');
+    toggle.className = 'minimap-heatmap-btn';
+    toggle.innerHTML = '🔥';
+    toggle.title = 'Show where the agent visits most';
+    toggle.classList.toggle('active', this.heatmapVisible);
+    toggle.onclick = () => {
+      this.setHeatmapVisible(!this.heatmapVisible);
+      toggle.classList.toggle('active', this.heatmapVisible);
+    };
+
+    const minimapContainer = document.getElementById('minimapContainer');
+    if (minimapContainer) {
+      minimapContainer.appendChild(toggle);
+    }
+  }
+  
   resetView() {
     // Reset interaction flag
     this.userHasInteracted = false;
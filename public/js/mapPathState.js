@@ -1,4 +1,18 @@
 (function(global) {
+  // Must match AGENT_PATH_COLORS in server/services/archiveTileRenderer.js so live lines meet their tiles.
+  const PRIMARY_AGENT_ID = 'agent-1';
+  const AGENT_PATH_COLORS = ['#f44336', '#2196f3', '#4caf50', '#ff9800', '#9c27b0', '#00bcd4'];
+
+  function agentPathColor(agentId) {
+    const number = parseInt(String(agentId ?? '').match(/(\d+)$/)?.[1], 10);
+    const index = Number.isFinite(number) && number > 0 ? number - 1 : 0;
+    return AGENT_PATH_COLORS[index % AGENT_PATH_COLORS.length];
+  }
+
+  function isAdditionalAgent(agentId) {
+    return !!agentId && agentId !== PRIMARY_AGENT_ID;
+  }
+
   function numberOr(value, fallback) {
     const parsed = Number(value);
     return Number.isFinite(parsed) ? parsed : fallback;
@@ -15,13 +29,16 @@
   function normalizePathPoint(point, fallback = {}) {
     const position = normalizePosition(point);
     if (!position) return null;
-    return {
+    const normalized = {
       ...position,
       panoId: point.panoId || fallback.panoId || null,
       stepCount: numberOr(point.stepCount, numberOr(fallback.stepCount, 0)),
       sequence: numberOr(point.sequence, numberOr(fallback.sequence, 0)),
       timestamp: point.timestamp || fallback.timestamp || null
     };
+    const agentId = point.agentId || fallback.agentId;
+    if (isAdditionalAgent(agentId)) normalized.agentId = agentId;
+    return normalized;
   }
 
   class MinimapPathState {
@@ -53,6 +70,23 @@
       return this.points.map(point => [point.lng, point.lat]);
     }
 
+    // One line per agent, first agent first; additional agents' points carry their agentId.
+    get lines() {
+      const lines = new Map([[null, { agentId: null, color: agentPathColor(null), coordinates: [] }]]);
+      for (const point of this.points) {
+        const agentId = point.agentId || null;
+        if (!lines.has(agentId)) {
+          lines.set(agentId, { agentId, color: agentPathColor(agentId), coordinates: [] });
+        }
+        lines.get(agentId).coordinates.push([point.lng, point.lat]);
+      }
+      return [...lines.values()];
+    }
+
+    get hasAdditionalAgents() {
+      return this.points.some(point => point.agentId);
+    }
+
     applyFullPath(points, meta = {}) {
       const runId = meta.runId || this.runId || null;
       this.setRun(runId);
@@ -114,6 +148,7 @@
       const point = normalizePathPoint({
         ...normalizedPosition,
         panoId: meta.panoId,
+        agentId: meta.agentId,
         stepCount: meta.stepCount,
         sequence,
         timestamp: meta.timestamp
@@ -142,4 +177,6 @@
   }
 
   global.MinimapPathState = MinimapPathState;
+  global.agentPathColor = agentPathColor;
+  global.isAdditionalAgent = isAdditionalAgent;
 })(typeof window !== 'undefined' ? window : globalThis);
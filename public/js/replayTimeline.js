@@ -0,0 +1,107 @@
+(function(global) {
+  const DEFAULT_PAGE_SIZE = 100;
+  const PRIMARY_AGENT_ID = 'agent-1';
+
+  function numberOr(value, fallback) {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  }
+
+  function toReplayStep(event) {
+    const stepData = event?.payload?.stepData;
+    if (!stepData) return null;
+    const stepCount = numberOr(stepData.stepCount, numberOr(event.stepCount, 0));
+    if (stepCount <= 0) return null;
+    return {
+      ...stepData,
+      stepCount,
+      sequence: numberOr(event.sequence, 0),
+      timestamp: event.timestamp || null,
+      position: stepData.newPosition || null
+    };
+  }
+
+  // Step-indexed cache over the paged run events endpoint. Pages are aligned to
+  // pageSize so scrubbing back and forth reuses what was already fetched. Steps
+  // before a fork point live in the parent run's log.
+  class ReplayStepCache {
+    constructor({ fetchPage, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+      if (typeof fetchPage !== 'function') {
+        throw new Error('ReplayStepCache requires fetchPage');
+      }
+      this.fetchPage = fetchPage;
+      this.pageSize = Math.max(1, Math.floor(numberOr(pageSize, DEFAULT_PAGE_SIZE)));
+      this.runId = null;
+      this.forkedFrom = null;
+      this.steps = new Map();
+      this.pages = new Map();
+    }
+
+    setRun(runId, forkedFrom = null) {
+      const nextRunId = runId || null;
+      const nextParent = forkedFrom?.runId ? forkedFrom : null;
+      if (nextRunId === this.runId && nextParent?.runId === this.forkedFrom?.runId) return;
+      this.runId = nextRunId;
+      this.forkedFrom = nextParent;
+      this.steps.clear();
+      this.pages.clear();
+    }
+
+    sourceRunFor(stepCount) {
+      if (this.forkedFrom && stepCount <= numberOr(this.forkedFrom.stepCount, 0)) {
+        return this.forkedFrom.runId;
+      }
+      return this.runId;
+    }
+
+    pageStartFor(stepCount) {
+      return Math.floor((stepCount - 1) / this.pageSize) * this.pageSize + 1;
+    }
+
+    async getStep(stepCount) {
+      const step = Math.floor(numberOr(stepCount, 0));
+      if (step <= 0 || !this.runId) return null;
+      if (this.steps.has(step)) return this.steps.get(step);
+
+      const runId = this.sourceRunFor(step);
+      const fromStep = this.pageStartFor(step);
+      const key = `${runId}:${fromStep}`;
+      let page = this.pages.get(key);
+      if (!page) {
+        page = this.#loadPage(runId, fromStep);
+        this.pages.set(key, page);
+      }
+
+      try {
+        await page;
+      } catch (error) {
+        this.pages.delete(key);
+        throw error;
+      }
+      return this.steps.get(step) || null;
+    }
+
+    async #loadPage(runId, fromStep) {
+      const expectedRunId = this.runId;
+      const result = await this.fetchPage({
+        runId,
+        fromStep,
+        limit: this.pageSize,
+        types: ['step_completed'],
+        // Additional agents count their own steps; the timeline follows the first agent
+        agentId: PRIMARY_AGENT_ID
+      });
+      if (this.runId !== expectedRunId) return;
+
+      const lastStep = fromStep + this.pageSize - 1;
+      for (const event of result?.events || []) {
+        const replayStep = toReplayStep(event);
+        if (!replayStep || replayStep.stepCount > lastStep) continue;
+        if (this.sourceRunFor(replayStep.stepCount) !== runId) continue;
+        this.steps.set(replayStep.stepCount, replayStep);
+      }
+    }
+  }
+
+  global.ReplayStepCache = ReplayStepCache;
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -3,28 +3,117 @@ class UIManager {
     this.decisionLog = document.getElementById('decisionLog');
     this.locationsVisited = document.getElementById('locationsVisited');
     this.distanceTraveled = document.getElementById('distanceTraveled');
+    this.streetCoverage = document.getElementById('streetCoverage');
     this.currentStep = document.getElementById('currentStep');
+    this.intentItem = document.getElementById('intentItem');
+    this.intentDivider = document.getElementById('intentDivider');
+    this.currentIntent = document.getElementById('currentIntent');
+    this.intentLabel = document.getElementById('intentLabel');
     this.startBtn = document.getElementById('startBtn');
     this.stepBtn = document.getElementById('stepBtn');
     this.stopBtn = document.getElementById('stopBtn');
     this.resetBtn = document.getElementById('resetBtn');
     this.loadBtn = document.getElementById('loadBtn');
     this.saveBtn = document.getElementById('saveBtn');
+    this.replaySlider = document.getElementById('replaySlider');
+    this.replayLabel = document.getElementById('replayLabel');
+    this.replayLiveBtn = document.getElementById('replayLiveBtn');
+    this.replayDecision = document.getElementById('replayDecision');
+    this.regionPanel = document.getElementById('regionPanel');
+    this.regionSetName = document.getElementById('regionSetName');
+    this.regionList = document.getElementById('regionList');
     
     // Track the last autopilot summary group
     this.lastAutopilotGroup = null;
+    this.agentAutopilotGroups = new Map(); // additional agents' open groups by agentId
     this.seenDecisionSteps = new Set();
   }
 
   updateStats(stats) {
     this.locationsVisited.textContent = this.formatCount(stats.locationsVisited);
     this.distanceTraveled.textContent = this.formatDistanceKm(stats.distanceTraveled);
+    // Unique street length; the walked distance above also counts backtracking.
+    this.streetCoverage.textContent = this.formatDistanceKm(stats.streetLengthCovered || 0);
+    this.streetCoverage.parentElement.title =
+      `${this.formatCount(stats.segmentsWalked || 0)} street segments walked · ` +
+      `${this.formatCount(stats.segmentsPartial || 0)} partly walked`;
+  }
+
+  // Per-region coverage from the server; the panel stays hidden unless REGIONS_PATH is set.
+  updateRegionCoverage(summary) {
+    const regions = Array.isArray(summary?.regions) ? summary.regions : [];
+    this.regionPanel.classList.toggle('hidden', regions.length === 0);
+    if (regions.length === 0) return;
+
+    this.regionSetName.textContent = summary.name || '';
+    const sorted = [...regions].sort((a, b) =>
+      (b.panosVisited - a.panosVisited) || a.name.localeCompare(b.name)
+    );
+    this.regionList.innerHTML = sorted.map((region) => {
+      const explored = region.frontierRemainingPercent === null ? 0 : 100 - region.frontierRemainingPercent;
+      const details = region.panosVisited > 0
+        ? `First visited at step ${region.firstVisitStep ?? '?'} · ${region.frontierRemaining} frontier pano(s) left`
+        : 'Not visited yet';
+      return `
+        <div class="region-row ${region.panosVisited > 0 ? '' : 'unvisited'}" title="${escapeHtml(details)}">
+          <div class="region-row-header">
+            <span class="region-name">${escapeHtml(region.name)}</span>
+            <span class="region-stats">${this.formatCount(region.panosVisited)} · ${this.formatDistanceKm(region.uniqueDistanceMeters)}</span>
+          </div>
+          <div class="region-bar"><div class="region-bar-fill" style="width: ${explored.toFixed(1)}%"></div></div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // The run's exploration intent in the header, with how many branch choices followed it.
+  updateIntent(intent) {
+    const current = intent?.current || null;
+    this.intentItem.classList.toggle('hidden', !current);
+    this.intentDivider.classList.toggle('hidden', !current);
+    if (!current) return;
+
+    this.currentIntent.textContent = current.text;
+    this.intentLabel.textContent = current.decisions > 0
+      ? `intent · ${current.followed}/${current.decisions} followed`
+      : 'intent';
+    const totals = intent.totals || {};
+    this.intentItem.title = `Set at step ${current.setAtStep}, replanned by step ${current.untilStep}` +
+      (totals.decisions > 0 ? ` · ${totals.followed}/${totals.decisions} choices followed across ${totals.intents} intents` : '');
   }
 
   updateStep(step) {
     this.currentStep.textContent = this.formatCount(step);
   }
 
+  // The slider's right edge is the live step; while replaying only the bound moves
+  updateTimeline(liveStep, replayStep = null) {
+    const max = Math.max(1, Number(liveStep) || 0);
+    this.replaySlider.max = String(max);
+    this.replaySlider.disabled = !(Number(liveStep) > 0);
+    if (replayStep === null) {
+      this.replaySlider.value = String(max);
+      this.replayLabel.textContent = 'Live';
+      this.replayLiveBtn.classList.add('hidden');
+    } else {
+      this.replayLabel.textContent = `Step ${this.formatCount(replayStep)} / ${this.formatCount(liveStep)}`;
+      this.replayLiveBtn.classList.remove('hidden');
+    }
+  }
+
+  showReplayStep(step) {
+    const time = step.timestamp ? new Date(step.timestamp).toLocaleTimeString() : '';
+    const entry = this.createDecisionElement(step, time);
+    entry.classList.add('replay-entry');
+    this.replayDecision.replaceChildren(entry);
+    this.replayDecision.classList.remove('hidden');
+  }
+
+  hideReplayStep() {
+    this.replayDecision.replaceChildren();
+    this.replayDecision.classList.add('hidden');
+  }
+
   formatCount(value) {
     const number = Number(value) || 0;
     return number.toLocaleString();
@@ -47,14 +136,19 @@ class UIManager {
   addDecisionEntry(data) {
     console.log(`Received decision for step ${data.stepCount}, mode: ${data.mode}`);
     const stepNumber = Number(data.stepCount);
+    const additionalAgent = isAdditionalAgent(data.agentId);
     if (Number.isFinite(stepNumber)) {
-      if (this.seenDecisionSteps.has(stepNumber)) {
+      // Every agent counts its own steps
+      const stepKey = additionalAgent ? `${data.agentId}:${stepNumber}` : stepNumber;
+      if (this.seenDecisionSteps.has(stepKey)) {
         return;
       }
-      this.seenDecisionSteps.add(stepNumber);
+      this.seenDecisionSteps.add(stepKey);
     }
 
-    if (this.isAutopilotStep(data)) {
+    if (additionalAgent) {
+      this.addAdditionalAgentEntry(data);
+    } else if (this.isAutopilotStep(data)) {
       if (
         this.lastAutopilotGroup &&
         this.lastAutopilotGroup.parentElement === this.decisionLog &&
@@ -69,45 +163,7 @@ class UIManager {
       this.lastAutopilotGroup = group;
     } else {
       this.lastAutopilotGroup = null;
-
-      const entry = document.createElement('div');
-      entry.className = 'decision-entry exploration-entry';
-      entry.setAttribute('data-step', data.stepCount);
-      const time = new Date().toLocaleTimeString();
-      const modeIndicator = '<span class="mode-indicator exploring">🔍</span>';
-      const diaryLine = data.diaryLine || data.reasoning || '';
-      const actionReason = data.actionReason && data.actionReason !== diaryLine
-        ? `<div class="decision-action">${escapeHtml(data.actionReason)}</div>`
-        : '';
-      const screenshots = Array.isArray(data.screenshots) ? data.screenshots : [];
-
-      entry.innerHTML = `
-        <div class="decision-header">
-          <span class="decision-step">${modeIndicator} Step ${data.stepCount}</span>
-          <span class="decision-time">${time}</span>
-        </div>
-        <div class="decision-reasoning">${escapeHtml(diaryLine)}</div>
-        ${actionReason}
-        <div class="decision-screenshots">
-          ${screenshots.map(s => {
-            // Generate Google Maps Street View URL
-            const lat = s.position ? s.position.lat : 0;
-            const lng = s.position ? s.position.lng : 0;
-            const heading = Math.round(s.direction);
-            const mapsUrl = `https://www.google.com/maps/@${lat},${lng},3a,75y,${heading}h,90t/data=!3m6!1e1!3m4!1s!2e0!7i16384!8i8192`;
-            
-            return `
-              <div class="screenshot-thumb" style="cursor: pointer;" onclick="window.open('${mapsUrl}', '_blank')" title="Click to view in Google Maps">
-                <img src="${s.thumbnail}" alt="Direction ${heading}°" onerror="console.error('Failed to load:', this.src)" style="pointer-events: none;">
-                <div class="screenshot-label ${s.visited ? 'visited-badge' : ''}" style="pointer-events: none;">
-                  ${heading}° ${s.visited ? '(V)' : ''}
-                </div>
-              </div>
-            `;
-          }).join('')}
-        </div>
-      `;
-      
+      const entry = this.createDecisionElement(data, new Date().toLocaleTimeString());
       this.decisionLog.insertBefore(entry, this.decisionLog.firstChild);
     }
     
@@ -117,12 +173,92 @@ class UIManager {
     }
   }
 
+  // Additional agents' steps interleave with the first agent's, so their autopilot
+  // groups stay open until that agent makes its own decision rather than until any entry.
+  addAdditionalAgentEntry(data) {
+    const openGroup = this.agentAutopilotGroups.get(data.agentId);
+    if (this.isAutopilotStep(data)) {
+      if (openGroup && openGroup.parentElement === this.decisionLog) {
+        this.updateAutopilotGroup(openGroup, data);
+        return;
+      }
+      const group = this.createAutopilotGroup(data);
+      this.decisionLog.insertBefore(group, this.decisionLog.firstChild);
+      this.agentAutopilotGroups.set(data.agentId, group);
+    } else {
+      this.agentAutopilotGroups.delete(data.agentId);
+      const entry = this.createDecisionElement(data, new Date().toLocaleTimeString());
+      this.decisionLog.insertBefore(entry, this.decisionLog.firstChild);
+    }
+  }
+
+  agentBadge(data) {
+    if (!isAdditionalAgent(data.agentId)) return '';
+    return `<span class="agent-badge" style="background: ${agentPathColor(data.agentId)}">${escapeHtml(data.agentId)}</span>`;
+  }
+
+  createDecisionElement(data, time) {
+    const entry = document.createElement('div');
+    entry.className = 'decision-entry exploration-entry';
+    entry.setAttribute('data-step', data.stepCount);
+    const modeIndicator = '<span class="mode-indicator exploring">🔍</span>';
+    const diaryLine = data.diaryLine || data.reasoning || '';
+    const actionReason = data.actionReason && data.actionReason !== diaryLine
+      ? `<div class="decision-action">${escapeHtml(data.actionReason)}</div>`
+      : '';
+    const screenshots = Array.isArray(data.screenshots) ? data.screenshots : [];
+
+    entry.innerHTML = `
+      <div class="decision-header">
+        <span class="decision-step">${modeIndicator} ${this.agentBadge(data)}Step ${data.stepCount}</span>
+        <span class="decision-time">${time}</span>
+      </div>
+      <div class="decision-reasoning">${escapeHtml(diaryLine)}</div>
+      ${actionReason}
+      <div class="decision-screenshots">
+        ${screenshots.map(s => {
+          // Generate Google Maps Street View URL
+          const lat = s.position ? s.position.lat : 0;
+          const lng = s.position ? s.position.lng : 0;
+          const heading = Math.round(s.direction);
+          const mapsUrl = `https://www.google.com/maps/@${lat},${lng},3a,75y,${heading}h,90t/data=!3m6!1e1!3m4!1s!2e0!7i16384!8i8192`;
+          
+          return `
+            <div class="screenshot-thumb" style="cursor: pointer;" onclick="window.open('${mapsUrl}', '_blank')" title="Click to view in Google Maps">
+              <img src="${s.thumbnail}" alt="Direction ${heading}°" onerror="console.error('Failed to load:', this.src)" style="pointer-events: none;">
+              <div class="screenshot-label ${s.visited ? 'visited-badge' : ''}" style="pointer-events: none;">
+                ${heading}° ${s.visited ? '(V)' : ''}
+              </div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+    
+    return entry;
+  }
+
   isAutopilotStep(data) {
     return data.autoMove === true || data.mode === 'pathfinding';
   }
 
+  buildAutopilotProgressLabel(data) {
+    const destination = data.destination;
+    if (destination) {
+      if (destination.status === 'arrived') return `🎯 Arrived at ${destination.label}`;
+      if (destination.status !== 'active') return `🎯 ${destination.label}: ${destination.status}`;
+      const percent = Math.round((destination.progress || 0) * 100);
+      const eta = Number.isFinite(destination.etaSteps) ? `, ~${destination.etaSteps} steps` : '';
+      return `🎯 ${destination.label}: ${destination.distanceMeters}m left (${percent}%${eta})`;
+    }
+
+    const remaining = Number.isFinite(data.remainingPathSteps) ? data.remainingPathSteps : null;
+    return remaining !== null ? `Frontier: ${remaining} step${remaining === 1 ? '' : 's'} away` : null;
+  }
+
   shouldRecordAutopilotDetail(data) {
     if (data.eventType === 'teleport-frontier' || data.eventType === 'dead-end-recovery') return true;
+    if (data.eventType === 'destination-arrived' || data.eventType === 'destination-abandoned') return true;
     if (!data.diaryLine) return false;
     return data.diaryLine !== data.actionReason;
   }
@@ -166,16 +302,16 @@ class UIManager {
     this.updateAutopilotCounters(group, data);
     const time = new Date().toLocaleTimeString();
     const summary = this.buildAutopilotSummary(group);
-    const remaining = Number.isFinite(data.remainingPathSteps) ? data.remainingPathSteps : null;
-    const remainingLabel = remaining !== null 
-      ? `<span class="pathfinding-count">Frontier: ${remaining} step${remaining === 1 ? '' : 's'} away</span>`
+    const progressLabel = this.buildAutopilotProgressLabel(data);
+    const remainingLabel = progressLabel !== null
+      ? `<span class="pathfinding-count">${escapeHtml(progressLabel)}</span>`
       : '';
 
     group.innerHTML = `
       <div class="decision-header pathfinding-header" onclick="UIManager.toggleAutopilotGroup(this)">
         <span class="decision-step">
           <span class="mode-indicator pathfinding">🧭</span>
-          <span class="step-range">Step ${data.stepCount}</span>
+          ${this.agentBadge(data)}<span class="step-range">Step ${data.stepCount}</span>
         </span>
         <span class="autopilot-summary">${summary}</span>
         ${remainingLabel}
@@ -212,9 +348,8 @@ class UIManager {
     summary.textContent = this.buildAutopilotSummary(group);
 
     // Update or create the remaining steps label
-    const remaining = Number.isFinite(data.remainingPathSteps) ? data.remainingPathSteps : null;
-    if (remaining !== null) {
-      const text = `Frontier: ${remaining} step${remaining === 1 ? '' : 's'} away`;
+    const text = this.buildAutopilotProgressLabel(data);
+    if (text !== null) {
       if (!count) {
         count = document.createElement('span');
         count.className = 'pathfinding-count';
@@ -268,6 +403,7 @@ class UIManager {
   clearDecisionLog() {
     this.decisionLog.innerHTML = '';
     this.lastAutopilotGroup = null;
+    this.agentAutopilotGroups.clear();
     this.seenDecisionSteps.clear();
   }
 
@@ -1,13 +1,20 @@
-import { StreetViewHeadless } from '../services/streetViewHeadless.js';
+import { createStreetViewSource } from '../services/streetViewSources.js';
 import { OpenAIService } from '../services/openai.js';
-import { CoverageTracker } from '../services/coverage.js';
+import { parseVisionConfig } from '../services/visionProviders.js';
+import { CoverageTracker, DEFAULT_AGENT_ID } from '../services/coverage.js';
 import { Pathfinder } from '../services/pathfinder.js';
+import { loadGeofence } from '../services/geofence.js';
+import { FrontierScorer, parseFrontierWeights } from '../services/frontierScorer.js';
+import { createExplorationStrategy } from './explorationStrategies.js';
+import { IntentPlanner, formatIntent } from './intentPlanner.js';
+import { addUsage, emptyUsage } from '../services/usageAccounting.js';
 import { ScreenshotService } from '../utils/screenshot.js';
 import { maybeSignPath } from '../utils/urlSigner.js';
 import { projectPosition, calculateBearing } from '../utils/geoUtils.js';
 import { unlink } from 'fs/promises';
 import { v4 as uuidv4 } from 'uuid';
 
+// Linear reference for CoverageTracker.findClosestFrontierByDiscovery, which answers from the spatial index.
 export function selectClosestFrontierByDiscovery(frontiers, graph, currentPosition, calculateDistance) {
   let closestFrontier = null;
   let closestAnchorPosition = null;
@@ -40,32 +47,77 @@ export function selectClosestFrontierByDiscovery(frontiers, graph, currentPositi
   };
 }
 
+/**
+ * Parses AGENT_STARTS: start points for extra agents, separated by ';'. Each is "lat,lng" or a pano id.
+ * @param {string|null} value
+ * @returns {({position:{lat:number,lng:number}}|{panoId:string})[]}
+ * @throws {Error} on coordinates that are out of range
+ */
+export function parseAgentStarts(value) {
+  return String(value || '')
+    .split(';')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+      if (!match) return { panoId: entry };
+      const position = { lat: parseFloat(match[1]), lng: parseFloat(match[2]) };
+      if (Math.abs(position.lat) > 90 || Math.abs(position.lng) > 180) {
+        throw new Error(`Agent start "${entry}" is out of range`);
+      }
+      return { position };
+    });
+}
+
 export class ExplorationAgent {
-  constructor(globalExploration, logger) {
+  #pathToFrontier = null;
+
+  /**
+   * @param {object} globalExploration
+   * @param {object} logger
+   * @param {object} [options]
+   * @param {string} [options.agentId] - Attributes this agent's steps, events and path
+   * @param {CoverageTracker} [options.coverage] - Another agent's coverage to explore alongside it
+   * @param {{position?:{lat:number,lng:number}, panoId?:string}} [options.start] - Start here instead of START_*
+   */
+  constructor(globalExploration, logger, { agentId = DEFAULT_AGENT_ID, coverage = null, start = null } = {}) {
     this.globalExploration = globalExploration;  // Reference to global exploration for broadcasting
     this.logger = logger;
+    this.agentId = agentId;
+    // Agents joining another agent's coverage record their visits, loop history and frontier claims under their id
+    this.sharedCoverage = !!coverage;
+    this.visitorId = coverage ? agentId : null;
     this.runId = uuidv4();
     this.stepCount = 0;
     this.isStepExecuting = false;  // Internal lock for step execution
     
-    this.streetViewHeadless = new StreetViewHeadless();
+    this.streetViewHeadless = createStreetViewSource();
+    this.visionConfig = null;
     this.ai = new OpenAIService();
-    this.coverage = new CoverageTracker();
-    this.pathfinder = new Pathfinder(this.coverage);
-    this.screenshot = new ScreenshotService(this.runId);
+    this.coverage = coverage || new CoverageTracker();
+    this.pathfinder = new Pathfinder(this.coverage, { agentId: this.visitorId });
+    this.frontierScorer = new FrontierScorer({ weights: process.env.FRONTIER_WEIGHTS || null });
+    this.strategy = createExplorationStrategy(process.env.EXPLORATION_STRATEGY || null);
+    this.screenshot = new ScreenshotService(this.screenshotDir);
     
-    this.currentPosition = {
+    this.startPosition = start?.position ? { lat: start.position.lat, lng: start.position.lng } : {
       lat: parseFloat(process.env.START_LAT),
       lng: parseFloat(process.env.START_LNG)
     };
-    this.currentPanoId = process.env.START_PANO_ID || null;
-    this.startPanoId = process.env.START_PANO_ID || null;
+    this.startPanoId = start ? (start.panoId || null) : (process.env.START_PANO_ID || null);
+    this.currentPosition = { ...this.startPosition };
+    this.currentPanoId = this.startPanoId;
     this.currentHeading = 0;
     
     // Mode tracking
-    this.mode = 'exploration'; // 'exploration' or 'pathfinding'
+    this.mode = 'exploration'; // 'exploration', 'pathfinding' or 'navigating'
     this.pathToFrontier = null;
     this.stuckCounter = 0;
+
+    // Goal-directed navigation (null while exploring freely)
+    this.destination = null;
+    this.pathToDestination = null;
+    this.abandonedDestination = null;
     
     // Movement history for AI context (keep last 20 moves)
     this.recentMovements = [];
@@ -90,10 +142,40 @@ export class ExplorationAgent {
     this.repeatingLoopMinRepeats = parseOr(process.env.REPEATING_LOOP_MIN_REPEATS ?? '3', 3);
     this.narrativeHeartbeatSteps = parseOr(process.env.NARRATIVE_HEARTBEAT_STEPS ?? '5', 5);
     this.explorerTone = process.env.EXPLORER_TONE ?? 'urban field notes';
+    this.intentPlanner = new IntentPlanner({
+      plan: context => this.ai.planIntent?.(context),
+      intervalSteps: parseOr(process.env.INTENT_INTERVAL_STEPS ?? '40', 40)
+    });
+    this.geofencePath = process.env.GEOFENCE_PATH || null;
+    this.destinationArrivalRadiusMeters = parseOr(process.env.DESTINATION_ARRIVAL_RADIUS_M ?? '25', 25);
+    this.destinationStallSteps = parseOr(process.env.DESTINATION_STALL_STEPS ?? '60', 60);
+    this.destinationLookaheadMeters = 10;
+    this.destinationRevisitPenaltyMeters = 15;
 
     // Single-link probe removed per request
   }
 
+  // Joined agents keep screenshots in their own folder under the run so equal step numbers never collide.
+  get screenshotDir() {
+    return this.sharedCoverage ? `${this.runId}/${this.agentId}` : this.runId;
+  }
+
+  // Follow the run of the agent whose coverage this one shares.
+  setRunId(runId) {
+    this.runId = runId;
+    this.screenshot = new ScreenshotService(this.screenshotDir);
+  }
+
+  // Route to the frontier being walked to; its target stays claimed until the route is dropped.
+  get pathToFrontier() {
+    return this.#pathToFrontier;
+  }
+
+  set pathToFrontier(path) {
+    this.#pathToFrontier = path;
+    this.coverage.claimFrontier(this.visitorId, path?.length ? path[path.length - 1] : null);
+  }
+
   shouldEmitNarrative(eventType, stepNumber) {
     const narrativeEvents = new Set([
       'branch-choice',
@@ -141,7 +223,7 @@ export class ExplorationAgent {
           description: link.description ?? null
         })),
       timestamp: graphNode?.timestamp || Date.now(),
-      recentHistory: this.coverage.recentHistory.slice(-this.coverage.maxHistorySize),
+      recentHistory: this.coverage.getRecentHistory(this.visitorId).slice(-this.coverage.maxHistorySize),
       visitInfo: visitInfo || null
     };
   }
@@ -250,14 +332,406 @@ export class ExplorationAgent {
     return this.coverage.calculateDistance(previousPosition, nextPosition) < 0.5;
   }
 
-  async initialize() {
+  setGeofence(geofence) {
+    const dropped = this.coverage.setGeofence(geofence);
+    if (geofence) {
+      console.log(`Run boundary "${geofence.name || 'unnamed'}" active; dropped ${dropped} frontier pano(s) outside it.`);
+    }
+  }
+
+  get geofence() {
+    return this.coverage.geofence;
+  }
+
+  /**
+   * Replace the frontier weights for this run; null goes back to FRONTIER_WEIGHTS or the defaults.
+   * @throws {Error} when a factor or weight is invalid
+   */
+  setFrontierWeights(weights) {
+    this.frontierScorer.weights = parseFrontierWeights(weights ?? process.env.FRONTIER_WEIGHTS ?? null);
+    return { ...this.frontierScorer.weights };
+  }
+
+  get frontierWeights() {
+    return { ...this.frontierScorer.weights };
+  }
+
+  // Picks the run's decision policy; null restores the EXPLORATION_STRATEGY default. Throws on unknown names.
+  setStrategy(name) {
+    this.strategy = createExplorationStrategy(name ?? process.env.EXPLORATION_STRATEGY ?? null);
+    return this.strategy.name;
+  }
+
+  /**
+   * Picks the run's vision provider and model ({provider, model}); null restores the VISION_*
+   * env defaults. Throws on unknown providers.
+   */
+  setVisionConfig(vision) {
+    const config = parseVisionConfig(vision);
+    if (JSON.stringify(config) !== JSON.stringify(this.visionConfig)) {
+      this.ai = new OpenAIService(config || {});
+      this.visionConfig = config;
+    }
+    return this.visionConfig ? { ...this.visionConfig } : null;
+  }
+
+  // Best frontier by the run's weights, with its score breakdown; null if none has a known anchor.
+  #pickFrontier() {
+    const regionCoverage = this.globalExploration?.regionCoverage;
+    const context = {
+      coverage: this.coverage,
+      position: this.currentPosition,
+      regionDeficit: regionCoverage && this.frontierScorer.weights.regionDeficit
+        ? regionCoverage.deficitLookup(this.coverage)
+        : null
+    };
+
+    if (this.frontierScorer.isDistanceOnly) {
+      const closest = this.coverage.findClosestFrontierByDiscovery(this.currentPosition, { agentId: this.visitorId });
+      return closest ? this.frontierScorer.score(closest.frontier, context) : null;
+    }
+    const open = this.coverage.getFrontiers().filter(frontier => this.coverage.isFrontierOpen(frontier.panoId, this.visitorId));
+    const [best = null] = this.frontierScorer.rank(open, context);
+    return best;
+  }
+
+  #filterLinksToGeofence(links) {
+    if (!this.geofence || links.length === 0) return links;
+
+    const inside = links.filter(link => this.coverage.isLinkInsideGeofence(this.currentPosition, link));
+    if (inside.length === links.length) return links;
+    console.log(`Geofence dropped ${links.length - inside.length} link(s) leading outside the run boundary.`);
+    if (inside.length > 0) return inside;
+
+    // Never strand the agent: retreat over known streets, or keep everything if we are already outside.
+    const visited = links.filter(link => this.coverage.hasVisited(link.pano));
+    if (visited.length > 0) return visited;
+    console.warn(`No links from ${this.currentPanoId} stay inside the run boundary; keeping all ${links.length}.`);
+    return links;
+  }
+
+  #destinationDistance(position = this.currentPosition) {
+    if (!this.destination?.position || !position) return Infinity;
+    return this.coverage.calculateDistance(position, this.destination.position);
+  }
+
+  async setDestination({ lat, lng, panoId = null, label = null, arrivalRadiusMeters = null } = {}) {
+    let position = null;
+    const parsedLat = Number(lat);
+    const parsedLng = Number(lng);
+    if (lat != null && lng != null && Number.isFinite(parsedLat) && Number.isFinite(parsedLng)) {
+      if (Math.abs(parsedLat) > 90 || Math.abs(parsedLng) > 180) {
+        throw new Error('Destination coordinates are out of range');
+      }
+      position = { lat: parsedLat, lng: parsedLng };
+    }
+
+    if (!position && panoId) {
+      const node = this.coverage.graph.get(panoId);
+      position = node
+        ? { lat: node.lat, lng: node.lng }
+        : (await this.streetViewHeadless.getPanorama(panoId)).position;
+    }
+
+    if (!position) {
+      throw new Error('Destination requires lat/lng or a panoId');
+    }
+    if (this.geofence && !this.geofence.contains(position)) {
+      throw new Error('Destination is outside the run boundary');
+    }
+
+    const radius = Number(arrivalRadiusMeters);
+    const startDistance = this.coverage.calculateDistance(this.currentPosition, position);
+    this.destination = {
+      label: label || (panoId ? `pano ${panoId}` : `${position.lat.toFixed(5)}, ${position.lng.toFixed(5)}`),
+      panoId: panoId || null,
+      position: { lat: position.lat, lng: position.lng },
+      arrivalRadiusMeters: Number.isFinite(radius) && radius > 0 ? radius : this.destinationArrivalRadiusMeters,
+      setAt: new Date().toISOString(),
+      setAtStep: this.stepCount,
+      startDistanceMeters: startDistance,
+      bestDistanceMeters: startDistance,
+      stepsSinceProgress: 0
+    };
+    this.pathToDestination = null;
+    this.pathToFrontier = null;
+
+    if (this.#hasArrived()) {
+      return this.#finishDestination('arrived');
+    }
+
+    this.mode = 'navigating';
+    console.log(`🎯 Destination set: ${this.destination.label} (${Math.round(startDistance)}m away)`);
+    return this.getDestinationStatus();
+  }
+
+  clearDestination() {
+    if (!this.destination) return null;
+    return this.#finishDestination('cleared');
+  }
+
+  getDestinationStatus(status = 'active') {
+    const destination = this.destination;
+    if (!destination) return null;
+
+    const distance = this.#destinationDistance();
+    const stepsTaken = Math.max(0, this.stepCount - destination.setAtStep);
+    const covered = destination.startDistanceMeters - distance;
+    const metersPerStep = stepsTaken > 0 && covered > 0 ? covered / stepsTaken : null;
+    const etaSteps = status === 'active'
+      ? (metersPerStep ? Math.ceil(Math.max(0, distance - destination.arrivalRadiusMeters) / metersPerStep) : null)
+      : 0;
+    const elapsedMs = Date.now() - Date.parse(destination.setAt);
+    const etaSeconds = etaSteps !== null && stepsTaken > 0 && Number.isFinite(elapsedMs)
+      ? Math.round(etaSteps * (elapsedMs / stepsTaken) / 1000)
+      : null;
+    const progress = destination.startDistanceMeters > 0
+      ? Math.min(1, Math.max(0, 1 - distance / destination.startDistanceMeters))
+      : 1;
+
+    return {
+      ...destination,
+      position: { ...destination.position },
+      status,
+      distanceMeters: Math.round(distance),
+      progress: status === 'arrived' ? 1 : Math.round(progress * 1000) / 1000,
+      stepsTaken,
+      etaSteps,
+      etaSeconds
+    };
+  }
+
+  restoreDestination(saved) {
+    this.pathToDestination = null;
+    if (!saved || saved.status && saved.status !== 'active' || !saved.position) {
+      this.destination = null;
+      return;
+    }
+    this.destination = {
+      label: saved.label,
+      panoId: saved.panoId || null,
+      position: { lat: saved.position.lat, lng: saved.position.lng },
+      arrivalRadiusMeters: saved.arrivalRadiusMeters || this.destinationArrivalRadiusMeters,
+      setAt: saved.setAt || new Date().toISOString(),
+      setAtStep: Number.isFinite(saved.setAtStep) ? saved.setAtStep : this.stepCount,
+      startDistanceMeters: saved.startDistanceMeters,
+      bestDistanceMeters: saved.bestDistanceMeters ?? saved.startDistanceMeters,
+      stepsSinceProgress: saved.stepsSinceProgress || 0
+    };
+    this.mode = 'navigating';
+  }
+
+  #hasArrived() {
+    if (!this.destination) return false;
+    if (this.destination.panoId && this.destination.panoId === this.currentPanoId) return true;
+    return this.#destinationDistance() <= this.destination.arrivalRadiusMeters;
+  }
+
+  #finishDestination(status) {
+    const finalStatus = this.getDestinationStatus(status);
+    console.log(`🎯 Destination ${finalStatus.label} ${status}; handing back to free exploration.`);
+    this.destination = null;
+    this.pathToDestination = null;
+    this.mode = 'exploration';
+    return finalStatus;
+  }
+
+  #planDestinationRoute() {
+    const { panoId, position } = this.destination;
+    if (panoId && (this.coverage.graph.has(panoId) || this.coverage.frontier.has(panoId))) {
+      const direct = this.pathfinder.findPathToPano(this.currentPanoId, panoId);
+      if (direct) return direct;
+    }
+
+    // Walk known streets to the mapped pano nearest the target before probing unknown links.
+    const [anchor] = this.coverage.findNearestNodes(position, 1);
+    const currentDistance = this.#destinationDistance();
+    const minimumGain = Math.max(this.destination.arrivalRadiusMeters, this.destinationLookaheadMeters * 2);
+    if (!anchor || anchor.panoId === this.currentPanoId || anchor.distanceMeters > currentDistance - minimumGain) {
+      return null;
+    }
+    return this.pathfinder.findPathToPano(this.currentPanoId, anchor.panoId);
+  }
+
+  // Counts a destination step that could not move; abandons the destination once it has stalled
+  // for DESTINATION_STALL_STEPS. The abandonment is reported with the step taken instead.
+  #recordFailedDestinationStep(destination) {
+    destination.stepsSinceProgress += 1;
+    if (this.destination === destination && destination.stepsSinceProgress >= this.destinationStallSteps) {
+      this.abandonedDestination = this.#finishDestination('abandoned');
+    }
+  }
+
+  #selectLinkTowardDestination(links) {
+    const lastMove = this.recentMovements[this.recentMovements.length - 1];
+    const backtrackPanoId = lastMove && lastMove.to === this.currentPanoId ? lastMove.from : null;
+    let bestLink = null;
+    let bestScore = Infinity;
+
+    for (const link of links) {
+      if (!link?.pano) continue;
+      if (link.pano === this.destination.panoId) return link;
+
+      const node = this.coverage.graph.get(link.pano);
+      const predicted = node
+        ? { lat: node.lat, lng: node.lng }
+        : projectPosition(this.currentPosition, parseFloat(link.heading) || 0, this.destinationLookaheadMeters);
+      let score = this.#destinationDistance(predicted) +
+        this.coverage.getVisitCount(link.pano) * this.destinationRevisitPenaltyMeters;
+      if (link.pano === backtrackPanoId && links.length > 1) {
+        score += this.destinationRevisitPenaltyMeters * 2;
+      }
+
+      if (score < bestScore) {
+        bestScore = score;
+        bestLink = link;
+      }
+    }
+
+    return bestLink;
+  }
+
+  async #stepTowardDestination(currentStep) {
+    const destination = this.destination;
+    const currentNode = this.coverage.graph.get(this.currentPanoId);
+    let targetPanoId = null;
+    let fallbackHeading = this.lastNavigationHeading;
+    let eventType = 'destination-route';
+    let actionReason = null;
+
+    if (this.pathToDestination?.length > 0 && currentNode?.neighbors.has(this.pathToDestination[0])) {
+      targetPanoId = this.pathToDestination[0];
+    } else {
+      this.pathToDestination = null;
+      const route = this.#planDestinationRoute();
+      if (route) {
+        this.pathToDestination = [...route.fullPath];
+        targetPanoId = route.nextStep;
+      }
+    }
+
+    if (targetPanoId) {
+      const remaining = this.pathToDestination.length;
+      actionReason = `Autopilot: navigating to ${destination.label} along known streets (${remaining} step${remaining === 1 ? '' : 's'} on route)`;
+    } else {
+      const panoData = await this.streetViewHeadless.getCurrentPanorama();
+      this.currentPanoId = panoData.panoId;
+      this.currentPosition = { lat: panoData.position.lat, lng: panoData.position.lng };
+      const link = this.#selectLinkTowardDestination(this.#filterLinksToGeofence(panoData.links || []));
+      if (!link) {
+        this.#recordFailedDestinationStep(destination);
+        return null;
+      }
+      targetPanoId = link.pano;
+      fallbackHeading = parseFloat(link.heading);
+      eventType = 'destination-heading';
+      const bearing = Math.round(calculateBearing(this.currentPosition, destination.position));
+      actionReason = `Autopilot: navigating to ${destination.label}, taking the link closest to bearing ${bearing}°`;
+    }
+
+    const previousPanoId = this.currentPanoId;
+    const previousPosition = { ...this.currentPosition };
+    const newPanoData = await this.streetViewHeadless.navigateAndGetPanorama(targetPanoId);
+    this.currentPanoId = newPanoData.panoId;
+    this.currentPosition = { lat: newPanoData.position.lat, lng: newPanoData.position.lng };
+    this.#resolveNavigatedPanoAlias(targetPanoId, this.currentPanoId, 'Destination navigation');
+
+    if (this.#isNoopNavigation(previousPanoId, previousPosition, this.currentPanoId, this.currentPosition)) {
+      console.warn(`Destination navigation to ${targetPanoId} did not leave ${this.currentPanoId}; replanning.`);
+      this.pathToDestination = null;
+      this.#recordFailedDestinationStep(destination);
+      return null;
+    }
+    if (this.pathToDestination?.[0] === targetPanoId) {
+      this.pathToDestination.shift();
+    }
+
+    const travelHeading = await this.#syncHeadingAfterNavigation(previousPosition, fallbackHeading);
+    const newLinks = newPanoData.links || [];
+    const visitInfo = this.coverage.addVisited(this.currentPanoId, this.currentPosition, newLinks, { agentId: this.visitorId });
+    this.stepsSinceNewCell = visitInfo?.isNewCell ? 0 : this.stepsSinceNewCell + 1;
+
+    this.recentMovements.push({
+      from: previousPanoId,
+      to: this.currentPanoId,
+      fromPosition: previousPosition,
+      toPosition: { ...this.currentPosition },
+      heading: travelHeading,
+      step: currentStep,
+      reasoning: actionReason
+    });
+    if (this.recentMovements.length > 20) this.recentMovements.shift();
+
+    const distance = this.#destinationDistance();
+    if (distance < destination.bestDistanceMeters - 1) {
+      destination.bestDistanceMeters = distance;
+      destination.stepsSinceProgress = 0;
+    } else {
+      destination.stepsSinceProgress += 1;
+    }
+
+    let destinationStatus;
+    let diaryLine = null;
+    const stillCurrent = this.destination === destination;
+    if (stillCurrent && this.#hasArrived()) {
+      destinationStatus = this.#finishDestination('arrived');
+      eventType = 'destination-arrived';
+      diaryLine = `Reached ${destination.label}; letting curiosity pick the streets from here.`;
+    } else if (stillCurrent && destination.stepsSinceProgress >= this.destinationStallSteps) {
+      destinationStatus = this.#finishDestination('abandoned');
+      eventType = 'destination-abandoned';
+      diaryLine = `Could not find a way closer to ${destination.label}; returning to free exploration.`;
+    } else {
+      destinationStatus = this.getDestinationStatus();
+      diaryLine = this.buildAutopilotDiaryLine({
+        stepNumber: currentStep,
+        eventType,
+        remainingPathSteps: null,
+        locationEntered: !!visitInfo?.isNewCell
+      });
+    }
+
+    return {
+      stepCount: currentStep,
+      reasoning: diaryLine || actionReason,
+      actionReason,
+      diaryLine,
+      eventType,
+      autoMove: true,
+      fallbackCause: null,
+      sceneTag: null,
+      panoId: this.currentPanoId,
+      previousPanoId,
+      previousPosition,
+      newPosition: this.currentPosition,
+      stats: this.coverage.getStats(),
+      direction: Number.isFinite(travelHeading) ? travelHeading : this.currentHeading,
+      mode: 'navigating',
+      screenshots: [],
+      remainingPathSteps: this.pathToDestination ? this.pathToDestination.length : null,
+      destination: destinationStatus,
+      coverageDelta: this.buildCoverageDelta({
+        panoId: this.currentPanoId,
+        position: this.currentPosition,
+        links: newLinks,
+        previousPanoId,
+        visitInfo
+      })
+    };
+  }
+
+  async initialize({ panoId = this.startPanoId } = {}) {
     await this.streetViewHeadless.initialize();
     await this.screenshot.initialize();
+
+    if (this.geofencePath && !this.geofence) {
+      this.setGeofence(await loadGeofence(this.geofencePath));
+    }
     
     // If we have a starting pano ID, use it; otherwise use lat/lng
     let panoData;
-    if (this.startPanoId) {
-      panoData = await this.streetViewHeadless.getPanorama(this.startPanoId);
+    if (panoId) {
+      panoData = await this.streetViewHeadless.getPanorama(panoId);
       // Update position from the panorama data
       this.currentPosition = {
         lat: panoData.position.lat,
@@ -269,11 +743,12 @@ export class ExplorationAgent {
     
     this.currentPanoId = panoData.panoId;
     this.streetViewHeadless.currentPanoId = this.currentPanoId;  // Track in Puppeteer for refresh
-    const startVisit = this.coverage.addVisited(this.currentPanoId, this.currentPosition, panoData.links || []);
+    const startVisit = this.coverage.addVisited(this.currentPanoId, this.currentPosition, panoData.links || [], { agentId: this.visitorId });
     this.stepsSinceNewCell = startVisit?.isNewCell ? 0 : 1;
     
     // Broadcast to all connected clients
     this.globalExploration.broadcast('position-update', {
+      agentId: this.agentId,
       position: this.currentPosition,
       panoId: this.currentPanoId,
       stats: this.coverage.getStats()
@@ -287,6 +762,16 @@ export class ExplorationAgent {
   }
 
   async exploreStep() {
+    const stepData = await this.#takeStep();
+    if (stepData && this.abandonedDestination) {
+      // A destination abandoned on a step that could not move is reported by the step taken instead.
+      stepData.destination ??= this.abandonedDestination;
+      this.abandonedDestination = null;
+    }
+    return stepData;
+  }
+
+  async #takeStep() {
     // Check if a step is already executing
     if (this.isStepExecuting) {
       console.warn('Step already executing, skipping concurrent execution');
@@ -315,6 +800,14 @@ export class ExplorationAgent {
         }
       }
 
+      // Goal-directed navigation takes over until arrival or abandonment.
+      if (this.destination) {
+        const destinationStep = await this.#stepTowardDestination(currentStep);
+        if (destinationStep) {
+          return destinationStep;
+        }
+      }
+
       // --- Fast path: skip getCurrentPanorama for auto steps ---
       // Uses graph data to validate hops, avoiding 2 expensive Puppeteer roundtrips (~1s).
       // Applies to: (1) planned-route following, (2) single-link corridor walking.
@@ -333,14 +826,16 @@ export class ExplorationAgent {
           console.log(`Fast-path skipped: ${nextHop} is not a neighbor of ${this.currentPanoId} in graph. Falling back to full step.`);
           this.pathToFrontier = null;
         }
-      } else if (currentNode) {
-        // Case 2: Single unvisited neighbor = corridor, no decision needed
-        const unvisited = [];
-        for (const n of currentNode.neighbors) {
-          if (!this.coverage.hasVisited(n)) unvisited.push(n);
-        }
-        if (unvisited.length === 1) {
-          fastPathTarget = unvisited[0];
+      } else if (currentNode && typeof this.strategy.corridorStep === 'function') {
+        // Case 2: the strategy walks this corridor without a decision (e.g. a single unvisited neighbor)
+        fastPathTarget = this.strategy.corridorStep({
+          step: currentStep,
+          panoId: this.currentPanoId,
+          position: this.currentPosition,
+          node: currentNode,
+          coverage: this.coverage
+        }) || null;
+        if (fastPathTarget) {
           fastPathEvent = 'autopilot-single-link';
           fastPathReason = 'Autopilot: single available path, advancing corridor';
         }
@@ -371,7 +866,7 @@ export class ExplorationAgent {
             );
 
             const newLinks = newPanoData.links || [];
-            const visitInfo = this.coverage.addVisited(this.currentPanoId, this.currentPosition, newLinks);
+            const visitInfo = this.coverage.addVisited(this.currentPanoId, this.currentPosition, newLinks, { agentId: this.visitorId });
             this.stepsSinceNewCell = visitInfo?.isNewCell ? 0 : this.stepsSinceNewCell + 1;
 
             const remainingPathSteps = this.pathToFrontier ? this.pathToFrontier.length : null;
@@ -480,6 +975,8 @@ export class ExplorationAgent {
           // Continue with empty links - will throw error below
         }
       }
+
+      links = this.#filterLinksToGeofence(links);
       
       // Log current location details and frontier status
       console.log(`Current location - PanoID: ${this.currentPanoId}, Lat: ${this.currentPosition.lat.toFixed(6)}, Lng: ${this.currentPosition.lng.toFixed(6)}`);
@@ -487,10 +984,11 @@ export class ExplorationAgent {
       const repeatingLoopOptions = {
         minPeriod: this.repeatingLoopMinPeriod,
         maxPeriod: this.repeatingLoopMaxPeriod,
-        minRepeats: this.repeatingLoopMinRepeats
+        minRepeats: this.repeatingLoopMinRepeats,
+        agentId: this.visitorId
       };
       const wouldExtendLoopTail = (panoId) => (
-        this.coverage.isAlternatingLoop(panoId, this.loopWindowNodes) ||
+        this.coverage.isAlternatingLoop(panoId, this.loopWindowNodes, this.visitorId) ||
         this.coverage.wouldExtendRepeatingCycle(panoId, repeatingLoopOptions)
       );
 
@@ -504,18 +1002,6 @@ export class ExplorationAgent {
         }
       }
       
-      // Determine if all outgoing links from current pano are already visited
-      const allLinksVisited = (links.length > 0) && links.every(link => this.coverage.hasVisited(link.pano));
-      
-      let selectedLink = null;
-      let decision = null;
-      let remainingPathSteps = null; // For UI hint when pathfinding
-      let screenshots = [];  // Declare at higher scope to avoid reference error
-      let actionReason = null;
-      let diaryLine = null;
-      let eventType = 'branch-choice';
-      let autoMove = false;
-      let fallbackCause = null;
       const intermediateEvents = [];
       
       // If we just recovered from a dead-end, broadcast that special state
@@ -552,300 +1038,37 @@ export class ExplorationAgent {
         this.pathToFrontier = null;
       }
       
-      // Determine mode and select next move
-      // If we have a planned route to a frontier, follow it first
-      if (this.pathToFrontier && Array.isArray(this.pathToFrontier) && this.pathToFrontier.length > 0) {
-        const nextPlanned = this.pathToFrontier[0];
-        const plannedLink = links.find(l => l.pano === nextPlanned);
-        if (plannedLink) {
-          this.mode = 'pathfinding';
-          selectedLink = plannedLink;
-          remainingPathSteps = this.pathToFrontier.length;
-          actionReason = `Autopilot: following planned frontier route (${remainingPathSteps} step${remainingPathSteps === 1 ? '' : 's'} remaining)`;
-          eventType = 'autopilot-pathfinding';
-          autoMove = true;
-          decision = {
-            selectedPanoId: selectedLink.pano,
-            reasoning: actionReason
-          };
-          screenshots = [];
-        } else {
-          // Planned next hop is not available from here; invalidate and recompute below
-          console.log('Path plan invalidated: next hop not in current links. Recomputing.');
-          this.pathToFrontier = null;
-        }
-      }
-
-      // Enter pathfinding mode whenever all links are visited and any frontier exists
-      if (!selectedLink && allLinksVisited && this.coverage.hasFrontier()) {
-        // Switch to pathfinding mode - no screenshots needed
-        this.mode = 'pathfinding';
-        console.log('Visited all links - switching to pathfinding mode (no screenshots)');
-        
-        const pathInfo = this.pathfinder.findPathToNearestFrontier(this.currentPanoId);
-        if (pathInfo) {
-          // Find the link that leads to the next step in path
-          selectedLink = links.find(l => l.pano === pathInfo.nextStep);
-          if (selectedLink) {
-            actionReason = `Autopilot: pathfinding to frontier (${pathInfo.pathLength} step${pathInfo.pathLength === 1 ? '' : 's'} remaining)`;
-            eventType = 'autopilot-pathfinding';
-            autoMove = true;
-            decision = {
-              selectedPanoId: selectedLink.pano,
-              reasoning: actionReason
-            };
-            remainingPathSteps = pathInfo.pathLength;
-            console.log(`Pathfinding: Next step to ${selectedLink.pano} (route=${pathInfo.pathLength}, expanded=${pathInfo.expanded})`);
-            // No screenshots in pathfinding mode
-            screenshots = [];
-            // Persist full route; first hop will be consumed after navigation
-            this.pathToFrontier = Array.isArray(pathInfo.fullPath) ? [...pathInfo.fullPath] : null;
-          } else {
-            console.log(`Graph route suggested unavailable hop ${pathInfo.nextStep}; trying cluster + teleport fallbacks.`);
-          }
-        }
-
-        if (!selectedLink) {
-          // Try cluster-aware routing before teleporting
-          const clustered = this.pathfinder.findClusteredPathToFrontier(this.currentPanoId);
-          if (clustered) {
-            console.log(`Cluster route: ${clustered.clusterPathLength} clusters, expanded=${clustered.expanded}`);
-            const isBoundaryHere = clustered.nextCluster === clustered.startCluster;
-            let hop = null;
-            if (isBoundaryHere) {
-              // Prefer any unvisited neighbor from current pano if available
-              const unvisitedFromCurrent = links.find(l => !this.coverage.hasVisited(l.pano));
-              if (unvisitedFromCurrent) {
-                hop = unvisitedFromCurrent;
-              } else {
-                // Reposition within cluster to a member that has unvisited neighbor
-                const target = clustered.fromCandidates.find(id => id !== this.currentPanoId) || clustered.fromCandidates[0];
-                if (target && target !== this.currentPanoId) {
-                  return await this.#repositionWithinCluster(currentStep, target, 'Reposition within cluster to reach boundary');
-                }
-              }
-            } else {
-              // Look for a link to next cluster from current pano
-              const linkToNextCluster = links.find(l => clustered.toCandidates.includes(l.pano));
-              if (linkToNextCluster) {
-                hop = linkToNextCluster;
-              } else {
-                // Reposition to a member in current cluster that has an edge to next cluster
-                const target = clustered.fromCandidates.find(id => id !== this.currentPanoId) || clustered.fromCandidates[0];
-                if (target && target !== this.currentPanoId) {
-                  return await this.#repositionWithinCluster(currentStep, target, 'Reposition within cluster to exit toward frontier');
-                }
-              }
-            }
-
-            if (hop) {
-              selectedLink = hop;
-              actionReason = isBoundaryHere
-                ? 'Autopilot: cluster boundary reached, taking unvisited exit'
-                : 'Autopilot: exiting cluster toward frontier';
-              eventType = 'autopilot-pathfinding';
-              autoMove = true;
-              decision = {
-                selectedPanoId: selectedLink.pano,
-                reasoning: actionReason
-              };
-              screenshots = [];
-            }
-          }
-        }
-
-        if (!selectedLink) {
-          // Frontier exists but is unreachable via visited graph; fall back to teleport
-          const teleportStep = await this.teleportToFrontier(currentStep);
-          if (teleportStep) {
-            return teleportStep;
-          }
-        }
-        
-        if (!selectedLink) {
-          // No path found, try escape heuristic
-          selectedLink = this.pathfinder.findBestEscapeDirection(this.currentPanoId, links);
-          if (selectedLink) {
-            actionReason = 'Autopilot: escape heuristic selected a route out of the local loop';
-            eventType = 'autopilot-pathfinding';
-            autoMove = true;
-            decision = {
-              selectedPanoId: selectedLink.pano,
-              reasoning: actionReason
-            };
-            // No screenshots in pathfinding mode
-            screenshots = [];
-          }
-        }
+      // Check if we have no links at all (dead-end with no recovery possible)
+      if (links.length === 0) {
+        console.error('❌ No available links and cannot recover. This may be a dead-end panorama loaded from a save.');
+        throw new Error('No available navigation options from current panorama');
       }
-      
-      // If not stuck or no pathfinding solution, use normal exploration
-      if (!selectedLink) {
-        // Check if we have no links at all (dead-end with no recovery possible)
-        if (links.length === 0) {
-          console.error('❌ No available links and cannot recover. This may be a dead-end panorama loaded from a save.');
-          throw new Error('No available navigation options from current panorama');
-        }
-        
-        const unvisitedLinks = links.filter(link => 
-          !this.coverage.hasVisited(link.pano)
-        );
-        
-        // If unvisited links exist, prefer exploration and clear any stale path plan
-        if (unvisitedLinks.length > 0 && this.pathToFrontier) {
-          this.pathToFrontier = null;
-        }
-
-        const targetLinks = unvisitedLinks.length > 0 ? unvisitedLinks : links;
-        const lastMove = this.recentMovements[this.recentMovements.length - 1];
-        const immediateBacktrackPano = (lastMove && lastMove.to === this.currentPanoId) ? lastMove.from : null;
-        const candidateLinks = (() => {
-          if (!immediateBacktrackPano || targetLinks.length <= 1) return targetLinks;
-          const nonBacktrack = targetLinks.filter(link => link.pano !== immediateBacktrackPano);
-          return nonBacktrack.length > 0 ? nonBacktrack : targetLinks;
-        })();
-        let cycleSafeLinks = candidateLinks;
-
-        if (unvisitedLinks.length === 0 && candidateLinks.length > 1) {
-          const nonLoopRisk = candidateLinks.filter(link => !wouldExtendLoopTail(link.pano));
-          if (nonLoopRisk.length > 0 && nonLoopRisk.length < candidateLinks.length) {
-            console.log(`Loop-risk filter dropped ${candidateLinks.length - nonLoopRisk.length} candidate link(s) that continue a repeating cycle tail.`);
-            cycleSafeLinks = nonLoopRisk;
-          } else if (nonLoopRisk.length === 0 && this.coverage.hasFrontier()) {
-            console.warn('All available links would continue a recent loop tail; forcing frontier teleport.');
-            const teleportStep = await this.teleportToFrontier(currentStep);
-            if (teleportStep) {
-              return teleportStep;
-            }
-          }
-        }
-        
-        // Check if only one valid link exists - verify via nearby probes before auto-moving
-        if (cycleSafeLinks.length === 1) {
-          const candidateLink = cycleSafeLinks[0];
-          const wouldContinueLoop = (unvisitedLinks.length === 0) && wouldExtendLoopTail(candidateLink.pano);
-
-          if (wouldContinueLoop && this.coverage.hasFrontier()) {
-            console.warn(`Single-link oscillation detected toward ${candidateLink.pano}; forcing frontier recovery.`);
-            const teleportStep = await this.teleportToFrontier(currentStep);
-            if (teleportStep) {
-              return teleportStep;
-            }
-          }
 
-          this.mode = 'pathfinding'; // Use pathfinding mode for single-link steps (no screenshots)
-          selectedLink = candidateLink;
-          actionReason = 'Autopilot: single available path, advancing corridor';
-          eventType = 'autopilot-single-link';
-          autoMove = true;
-          
-          decision = {
-            selectedPanoId: selectedLink.pano,
-            reasoning: actionReason
-          };
-          
-          // No screenshots for single-link pathfinding
-          screenshots = [];
-          
-          console.log(`✓ Single link detected - auto-navigating to ${selectedLink.pano} (no screenshots)`);
-        } else {
-          // Multiple links available - use AI for decision
-          this.mode = 'exploration';
-          eventType = 'branch-choice';
-          autoMove = false;
-          const stepIntent = typeof this.ai.getIntentForStep === 'function'
-            ? this.ai.getIntentForStep(currentStep)
-            : null;
-          
-          // Use the screenshots array declared at higher scope
-          screenshots = [];
-          
-          // Capture screenshots with the current step number
-          for (const link of cycleSafeLinks) {
-            const heading = parseFloat(link.heading);
-            await this.streetViewHeadless.setHeading(heading);
-            
-            const screenshotData = await this.screenshot.capture(
-              currentStep,  // Use the captured step number
-              heading,
-              await this.streetViewHeadless.getScreenshot()
-            );
-            
-            console.log(`Captured screenshot: step=${currentStep}, filename=${screenshotData.filename}`);
-            
-            // Validate that the filename matches the current step
-            if (!screenshotData.filename.startsWith(`${currentStep}-`)) {
-              console.error(`Screenshot filename mismatch! Expected step ${currentStep}, got ${screenshotData.filename}`);
-            }
-            
-            screenshots.push({
-              direction: heading,
-              filename: screenshotData.filename,
-              thumbFilename: screenshotData.thumbFilename,
-              filepath: screenshotData.filepath,  // Track for deletion
-              panoId: link.pano,
-              description: link.description || '',
-              visited: this.coverage.hasVisited(link.pano),
-              base64: screenshotData.base64,  // Full-size for AI
-              position: this.currentPosition  // Add current position for Google Maps links
-            });
-          }
-          
-          const visitedPanos = unvisitedLinks.length === 0 ? 
-            this.coverage.getVisitedList() : [];
-          
-          decision = await this.ai.decideNextMove({
-            currentPosition: this.currentPosition,
-            screenshots,
-            links: cycleSafeLinks,  // Only pass links we have screenshots for
-            visitedPanos,
-            stats: this.coverage.getStats(),
-            stepNumber: currentStep,
-            mode: this.mode,
-            recentMovements: this.recentMovements,  // Pass movement history
-            tone: this.explorerTone,
-            intent: stepIntent,
-            recentNarratives: this.getRecentNarrativeLines()
-          });
-          actionReason = 'Branch choice';
-          fallbackCause = decision.fallbackCause || null;
-          
-          // Clear base64 data and delete full-size files after AI decision
-          for (const s of screenshots) {
-            delete s.base64;  // Clear from memory
-            
-            // Delete full-size screenshot file, keep only thumbnail
-            if (s.filepath) {
-              unlink(s.filepath).catch(err => {
-                if (err?.code === 'ENOENT') return;
-                console.error(`Failed to delete full-size screenshot: ${s.filename}`, err);
-              });
-            }
-          }
-          
-          selectedLink = cycleSafeLinks.find(l => l.pano === decision.selectedPanoId) ||
-            links.find(l => l.pano === decision.selectedPanoId) ||
-            cycleSafeLinks[0];
-          if (selectedLink && decision.selectedPanoId !== selectedLink.pano) {
-            decision = {
-              ...decision,
-              selectedPanoId: selectedLink.pano,
-              reasoning: `${decision.reasoning} (fallback to available candidate)`
-            };
-          }
-        }
+      // The run's strategy picks the move; navigation and the step event stay here.
+      const move = await this.strategy.decide(this.#strategyContext(currentStep, links, wouldExtendLoopTail));
+      if (move?.stepData) {
+        return move.stepData;
       }
-      
-      if (!selectedLink) {
+      if (!move?.link) {
         throw new Error('Invalid panorama selection');
       }
 
-      if (this.coverage.hasVisited(selectedLink.pano) && this.coverage.hasFrontier() && wouldExtendLoopTail(selectedLink.pano)) {
-        console.warn(`Selected move to ${selectedLink.pano} would extend a detected loop tail; forcing frontier teleport.`);
-        const teleportStep = await this.teleportToFrontier(currentStep);
-        if (teleportStep) {
-          return teleportStep;
-        }
+      const selectedLink = move.link;
+      const autoMove = move.autoMove === true;
+      const eventType = move.eventType || (autoMove ? 'autopilot-pathfinding' : 'branch-choice');
+      const decision = move.decision || { selectedPanoId: selectedLink.pano, reasoning: move.reason };
+      const screenshots = move.screenshots || [];
+      const remainingPathSteps = move.remainingPathSteps ?? null;
+      const frontierScore = move.frontierScore || null;
+      const fallbackCause = move.fallbackCause || null;
+      const intent = move.intent || null;
+      const intentFollowed = move.intentFollowed ?? null;
+      let actionReason = move.reason || null;
+      let diaryLine = null;
+      this.mode = move.mode || (autoMove ? 'pathfinding' : 'exploration');
+      if (Array.isArray(move.route)) {
+        // Persist full route; first hop will be consumed after navigation
+        this.pathToFrontier = [...move.route];
       }
       
       // Log selected pano and reasoning payload
@@ -911,7 +1134,7 @@ export class ExplorationAgent {
       
       // Update coverage with new panorama's links for frontier tracking
       const newLinks = newPanoData.links || [];
-      const visitInfo = this.coverage.addVisited(this.currentPanoId, this.currentPosition, newLinks);
+      const visitInfo = this.coverage.addVisited(this.currentPanoId, this.currentPosition, newLinks, { agentId: this.visitorId });
       this.stepsSinceNewCell = visitInfo?.isNewCell ? 0 : this.stepsSinceNewCell + 1;
 
       actionReason = actionReason || decision.reasoning || 'Move selected';
@@ -938,7 +1161,7 @@ export class ExplorationAgent {
         
         thumbnailUrls = screenshots.map(s => {
           // Use thumbnail for client display
-          const rawThumb = `/runs/shots/${this.runId}/${currentStep}/${s.thumbFilename}`;
+          const rawThumb = `/runs/shots/${this.screenshotDir}/${currentStep}/${s.thumbFilename}`;
           const thumbUrl = maybeSignPath(rawThumb, 3600);
           //console.log(`  Mapping: ${s.thumbFilename} -> ${thumbUrl}`);
           return {
@@ -962,6 +1185,9 @@ export class ExplorationAgent {
         autoMove,
         fallbackCause,
         sceneTag: decision.sceneTag || null,
+        usage: decision.usage || null,
+        intent,
+        intentFollowed,
         panoId: this.currentPanoId,
         previousPanoId,
         previousPosition,
@@ -971,6 +1197,7 @@ export class ExplorationAgent {
         mode: this.mode,
         screenshots: thumbnailUrls,
         remainingPathSteps: remainingPathSteps,
+        frontierScore,
         intermediateEvents,
         coverageDelta: this.buildCoverageDelta({
           panoId: this.currentPanoId,
@@ -991,6 +1218,234 @@ export class ExplorationAgent {
     }
   }
 
+  #strategyContext(currentStep, links, wouldExtendLoop) {
+    return {
+      step: currentStep,
+      panoId: this.currentPanoId,
+      position: { ...this.currentPosition },
+      heading: this.currentHeading,
+      links,
+      coverage: this.coverage,
+      pathfinder: this.pathfinder,
+      recentMovements: this.recentMovements,
+      lastMove: this.recentMovements[this.recentMovements.length - 1] || null,
+      plannedMove: this.#plannedMove(links),
+      wouldExtendLoop,
+      clearRoute: () => {
+        this.pathToFrontier = null;
+      },
+      frontierMove: () => this.#frontierMove(currentStep, links),
+      teleport: async () => {
+        const stepData = await this.teleportToFrontier(currentStep);
+        return stepData ? { stepData } : null;
+      },
+      askModel: (candidateLinks, options) => this.#askModel(currentStep, candidateLinks, links, options)
+    };
+  }
+
+  // Next hop of the planned frontier route; a route whose next hop is not linked from here is dropped.
+  #plannedMove(links) {
+    if (!Array.isArray(this.pathToFrontier) || this.pathToFrontier.length === 0) return null;
+    const link = links.find(l => l.pano === this.pathToFrontier[0]);
+    if (!link) {
+      console.log('Path plan invalidated: next hop not in current links. Recomputing.');
+      this.pathToFrontier = null;
+      return null;
+    }
+    const remainingPathSteps = this.pathToFrontier.length;
+    return {
+      link,
+      reason: `Autopilot: following planned frontier route (${remainingPathSteps} step${remainingPathSteps === 1 ? '' : 's'} remaining)`,
+      eventType: 'autopilot-pathfinding',
+      autoMove: true,
+      remainingPathSteps
+    };
+  }
+
+  // Routes toward a frontier over the visited graph, falling back to cluster routing, a teleport and
+  // finally the escape heuristic. Null when none of them finds a way.
+  async #frontierMove(currentStep, links) {
+    this.mode = 'pathfinding';
+    const autopilotMove = (link, reason, extra = {}) => ({
+      link,
+      reason,
+      eventType: 'autopilot-pathfinding',
+      autoMove: true,
+      ...extra
+    });
+
+    // Weights beyond distance pick the target; otherwise the route search finds the nearest one itself.
+    let pathInfo = null;
+    let frontierScore = null;
+    if (!this.frontierScorer.isDistanceOnly) {
+      const best = this.#pickFrontier();
+      pathInfo = best ? this.pathfinder.findPathToPano(this.currentPanoId, best.panoId) : null;
+      if (pathInfo) {
+        frontierScore = best;
+        console.log(`Frontier ${best.panoId} scored ${best.total}: ${JSON.stringify(best.factors)}`);
+      }
+    }
+    pathInfo = pathInfo || this.pathfinder.findPathToNearestFrontier(this.currentPanoId);
+    if (pathInfo) {
+      // Find the link that leads to the next step in path
+      const link = links.find(l => l.pano === pathInfo.nextStep);
+      if (link) {
+        console.log(`Pathfinding: Next step to ${link.pano} (route=${pathInfo.pathLength}, expanded=${pathInfo.expanded})`);
+        return autopilotMove(
+          link,
+          `Autopilot: pathfinding to frontier (${pathInfo.pathLength} step${pathInfo.pathLength === 1 ? '' : 's'} remaining)`,
+          {
+            remainingPathSteps: pathInfo.pathLength,
+            frontierScore,
+            route: Array.isArray(pathInfo.fullPath) ? pathInfo.fullPath : null
+          }
+        );
+      }
+      console.log(`Graph route suggested unavailable hop ${pathInfo.nextStep}; trying cluster + teleport fallbacks.`);
+    }
+
+    // Try cluster-aware routing before teleporting
+    const clustered = this.pathfinder.findClusteredPathToFrontier(this.currentPanoId);
+    if (clustered) {
+      console.log(`Cluster route: ${clustered.clusterPathLength} clusters, expanded=${clustered.expanded}`);
+      const isBoundaryHere = clustered.nextCluster === clustered.startCluster;
+      // Prefer any unvisited neighbor at a boundary, else a link into the next cluster
+      const hop = isBoundaryHere
+        ? links.find(l => !this.coverage.hasVisited(l.pano))
+        : links.find(l => clustered.toCandidates.includes(l.pano));
+      if (hop) {
+        return autopilotMove(hop, isBoundaryHere
+          ? 'Autopilot: cluster boundary reached, taking unvisited exit'
+          : 'Autopilot: exiting cluster toward frontier');
+      }
+
+      // Reposition to a cluster member that has the exit
+      const target = clustered.fromCandidates.find(id => id !== this.currentPanoId) || clustered.fromCandidates[0];
+      if (target && target !== this.currentPanoId) {
+        const reason = isBoundaryHere
+          ? 'Reposition within cluster to reach boundary'
+          : 'Reposition within cluster to exit toward frontier';
+        return { stepData: await this.#repositionWithinCluster(currentStep, target, reason) };
+      }
+    }
+
+    // Frontier exists but is unreachable via visited graph; fall back to teleport
+    const teleportStep = await this.teleportToFrontier(currentStep);
+    if (teleportStep) {
+      return { stepData: teleportStep };
+    }
+
+    // No path found, try escape heuristic
+    const escape = this.pathfinder.findBestEscapeDirection(this.currentPanoId, links);
+    return escape
+      ? autopilotMove(escape, 'Autopilot: escape heuristic selected a route out of the local loop')
+      : null;
+  }
+
+  // Screenshots each candidate link and lets the vision model choose among them.
+  async #askModel(currentStep, candidateLinks, links, { includeVisitedPanos = false } = {}) {
+    this.mode = 'exploration';
+    const intent = await this.intentPlanner.getIntentForStep(currentStep, {
+      position: this.currentPosition,
+      region: this.globalExploration?.regionCoverage?.regionAt(this.currentPosition) || null,
+      stats: this.coverage.getStats(),
+      recentNarratives: this.getRecentNarrativeLines()
+    });
+
+    // Capture screenshots with the current step number
+    const screenshots = [];
+    for (const link of candidateLinks) {
+      const heading = parseFloat(link.heading);
+      await this.streetViewHeadless.setHeading(heading);
+      
+      const screenshotData = await this.screenshot.capture(
+        currentStep,  // Use the captured step number
+        heading,
+        await this.streetViewHeadless.getScreenshot()
+      );
+      
+      console.log(`Captured screenshot: step=${currentStep}, filename=${screenshotData.filename}`);
+      
+      // Validate that the filename matches the current step
+      if (!screenshotData.filename.startsWith(`${currentStep}-`)) {
+        console.error(`Screenshot filename mismatch! Expected step ${currentStep}, got ${screenshotData.filename}`);
+      }
+      
+      screenshots.push({
+        direction: heading,
+        filename: screenshotData.filename,
+        thumbFilename: screenshotData.thumbFilename,
+        filepath: screenshotData.filepath,  // Track for deletion
+        panoId: link.pano,
+        description: link.description || '',
+        visited: this.coverage.hasVisited(link.pano),
+        base64: screenshotData.base64,  // Full-size for AI
+        position: this.currentPosition  // Add current position for Google Maps links
+      });
+    }
+    
+    let decision = await this.ai.decideNextMove({
+      currentPosition: this.currentPosition,
+      screenshots,
+      links: candidateLinks,  // Only pass links we have screenshots for
+      visitedPanos: includeVisitedPanos ? this.coverage.getVisitedList() : [],
+      stats: this.coverage.getStats(),
+      stepNumber: currentStep,
+      mode: this.mode,
+      recentMovements: this.recentMovements,  // Pass movement history
+      tone: this.explorerTone,
+      intent: formatIntent(intent),
+      memory: this.globalExploration?.runMemory?.describe() || null,
+      recentNarratives: this.getRecentNarrativeLines()
+    });
+    
+    // Clear base64 data and delete full-size files after AI decision
+    for (const s of screenshots) {
+      delete s.base64;  // Clear from memory
+      
+      // Delete full-size screenshot file, keep only thumbnail
+      if (s.filepath) {
+        unlink(s.filepath).catch(err => {
+          if (err?.code === 'ENOENT') return;
+          console.error(`Failed to delete full-size screenshot: ${s.filename}`, err);
+        });
+      }
+    }
+    
+    const link = candidateLinks.find(l => l.pano === decision.selectedPanoId) ||
+      links.find(l => l.pano === decision.selectedPanoId) ||
+      candidateLinks[0];
+    if (link && decision.selectedPanoId !== link.pano) {
+      decision = {
+        ...decision,
+        selectedPanoId: link.pano,
+        reasoning: `${decision.reasoning} (fallback to available candidate)`
+      };
+    }
+
+    const planningUsage = this.intentPlanner.takeUsage();
+    if (planningUsage) {
+      decision = { ...decision, usage: addUsage({ ...(decision.usage || emptyUsage()) }, planningUsage) };
+    }
+    // Fallback picks never saw the intent, so they are not scored against it.
+    const intentFollowed = intent && link && !decision.fallbackCause
+      ? this.intentPlanner.recordDecision({ heading: link.heading, intentFollowed: decision.intentFollowed })
+      : null;
+
+    return {
+      link,
+      reason: 'Branch choice',
+      eventType: 'branch-choice',
+      autoMove: false,
+      mode: 'exploration',
+      decision,
+      screenshots,
+      fallbackCause: decision.fallbackCause || null,
+      intent: intent ? this.intentPlanner.summary() : null,
+      intentFollowed
+    };
+  }
+
   // Perform a single-step, no-screenshot intra-cluster reposition
   async #repositionWithinCluster(currentStep, targetPanoId, reason) {
     const previousPanoId = this.currentPanoId;
@@ -1005,7 +1460,7 @@ export class ExplorationAgent {
         this.lastNavigationHeading
       );
       const newLinks = newPanoData.links || [];
-      const visitInfo = this.coverage.addVisited(this.currentPanoId, this.currentPosition, newLinks);
+      const visitInfo = this.coverage.addVisited(this.currentPanoId, this.currentPosition, newLinks, { agentId: this.visitorId });
       this.stepsSinceNewCell = visitInfo?.isNewCell ? 0 : this.stepsSinceNewCell + 1;
 
       this.recentMovements.push({
@@ -1079,13 +1534,21 @@ export class ExplorationAgent {
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
       // Project forward by stepSize in the last navigation heading
       currentPos = projectPosition(currentPos, this.lastNavigationHeading, this.deadEndStepSize);
+      if (this.geofence && !this.geofence.contains(currentPos)) {
+        console.log(`  Stopping dead-end probe at the run boundary after ${attempt * this.deadEndStepSize}m`);
+        break;
+      }
       attemptedPositions.push({ ...currentPos });
       
       console.log(`  Attempt ${attempt + 1}: Checking position ${currentPos.lat.toFixed(6)}, ${currentPos.lng.toFixed(6)} (${(attempt + 1) * this.deadEndStepSize}m forward)`);
       
       try {
-        // Try to get panorama at the projected position
-        const testPano = await this.streetViewHeadless.getPanorama(currentPos);
+        // Prefer a pano we already mapped near the probe over a fresh position lookup
+        const [knownPano] = this.coverage.findNearestNodes(currentPos, 1, {
+          maxRadiusMeters: this.deadEndStepSize / 2,
+          filter: panoId => panoId !== deadEndPanoId && this.coverage.graph.get(panoId)?.neighbors.size > 0
+        });
+        const testPano = await this.streetViewHeadless.getPanorama(knownPano ? knownPano.panoId : currentPos);
         
         if (testPano && testPano.links && testPano.links.length > 0) {
           console.log(`  ✓ Found valid panorama ${testPano.panoId} after ${(attempt + 1) * this.deadEndStepSize}m with ${testPano.links.length} links`);
@@ -1128,10 +1591,10 @@ export class ExplorationAgent {
           }
           
           // Add the dead-end panorama to visited (even though it has no links)
-          this.coverage.addVisited(deadEndPanoId, deadEndPosition, []);
+          this.coverage.addVisited(deadEndPanoId, deadEndPosition, [], { agentId: this.visitorId });
           
           // Add the recovered panorama to visited
-          const visitInfo = this.coverage.addVisited(testPano.panoId, testPano.position, testPano.links);
+          const visitInfo = this.coverage.addVisited(testPano.panoId, testPano.position, testPano.links, { agentId: this.visitorId });
           this.stepsSinceNewCell = visitInfo?.isNewCell ? 0 : this.stepsSinceNewCell + 1;
           
           return testPano;
@@ -1155,24 +1618,20 @@ export class ExplorationAgent {
       return null;
     }
 
-    let closestFrontier = null;
-    let closestPosition = null;
-    let closestDistance = Infinity;
+    let targetFrontier = null;
+    let targetPosition = null;
+    let targetDistance = Infinity;
 
-    const discoveredClosest = selectClosestFrontierByDiscovery(
-      frontiers,
-      this.coverage.graph,
-      this.currentPosition,
-      this.coverage.calculateDistance.bind(this.coverage)
-    );
-    if (discoveredClosest) {
-      closestFrontier = discoveredClosest.frontier;
-      closestPosition = discoveredClosest.anchorPosition;
-      closestDistance = discoveredClosest.distanceMeters;
+    const frontierScore = this.#pickFrontier();
+    if (frontierScore) {
+      targetFrontier = { panoId: frontierScore.panoId, ...this.coverage.frontier.get(frontierScore.panoId) };
+      this.coverage.claimFrontier(this.visitorId, targetFrontier.panoId);
+      targetPosition = frontierScore.anchorPosition;
+      targetDistance = this.coverage.calculateDistance(this.currentPosition, targetPosition);
     }
 
     let closestPanoData = null;
-    if (!closestFrontier) {
+    if (!targetFrontier) {
       console.warn('No frontier coordinates cached in graph; falling back to last frontier.');
       const fallbackFrontier = frontiers[frontiers.length - 1];
       if (!fallbackFrontier) {
@@ -1181,13 +1640,18 @@ export class ExplorationAgent {
       try {
         console.log(`Fetching Street View metadata for fallback frontier ${fallbackFrontier.panoId}`);
         closestPanoData = await this.streetViewHeadless.getPanorama(fallbackFrontier.panoId);
+        if (closestPanoData?.position && this.geofence && !this.geofence.contains(closestPanoData.position)) {
+          console.warn(`Fallback frontier ${fallbackFrontier.panoId} lies outside the run boundary; dropping it.`);
+          this.coverage.fencePano(fallbackFrontier.panoId);
+          return null;
+        }
         if (closestPanoData && closestPanoData.position) {
-          closestFrontier = fallbackFrontier;
-          closestPosition = {
+          targetFrontier = fallbackFrontier;
+          targetPosition = {
             lat: closestPanoData.position.lat,
             lng: closestPanoData.position.lng
           };
-          closestDistance = this.coverage.calculateDistance(this.currentPosition, closestPosition);
+          targetDistance = this.coverage.calculateDistance(this.currentPosition, targetPosition);
         }
       } catch (error) {
         console.error(`Failed to evaluate fallback frontier ${fallbackFrontier.panoId}:`, error.message);
@@ -1195,30 +1659,31 @@ export class ExplorationAgent {
       }
     }
 
-    if (!closestFrontier || !closestPosition) {
+    if (!targetFrontier || !targetPosition) {
       console.warn('Teleport requested but no frontier metadata available after fallback.');
       return null;
     }
 
-    console.log(`No path to frontier found. Teleporting to closest frontier ${closestFrontier.panoId} (${Math.round(closestDistance)}m away).`);
+    const scoreNote = frontierScore ? `, score ${frontierScore.total}` : '';
+    console.log(`No path to frontier found. Teleporting to frontier ${targetFrontier.panoId} (${Math.round(targetDistance)}m away${scoreNote}).`);
 
     const previousPanoId = this.currentPanoId;
     const previousPosition = { ...this.currentPosition };
 
     try {
       // Always use post-navigation data to stay in sync with actual Street View state
-      const newPanoData = await this.streetViewHeadless.navigateAndGetPanorama(closestFrontier.panoId);
+      const newPanoData = await this.streetViewHeadless.navigateAndGetPanorama(targetFrontier.panoId);
 
       this.currentPanoId = newPanoData.panoId;
       this.currentPosition = {
         lat: newPanoData.position.lat,
         lng: newPanoData.position.lng
       };
-      this.#resolveNavigatedPanoAlias(closestFrontier.panoId, this.currentPanoId, 'Frontier teleport');
+      this.#resolveNavigatedPanoAlias(targetFrontier.panoId, this.currentPanoId, 'Frontier teleport');
 
       if (this.#isNoopNavigation(previousPanoId, previousPosition, this.currentPanoId, this.currentPosition)) {
         console.warn(
-          `Frontier teleport to ${closestFrontier.panoId} resolved back to current pano ${this.currentPanoId}; ` +
+          `Frontier teleport to ${targetFrontier.panoId} resolved back to current pano ${this.currentPanoId}; ` +
           'discarding alias frontier.'
         );
         this.pathToFrontier = null;
@@ -1231,10 +1696,10 @@ export class ExplorationAgent {
       );
 
       const newLinks = newPanoData.links || [];
-      const visitInfo = this.coverage.addVisited(this.currentPanoId, this.currentPosition, newLinks);
+      const visitInfo = this.coverage.addVisited(this.currentPanoId, this.currentPosition, newLinks, { agentId: this.visitorId });
       this.stepsSinceNewCell = visitInfo?.isNewCell ? 0 : this.stepsSinceNewCell + 1;
 
-      const decisionReasoning = `Teleporting to unreachable frontier (${closestFrontier.panoId})`;
+      const decisionReasoning = `Teleporting to unreachable frontier (${targetFrontier.panoId})`;
       const diaryLine = this.buildAutopilotDiaryLine({
         stepNumber: currentStep,
         eventType: 'teleport-frontier',
@@ -1274,6 +1739,7 @@ export class ExplorationAgent {
         mode: 'pathfinding',
         screenshots: [],
         remainingPathSteps: null,
+        frontierScore,
         coverageDelta: this.buildCoverageDelta({
           panoId: this.currentPanoId,
           position: this.currentPosition,
@@ -1285,37 +1751,47 @@ export class ExplorationAgent {
 
       return stepData;
     } catch (error) {
-      console.error(`Failed to teleport to frontier ${closestFrontier?.panoId || 'unknown'}:`, error.message);
+      console.error(`Failed to teleport to frontier ${targetFrontier?.panoId || 'unknown'}:`, error.message);
       return null;
     }
   }
 
-  async reset() {
+  /**
+   * Start a fresh run. Without a start override the run begins at the configured START_* location.
+   * @param {object} [start]
+   * @param {{lat:number,lng:number}} [start.position] - Start near this position instead
+   * @param {string} [start.panoId] - Start at this panorama instead (takes precedence over position)
+   */
+  async reset({ position = null, panoId = null } = {}) {
     // Reset position and state
-    this.currentPosition = {
-      lat: parseFloat(process.env.START_LAT),
-      lng: parseFloat(process.env.START_LNG)
-    };
-    this.currentPanoId = this.startPanoId;
+    this.currentPosition = position ? { lat: position.lat, lng: position.lng } : { ...this.startPosition };
+    const startPanoId = panoId || (position ? null : this.startPanoId);
+    this.currentPanoId = startPanoId;
     this.currentHeading = 0;
     this.stepCount = 0;
-    this.coverage.reset();
+    // A joined agent's coverage is reset by the agent that owns it
+    if (!this.sharedCoverage) this.coverage.reset();
     this.lastNavigationHeading = null;  // Reset to null, not 0
     this.recentMovements = [];
     this.pathToFrontier = null;
+    this.destination = null;
+    this.pathToDestination = null;
+    this.mode = 'exploration';
     this.stepsSinceNewCell = 0;
+    this.strategy.reset?.();
+    this.intentPlanner.reset();
     
-    // Generate new run ID for new exploration
-    this.runId = uuidv4();
-    this.screenshot = new ScreenshotService(this.runId);
+    // Generate new run ID for new exploration; joined agents are given theirs through setRunId()
+    if (!this.sharedCoverage) this.runId = uuidv4();
+    this.screenshot = new ScreenshotService(this.screenshotDir);
     
     // Close and reinitialize headless browser
     if (this.streetViewHeadless) {
       await this.streetViewHeadless.close();
-      this.streetViewHeadless = new StreetViewHeadless();
+      this.streetViewHeadless = createStreetViewSource();
     }
     
-    await this.initialize();
+    await this.initialize({ panoId: startPanoId });
   }
   
   async close() {
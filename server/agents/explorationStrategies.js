@@ -0,0 +1,285 @@
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/**
+ * Exploration strategies decide where an agent goes next. The agent keeps everything around the
+ * decision (panorama loading, planned-route following, dead-end and stagnation recovery, teleports,
+ * navigation and step events), so a run can swap its policy without touching the agent.
+ *
+ * A strategy is an object with a `name` and:
+ * - `decide(context)` (may be async): the move to make from the current panorama
+ * - `corridorStep(context)` (optional): called before the panorama is loaded, with only the graph
+ *   (`{ step, panoId, position, node, coverage }`); returns a panoId to walk to without deciding, or null
+ * - `reset()` (optional): called when the agent starts a new run
+ *
+ * `decide` gets the current step, panoId, position, heading, `links` (inside the run boundary, never
+ * empty), `coverage`, `pathfinder`, `recentMovements` and `lastMove`, plus these helpers:
+ * - `plannedMove`: the next hop of the route planned by an earlier step, as a move, or null
+ * - `wouldExtendLoop(panoId)`: whether stepping there continues a recent loop
+ * - `clearRoute()`: drops the planned route
+ * - `frontierMove()`: routes toward the best frontier, repositioning or teleporting when no link leads there
+ * - `teleport()`: jumps to a frontier
+ * - `askModel(links, { includeVisitedPanos })`: screenshots the links and lets the vision model pick one
+ *
+ * A move is `{ link, reason, eventType?, autoMove?, mode?, route?, remainingPathSteps?, frontierScore? }`;
+ * `route` is a pano path the agent follows on later steps. The helpers that complete a step themselves
+ * (`frontierMove`, `teleport`) may instead resolve to `{ stepData }`, which the strategy returns as is.
+ * Returning null fails the step.
+ */
+
+export const DEFAULT_EXPLORATION_STRATEGY = 'model';
+
+function singleUnvisitedNeighbor(coverage, node) {
+  if (!node) return null;
+  const unvisited = [];
+  for (const neighborId of node.neighbors) {
+    if (!coverage.hasVisited(neighborId) && !coverage.isFenced(neighborId)) unvisited.push(neighborId);
+  }
+  return unvisited.length === 1 ? unvisited[0] : null;
+}
+
+// Leaves out the link straight back to the previous pano while other links remain.
+function withoutBacktrack(links, { panoId, lastMove }) {
+  const backtrackPano = lastMove && lastMove.to === panoId ? lastMove.from : null;
+  if (!backtrackPano || links.length <= 1) return links;
+  const forward = links.filter(link => link.pano !== backtrackPano);
+  return forward.length > 0 ? forward : links;
+}
+
+// Clockwise turn from the travel heading to the link, 0..360.
+function turnAngle(heading, link) {
+  const turn = (parseFloat(link.heading) - (Number(heading) || 0)) % 360;
+  return turn < 0 ? turn + 360 : turn;
+}
+
+/**
+ * The original policy: walk corridors and planned routes on autopilot, route to frontiers once every
+ * link is visited, steer around loops, and let the vision model choose at real branches.
+ */
+export class ModelStrategy {
+  constructor() {
+    this.name = 'model';
+  }
+
+  corridorStep({ coverage, node }) {
+    return singleUnvisitedNeighbor(coverage, node);
+  }
+
+  async decide(context) {
+    const { coverage, links } = context;
+    let move = context.plannedMove;
+
+    if (!move && links.every(link => coverage.hasVisited(link.pano)) && coverage.hasFrontier()) {
+      console.log('Visited all links - switching to pathfinding mode (no screenshots)');
+      move = await context.frontierMove();
+      if (move?.stepData) return move;
+    }
+
+    if (!move) {
+      move = await this.#choose(context);
+      if (move?.stepData) return move;
+    }
+
+    if (move && coverage.hasVisited(move.link.pano) && coverage.hasFrontier() && context.wouldExtendLoop(move.link.pano)) {
+      console.warn(`Selected move to ${move.link.pano} would extend a detected loop tail; forcing frontier teleport.`);
+      const teleported = await context.teleport();
+      if (teleported) return teleported;
+    }
+    return move;
+  }
+
+  async #choose(context) {
+    const { coverage, links } = context;
+    const unvisitedLinks = links.filter(link => !coverage.hasVisited(link.pano));
+
+    // If unvisited links exist, prefer exploration and clear any stale path plan
+    if (unvisitedLinks.length > 0) context.clearRoute();
+
+    const candidateLinks = withoutBacktrack(unvisitedLinks.length > 0 ? unvisitedLinks : links, context);
+    let cycleSafeLinks = candidateLinks;
+
+    if (unvisitedLinks.length === 0 && candidateLinks.length > 1) {
+      const nonLoopRisk = candidateLinks.filter(link => !context.wouldExtendLoop(link.pano));
+      if (nonLoopRisk.length > 0 && nonLoopRisk.length < candidateLinks.length) {
+        console.log(`Loop-risk filter dropped ${candidateLinks.length - nonLoopRisk.length} candidate link(s) that continue a repeating cycle tail.`);
+        cycleSafeLinks = nonLoopRisk;
+      } else if (nonLoopRisk.length === 0 && coverage.hasFrontier()) {
+        console.warn('All available links would continue a recent loop tail; forcing frontier teleport.');
+        const teleported = await context.teleport();
+        if (teleported) return teleported;
+      }
+    }
+
+    if (cycleSafeLinks.length === 1) {
+      const [link] = cycleSafeLinks;
+      if (unvisitedLinks.length === 0 && context.wouldExtendLoop(link.pano) && coverage.hasFrontier()) {
+        console.warn(`Single-link oscillation detected toward ${link.pano}; forcing frontier recovery.`);
+        const teleported = await context.teleport();
+        if (teleported) return teleported;
+      }
+      console.log(`✓ Single link detected - auto-navigating to ${link.pano} (no screenshots)`);
+      return {
+        link,
+        reason: 'Autopilot: single available path, advancing corridor',
+        eventType: 'autopilot-single-link',
+        autoMove: true
+      };
+    }
+
+    return context.askModel(cycleSafeLinks, { includeVisitedPanos: unvisitedLinks.length === 0 });
+  }
+}
+
+/**
+ * Never asks the model: takes the unvisited link closest to straight ahead, and once none is left
+ * walks the route to the best frontier.
+ */
+export class FrontierGreedyStrategy {
+  constructor() {
+    this.name = 'frontier-greedy';
+  }
+
+  corridorStep({ coverage, node }) {
+    return singleUnvisitedNeighbor(coverage, node);
+  }
+
+  async decide(context) {
+    if (context.plannedMove) return context.plannedMove;
+
+    const { coverage, links, heading } = context;
+    const unvisited = links.filter(link => !coverage.hasVisited(link.pano));
+    if (unvisited.length > 0) {
+      context.clearRoute();
+      const straightness = link => Math.min(turnAngle(heading, link), 360 - turnAngle(heading, link));
+      const [link] = [...unvisited].sort((a, b) => straightness(a) - straightness(b));
+      return {
+        link,
+        reason: `Frontier greedy: straightest of ${unvisited.length} unvisited link${unvisited.length === 1 ? '' : 's'}`,
+        eventType: 'autopilot-strategy',
+        autoMove: true
+      };
+    }
+
+    if (coverage.hasFrontier()) {
+      const move = await context.frontierMove();
+      if (move) return move;
+    }
+
+    const [link] = withoutBacktrack(links, context);
+    return { link, reason: 'Frontier greedy: no frontier reachable, moving on', eventType: 'autopilot-strategy', autoMove: true };
+  }
+}
+
+// Picks uniformly among the links, turning back only at dead ends.
+export class RandomWalkStrategy {
+  constructor({ random = Math.random } = {}) {
+    this.name = 'random';
+    this.random = random;
+  }
+
+  decide(context) {
+    const candidates = withoutBacktrack(context.links, context);
+    const link = candidates[Math.min(candidates.length - 1, Math.floor(this.random() * candidates.length))];
+    return {
+      link,
+      reason: `Random walk: picked 1 of ${candidates.length} link${candidates.length === 1 ? '' : 's'}`,
+      eventType: 'autopilot-strategy',
+      autoMove: true
+    };
+  }
+}
+
+// Keeps a hand on the right-hand wall: links are ranked clockwise from just past the way back, so
+// the sharpest right comes first, then straight, then left. The way back (the pano the agent came
+// from, or an exact U-turn) comes last.
+export class RightHandStrategy {
+  constructor() {
+    this.name = 'right-hand';
+  }
+
+  decide({ links, heading, panoId, lastMove }) {
+    const backtrackPano = lastMove && lastMove.to === panoId ? lastMove.from : null;
+    const preference = link => {
+      if (link.pano === backtrackPano) return 360;
+      return (180 - turnAngle(heading, link) + 360) % 360 || 360;
+    };
+    const [link] = [...links].sort((a, b) => preference(a) - preference(b));
+    return {
+      link,
+      reason: `Right-hand rule: ${Math.round(turnAngle(heading, link))}° turn`,
+      eventType: 'autopilot-strategy',
+      autoMove: true
+    };
+  }
+}
+
+const BUILT_IN_STRATEGIES = {
+  model: () => new ModelStrategy(),
+  'frontier-greedy': () => new FrontierGreedyStrategy(),
+  random: () => new RandomWalkStrategy(),
+  'right-hand': () => new RightHandStrategy()
+};
+
+const customStrategies = new Map();
+
+export function explorationStrategyNames() {
+  return [...Object.keys(BUILT_IN_STRATEGIES), ...customStrategies.keys()];
+}
+
+/**
+ * Makes the named strategy a choice for runs. The factory is called once per agent, so strategies
+ * may keep state.
+ * @param {string} name
+ * @param {() => object} factory
+ */
+export function registerExplorationStrategy(name, factory) {
+  const key = String(name || '').trim().toLowerCase();
+  if (!key) {
+    throw new Error('Exploration strategy needs a name');
+  }
+  if (BUILT_IN_STRATEGIES[key]) {
+    throw new Error(`Exploration strategy "${key}" is built in`);
+  }
+  customStrategies.set(key, factory);
+}
+
+/**
+ * @param {string|null} name - Defaults to the model strategy
+ * @returns {object} a fresh strategy instance
+ * @throws {Error} on unknown names and strategies without `decide`
+ */
+export function createExplorationStrategy(name = null) {
+  const key = String(name || DEFAULT_EXPLORATION_STRATEGY).trim().toLowerCase();
+  const factory = BUILT_IN_STRATEGIES[key] || customStrategies.get(key);
+  if (!factory) {
+    throw new Error(`Unknown exploration strategy "${name}" (expected one of: ${explorationStrategyNames().join(', ')})`);
+  }
+  const strategy = factory();
+  if (typeof strategy?.decide !== 'function') {
+    throw new Error(`Exploration strategy "${key}" has no decide(context)`);
+  }
+  strategy.name = key;
+  return strategy;
+}
+
+/**
+ * Registers the custom strategies listed in EXPLORATION_STRATEGY_MODULES (comma-separated paths,
+ * relative to the working directory). Each module default-exports a factory returning a strategy,
+ * or a strategy object; it is registered under the strategy's `name`.
+ * @returns {Promise<string[]>} the registered names
+ */
+export async function loadExplorationStrategyModules(value = process.env.EXPLORATION_STRATEGY_MODULES) {
+  const names = [];
+  for (const modulePath of String(value || '').split(',').map(entry => entry.trim()).filter(Boolean)) {
+    const module = await import(pathToFileURL(path.resolve(modulePath)).href);
+    const exported = module.default;
+    const factory = typeof exported === 'function' ? exported : () => exported;
+    const name = factory()?.name;
+    if (!name) {
+      throw new Error(`Strategy module ${modulePath} must default-export a strategy with a name`);
+    }
+    registerExplorationStrategy(name, factory);
+    names.push(String(name).trim().toLowerCase());
+  }
+  return names;
+}
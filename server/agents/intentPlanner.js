@@ -0,0 +1,183 @@
+import { metrics } from '../services/metrics.js';
+import { addUsage, emptyUsage } from '../services/usageAccounting.js';
+
+// A branch choice within this many degrees of an intent's heading counts as following it.
+export const INTENT_FOLLOW_TOLERANCE_DEG = 60;
+const INTENT_HISTORY_LIMIT = 10;
+
+// Used when the model is unavailable or plans nothing usable, in turn.
+const FALLBACK_INTENTS = [
+  { text: 'push north along the main streets', heading: 0 },
+  { text: 'follow the widest street east', heading: 90 },
+  { text: 'drift south toward quieter blocks', heading: 180 },
+  { text: 'head west and look for open space', heading: 270 }
+];
+
+const intentDecisions = metrics.counter(
+  'scout_intent_decisions_total',
+  'Branch decisions scored against the active exploration intent',
+  { labelNames: ['followed'] }
+);
+
+function normalizeHeading(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const heading = Number(value);
+  return Number.isFinite(heading) ? ((heading % 360) + 360) % 360 : null;
+}
+
+function headingDifference(a, b) {
+  const difference = Math.abs(normalizeHeading(a) - normalizeHeading(b));
+  return Math.min(difference, 360 - difference);
+}
+
+// The intent as the decision prompt states it.
+export function formatIntent(intent) {
+  if (!intent) return null;
+  return intent.heading === null ? intent.text : `${intent.text} (heading ${Math.round(intent.heading)} degrees)`;
+}
+
+/**
+ * Keeps one agent's multi-step exploration goal, such as "follow the waterfront north" or "find a
+ * park". A new intent is planned every `intervalSteps` steps and whenever the agent enters another
+ * region. Branch decisions made under an intent are scored: with a heading, the chosen link has to
+ * lie within INTENT_FOLLOW_TOLERANCE_DEG of it; without one, the model's own `intentFollowed` counts.
+ * An `intervalSteps` of 0 turns planning off.
+ *
+ * `plan(context)` asks the model for a goal (OpenAIService#planIntent); it may be null or resolve
+ * to nothing, and then the planner takes its own fallback goals in turn.
+ */
+export class IntentPlanner {
+  constructor({ plan = null, intervalSteps = 40 } = {}) {
+    this.plan = plan;
+    this.intervalSteps = Math.max(0, Number(intervalSteps) || 0);
+    this.reset();
+  }
+
+  get enabled() {
+    return this.intervalSteps > 0;
+  }
+
+  reset() {
+    this.current = null;
+    this.history = [];
+    this.totals = { intents: 0, decisions: 0, followed: 0 };
+    this.pendingUsage = null;
+  }
+
+  // Restores `toJSON()` output saved with the run; anything missing starts empty.
+  restore(saved) {
+    this.reset();
+    if (!saved) return;
+    this.current = saved.current?.text ? { ...saved.current, heading: normalizeHeading(saved.current.heading) } : null;
+    this.history = Array.isArray(saved.history) ? saved.history.slice(-INTENT_HISTORY_LIMIT) : [];
+    this.totals = {
+      intents: Number(saved.totals?.intents) || 0,
+      decisions: Number(saved.totals?.decisions) || 0,
+      followed: Number(saved.totals?.followed) || 0
+    };
+  }
+
+  #needsPlan(step, region) {
+    if (!this.current) return true;
+    if (step >= this.current.untilStep) return true;
+    return Boolean(region?.id) && region.id !== this.current.regionId;
+  }
+
+  /**
+   * The intent for a branch decision at `step`, planning a new one first when it is due.
+   * @param {number} step
+   * @param {object} [context] - `position`, `region` ({id, name} or null), `stats`, `recentNarratives`
+   * @returns {Promise<object|null>} null while planning is off
+   */
+  async getIntentForStep(step, context = {}) {
+    if (!this.enabled) return null;
+    if (this.#needsPlan(step, context.region)) {
+      await this.#plan(step, context);
+    }
+    return this.current;
+  }
+
+  async #plan(step, { position = null, region = null, stats = null, recentNarratives = [] } = {}) {
+    let planned = null;
+    if (this.plan) {
+      try {
+        const result = await this.plan({
+          position,
+          regionName: region?.name || null,
+          stats,
+          recentNarratives,
+          previousIntents: [...this.history, this.current].filter(Boolean).slice(-3).map(intent => intent.text),
+          horizonSteps: this.intervalSteps,
+          stepNumber: step
+        });
+        if (result?.usage) this.pendingUsage = addUsage(this.pendingUsage || emptyUsage(), result.usage);
+        if (result?.text) planned = { text: result.text, heading: normalizeHeading(result.heading), source: 'model' };
+      } catch (error) {
+        console.warn(`Intent planning failed at step ${step}: ${error.message}`);
+      }
+    }
+    if (!planned) {
+      planned = { ...FALLBACK_INTENTS[this.totals.intents % FALLBACK_INTENTS.length], source: 'fallback' };
+    }
+
+    if (this.current) {
+      this.history = [...this.history, { ...this.current, endedAtStep: step }].slice(-INTENT_HISTORY_LIMIT);
+    }
+    this.current = {
+      ...planned,
+      setAtStep: step,
+      untilStep: step + this.intervalSteps,
+      regionId: region?.id || null,
+      regionName: region?.name || null,
+      decisions: 0,
+      followed: 0
+    };
+    this.totals.intents += 1;
+    console.log(`🧭 Step ${step} intent: ${formatIntent(this.current)} (${planned.source})`);
+  }
+
+  /**
+   * Scores a branch decision against the current intent.
+   * @param {{heading:number, intentFollowed?:boolean}} decision - heading of the chosen link
+   * @returns {boolean|null} whether it followed the intent; null when it could not be scored
+   */
+  recordDecision({ heading, intentFollowed } = {}) {
+    if (!this.current) return null;
+    let followed = null;
+    if (this.current.heading !== null && normalizeHeading(heading) !== null) {
+      followed = headingDifference(heading, this.current.heading) <= INTENT_FOLLOW_TOLERANCE_DEG;
+    } else if (this.current.heading === null && typeof intentFollowed === 'boolean') {
+      followed = intentFollowed;
+    }
+    if (followed === null) return null;
+
+    this.current.decisions += 1;
+    this.totals.decisions += 1;
+    if (followed) {
+      this.current.followed += 1;
+      this.totals.followed += 1;
+    }
+    intentDecisions.inc({ followed: String(followed) });
+    return followed;
+  }
+
+  // Model usage of planning since the last call, billed with the step that planned.
+  takeUsage() {
+    const usage = this.pendingUsage;
+    this.pendingUsage = null;
+    return usage;
+  }
+
+  // What a step event carries; the history is rebuilt from the intents the steps went through.
+  summary() {
+    return { current: this.current ? { ...this.current } : null, totals: { ...this.totals } };
+  }
+
+  toJSON() {
+    return {
+      current: this.current ? { ...this.current } : null,
+      history: this.history.map(intent => ({ ...intent })),
+      totals: { ...this.totals }
+    };
+  }
+}
@@ -0,0 +1,119 @@
+import express from 'express';
+
+// Command results come back as { error } strings from the worker; map the known ones to statuses.
+const CONFLICT_ERRORS = /already in progress|still finishing|while exploration is running|state changed|Cannot archive the active run|Usage budget (exceeded|cannot be enforced)/;
+const NOT_FOUND_ERRORS = /^(No save file found|Unknown run|No snapshot found|No regions configured)/;
+
+/**
+ * Admin token from an `Authorization: Bearer` header, falling back to a `token` body field
+ * so the same payloads work over HTTP and Socket.IO.
+ */
+export function readAdminToken(req) {
+  const header = req.get('authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : req.body?.token;
+}
+
+/**
+ * Every API error body is `{ error, code }`: a human message plus a stable snake_case code.
+ */
+export function sendApiError(res, status, code, message) {
+  return res.status(status).json({ error: message, code });
+}
+
+export function requireAdmin(verifyAdminToken) {
+  return (req, res, next) => {
+    if (!verifyAdminToken(readAdminToken(req))) {
+      return sendApiError(res, 401, 'unauthorized', 'Admin authentication required');
+    }
+    next();
+  };
+}
+
+/**
+ * Sends a supervisor command result, turning `{ error }` results into 4xx responses.
+ */
+export function sendCommandResult(res, result) {
+  if (result?.error) {
+    if (NOT_FOUND_ERRORS.test(result.error)) {
+      return sendApiError(res, 404, 'not_found', result.error);
+    }
+    if (CONFLICT_ERRORS.test(result.error)) {
+      return sendApiError(res, 409, 'conflict', result.error);
+    }
+    return sendApiError(res, 400, 'command_rejected', result.error);
+  }
+  res.json(result || { success: true });
+}
+
+/**
+ * Sends a thrown supervisor error: a missing or stuck worker is reported as such, anything
+ * else is a 500 with the caller's message rather than the internal one.
+ */
+export function sendCommandFailure(res, error, message) {
+  if (/worker is not running/.test(error?.message)) {
+    return sendApiError(res, 503, 'worker_unavailable', 'Exploration worker is not running');
+  }
+  if (/worker command timed out/.test(error?.message)) {
+    return sendApiError(res, 504, 'worker_timeout', 'Exploration worker did not respond in time');
+  }
+  return sendApiError(res, 500, 'internal_error', message);
+}
+
+/**
+ * HTTP mirror of the Socket.IO admin commands, mounted at /api/control.
+ * @param {object} options
+ * @param {object} options.exploration - WorkerSupervisor (or anything with the same command methods)
+ * @param {(token:string)=>boolean} options.verifyAdminToken
+ * @param {object} [options.logger=console]
+ * @returns {import('express').Router}
+ */
+export function createControlRouter({ exploration, verifyAdminToken, logger = console }) {
+  const router = express.Router();
+  const adminOnly = requireAdmin(verifyAdminToken);
+  router.use(express.json());
+
+  const command = (label, run) => async (req, res) => {
+    try {
+      sendCommandResult(res, await run(req));
+    } catch (error) {
+      logger.error(`${label} error:`, error);
+      sendCommandFailure(res, error, `Failed to ${label.toLowerCase()}`);
+    }
+  };
+
+  router.get('/status', async (req, res) => {
+    try {
+      const { recentHistory, fullPath, ...state } = await exploration.getCurrentState({ includeFullPath: false });
+      const metrics = exploration.getMetrics();
+      res.json({
+        ...state,
+        workerReady: metrics.workerReady ?? true,
+        workerRestarts: metrics.workerRestarts ?? 0,
+        lastSnapshotAgeSec: metrics.lastSnapshotAgeSec ?? null
+      });
+    } catch (error) {
+      logger.error('Status error:', error);
+      sendCommandFailure(res, error, 'Failed to read exploration status');
+    }
+  });
+
+  router.post('/start', adminOnly, command('Start exploration', () => exploration.startExploration()));
+  router.post('/stop', adminOnly, command('Stop exploration', () => exploration.stopExploration()));
+  router.post('/step', adminOnly, command('Take step', () => exploration.takeSingleStep()));
+  router.post('/reset', adminOnly, command('Reset exploration', () => exploration.resetExploration()));
+  router.post('/load', adminOnly, command('Load save', () => exploration.loadState()));
+  router.post('/save', adminOnly, command('Save state', () => exploration.saveNow()));
+
+  router.post('/destination', adminOnly, command('Set destination', (req) => {
+    const { token: _token, ...destination } = req.body || {};
+    return exploration.setDestination(destination);
+  }));
+  router.delete('/destination', adminOnly, command('Clear destination', () => exploration.clearDestination()));
+
+  // Body is `{ frontierWeights }`; null restores the FRONTIER_WEIGHTS defaults for the run.
+  router.put('/frontier-weights', adminOnly, command('Set frontier weights', (req) =>
+    exploration.setFrontierWeights(req.body?.frontierWeights ?? null)
+  ));
+
+  return router;
+}
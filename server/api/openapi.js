@@ -0,0 +1,649 @@
+// OpenAPI description of the HTTP API, served at /api/openapi.json.
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const jsonBody = (schema, required = false) => ({
+  required,
+  content: { 'application/json': { schema } }
+});
+
+const ADMIN = [{ adminToken: [] }];
+
+const commandResponses = (extra = {}) => ({
+  200: jsonResponse('Command accepted', { $ref: '#/components/schemas/CommandResult' }),
+  401: errorResponse('Missing, invalid or expired admin token'),
+  409: errorResponse('Rejected because of the current exploration state'),
+  503: errorResponse('The exploration worker is not running'),
+  504: errorResponse('The exploration worker did not answer in time'),
+  ...extra
+});
+
+const adminCommand = (summary, description, extra = {}) => ({
+  tags: ['control'],
+  summary,
+  description,
+  security: ADMIN,
+  responses: commandResponses(extra.responses),
+  ...(extra.requestBody ? { requestBody: extra.requestBody } : {})
+});
+
+const runIdParameter = {
+  name: 'runId',
+  in: 'path',
+  required: true,
+  schema: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' }
+};
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.version='1.0.0'] - Package version reported in `info`
+ */
+export function buildOpenApiDocument({ version = '1.0.0' } = {}) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Scout exploration API',
+      version,
+      description: 'Status, control and run management for the exploration agent. ' +
+        'Admin endpoints take the token from POST /api/admin/auth as `Authorization: Bearer <token>` ' +
+        '(or a `token` body field); tokens expire after an hour.'
+    },
+    tags: [
+      { name: 'auth' },
+      { name: 'control', description: 'HTTP mirror of the Socket.IO admin commands' },
+      { name: 'runs', description: 'Run catalog, forks and event history' },
+      { name: 'events', description: 'Live feed of exploration broadcasts' },
+      { name: 'regions', description: 'Coverage per user-supplied region' },
+      { name: 'usage', description: 'Vision model tokens, spend and budgets' },
+      { name: 'tiles', description: 'Archived minimap path tiles' },
+      { name: 'health' }
+    ],
+    components: {
+      securitySchemes: {
+        adminToken: { type: 'http', scheme: 'bearer' }
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error', 'code'],
+          properties: {
+            error: { type: 'string', description: 'Human-readable message' },
+            code: {
+              type: 'string',
+              enum: [
+                'unauthorized', 'invalid_request', 'not_found', 'conflict', 'command_rejected',
+                'worker_unavailable', 'worker_timeout', 'internal_error'
+              ]
+            }
+          }
+        },
+        CommandResult: {
+          type: 'object',
+          description: 'Command-specific result; always has `success: true` when the command ran',
+          properties: { success: { type: 'boolean' } },
+          additionalProperties: true
+        },
+        LatLng: {
+          type: 'object',
+          required: ['lat', 'lng'],
+          properties: { lat: { type: 'number' }, lng: { type: 'number' } }
+        },
+        Status: {
+          type: 'object',
+          properties: {
+            isExploring: { type: 'boolean' },
+            runId: { type: 'string', nullable: true },
+            stepCount: { type: 'integer' },
+            stepStatus: { type: 'string' },
+            position: { $ref: '#/components/schemas/LatLng' },
+            panoId: { type: 'string', nullable: true },
+            stats: {
+              type: 'object',
+              properties: {
+                locationsVisited: { type: 'integer' },
+                distanceTraveled: { type: 'number' },
+                pathLength: { type: 'integer' },
+                segmentsWalked: { type: 'integer' },
+                segmentsPartial: { type: 'integer' },
+                streetLengthCovered: { type: 'number', description: 'Unique street meters between visited panos' }
+              }
+            },
+            destination: { type: 'object', nullable: true },
+            forkedFrom: { type: 'object', nullable: true },
+            lastEventSequence: { type: 'integer' },
+            workerReady: { type: 'boolean' },
+            workerRestarts: { type: 'integer' },
+            lastSnapshotAgeSec: { type: 'integer', nullable: true },
+            strategy: { type: 'string', description: 'Exploration strategy of the run' },
+            regionCoverage: { allOf: [{ $ref: '#/components/schemas/RegionCoverage' }], nullable: true },
+            usage: { $ref: '#/components/schemas/Usage' },
+            intent: { $ref: '#/components/schemas/IntentState' },
+            memory: { $ref: '#/components/schemas/RunMemory' },
+            agents: {
+              type: 'array',
+              description: 'Every agent walking the run, the first one included (set with `AGENT_STARTS`)',
+              items: {
+                type: 'object',
+                properties: {
+                  agentId: { type: 'string' },
+                  stepCount: { type: 'integer' },
+                  panoId: { type: 'string', nullable: true },
+                  position: { $ref: '#/components/schemas/LatLng' },
+                  heading: { type: 'number', nullable: true },
+                  mode: { type: 'string', nullable: true }
+                }
+              }
+            }
+          }
+        },
+        RegionCoverage: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', nullable: true },
+            regions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
+                  panosVisited: { type: 'integer' },
+                  uniqueDistanceMeters: { type: 'number' },
+                  firstVisitStep: { type: 'integer', nullable: true },
+                  frontierRemaining: { type: 'integer' },
+                  frontierRemainingPercent: { type: 'number', nullable: true }
+                }
+              }
+            },
+            outside: {
+              type: 'object',
+              description: 'Panos and frontier outside every region',
+              properties: {
+                panosVisited: { type: 'integer' },
+                uniqueDistanceMeters: { type: 'number' },
+                frontierRemaining: { type: 'integer' }
+              }
+            }
+          }
+        },
+        Usage: {
+          type: 'object',
+          description: 'Vision model requests, tokens and spend in USD (priced with `MODEL_PRICES`)',
+          properties: {
+            requests: { type: 'integer' },
+            inputTokens: { type: 'integer' },
+            outputTokens: { type: 'integer' },
+            totalTokens: { type: 'integer' },
+            costUsd: { type: 'number' },
+            unpricedTokens: { type: 'integer', description: 'Tokens of models without a price' }
+          }
+        },
+        VisionConfig: {
+          type: 'object',
+          description: 'Vision provider and model of one run; fields left out use the `VISION_*` env vars, and API keys always do',
+          properties: {
+            provider: { type: 'string', enum: ['openai', 'openai-compatible', 'mock'] },
+            model: { type: 'string', example: 'gpt-5-mini' }
+          }
+        },
+        RunMemory: {
+          type: 'object',
+          description: 'Long-term memory of the run (summarized every `MEMORY_SUMMARY_INTERVAL_STEPS` steps)',
+          properties: {
+            summary: { type: 'string', nullable: true, description: 'Rolling summary included in the decision prompt' },
+            summarizedAtStep: { type: 'integer', nullable: true },
+            regions: {
+              type: 'array',
+              description: 'Steps spent in each region of `REGIONS_PATH`',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string', nullable: true },
+                  name: { type: 'string' },
+                  steps: { type: 'integer' },
+                  firstStep: { type: 'integer' },
+                  lastStep: { type: 'integer' }
+                }
+              }
+            }
+          }
+        },
+        IntentState: {
+          type: 'object',
+          description: 'Exploration intent of the first agent (planned every `INTENT_INTERVAL_STEPS` steps)',
+          properties: {
+            current: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                text: { type: 'string', example: 'follow the waterfront north' },
+                heading: { type: 'number', nullable: true, description: 'Compass heading the intent leads toward' },
+                source: { type: 'string', enum: ['model', 'fallback'] },
+                setAtStep: { type: 'integer' },
+                untilStep: { type: 'integer', description: 'Step by which a new intent is planned' },
+                regionId: { type: 'string', nullable: true },
+                regionName: { type: 'string', nullable: true },
+                decisions: { type: 'integer', description: 'Branch choices scored against this intent' },
+                followed: { type: 'integer' }
+              }
+            },
+            history: { type: 'array', description: 'Up to 10 earlier intents with their scores and `endedAtStep`', items: { type: 'object' } },
+            totals: {
+              type: 'object',
+              properties: {
+                intents: { type: 'integer' },
+                decisions: { type: 'integer' },
+                followed: { type: 'integer' }
+              }
+            }
+          }
+        },
+        FrontierWeights: {
+          type: 'object',
+          description: 'Weight per frontier factor; each factor scores 0..1 and negative weights invert it',
+          properties: {
+            distance: { type: 'number', default: 1 },
+            unexploredNeighbors: { type: 'number', default: 0 },
+            regionDeficit: { type: 'number', default: 0 },
+            age: { type: 'number', default: 0 },
+            boundary: { type: 'number', default: 0 }
+          },
+          additionalProperties: false
+        },
+        Destination: {
+          type: 'object',
+          description: 'Either lat/lng or panoId',
+          properties: {
+            lat: { type: 'number' },
+            lng: { type: 'number' },
+            panoId: { type: 'string' },
+            label: { type: 'string' },
+            arrivalRadiusMeters: { type: 'number' }
+          }
+        },
+        Run: {
+          type: 'object',
+          properties: {
+            runId: { type: 'string' },
+            name: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['active', 'idle', 'archived'] },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            stepCount: { type: 'integer' },
+            distanceTraveled: { type: 'number' },
+            locationsVisited: { type: 'integer' },
+            startLocation: { $ref: '#/components/schemas/LatLng' },
+            startPanoId: { type: 'string', nullable: true },
+            parentRunId: { type: 'string', nullable: true },
+            forkedAtStep: { type: 'integer', nullable: true }
+          }
+        }
+      }
+    },
+    paths: {
+      '/api/admin/auth': {
+        post: {
+          tags: ['auth'],
+          summary: 'Exchange the control password for an admin token',
+          requestBody: jsonBody({
+            type: 'object',
+            required: ['password'],
+            properties: { password: { type: 'string' } }
+          }, true),
+          responses: {
+            200: jsonResponse('Token issued', {
+              type: 'object',
+              properties: { success: { type: 'boolean' }, token: { type: 'string' } }
+            }),
+            401: errorResponse('Wrong password')
+          }
+        }
+      },
+      '/api/control/status': {
+        get: {
+          tags: ['control'],
+          summary: 'Current run, position, step and worker health',
+          responses: {
+            200: jsonResponse('Exploration status', { $ref: '#/components/schemas/Status' })
+          }
+        }
+      },
+      '/api/control/start': {
+        post: adminCommand('Start exploring', 'Same as the `start-exploration` socket event.')
+      },
+      '/api/control/stop': {
+        post: adminCommand('Stop exploring', 'Waits for the step in flight, then saves. Same as `stop-exploration`.')
+      },
+      '/api/control/step': {
+        post: adminCommand('Take one step', 'Only while stopped. Same as `take-single-step`.')
+      },
+      '/api/control/reset': {
+        post: adminCommand('Reset to the start position', 'Starts a fresh run. Same as `reset-exploration`.')
+      },
+      '/api/control/load': {
+        post: adminCommand('Load the current save', 'Same as `load-save`.', {
+          responses: { 404: errorResponse('No save file found') }
+        })
+      },
+      '/api/control/save': {
+        post: adminCommand('Save now', 'Same as `save-now`.')
+      },
+      '/api/control/destination': {
+        post: adminCommand('Walk to a destination', 'Same as `set-destination`.', {
+          requestBody: jsonBody({ $ref: '#/components/schemas/Destination' }, true),
+          responses: { 400: errorResponse('Destination could not be resolved') }
+        }),
+        delete: adminCommand('Return to free exploration', 'Same as `clear-destination`.')
+      },
+      '/api/control/frontier-weights': {
+        put: adminCommand(
+          'Change how frontiers are ranked for this run',
+          'Same as `set-frontier-weights`. Factors left out keep their default; `null` restores the defaults. ' +
+            'Teleport and pathfinding steps log the chosen frontier\'s breakdown as `frontierScore`.',
+          {
+            requestBody: jsonBody({
+              type: 'object',
+              properties: {
+                frontierWeights: { allOf: [{ $ref: '#/components/schemas/FrontierWeights' }], nullable: true }
+              }
+            }, true),
+            responses: { 400: errorResponse('Unknown factor or non-numeric weight') }
+          }
+        )
+      },
+      '/api/runs': {
+        get: {
+          tags: ['runs'],
+          summary: 'List runs, most recently updated first',
+          responses: {
+            200: jsonResponse('Run catalog', {
+              type: 'object',
+              properties: { runs: { type: 'array', items: { $ref: '#/components/schemas/Run' } } }
+            })
+          }
+        },
+        post: {
+          tags: ['runs'],
+          summary: 'Start a new run at a location',
+          security: ADMIN,
+          requestBody: jsonBody({
+            type: 'object',
+            properties: {
+              lat: { type: 'number' },
+              lng: { type: 'number' },
+              panoId: { type: 'string' },
+              name: { type: 'string' },
+              frontierWeights: { $ref: '#/components/schemas/FrontierWeights' },
+              strategy: { type: 'string', description: 'Exploration strategy, e.g. `model`, `frontier-greedy`, `random`, `right-hand`' },
+              vision: { $ref: '#/components/schemas/VisionConfig' }
+            }
+          }, true),
+          responses: commandResponses({ 400: errorResponse('Missing or out-of-bounds start, invalid frontier weights, unknown strategy or vision provider') })
+        }
+      },
+      '/api/runs/{runId}/activate': {
+        post: {
+          tags: ['runs'],
+          summary: 'Save the current run and switch to another',
+          security: ADMIN,
+          parameters: [runIdParameter],
+          responses: commandResponses({ 404: errorResponse('Unknown run') })
+        }
+      },
+      '/api/runs/{runId}/archive': {
+        post: {
+          tags: ['runs'],
+          summary: 'Hide a run from crash recovery',
+          security: ADMIN,
+          parameters: [runIdParameter],
+          responses: commandResponses({ 404: errorResponse('Unknown run') })
+        }
+      },
+      '/api/runs/{runId}/fork': {
+        post: {
+          tags: ['runs'],
+          summary: 'Branch a new run from a past step',
+          security: ADMIN,
+          parameters: [runIdParameter],
+          requestBody: jsonBody({
+            type: 'object',
+            required: ['stepCount'],
+            properties: {
+              stepCount: { type: 'integer', minimum: 0 },
+              name: { type: 'string' },
+              activate: { type: 'boolean', default: true },
+              strategy: { type: 'string', description: 'Continue with this exploration strategy instead of the parent\'s' },
+              vision: { allOf: [{ $ref: '#/components/schemas/VisionConfig' }], description: 'Continue with this vision provider and model instead of the parent\'s' }
+            }
+          }, true),
+          responses: commandResponses({ 400: errorResponse('Unknown strategy or vision provider'), 404: errorResponse('Unknown run') })
+        }
+      },
+      '/api/runs/{runId}/events': {
+        get: {
+          tags: ['runs'],
+          summary: 'Page through a run\'s event log',
+          parameters: [
+            runIdParameter,
+            { name: 'afterSequence', in: 'query', schema: { type: 'integer', minimum: 0 } },
+            { name: 'fromStep', in: 'query', schema: { type: 'integer', minimum: 0 } },
+            { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 500, default: 100 } },
+            { name: 'types', in: 'query', description: 'Comma-separated event types', schema: { type: 'string' } },
+            { name: 'agentId', in: 'query', description: 'Only events of this agent (multi-agent runs)', schema: { type: 'string' } }
+          ],
+          responses: {
+            200: jsonResponse('Event page', {
+              type: 'object',
+              properties: {
+                runId: { type: 'string' },
+                events: { type: 'array', items: { type: 'object' } },
+                nextAfterSequence: { type: 'integer' },
+                hasMore: { type: 'boolean' }
+              }
+            })
+          }
+        }
+      },
+      '/api/runs/{runId}/path': {
+        get: {
+          tags: ['runs'],
+          summary: 'Full path of a run as [lng, lat] pairs',
+          parameters: [runIdParameter],
+          responses: {
+            200: jsonResponse('Run path', {
+              type: 'object',
+              properties: {
+                runId: { type: 'string' },
+                stepCount: { type: 'integer' },
+                coordinates: { type: 'array', items: { type: 'array', items: { type: 'number' } } }
+              }
+            })
+          }
+        }
+      },
+      '/api/runs/{runId}/export/{format}': {
+        get: {
+          tags: ['runs'],
+          summary: 'Download a run\'s path and visited panoramas',
+          description: 'GeoJSON has the path as a LineString plus one Point per pano with step, mode, sceneTag ' +
+            'and visit count; GPX is a timestamped track; KML has the path and a folder of pano placemarks.',
+          parameters: [
+            runIdParameter,
+            { name: 'format', in: 'path', required: true, schema: { type: 'string', enum: ['geojson', 'gpx', 'kml'] } }
+          ],
+          responses: {
+            200: {
+              description: 'Export file (sent as an attachment)',
+              content: {
+                'application/geo+json': { schema: { type: 'object' } },
+                'application/gpx+xml': { schema: { type: 'string' } },
+                'application/vnd.google-earth.kml+xml': { schema: { type: 'string' } }
+              }
+            },
+            400: errorResponse('Unsupported format'),
+            404: errorResponse('Unknown run')
+          }
+        }
+      },
+      '/api/regions': {
+        get: {
+          tags: ['regions'],
+          summary: 'Coverage breakdown per region of the REGIONS_PATH region set',
+          description: 'Each visited pano counts toward the first region containing it. Links between visited panos ' +
+            'count once toward unique distance, split between the regions at either end. Frontier panos are ' +
+            'counted in the region of the pano they were discovered from.',
+          responses: {
+            200: jsonResponse('Region coverage', { $ref: '#/components/schemas/RegionCoverage' }),
+            404: errorResponse('No region set is configured'),
+            503: errorResponse('The exploration worker is not running')
+          }
+        }
+      },
+      '/api/usage': {
+        get: {
+          tags: ['usage'],
+          summary: 'Model usage of the current run and per UTC day, with the configured budgets',
+          description: 'Daily totals span every run. Once `USAGE_BUDGET_RUN_USD` or `USAGE_BUDGET_DAILY_USD` is ' +
+            'reached, `USAGE_BUDGET_ACTION` pauses exploration or switches the run to the `frontier-greedy` strategy.',
+          responses: {
+            200: jsonResponse('Usage', {
+              type: 'object',
+              properties: {
+                run: {
+                  allOf: [{ $ref: '#/components/schemas/Usage' }],
+                  properties: { runId: { type: 'string', nullable: true } }
+                },
+                today: {
+                  allOf: [{ $ref: '#/components/schemas/Usage' }],
+                  properties: { day: { type: 'string', format: 'date' } }
+                },
+                days: {
+                  type: 'array',
+                  description: 'Up to 30 most recent days, newest first',
+                  items: {
+                    allOf: [{ $ref: '#/components/schemas/Usage' }],
+                    properties: { day: { type: 'string', format: 'date' } }
+                  }
+                },
+                budget: {
+                  type: 'object',
+                  properties: {
+                    runUsd: { type: 'number', nullable: true },
+                    dailyUsd: { type: 'number', nullable: true },
+                    action: { type: 'string', enum: ['pause', 'fallback'] },
+                    exceeded: {
+                      type: 'object',
+                      nullable: true,
+                      properties: {
+                        scope: { type: 'string', enum: ['run', 'daily'] },
+                        limitUsd: { type: 'number' },
+                        spentUsd: { type: 'number' }
+                      }
+                    }
+                  }
+                }
+              }
+            }),
+            503: errorResponse('The exploration worker is not running')
+          }
+        }
+      },
+      '/api/events': {
+        get: {
+          tags: ['events'],
+          summary: 'Server-Sent Events stream of exploration broadcasts',
+          description: 'Each SSE event is named after its Socket.IO broadcast (`move-decision`, `position-update`, ...). ' +
+            'Events backed by the run log carry its sequence number as the SSE id; reconnecting with ' +
+            '`Last-Event-ID` replays the committed steps that were missed.',
+          parameters: [
+            { name: 'events', in: 'query', description: 'Comma-separated broadcast names to receive', schema: { type: 'string' } },
+            { name: 'lastEventId', in: 'query', description: 'Resume point when the header cannot be set', schema: { type: 'integer' } },
+            { name: 'Last-Event-ID', in: 'header', schema: { type: 'integer' } }
+          ],
+          responses: {
+            200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+          }
+        }
+      },
+      '/tiles/{z}/{x}/{y}.mvt': {
+        get: {
+          tags: ['tiles'],
+          summary: 'Archived path as a Mapbox Vector Tile',
+          description: 'Layer `archive-path` has one LineString per path segment with `startStep`, `endStep`, ' +
+            '`mode` and `timestamp` (epoch seconds). The archived part of the path is the one reported by ' +
+            '`tileVersion` in `path-state`; tiles for a given `v` never change.',
+          parameters: [
+            { name: 'z', in: 'path', required: true, schema: { type: 'integer', minimum: 0, maximum: 22 } },
+            { name: 'x', in: 'path', required: true, schema: { type: 'integer', minimum: 0 } },
+            { name: 'y', in: 'path', required: true, schema: { type: 'integer', minimum: 0 } },
+            { name: 'v', in: 'query', description: 'Archive tile version from path-state', schema: { type: 'integer', minimum: 0 } }
+          ],
+          responses: {
+            200: {
+              description: 'Vector tile; empty when the tile has no path',
+              content: { 'application/vnd.mapbox-vector-tile': { schema: { type: 'string', format: 'binary' } } }
+            },
+            400: { description: 'Tile coordinates out of range' }
+          }
+        }
+      },
+      '/tiles/heatmap/{z}/{x}/{y}.mvt': {
+        get: {
+          tags: ['tiles'],
+          summary: 'Visit density of the current run as a Mapbox Vector Tile',
+          description: 'Layer `visit-density` has one Point per occupied grid cell with `visits`, `panos`, ' +
+            '`dwellSeconds` and `weight` (visits plus one per minute of dwell), for a heatmap layer. ' +
+            'Always reflects the latest committed step; query parameters only bust caches.',
+          parameters: [
+            { name: 'z', in: 'path', required: true, schema: { type: 'integer', minimum: 0, maximum: 22 } },
+            { name: 'x', in: 'path', required: true, schema: { type: 'integer', minimum: 0 } },
+            { name: 'y', in: 'path', required: true, schema: { type: 'integer', minimum: 0 } }
+          ],
+          responses: {
+            200: {
+              description: 'Vector tile; empty when nothing was visited there',
+              content: { 'application/vnd.mapbox-vector-tile': { schema: { type: 'string', format: 'binary' } } }
+            },
+            400: { description: 'Tile coordinates out of range' }
+          }
+        }
+      },
+      '/healthz': {
+        get: {
+          tags: ['health'],
+          summary: 'Liveness probe',
+          responses: { 200: jsonResponse('Server is up', { type: 'object', properties: { status: { type: 'string' } } }) }
+        }
+      },
+      '/metrics': {
+        get: {
+          tags: ['health'],
+          summary: 'Step, model, Street View, worker, tile and run-log metrics for Prometheus',
+          description: 'Prometheus text format by default, OpenMetrics when the Accept header asks for ' +
+            '`application/openmetrics-text`. `Accept: application/json` or `?format=json` returns the older JSON summary.',
+          parameters: [
+            { name: 'format', in: 'query', schema: { type: 'string', enum: ['prometheus', 'openmetrics', 'json'] } }
+          ],
+          responses: {
+            200: {
+              description: 'Metrics',
+              content: {
+                'text/plain': { schema: { type: 'string' } },
+                'application/openmetrics-text': { schema: { type: 'string' } },
+                'application/json': { schema: { type: 'object', additionalProperties: true } }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
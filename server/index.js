@@ -5,7 +5,7 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import dotenv from 'dotenv';
 import cors from 'cors';
-import { ExplorationAgent } from './agents/explorationAgent.js';
+import { ExplorationAgent, parseAgentStarts } from './agents/explorationAgent.js';
 import { Logger } from './utils/logger.js';
 import { simplifyPathWithTiers, getSimplificationStats } from './utils/pathSimplification.js';
 import fs from 'fs';
@@ -15,8 +15,33 @@ import crypto, { randomUUID } from 'crypto';
 import zlib from 'zlib';
 import { promisify } from 'util';
 import { verifySignature } from './utils/urlSigner.js';
-import { RunStore } from './services/runStore.js';
+import { RunStore, isValidRunId } from './services/runStore.js';
+import { Geofence } from './services/geofence.js';
+import { loadRegionCoverage } from './services/regionCoverage.js';
+import { parseFrontierWeights } from './services/frontierScorer.js';
+import { parseVisionConfig } from './services/visionProviders.js';
+import {
+  DailyUsage,
+  addUsage,
+  describeExceededBudget,
+  describeUnpricedBudget,
+  emptyUsage,
+  exceededBudget,
+  parseUsageBudget,
+  usageDay
+} from './services/usageAccounting.js';
+import { RunMemory } from './services/runMemory.js';
+import { createExplorationStrategy, loadExplorationStrategyModules } from './agents/explorationStrategies.js';
 import { WorkerSupervisor } from './worker/workerSupervisor.js';
+import {
+  createControlRouter,
+  requireAdmin,
+  sendApiError,
+  sendCommandFailure,
+  sendCommandResult
+} from './api/controlRoutes.js';
+import { buildOpenApiDocument } from './api/openapi.js';
+import { metrics, OPENMETRICS_CONTENT_TYPE, PROMETHEUS_CONTENT_TYPE } from './services/metrics.js';
 import {
   TILE_RENDERER_REVISION,
   archivedPointCount,
@@ -24,6 +49,7 @@ import {
   drawArchiveTileFromPath,
   pruneArchiveTileVersions
 } from './services/archiveTileRenderer.js';
+import { VECTOR_TILE_CONTENT_TYPE } from './services/archiveVectorTileRenderer.js';
 import {
   DEFAULT_PERSISTENT_LOG_MAX_BYTES,
   DEFAULT_PERSISTENT_LOG_MAX_FILE_BYTES,
@@ -181,6 +207,7 @@ const BACKGROUND_SAVE_INTERVAL_MS = parseIntOr(process.env.BACKGROUND_SAVE_INTER
 const MAX_CONSECUTIVE_STEP_ERRORS = parseInt(process.env.MAX_CONSECUTIVE_STEP_ERRORS || '25', 10);
 const OPENAI_RATE_LIMIT_BACKOFF_MS = parseIntOr(process.env.OPENAI_RATE_LIMIT_BACKOFF_MS, 30000);
 const STOP_STEP_DRAIN_TIMEOUT_MS = parseIntOr(process.env.STOP_STEP_DRAIN_TIMEOUT_MS, 120000);
+const MEMORY_SUMMARY_INTERVAL_STEPS = parseIntOr(process.env.MEMORY_SUMMARY_INTERVAL_STEPS, 50);
 const TILE_TAIL_POINTS = parseInt(process.env.TILE_RECENT_TAIL_POINTS) || 1500; // recent points kept as vector
 const TILE_MAX_CACHE = parseInt(process.env.TILE_MAX_CACHE) || 256;
 const PERSISTENT_LOG_MAX_FILES = parseIntOr(
@@ -216,10 +243,29 @@ const EMPTY_TILE_PNG = Buffer.from(
   'iVBORw0KGgoAAAANSUhEUgAAAQAAAAEACAYAAABccqhmAAAAGUlEQVR42u3BAQ0AAADCoPdPbQ43oAAAAAAAAAAA4N8AAQAAATGM2YAAAAAASUVORK5CYII=',
   'base64'
 );
+// Worker-side series; the supervisor adds its own and serves them all on /metrics
+const stepSeconds = metrics.histogram(
+  'scout_step_duration_seconds',
+  'Committed step latency, from step start to the last agent committing',
+  { labelNames: ['outcome'], buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120] }
+);
+const eventLogBytes = metrics.gauge('scout_event_log_bytes', 'Size of the current run event log');
+const snapshotAgeSeconds = metrics.gauge('scout_snapshot_age_seconds', 'Time since the current run was last snapshotted');
+const agentsGauge = metrics.gauge('scout_agents', 'Agents walking the current run');
+const runCostUsd = metrics.gauge('scout_run_cost_usd', 'Vision model spend of the current run');
+const dailyCostUsd = metrics.gauge('scout_daily_cost_usd', 'Vision model spend today (UTC) across runs');
+const usageBudgetUsd = metrics.gauge('scout_usage_budget_usd', 'Configured model spend budgets', { labelNames: ['scope'] });
+
+// Policy the agents switch to when USAGE_BUDGET_ACTION=fallback and a budget runs out
+const USAGE_BUDGET_FALLBACK_STRATEGY = 'frontier-greedy';
+
 // Global exploration state
 class GlobalExploration {
   constructor({ emit = null } = {}) {
     this.agent = null;
+    // Further agents exploring the primary agent's coverage graph, one per AGENT_STARTS entry
+    this.additionalAgents = [];
+    this.agentStarts = parseAgentStarts(process.env.AGENT_STARTS);
     this.emit = emit || ((event, data) => io.emit(event, data));
     this.isExploring = false;
     this.explorationInterval = null;
@@ -260,9 +306,19 @@ class GlobalExploration {
     this.lastSnapshotAt = null;
     this.lastCompletedStep = 0;
     this.restoreSource = 'none';
+    this.forkedFrom = null;
     this.allowEmptySaveOnce = false;
     this.consecutiveStepErrors = 0;
     this.isStepPipelineActive = false;
+    // Optional region set (REGIONS_PATH) that visited panos are attributed to
+    this.regionsPath = process.env.REGIONS_PATH || null;
+    this.regionCoverage = null;
+    // Model spend of this run, per UTC day across runs (loaded from the run store), and the budget on both
+    this.runUsage = emptyUsage();
+    this.dailyUsage = null;
+    this.usageBudget = parseUsageBudget();
+    // Long-term memory of the run fed back into the decision prompt
+    this.runMemory = new RunMemory({ intervalSteps: MEMORY_SUMMARY_INTERVAL_STEPS });
   }
 
   getSavePath() {
@@ -291,6 +347,21 @@ class GlobalExploration {
     return this.agent?.runId || null;
   }
 
+  get agents() {
+    return this.agent ? [this.agent, ...this.additionalAgents] : [];
+  }
+
+  getAgentStates() {
+    return this.agents.map(agent => ({
+      agentId: agent.agentId,
+      stepCount: agent.stepCount,
+      panoId: agent.currentPanoId,
+      position: agent.currentPosition,
+      heading: agent.currentHeading,
+      mode: agent.mode
+    }));
+  }
+
   getEventLogMeta() {
     return {
       lastSequence: this.lastEventSequence,
@@ -311,11 +382,37 @@ class GlobalExploration {
         panoId: this.agent.currentPanoId,
         position: this.agent.currentPosition,
         heading: this.agent.currentHeading,
-        mode: this.agent.mode
+        mode: this.agent.mode,
+        destination: this.agent.getDestinationStatus(),
+        agentId: this.agent.agentId
       },
-      stats: this.agent.coverage.getStats(),
+      ...(this.additionalAgents.length > 0 ? {
+        additionalAgents: this.additionalAgents.map(agent => ({
+          agentId: agent.agentId,
+          stepCount: agent.stepCount,
+          currentState: {
+            panoId: agent.currentPanoId,
+            position: agent.currentPosition,
+            heading: agent.currentHeading,
+            mode: agent.mode
+          },
+          recentHistory: agent.coverage.getRecentHistory(agent.visitorId),
+          intent: agent.intentPlanner.toJSON()
+        }))
+      } : {}),
+      // Saves outlive the throttle window, so street coverage is brought fully up to date.
+      stats: { ...this.agent.coverage.getStats(), ...this.agent.coverage.getStreetCoverage({ force: true }) },
       graph: this.agent.coverage.serializeGraph(),
       panoAliases: this.agent.coverage.serializePanoAliases(),
+      geofence: this.agent.geofence?.toGeoJSON() || null,
+      regionCoverage: this.regionCoverage?.serialize() || null,
+      frontierWeights: this.agent.frontierWeights,
+      strategy: this.agent.strategy.name,
+      vision: this.agent.visionConfig,
+      usage: this.runUsage,
+      intent: this.agent.intentPlanner.toJSON(),
+      memory: this.runMemory.toJSON(),
+      forkedFrom: this.forkedFrom,
       recentHistory: this.agent.coverage.recentHistory,
       decisionHistory: this.decisionHistory.slice(-DECISION_HISTORY_LIMIT),
       eventLog: this.getEventLogMeta(),
@@ -323,7 +420,7 @@ class GlobalExploration {
     };
   }
 
-  async appendRunEvent(type, payload = {}, { stepId = null, stepCount = null, epoch = this.activeEpoch, runId = null } = {}) {
+  async appendRunEvent(type, payload = {}, { stepId = null, stepCount = null, epoch = this.activeEpoch, runId = null, agentId = null } = {}) {
     const eventRunId = runId || this.getRunId() || payload.runId;
     if (!eventRunId) return null;
 
@@ -332,6 +429,7 @@ class GlobalExploration {
       epoch,
       stepId,
       stepCount,
+      agentId,
       payload
     });
     this.lastEventSequence = event.sequence;
@@ -508,9 +606,11 @@ class GlobalExploration {
     const savePath = this.getSavePath();
     const hadAgentBeforeLoad = !!this.agent;
 
-    console.log('📄 Loading save file from:', savePath);
+    console.log('📄 Loading save file from:', options.runId ? this.runStore.getSnapshotPath(options.runId) : savePath);
     try {
-      const restore = await this.runStore.restoreCurrent();
+      const restore = options.runId
+        ? await this.runStore.restoreRun(options.runId)
+        : await this.runStore.restoreCurrent();
       if (!restore.snapshot) {
         console.log('📄 No save file found at:', savePath);
         return { error: 'No save file found' };
@@ -548,9 +648,13 @@ class GlobalExploration {
       this.lastCompletedStep = Number(saveData.stepCount) || 0;
       this.stepStatus = 'idle';
       this.activeStepId = null;
+      this.forkedFrom = saveData.forkedFrom || null;
+      this.runUsage = addUsage(emptyUsage(), saveData.usage);
+      this.runMemory.restore(saveData.memory);
 
       // Restore coverage state
       this.agent.coverage.restoreFromSave(saveData);
+      this.agent.setGeofence(saveData.geofence ? Geofence.fromGeoJSON(saveData.geofence) : this.agent.geofence);
 
       // Restore agent state
       this.agent.runId = saveData.runId;
@@ -559,12 +663,24 @@ class GlobalExploration {
       this.agent.currentPosition = saveData.currentState.position;
       this.agent.currentHeading = saveData.currentState.heading || 0;
       this.agent.mode = saveData.currentState.mode || 'exploration';
+      this.agent.restoreDestination(saveData.currentState.destination);
+      if (!this.agent.destination && this.agent.mode === 'navigating') {
+        this.agent.mode = 'exploration';
+      }
       this.agent.stepsSinceNewCell = 0;
+      this.agent.setFrontierWeights(saveData.frontierWeights || null);
+      this.restoreStrategy(this.agent, saveData.strategy);
+      this.restoreVisionConfig(this.agent, saveData.vision);
+      this.agent.intentPlanner.restore(saveData.intent);
+      this.regionCoverage?.rebuild(this.agent.coverage, {
+        firstVisitSteps: saveData.regionCoverage?.firstVisitSteps
+      });
 
       // Update screenshot service with restored runId
       const { ScreenshotService } = await import('./utils/screenshot.js');
       this.agent.screenshot = new ScreenshotService(this.agent.runId);
       await this.agent.screenshot.initialize();
+      await this.restoreAdditionalAgents(saveData);
 
       // Restore decision history
       this.decisionHistory = saveData.decisionHistory || [];
@@ -657,7 +773,12 @@ class GlobalExploration {
         position: this.agent.currentPosition,
         panoId: this.agent.currentPanoId,
         stats: this.agent.coverage.getStats(),
-        decisionHistory: this.decisionHistory
+        decisionHistory: this.decisionHistory,
+        geofence: this.agent.geofence?.toGeoJSON() || null,
+        regionCoverage: this.getRegionCoverageSummary(),
+        intent: this.agent.intentPlanner.toJSON(),
+        forkedFrom: this.forkedFrom,
+        agents: this.getAgentStates()
       });
 
       console.log(`State loaded: ${this.agent.stepCount} steps, ${this.agent.coverage.visitedPanos.size} locations visited`);
@@ -691,8 +812,7 @@ class GlobalExploration {
       this.pendingSave = false;
       this.stepStatus = 'restore-failed';
       if (!hadAgentBeforeLoad && this.agent) {
-        await this.agent.close().catch(() => {});
-        this.agent = null;
+        await this.closeAgents();
       }
       return { error: error.message };
     }
@@ -700,12 +820,192 @@ class GlobalExploration {
 
   async initialize() {
     if (!this.agent) {
+      await loadExplorationStrategyModules();
       this.agent = new ExplorationAgent(this, this.logger);
       await this.agent.initialize();
-      console.log('Global exploration agent initialized');
+      console.log(`Global exploration agent initialized (strategy: ${this.agent.strategy.name})`);
+      for (const [index, start] of this.agentStarts.entries()) {
+        const agent = new ExplorationAgent(this, this.logger, {
+          agentId: `agent-${index + 2}`,
+          coverage: this.agent.coverage,
+          start
+        });
+        agent.setRunId(this.agent.runId);
+        this.additionalAgents.push(agent);
+        await agent.initialize();
+        console.log(`Additional agent ${agent.agentId} initialized at ${agent.currentPanoId}`);
+      }
+      if (await this.ensureRegionCoverage()) {
+        this.regionCoverage.rebuild(this.agent.coverage, { fallbackStep: this.agent.stepCount });
+      }
+    }
+  }
+
+  /**
+   * Puts the additional agents where the save left them. Agents the save does not know about, or
+   * whose panorama can no longer be loaded, start over from their AGENT_STARTS entry.
+   */
+  async restoreAdditionalAgents(saveData) {
+    const savedAgents = new Map((saveData.additionalAgents || []).map(saved => [saved?.agentId, saved]));
+    for (const agent of this.additionalAgents) {
+      agent.setRunId(this.agent.runId);
+      await agent.screenshot.initialize();
+      agent.setFrontierWeights(saveData.frontierWeights || null);
+      agent.setStrategy(this.agent.strategy.name);
+      agent.setVisionConfig(this.agent.visionConfig);
+      agent.pathToFrontier = null;
+      agent.stepsSinceNewCell = 0;
+
+      const saved = savedAgents.get(agent.agentId);
+      if (saved?.currentState?.panoId) {
+        try {
+          const pano = await agent.streetViewHeadless.getPanorama(saved.currentState.panoId);
+          await agent.streetViewHeadless.navigateToPano(pano.panoId);
+          agent.stepCount = Number(saved.stepCount) || 0;
+          agent.currentPanoId = pano.panoId;
+          agent.currentPosition = { lat: pano.position.lat, lng: pano.position.lng };
+          agent.currentHeading = saved.currentState.heading || 0;
+          agent.mode = saved.currentState.mode === 'pathfinding' ? 'pathfinding' : 'exploration';
+          agent.intentPlanner.restore(saved.intent);
+          continue;
+        } catch (error) {
+          console.warn(`Could not restore ${agent.agentId} at ${saved.currentState.panoId}: ${error.message}`);
+        }
+      }
+      await agent.reset();
+    }
+  }
+
+  // Saves without a strategy predate strategies and ran the model one. A strategy module that is no
+  // longer configured falls back to the default rather than failing the restore.
+  restoreStrategy(agent, name) {
+    try {
+      agent.setStrategy(name || 'model');
+    } catch (error) {
+      console.warn(`${error.message}; continuing with the default strategy`);
+      agent.setStrategy(null);
     }
   }
 
+  // Saves without a vision config use the VISION_* env vars. One that no longer resolves (e.g. its
+  // base URL came from an env var that is gone) falls back to them rather than failing the restore.
+  // A base URL saved by older versions is dropped; the server always comes from VISION_BASE_URL.
+  restoreVisionConfig(agent, vision) {
+    try {
+      agent.setVisionConfig(vision ? { provider: vision.provider, model: vision.model } : null);
+    } catch (error) {
+      console.warn(`${error.message}; continuing with the default vision provider`);
+      agent.setVisionConfig(null);
+    }
+  }
+
+  async closeAgents() {
+    for (const agent of this.agents) {
+      await agent.close().catch(() => {});
+    }
+    this.agent = null;
+    this.additionalAgents = [];
+  }
+
+  async ensureRegionCoverage() {
+    if (this.regionsPath && !this.regionCoverage) {
+      this.regionCoverage = await loadRegionCoverage(this.regionsPath);
+      console.log(`🏘️ Region set "${this.regionCoverage.name}" loaded with ${this.regionCoverage.regions.length} region(s)`);
+    }
+    return this.regionCoverage;
+  }
+
+  // Daily totals must never stop a step; if they cannot be read they are counted from zero.
+  async ensureDailyUsage() {
+    if (!this.dailyUsage) {
+      const saved = await this.runStore.readDailyUsage().catch(error => {
+        console.warn(`Failed to read daily model usage, counting from zero: ${error.message}`);
+        return null;
+      });
+      this.dailyUsage = new DailyUsage(saved || {});
+    }
+    return this.dailyUsage;
+  }
+
+  async recordUsage(usage) {
+    addUsage(this.runUsage, usage);
+    const daily = await this.ensureDailyUsage();
+    daily.record(usage);
+    this.runStore.writeDailyUsage(daily.toJSON()).catch(error => {
+      console.warn(`Failed to save daily model usage: ${error.message}`);
+    });
+  }
+
+  async checkUsageBudget() {
+    const today = (await this.ensureDailyUsage()).get();
+    return exceededBudget({ run: this.runUsage, today }, this.usageBudget);
+  }
+
+  // Reason to refuse starting while a budget is set and an agent's model has no price; null otherwise.
+  checkUnpricedBudget() {
+    const unpriced = this.agents.filter(agent => agent.ai?.isPriced === false).map(agent => agent.ai.provider.model);
+    return describeUnpricedBudget(unpriced, this.usageBudget);
+  }
+
+  async getUsage() {
+    const daily = await this.ensureDailyUsage();
+    return {
+      run: { runId: this.agent ? this.agent.runId : null, ...this.runUsage },
+      today: { day: usageDay(), ...daily.get() },
+      days: daily.list(),
+      budget: { ...this.usageBudget, exceeded: await this.checkUsageBudget() }
+    };
+  }
+
+  /**
+   * Applies USAGE_BUDGET_ACTION once spend reaches a budget: `pause` stops exploration,
+   * `fallback` moves every agent to a strategy that never asks the model, for the rest of the run.
+   * @returns {Promise<boolean>} true when exploration was stopped
+   */
+  async enforceUsageBudget() {
+    const exceeded = await this.checkUsageBudget();
+    if (!exceeded) return false;
+    const { action } = this.usageBudget;
+    if (action === 'fallback' && this.agents.every(agent => agent.strategy.name === USAGE_BUDGET_FALLBACK_STRATEGY)) {
+      return false;
+    }
+
+    console.warn(
+      `Model usage budget reached (${exceeded.scope}: $${exceeded.spentUsd} of $${exceeded.limitUsd}); ` +
+      (action === 'pause' ? 'pausing exploration.' : `switching to the ${USAGE_BUDGET_FALLBACK_STRATEGY} strategy.`)
+    );
+    const payload = {
+      ...exceeded,
+      action,
+      ...(action === 'fallback' ? { strategy: USAGE_BUDGET_FALLBACK_STRATEGY } : {})
+    };
+    await this.appendRunEvent('usage_budget_exceeded', payload).catch(error => {
+      console.error('Failed to record usage budget event:', error);
+    });
+    this.broadcast('usage-budget-exceeded', payload);
+
+    if (action === 'pause') {
+      await this.stopExploration({ waitForActiveStep: false });
+      return true;
+    }
+    for (const agent of this.agents) {
+      agent.setStrategy(USAGE_BUDGET_FALLBACK_STRATEGY);
+    }
+    this.pendingSave = true;
+    return false;
+  }
+
+  getRegionCoverageSummary() {
+    return this.regionCoverage ? this.regionCoverage.getSummary(this.agent?.coverage) : null;
+  }
+
+  async getRegionCoverage() {
+    if (!(await this.ensureRegionCoverage())) {
+      return { error: 'No regions configured' };
+    }
+    return this.getRegionCoverageSummary();
+  }
+
   createStepContext({ manual = false } = {}) {
     return {
       runId: this.agent.runId,
@@ -751,12 +1051,13 @@ class GlobalExploration {
       autoMove: stepData.autoMove,
       fallbackCause: stepData.fallbackCause,
       sceneTag: stepData.sceneTag || null,
+      frontierScore: stepData.frontierScore || null,
       position: stepData.newPosition || this.agent?.currentPosition || null,
       stats: this.getStepStats(stepData)
     });
   }
 
-  async commitStepResult(stepContext, stepData) {
+  async commitStepResult(stepContext, stepData, agent = this.agent) {
     if (!this.isCurrentStepContext(stepContext)) {
       console.warn(`Suppressing stale step ${stepContext?.stepId || 'unknown'} for run ${stepContext?.runId || 'unknown'}`);
       await this.appendRunEvent('step_abandoned', {
@@ -771,13 +1072,17 @@ class GlobalExploration {
         runId: stepContext?.runId,
         epoch: stepContext?.epoch,
         stepId: stepContext?.stepId,
-        stepCount: stepContext?.stepCount
+        stepCount: stepContext?.stepCount,
+        agentId: agent?.agentId
       }).catch(error => {
         console.error('Failed to record stale step abandonment:', error);
       });
       return { committed: false };
     }
 
+    if (this.regionCoverage && stepData?.newPosition) {
+      stepData.region = this.regionCoverage.regionAt(stepData.newPosition);
+    }
     const publicStepData = this.stripInternalStepData(stepData);
 
     if (publicStepData) {
@@ -791,18 +1096,27 @@ class GlobalExploration {
       runId: stepContext.runId,
       epoch: stepContext.epoch,
       stepId: stepContext.stepId,
-      stepCount: stepData?.stepCount || this.agent.stepCount
+      stepCount: stepData?.stepCount || agent.stepCount,
+      agentId: agent.agentId
     });
 
-    this.lastCompletedStep = this.agent.stepCount;
+    if (agent === this.agent) {
+      this.lastCompletedStep = this.agent.stepCount;
+    }
     this.pendingSave = true;
     this.logCommittedStep(stepData);
+    if (stepData?.usage) {
+      await this.recordUsage(stepData.usage);
+    }
+    this.runMemory.recordStep(stepData);
+    this.regionCoverage?.update(this.agent.coverage, this.agent.stepCount);
 
     if (publicStepData) {
       const { intermediateEvents = [], ...primaryStepData } = publicStepData;
       for (const intermediateEvent of intermediateEvents) {
         this.broadcast('move-decision', {
           ...intermediateEvent,
+          agentId: agent.agentId,
           runId: stepContext.runId,
           activeEpoch: stepContext.epoch,
           stepId: stepContext.stepId,
@@ -813,19 +1127,42 @@ class GlobalExploration {
 
       this.broadcast('move-decision', {
         ...primaryStepData,
-        newPosition: stepData.newPosition || this.agent.currentPosition,
+        newPosition: stepData.newPosition || agent.currentPosition,
         stats: this.getStepStats(stepData),
         runId: stepContext.runId,
         activeEpoch: stepContext.epoch,
         stepId: stepContext.stepId,
         sequence: event?.sequence || null
       });
+      if (this.regionCoverage) {
+        this.broadcast('region-coverage', this.getRegionCoverageSummary());
+      }
     }
 
+    if (agent === this.agent && this.runMemory.isDue(agent.stepCount)) {
+      await this.condenseRunMemory(agent.stepCount);
+    }
     return { committed: true, event };
   }
 
-  async commitStepError(stepContext, error) {
+  // Folds the diary since the last summary into the run memory and logs the new summary.
+  async condenseRunMemory(step) {
+    const { summary, source, usage } = await this.runMemory.condense(
+      step,
+      context => this.agent.ai.summarizeMemory?.(context)
+    );
+    console.log(`🧠 Run memory summarized at step ${step} (${source})`);
+    if (usage) {
+      await this.recordUsage(usage);
+    }
+    await this.appendRunEvent('memory_summarized', { summary, summarizedAtStep: step, source, usage }, { stepCount: step })
+      .catch(error => {
+        console.error('Failed to record run memory summary:', error);
+      });
+    this.pendingSave = true;
+  }
+
+  async commitStepError(stepContext, error, agent = this.agent) {
     const isCurrent = this.isCurrentStepContext(stepContext);
     const type = isCurrent ? 'step_failed' : 'step_abandoned';
     await this.appendRunEvent(type, {
@@ -836,7 +1173,8 @@ class GlobalExploration {
       runId: stepContext?.runId,
       epoch: stepContext?.epoch,
       stepId: stepContext?.stepId,
-      stepCount: stepContext?.stepCount
+      stepCount: agent && agent !== this.agent ? agent.stepCount : stepContext?.stepCount,
+      agentId: agent?.agentId
     }).catch(logError => {
       console.error(`Failed to record ${type}:`, logError);
     });
@@ -847,6 +1185,7 @@ class GlobalExploration {
     this.activeStepId = stepContext.stepId;
     this.stepStatus = 'running';
     this.isStepPipelineActive = true;
+    const endStep = stepSeconds.startTimer();
 
     try {
       await this.appendRunEvent('step_started', {
@@ -861,10 +1200,32 @@ class GlobalExploration {
         stepCount: stepContext.stepCount
       });
 
-      const stepData = await this.agent.exploreStep();
-      const commitResult = await this.commitStepResult(stepContext, stepData);
+      // Every agent takes its step at once; results are committed primary first, in agent order.
+      const agents = this.agents;
+      const [primary, ...others] = await Promise.allSettled(agents.map(agent => agent.exploreStep()));
+      const withAgentId = (agent, data) => (data ? { agentId: agent.agentId, ...data } : data);
+
+      const stepData = primary.status === 'fulfilled' ? withAgentId(this.agent, primary.value) : null;
+      const commitResult = primary.status === 'fulfilled'
+        ? await this.commitStepResult(stepContext, stepData)
+        : null;
+      for (const [index, result] of others.entries()) {
+        const agent = agents[index + 1];
+        if (result.status === 'rejected') {
+          // One agent failing its step does not hold up the others.
+          console.error(`Step failed for ${agent.agentId}:`, result.reason?.message || result.reason);
+          await this.commitStepError(stepContext, result.reason, agent);
+        } else if (result.value) {
+          await this.commitStepResult(stepContext, withAgentId(agent, result.value), agent);
+        }
+      }
+      if (primary.status === 'rejected') {
+        throw primary.reason;
+      }
+      endStep({ outcome: 'ok' });
       return { stepData, ...commitResult };
     } catch (error) {
+      endStep({ outcome: 'error' });
       if (this.activeStepId === stepContext.stepId) {
         this.stepStatus = 'error';
       }
@@ -903,6 +1264,15 @@ class GlobalExploration {
       if (!this.agent) {
         await this.initialize();
       }
+
+      const unpriced = this.checkUnpricedBudget();
+      if (unpriced) {
+        return { error: unpriced };
+      }
+      const exceeded = this.usageBudget.action === 'pause' ? await this.checkUsageBudget() : null;
+      if (exceeded) {
+        return { error: describeExceededBudget(exceeded) };
+      }
     } catch (error) {
       this.isExploring = false;
       return { error: error.message };
@@ -916,7 +1286,8 @@ class GlobalExploration {
     await this.appendRunEvent('run_started', {
       resumed: !!resumeResult?.success,
       startPanoId: this.agent.currentPanoId,
-      startPosition: this.agent.currentPosition
+      startPosition: this.agent.currentPosition,
+      vision: this.agent.ai.describeProvider?.() || null
     });
     this.pendingSave = true;
     await this.saveState(true);
@@ -956,6 +1327,9 @@ class GlobalExploration {
       }
 
       try {
+        if (await this.enforceUsageBudget()) {
+          return;
+        }
         const { stepData, committed } = await this.runCommittedStep();
         if (!committed) {
           return;
@@ -1080,7 +1454,8 @@ class GlobalExploration {
       await this.appendRunEvent('run_started', {
         manual: true,
         startPanoId: this.agent.currentPanoId,
-        startPosition: this.agent.currentPosition
+        startPosition: this.agent.currentPosition,
+        vision: this.agent.ai.describeProvider?.() || null
       });
       this.broadcast('exploration-started', {
         startLocation: START_LOCATION,
@@ -1090,6 +1465,16 @@ class GlobalExploration {
       this.activeEpoch += 1;
     }
 
+    const unpriced = this.checkUnpricedBudget();
+    if (unpriced) {
+      return { error: unpriced };
+    }
+    const exceeded = await this.checkUsageBudget();
+    if (exceeded && this.usageBudget.action === 'pause') {
+      return { error: describeExceededBudget(exceeded) };
+    }
+    await this.enforceUsageBudget();
+
     try {
       const { committed } = await this.runCommittedStep({ manual: true });
       if (!committed) {
@@ -1124,6 +1509,79 @@ class GlobalExploration {
     return { success: true, stepCount: this.agent?.stepCount || 0 };
   }
 
+  async setDestination(destination = {}, options = {}) {
+    if (!options.skipLock) {
+      return this.withLifecycleLock('Set destination', () =>
+        this.setDestination(destination, { ...options, skipLock: true })
+      );
+    }
+
+    if (!this.agent) {
+      await this.initialize();
+    }
+
+    let status;
+    try {
+      status = await this.agent.setDestination(destination);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    await this.appendRunEvent(status.status === 'active' ? 'destination_set' : 'destination_cleared', {
+      destination: status
+    }, { stepCount: this.agent.stepCount });
+    this.pendingSave = true;
+    this.broadcast('destination-updated', { destination: status });
+    return { success: true, destination: status };
+  }
+
+  async clearDestination(options = {}) {
+    if (!options.skipLock) {
+      return this.withLifecycleLock('Clear destination', () =>
+        this.clearDestination({ ...options, skipLock: true })
+      );
+    }
+
+    const status = this.agent?.clearDestination() || null;
+    if (!status) {
+      return { success: true, destination: null };
+    }
+
+    await this.appendRunEvent('destination_cleared', {
+      destination: status
+    }, { stepCount: this.agent.stepCount });
+    this.pendingSave = true;
+    this.broadcast('destination-updated', { destination: status });
+    return { success: true, destination: status };
+  }
+
+  async setFrontierWeights(weights = null, options = {}) {
+    if (!options.skipLock) {
+      return this.withLifecycleLock('Set frontier weights', () =>
+        this.setFrontierWeights(weights, { ...options, skipLock: true })
+      );
+    }
+
+    if (!this.agent) {
+      await this.initialize();
+    }
+
+    let frontierWeights;
+    try {
+      frontierWeights = this.agent.setFrontierWeights(weights);
+    } catch (error) {
+      return { error: error.message };
+    }
+    for (const agent of this.additionalAgents) {
+      agent.setFrontierWeights(frontierWeights);
+    }
+
+    await this.appendRunEvent('frontier_weights_set', { frontierWeights }, { stepCount: this.agent.stepCount });
+    this.pendingSave = true;
+    this.broadcast('frontier-weights-updated', { runId: this.getRunId(), frontierWeights });
+    return { success: true, frontierWeights };
+  }
+
   async resetExploration(options = {}) {
     if (!options.skipLock) {
       return this.withLifecycleLock('Reset exploration', () =>
@@ -1137,7 +1595,7 @@ class GlobalExploration {
     }
 
     // Clean up all screenshots from the current run before resetting
-    if (this.agent && this.agent.runId) {
+    if (this.agent && this.agent.runId && !options.keepScreenshots) {
       try {
         const runDir = path.join(ROOT_DIR, 'runs', 'shots', this.agent.runId);
         if (fs.existsSync(runDir)) {
@@ -1158,6 +1616,9 @@ class GlobalExploration {
     this.lastSnapshotAt = null;
     this.lastCompletedStep = 0;
     this.restoreSource = 'reset';
+    this.forkedFrom = null;
+    this.runUsage = emptyUsage();
+    this.runMemory.reset();
     this.activeEpoch += 1;
     this.activeStepId = null;
     this.stepStatus = 'idle';
@@ -1170,7 +1631,18 @@ class GlobalExploration {
 
     // Reset the agent
     if (this.agent) {
-      await this.agent.reset();
+      await this.agent.reset(options.start || {});
+      this.agent.setFrontierWeights(options.frontierWeights ?? null);
+      this.agent.setStrategy(options.strategy ?? null);
+      this.agent.setVisionConfig(options.vision ?? null);
+      for (const agent of this.additionalAgents) {
+        agent.setRunId(this.agent.runId);
+        await agent.reset();
+        agent.setFrontierWeights(this.agent.frontierWeights);
+        agent.setStrategy(this.agent.strategy.name);
+        agent.setVisionConfig(this.agent.visionConfig);
+      }
+      this.regionCoverage?.rebuild(this.agent.coverage, { fallbackStep: this.agent.stepCount });
       this.lastSaveStep = 0;
       await this.appendRunEvent('run_reset', {
         snapshot: this.createSaveSnapshot()
@@ -1178,6 +1650,11 @@ class GlobalExploration {
       this.pendingSave = true;
       this.allowEmptySaveOnce = true;
       await this.saveState(true);
+      await this.runStore.registerRun(this.agent.runId, {
+        name: options.name || null,
+        startLocation: this.agent.currentPosition,
+        startPanoId: this.agent.currentPanoId
+      }).catch(error => console.warn('Failed to register run in catalog:', error.message));
     } else {
       await fsp.rm(this.getSavePath(), { force: true });
     }
@@ -1188,10 +1665,184 @@ class GlobalExploration {
     // Create new persistent log file
     this.persistentLogger = this.createPersistentLogger();
 
-    this.broadcast('exploration-reset', {});
+    this.broadcast('exploration-reset', {
+      runId: this.getRunId(),
+      regionCoverage: this.getRegionCoverageSummary(),
+      agents: this.getAgentStates()
+    });
     return { success: true };
   }
 
+  async listRuns() {
+    const runs = await this.runStore.listRuns({ activeRunId: this.getRunId() });
+    return runs.map(run => {
+      if (run.runId !== this.getRunId()) return run;
+      const stats = this.agent.coverage.getStats();
+      return {
+        ...run,
+        stepCount: this.agent.stepCount,
+        distanceTraveled: stats.distanceTraveled,
+        locationsVisited: stats.locationsVisited,
+        lastPosition: this.agent.currentPosition,
+        isExploring: this.isExploring
+      };
+    });
+  }
+
+  async broadcastRunCatalog() {
+    try {
+      this.broadcast('run-catalog', { runs: await this.listRuns() });
+    } catch (error) {
+      console.warn('Failed to broadcast run catalog:', error.message);
+    }
+  }
+
+  // Start a new run at a chosen point. The previous run keeps its snapshot, events and screenshots.
+  async createRun({ lat, lng, panoId = null, name = null, frontierWeights = null, strategy = null, vision = null } = {}, options = {}) {
+    if (!options.skipLock) {
+      return this.withLifecycleLock('Create run', () =>
+        this.createRun({ lat, lng, panoId, name, frontierWeights, strategy, vision }, { ...options, skipLock: true })
+      );
+    }
+
+    const position = Number.isFinite(Number(lat)) && Number.isFinite(Number(lng))
+      ? { lat: Number(lat), lng: Number(lng) }
+      : null;
+    if (!panoId && !position) {
+      return { error: 'A new run needs a start panoId or lat/lng' };
+    }
+    try {
+      if (frontierWeights) parseFrontierWeights(frontierWeights);
+      if (strategy) createExplorationStrategy(strategy);
+      parseVisionConfig(vision);
+    } catch (error) {
+      return { error: error.message };
+    }
+
+    if (!this.agent) {
+      await this.initialize();
+    }
+    if (position && this.agent.geofence && !this.agent.geofence.contains(position)) {
+      return { error: 'Run start is outside the run boundary' };
+    }
+
+    const resetResult = await this.resetExploration({
+      skipLock: true,
+      keepScreenshots: true,
+      start: { position, panoId },
+      name: typeof name === 'string' && name.trim() ? name.trim() : null,
+      frontierWeights,
+      strategy,
+      vision
+    });
+    if (resetResult?.error) {
+      return resetResult;
+    }
+
+    try {
+      const run = await this.runStore.setActiveRun(this.agent.runId);
+      console.log(`🆕 Created run ${run.runId} at ${this.agent.currentPanoId}`);
+      await this.broadcastRunCatalog();
+      return { success: true, run };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  async switchRun(runId, options = {}) {
+    if (!options.skipLock) {
+      return this.withLifecycleLock('Switch run', () =>
+        this.switchRun(runId, { ...options, skipLock: true })
+      );
+    }
+
+    if (!runId) {
+      return { error: 'runId is required' };
+    }
+    if (!isValidRunId(runId)) {
+      return { error: 'Invalid run id' };
+    }
+    if (!(await this.runStore.readSnapshot(runId))) {
+      return { error: `Unknown run ${runId}` };
+    }
+    if (runId !== this.getRunId()) {
+      // Flush the outgoing run first; loadState deliberately skips that save.
+      const stopResult = await this.stopExploration({ skipLock: true });
+      if (stopResult?.error) {
+        return stopResult;
+      }
+      const loadResult = await this.loadState({ runId, skipLock: true });
+      if (loadResult?.error) {
+        return loadResult;
+      }
+    }
+
+    try {
+      const run = await this.runStore.setActiveRun(runId);
+      console.log(`🔀 Switched to run ${runId}`);
+      await this.broadcastRunCatalog();
+      return { success: true, run };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  // Branch off a run at a past step into a new run; the parent keeps its full history.
+  // A fork can take another strategy or vision model to compare policies from the same point of the same graph.
+  async forkRun({ runId = null, stepCount, name = null, activate = true, strategy = null, vision = null } = {}, options = {}) {
+    if (!options.skipLock) {
+      return this.withLifecycleLock('Fork run', () =>
+        this.forkRun({ runId, stepCount, name, activate, strategy, vision }, { ...options, skipLock: true })
+      );
+    }
+
+    const parentRunId = runId || this.getRunId();
+    if (!parentRunId) {
+      return { error: 'runId is required' };
+    }
+    if (!isValidRunId(parentRunId)) {
+      return { error: 'Invalid run id' };
+    }
+
+    let run;
+    try {
+      run = await this.runStore.forkRun(parentRunId, Number(stepCount), {
+        name: typeof name === 'string' && name.trim() ? name.trim() : null,
+        strategy: strategy ? createExplorationStrategy(strategy).name : null,
+        vision: parseVisionConfig(vision)
+      });
+    } catch (error) {
+      return { error: error.message };
+    }
+    console.log(`🌿 Forked run ${parentRunId} at step ${run.forkedAtStep} into ${run.runId}`);
+
+    if (activate === false) {
+      await this.broadcastRunCatalog();
+      return { success: true, run };
+    }
+    return this.switchRun(run.runId, { skipLock: true });
+  }
+
+  async archiveRun(runId) {
+    if (!runId) {
+      return { error: 'runId is required' };
+    }
+    if (!isValidRunId(runId)) {
+      return { error: 'Invalid run id' };
+    }
+    if (runId === this.getRunId()) {
+      return { error: 'Cannot archive the active run' };
+    }
+
+    try {
+      const run = await this.runStore.archiveRun(runId);
+      await this.broadcastRunCatalog();
+      return { success: true, run };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
   addToHistory(stepData) {
     // stepData.screenshots already contains thumbnail URLs without base64
     // Just store it as-is since base64 was already removed in explorationAgent
@@ -1245,6 +1896,7 @@ class GlobalExploration {
         'runs',
         'shots',
         this.agent.runId,
+        ...(entry.agentId && entry.agentId !== this.agent.agentId ? [entry.agentId] : []),
         entry.stepCount.toString()
       );
 
@@ -1252,7 +1904,7 @@ class GlobalExploration {
       if (fs.existsSync(stepDir)) {
         // Remove the entire step directory
         fs.rmSync(stepDir, { recursive: true, force: true });
-        console.log(`Cleaned up screenshots for step ${entry.stepCount}`);
+        console.log(`Cleaned up screenshots for step ${entry.stepCount}${entry.agentId ? ` (${entry.agentId})` : ''}`);
       }
     } catch (error) {
       console.error(`Error cleaning up screenshots for step ${entry.stepCount}:`, error);
@@ -1286,10 +1938,18 @@ class GlobalExploration {
         lat: node.lat,
         lng: node.lng,
         panoId: id,
+        ...(node.agentId ? { agentId: node.agentId } : {}),
         timestamp: node.timestamp
       }));
 
-    const fullPath = this.simplifyPath(originalPath);
+    // Each agent's path is simplified on its own so lines never jump between agents.
+    const pathsByAgent = new Map();
+    for (const point of originalPath) {
+      const agentPath = pathsByAgent.get(point.agentId);
+      if (agentPath) agentPath.push(point);
+      else pathsByAgent.set(point.agentId, [point]);
+    }
+    const fullPath = [...pathsByAgent.values()].flatMap(agentPath => this.simplifyPath(agentPath));
     this.fullPathCache = {
       stepCount: this.agent.stepCount,
       generatedAt: now,
@@ -1330,7 +1990,16 @@ class GlobalExploration {
       lastEventSequence: this.lastEventSequence,
       lastSnapshotSequence: this.lastSnapshotSequence,
       restoreSource: this.restoreSource,
-      recentHistory: this.getRecentHistory()
+      recentHistory: this.getRecentHistory(),
+      destination: this.agent.getDestinationStatus(),
+      geofence: this.agent.geofence?.toGeoJSON() || null,
+      regionCoverage: this.getRegionCoverageSummary(),
+      forkedFrom: this.forkedFrom,
+      strategy: this.agent.strategy.name,
+      usage: this.runUsage,
+      intent: this.agent.intentPlanner.toJSON(),
+      memory: this.runMemory.overview(),
+      agents: this.getAgentStates()
     };
 
     if (includeFullPath) {
@@ -1361,12 +2030,31 @@ class GlobalExploration {
       consecutiveStepErrors: this.consecutiveStepErrors,
       restoreSource: this.restoreSource,
       stepCount: this.agent ? this.agent.stepCount : 0,
+      agentCount: this.agents.length,
       locationsVisited: stats.locationsVisited,
       distanceTraveled: stats.distanceTraveled,
-      pathLength: stats.pathLength
+      pathLength: stats.pathLength,
+      costUsd: this.runUsage.costUsd
     };
   }
 
+  // Refreshes the point-in-time gauges and returns every worker-side family for the supervisor.
+  getMetricFamilies() {
+    const runId = this.agent ? this.agent.runId : null;
+    const logBytes = runId ? this.runStore.getEventLogSize(runId) : null;
+    if (logBytes === null) eventLogBytes.clear();
+    else eventLogBytes.set(logBytes);
+    if (this.lastSnapshotAt) snapshotAgeSeconds.set((Date.now() - this.lastSnapshotAt) / 1000);
+    else snapshotAgeSeconds.clear();
+    agentsGauge.set(this.agents.length);
+    runCostUsd.set(this.runUsage.costUsd);
+    if (this.dailyUsage) dailyCostUsd.set(this.dailyUsage.get().costUsd);
+    for (const [scope, limit] of [['run', this.usageBudget.runUsd], ['daily', this.usageBudget.dailyUsd]]) {
+      if (limit !== null) usageBudgetUsd.set({ scope }, limit);
+    }
+    return metrics.collect();
+  }
+
   async renderTile(z, x, y, { tileVersion = null } = {}) {
     if (!this.agent || !this.agent.coverage) {
       return emptyTilePng();
@@ -1524,20 +2212,25 @@ function emptyTilePng() {
   return EMPTY_TILE_PNG;
 }
 
-function toTileBuffer(tile) {
+function toTileBuffer(tile, empty = null) {
   if (Buffer.isBuffer(tile)) return tile;
   if (tile?.type === 'Buffer' && Array.isArray(tile.data)) return Buffer.from(tile.data);
   if (ArrayBuffer.isView(tile)) return Buffer.from(tile.buffer, tile.byteOffset, tile.byteLength);
   if (tile instanceof ArrayBuffer) return Buffer.from(tile);
-  return emptyTilePng();
+  return empty || emptyTilePng();
 }
 
-async function sendCompressedJson(req, res, payload, {
+async function sendCompressedJson(req, res, payload, options = {}) {
+  await sendCompressedBody(req, res, JSON.stringify(payload), { ...options, contentType: 'application/json' });
+}
+
+async function sendCompressedBody(req, res, text, {
+  contentType,
   cacheControl = 'private, max-age=15'
 } = {}) {
-  const body = Buffer.from(JSON.stringify(payload));
+  const body = Buffer.from(text);
   res
-    .type('application/json')
+    .type(contentType)
     .set('Cache-Control', cacheControl)
     .set('Vary', 'Accept-Encoding');
 
@@ -1555,18 +2248,27 @@ async function sendCompressedJson(req, res, payload, {
     .send(body);
 }
 
-// Raster tiles for archived path
-app.get('/tiles/:z/:x/:y.png', async (req, res) => {
-  const z = parseInt(req.params.z, 10);
-  const x = parseInt(req.params.x, 10);
-  const y = parseInt(req.params.y, 10);
+function parseTileCoordinates(params) {
+  const z = parseInt(params.z, 10);
+  const x = parseInt(params.x, 10);
+  const y = parseInt(params.y, 10);
   const maxTile = Math.pow(2, z);
   if (
     !Number.isFinite(z) || !Number.isFinite(x) || !Number.isFinite(y) ||
     z < 0 || z > 22 || x < 0 || y < 0 || x >= maxTile || y >= maxTile
   ) {
+    return null;
+  }
+  return { z, x, y };
+}
+
+// Raster tiles for archived path
+app.get('/tiles/:z/:x/:y.png', async (req, res) => {
+  const coordinates = parseTileCoordinates(req.params);
+  if (!coordinates) {
     return res.status(400).send('bad tile');
   }
+  const { z, x, y } = coordinates;
 
   try {
     const tile = await globalExploration.renderTile(z, x, y, {
@@ -1586,6 +2288,54 @@ app.get('/tiles/:z/:x/:y.png', async (req, res) => {
   }
 });
 
+// Vector tiles for the same archived path, one feature per segment so clients can style by mode or age
+app.get('/tiles/:z/:x/:y.mvt', async (req, res) => {
+  const coordinates = parseTileCoordinates(req.params);
+  if (!coordinates) {
+    return res.status(400).send('bad tile');
+  }
+  const { z, x, y } = coordinates;
+
+  try {
+    const tile = await globalExploration.renderVectorTile(z, x, y, {
+      tileVersion: req.query.v
+    });
+    await sendCompressedBody(req, res, toTileBuffer(tile, Buffer.alloc(0)), {
+      contentType: VECTOR_TILE_CONTENT_TYPE,
+      cacheControl: 'public, max-age=31536000, immutable'
+    });
+  } catch (error) {
+    console.warn(`Failed to render archive vector tile ${z}/${x}/${y}: ${error.message}`);
+    res
+      .set('Cache-Control', 'public, max-age=30')
+      .type(VECTOR_TILE_CONTENT_TYPE)
+      .send(Buffer.alloc(0));
+  }
+});
+
+// Visit density of the whole run as vector points for a heatmap layer
+app.get('/tiles/heatmap/:z/:x/:y.mvt', async (req, res) => {
+  const coordinates = parseTileCoordinates(req.params);
+  if (!coordinates) {
+    return res.status(400).send('bad tile');
+  }
+  const { z, x, y } = coordinates;
+
+  try {
+    const tile = await globalExploration.renderHeatmapTile(z, x, y);
+    await sendCompressedBody(req, res, toTileBuffer(tile, Buffer.alloc(0)), {
+      contentType: VECTOR_TILE_CONTENT_TYPE,
+      cacheControl: 'public, max-age=60'
+    });
+  } catch (error) {
+    console.warn(`Failed to render heatmap tile ${z}/${x}/${y}: ${error.message}`);
+    res
+      .set('Cache-Control', 'public, max-age=30')
+      .type(VECTOR_TILE_CONTENT_TYPE)
+      .send(Buffer.alloc(0));
+  }
+});
+
 app.get('/api/path-vectors', async (req, res) => {
   try {
     const runId = typeof req.query.runId === 'string' ? req.query.runId : null;
@@ -1642,13 +2392,171 @@ app.get('/api/path-vectors.bin', async (req, res) => {
   }
 });
 
+// Run catalog: list runs, start a new one, switch the active run, archive old ones
+const adminOnly = requireAdmin(verifyAdminToken);
+
+// Run ids become directory names under the data dir
+app.param('runId', (req, res, next, runId) => {
+  if (!isValidRunId(runId)) {
+    return sendApiError(res, 400, 'invalid_request', 'Invalid run id');
+  }
+  next();
+});
+
+app.get('/api/runs', async (req, res) => {
+  try {
+    res.json({ runs: await globalExploration.listRuns() });
+  } catch (error) {
+    console.warn(`Failed to list runs: ${error.message}`);
+    sendCommandFailure(res, error, 'Failed to list runs');
+  }
+});
+
+app.post('/api/runs', express.json(), adminOnly, async (req, res) => {
+  try {
+    const { lat, lng, panoId, name, frontierWeights, strategy, vision } = req.body || {};
+    sendCommandResult(res, await globalExploration.createRun({ lat, lng, panoId, name, frontierWeights, strategy, vision }));
+  } catch (error) {
+    console.error('Create run error:', error);
+    sendCommandFailure(res, error, 'Failed to create run');
+  }
+});
+
+app.post('/api/runs/:runId/activate', express.json(), adminOnly, async (req, res) => {
+  try {
+    sendCommandResult(res, await globalExploration.switchRun(req.params.runId));
+  } catch (error) {
+    console.error('Switch run error:', error);
+    sendCommandFailure(res, error, 'Failed to switch run');
+  }
+});
+
+app.post('/api/runs/:runId/fork', express.json(), adminOnly, async (req, res) => {
+  try {
+    const { stepCount, name, activate, strategy, vision } = req.body || {};
+    sendCommandResult(res, await globalExploration.forkRun({
+      runId: req.params.runId,
+      stepCount,
+      name,
+      activate,
+      strategy,
+      vision
+    }));
+  } catch (error) {
+    console.error('Fork run error:', error);
+    sendCommandFailure(res, error, 'Failed to fork run');
+  }
+});
+
+app.get('/api/runs/:runId/events', async (req, res) => {
+  const types = typeof req.query.types === 'string'
+    ? req.query.types.split(',').map(type => type.trim()).filter(Boolean)
+    : null;
+  try {
+    const page = await globalExploration.getRunEvents(req.params.runId, {
+      afterSequence: Number(req.query.afterSequence) || 0,
+      fromStep: Number(req.query.fromStep) || 0,
+      limit: Number(req.query.limit) || undefined,
+      types,
+      agentId: typeof req.query.agentId === 'string' && req.query.agentId ? req.query.agentId : null
+    });
+    await sendCompressedJson(req, res, page, {
+      cacheControl: 'private, max-age=5'
+    });
+  } catch (error) {
+    console.warn(`Failed to read events for run ${req.params.runId}: ${error.message}`);
+    sendApiError(res, 500, 'internal_error', 'Failed to read run events');
+  }
+});
+
+app.get('/api/runs/:runId/path', async (req, res) => {
+  try {
+    const branch = await globalExploration.getRunPath(req.params.runId);
+    await sendCompressedJson(req, res, branch, {
+      cacheControl: 'private, max-age=15'
+    });
+  } catch (error) {
+    console.warn(`Failed to prepare path for run ${req.params.runId}: ${error.message}`);
+    sendApiError(res, 500, 'internal_error', 'Failed to prepare run path');
+  }
+});
+
+app.get('/api/runs/:runId/export/:format', async (req, res) => {
+  try {
+    const exported = await globalExploration.exportRun(req.params.runId, req.params.format);
+    res.attachment(exported.filename);
+    await sendCompressedBody(req, res, exported.body, {
+      contentType: exported.contentType,
+      cacheControl: 'private, max-age=15'
+    });
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return sendApiError(res, 404, 'not_found', error.message);
+    }
+    if (error.statusCode === 400) {
+      return sendApiError(res, 400, 'invalid_request', error.message);
+    }
+    console.warn(`Failed to export run ${req.params.runId}: ${error.message}`);
+    sendApiError(res, 500, 'internal_error', 'Failed to export run');
+  }
+});
+
+app.get('/api/regions', async (req, res) => {
+  try {
+    sendCommandResult(res, await globalExploration.getRegionCoverage());
+  } catch (error) {
+    console.warn(`Failed to read region coverage: ${error.message}`);
+    sendCommandFailure(res, error, 'Failed to read region coverage');
+  }
+});
+
+app.get('/api/usage', async (req, res) => {
+  try {
+    sendCommandResult(res, await globalExploration.getUsage());
+  } catch (error) {
+    console.warn(`Failed to read model usage: ${error.message}`);
+    sendCommandFailure(res, error, 'Failed to read model usage');
+  }
+});
+
+app.post('/api/runs/:runId/archive', express.json(), adminOnly, async (req, res) => {
+  try {
+    sendCommandResult(res, await globalExploration.archiveRun(req.params.runId));
+  } catch (error) {
+    console.error('Archive run error:', error);
+    sendCommandFailure(res, error, 'Failed to archive run');
+  }
+});
+
+// Broadcast feed for consumers that do not speak Socket.IO; webhooks are set with EVENT_WEBHOOKS
+app.get('/api/events', (req, res) => globalExploration.streamEvents(req, res));
+
+// Scriptable control: the Socket.IO admin commands over HTTP, described by /api/openapi.json
+app.use('/api/control', createControlRouter({ exploration: globalExploration, verifyAdminToken }));
+
+const openApiDocument = buildOpenApiDocument({
+  version: JSON.parse(fs.readFileSync(join(ROOT_DIR, 'package.json'), 'utf8')).version
+});
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
 // Lightweight health and metrics endpoints
 app.get('/healthz', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Prometheus text by default, OpenMetrics when the scraper asks for it, and the older JSON
+// summary with `Accept: application/json` or `?format=json`
 app.get('/metrics', (req, res) => {
-  res.json(globalExploration.getMetrics());
+  const format = req.query.format || req.accepts(['text/plain', 'application/openmetrics-text', 'application/json']);
+  if (format === 'json' || format === 'application/json') {
+    return res.json(globalExploration.getMetrics());
+  }
+  const openMetrics = format === 'openmetrics' || format === 'application/openmetrics-text';
+  res
+    .set('Content-Type', openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE)
+    .send(globalExploration.getPrometheusMetrics({ openMetrics }));
 });
 
 const ADMIN_TOKEN_TTL_MS = 60 * 60 * 1000;
@@ -1756,7 +2664,8 @@ function sendWorkerMetrics() {
   try {
     sendWorkerMessage({
       kind: 'metrics',
-      data: globalExploration.getMetrics()
+      data: globalExploration.getMetrics(),
+      metricFamilies: globalExploration.getMetricFamilies()
     });
   } catch (error) {
     sendWorkerMessage({
@@ -1825,8 +2734,8 @@ async function shutdownWorkerRuntime() {
     await globalExploration.saveState(true);
   }
   await globalExploration._logQueue;
-  if (globalExploration.agent) {
-    await globalExploration.agent.close();
+  for (const agent of globalExploration.agents) {
+    await agent.close();
   }
   return stopResult?.error ? stopResult : { success: true };
 }
@@ -1847,6 +2756,22 @@ async function dispatchWorkerCommand(command, payload = {}) {
       return globalExploration.loadState();
     case 'saveNow':
       return globalExploration.saveNow();
+    case 'setDestination':
+      return globalExploration.setDestination(payload);
+    case 'clearDestination':
+      return globalExploration.clearDestination();
+    case 'setFrontierWeights':
+      return globalExploration.setFrontierWeights(payload.frontierWeights);
+    case 'listRuns':
+      return globalExploration.listRuns();
+    case 'createRun':
+      return globalExploration.createRun(payload);
+    case 'switchRun':
+      return globalExploration.switchRun(payload.runId);
+    case 'archiveRun':
+      return globalExploration.archiveRun(payload.runId);
+    case 'forkRun':
+      return globalExploration.forkRun(payload);
     case 'getState':
       return globalExploration.getCurrentState({
         includeFullPath: payload.includeFullPath !== false
@@ -1855,6 +2780,10 @@ async function dispatchWorkerCommand(command, payload = {}) {
       return { fullPath: globalExploration.getFullPathForInitialLoad() };
     case 'getMetrics':
       return globalExploration.getMetrics();
+    case 'getRegionCoverage':
+      return globalExploration.getRegionCoverage();
+    case 'getUsage':
+      return globalExploration.getUsage();
     case 'renderTile':
       return globalExploration.renderTile(payload.z, payload.x, payload.y, {
         tileVersion: payload.tileVersion
@@ -1872,7 +2801,8 @@ function runWorkerProcess() {
     sendWorkerMessage({
       kind: 'heartbeat',
       data: { pid: process.pid, timestamp: new Date().toISOString() },
-      metrics: globalExploration.getMetrics()
+      metrics: globalExploration.getMetrics(),
+      metricFamilies: globalExploration.getMetricFamilies()
     });
   }, heartbeatIntervalMs);
 
@@ -1930,7 +2860,8 @@ function runWorkerProcess() {
   sendWorkerMessage({
     kind: 'heartbeat',
     data: { pid: process.pid, timestamp: new Date().toISOString() },
-    metrics: globalExploration.getMetrics()
+    metrics: globalExploration.getMetrics(),
+    metricFamilies: globalExploration.getMetricFamilies()
   });
 }
 
@@ -2062,6 +2993,137 @@ io.on('connection', (socket) => {
     }
   });
 
+  socket.on('set-destination', async (data) => {
+    const token = data?.token;
+    if (!verifyAdminToken(token)) {
+      socket.emit('error', { message: 'Admin authentication required' });
+      return;
+    }
+    try {
+      const { token: _token, ...destination } = data;
+      const result = await globalExploration.setDestination(destination);
+      if (result?.error) {
+        socket.emit('error', { message: result.error });
+      }
+    } catch (e) {
+      console.error('Set destination error:', e);
+      socket.emit('error', { message: 'Failed to set destination' });
+    }
+  });
+
+  socket.on('set-frontier-weights', async (data) => {
+    const token = data?.token;
+    if (!verifyAdminToken(token)) {
+      socket.emit('error', { message: 'Admin authentication required' });
+      return;
+    }
+    try {
+      const result = await globalExploration.setFrontierWeights(data.frontierWeights ?? null);
+      if (result?.error) {
+        socket.emit('error', { message: result.error });
+      }
+    } catch (e) {
+      console.error('Set frontier weights error:', e);
+      socket.emit('error', { message: 'Failed to set frontier weights' });
+    }
+  });
+
+  socket.on('clear-destination', async (data) => {
+    const token = data?.token;
+    if (!verifyAdminToken(token)) {
+      socket.emit('error', { message: 'Admin authentication required' });
+      return;
+    }
+    try {
+      const result = await globalExploration.clearDestination();
+      if (result?.error) {
+        socket.emit('error', { message: result.error });
+      }
+    } catch (e) {
+      console.error('Clear destination error:', e);
+      socket.emit('error', { message: 'Failed to clear destination' });
+    }
+  });
+
+  socket.on('list-runs', async () => {
+    try {
+      socket.emit('run-catalog', { runs: await globalExploration.listRuns() });
+    } catch (e) {
+      console.error('List runs error:', e);
+      socket.emit('error', { message: 'Failed to list runs' });
+    }
+  });
+
+  socket.on('create-run', async (data) => {
+    const token = data?.token;
+    if (!verifyAdminToken(token)) {
+      socket.emit('error', { message: 'Admin authentication required' });
+      return;
+    }
+    try {
+      const { token: _token, ...start } = data;
+      const result = await globalExploration.createRun(start);
+      if (result?.error) {
+        socket.emit('error', { message: result.error });
+      }
+    } catch (e) {
+      console.error('Create run error:', e);
+      socket.emit('error', { message: 'Failed to create run' });
+    }
+  });
+
+  socket.on('switch-run', async (data) => {
+    const token = data?.token;
+    if (!verifyAdminToken(token)) {
+      socket.emit('error', { message: 'Admin authentication required' });
+      return;
+    }
+    try {
+      const result = await globalExploration.switchRun(data.runId);
+      if (result?.error) {
+        socket.emit('error', { message: result.error });
+      }
+    } catch (e) {
+      console.error('Switch run error:', e);
+      socket.emit('error', { message: 'Failed to switch run' });
+    }
+  });
+
+  socket.on('fork-run', async (data) => {
+    const token = data?.token;
+    if (!verifyAdminToken(token)) {
+      socket.emit('error', { message: 'Admin authentication required' });
+      return;
+    }
+    try {
+      const { runId, stepCount, name, activate, strategy, vision } = data;
+      const result = await globalExploration.forkRun({ runId, stepCount, name, activate, strategy, vision });
+      if (result?.error) {
+        socket.emit('error', { message: result.error });
+      }
+    } catch (e) {
+      console.error('Fork run error:', e);
+      socket.emit('error', { message: 'Failed to fork run' });
+    }
+  });
+
+  socket.on('archive-run', async (data) => {
+    const token = data?.token;
+    if (!verifyAdminToken(token)) {
+      socket.emit('error', { message: 'Admin authentication required' });
+      return;
+    }
+    try {
+      const result = await globalExploration.archiveRun(data.runId);
+      if (result?.error) {
+        socket.emit('error', { message: result.error });
+      }
+    } catch (e) {
+      console.error('Archive run error:', e);
+      socket.emit('error', { message: 'Failed to archive run' });
+    }
+  });
+
   socket.on('disconnect', () => {
     globalExploration.removeClient(socket.id);
   });
@@ -2085,6 +3147,10 @@ server.listen(PORT, HOST, async () => {
   console.log(`🔐 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔑 Google Maps API: ${process.env.GOOGLE_MAPS_API_KEY ? 'Configured' : 'NOT CONFIGURED'}`);
   console.log(`🔑 OpenAI API: ${process.env.OPENAI_API_KEY ? 'Configured' : 'NOT CONFIGURED'}`);
+  console.log(`🤖 Vision provider: ${process.env.VISION_PROVIDER || 'openai'}${process.env.VISION_MODEL ? ` (${process.env.VISION_MODEL})` : ''}`);
+  console.log(`🏙️  Street View source: ${process.env.STREETVIEW_PROVIDER || 'google'}${process.env.STREETVIEW_PROVIDER === 'fixture' ? ` (${process.env.STREETVIEW_FIXTURE_DIR || 'no fixture dir'})` : ''}`);
+  console.log(`🚧 Run boundary: ${process.env.GEOFENCE_PATH || 'None'}`);
+  console.log(`🏘️ Regions: ${process.env.REGIONS_PATH || 'None'}`);
   console.log(`🔑 Admin Password: ${process.env.CONTROL_PASSWORD ? 'Configured' : 'NOT CONFIGURED'}`);
   console.log(`💾 Data directory: ${DATA_DIR}`);
 
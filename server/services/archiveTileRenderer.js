@@ -6,6 +6,15 @@ export const TILE_RENDERER_REVISION = 2;
 const TILE_PATH_CACHE_LIMIT = 256;
 const DEFAULT_TILE_VERSION_DIR_LIMIT = 20;
 
+// Path colours by agent: the first agent keeps the classic red, further agents take the next colour.
+export const AGENT_PATH_COLORS = ['#f44336', '#2196f3', '#4caf50', '#ff9800', '#9c27b0', '#00bcd4'];
+
+export function agentPathColor(agentId) {
+  const number = parseInt(String(agentId ?? '').match(/(\d+)$/)?.[1], 10);
+  const index = Number.isFinite(number) && number > 0 ? number - 1 : 0;
+  return AGENT_PATH_COLORS[index % AGENT_PATH_COLORS.length];
+}
+
 let createCanvasFn = null;
 
 async function getCreateCanvas() {
@@ -23,7 +32,7 @@ export function archiveVersionForPoints(archivedPoints) {
   return Math.max(0, Number.isFinite(Number(archivedPoints)) ? Math.floor(Number(archivedPoints)) : 0);
 }
 
-function lonLatToWorldPixels(lng, lat, z) {
+export function lonLatToWorldPixels(lng, lat, z) {
   const tile = 256;
   const scale = tile * Math.pow(2, z);
   const x = (lng + 180) / 360 * scale;
@@ -37,7 +46,7 @@ function tileYToLat(tileY, z) {
   return (180 / Math.PI) * Math.atan(Math.sinh(n));
 }
 
-function tileGeoBounds(z, x, y, marginPixels = 0) {
+export function tileGeoBounds(z, x, y, marginPixels = 0) {
   const marginTiles = marginPixels / 256;
   return {
     west: ((x - marginTiles) / Math.pow(2, z)) * 360 - 180,
@@ -47,7 +56,7 @@ function tileGeoBounds(z, x, y, marginPixels = 0) {
   };
 }
 
-function segmentIntersectsBounds(a, b, bounds) {
+export function segmentIntersectsBounds(a, b, bounds) {
   if (!a || !b) return false;
   const minLat = Math.min(a.lat, b.lat);
   const maxLat = Math.max(a.lat, b.lat);
@@ -82,18 +91,33 @@ function cacheSet(map, key, value) {
   }
 }
 
+/**
+ * Archived path to draw at zoom z. When several agents share the run, each agent's points are
+ * simplified on their own and the lines are joined with a null entry, which no segment crosses.
+ */
 export function getArchiveTilePath(sourcePath, z, archivedCount, pathCache = null) {
   const boundedArchivedCount = Math.max(0, Math.min(archiveVersionForPoints(archivedCount), sourcePath.length));
   const epsilon = archiveTileEpsilonForZoom(z);
-  if (epsilon <= 0) {
-    return sourcePath.slice(0, boundedArchivedCount);
-  }
-
   const cacheKey = `${TILE_RENDERER_REVISION}:${z}:${boundedArchivedCount}`;
   const cached = pathCache?.get(cacheKey);
   if (cached) return cached;
 
-  const simplified = simplifyPath(sourcePath.slice(0, boundedArchivedCount), epsilon);
+  const archived = sourcePath.slice(0, boundedArchivedCount);
+  const lines = new Map();
+  for (const point of archived) {
+    const line = lines.get(point.agentId);
+    if (line) line.push(point);
+    else lines.set(point.agentId, [point]);
+  }
+  if (epsilon <= 0 && lines.size <= 1) {
+    return archived;
+  }
+
+  let simplified = [];
+  for (const line of lines.values()) {
+    if (simplified.length > 0) simplified.push(null);
+    simplified = simplified.concat(epsilon > 0 ? simplifyPath(line, epsilon) : line);
+  }
   if (pathCache) {
     cacheSet(pathCache, cacheKey, simplified);
   }
@@ -129,7 +153,6 @@ export async function drawArchiveTileFromPath(sourcePath, z, x, y, {
 
   const strokeWidth = strokeWidthForZoom(z);
   ctx.lineWidth = strokeWidth;
-  ctx.strokeStyle = '#f44336';
   ctx.globalAlpha = 0.8;
   ctx.lineJoin = 'round';
   ctx.lineCap = 'round';
@@ -140,6 +163,21 @@ export async function drawArchiveTileFromPath(sourcePath, z, x, y, {
   const minPixelStep = z <= 9 ? 0.75 : z <= 12 ? 0.5 : 0.25;
   const minPixelStepSq = minPixelStep * minPixelStep;
 
+  // Each agent's line is stroked in its own colour.
+  const lines = [[]];
+  for (const point of pathArr) {
+    if (point) lines[lines.length - 1].push(point);
+    else lines.push([]);
+  }
+  for (const line of lines) {
+    ctx.strokeStyle = agentPathColor(line[0]?.agentId);
+    strokeLine(ctx, line, { z, tileOriginX, tileOriginY, bounds, minPixelStepSq });
+  }
+
+  return canvas.toBuffer('image/png');
+}
+
+function strokeLine(ctx, pathArr, { z, tileOriginX, tileOriginY, bounds, minPixelStepSq }) {
   let started = false;
   let lastDrawn = null;
   let segmentsDrawn = 0;
@@ -179,8 +217,6 @@ export async function drawArchiveTileFromPath(sourcePath, z, x, y, {
   if (segmentsDrawn > 0) {
     ctx.stroke();
   }
-
-  return canvas.toBuffer('image/png');
 }
 
 export async function pruneArchiveTileVersions(dataDir, runId, {
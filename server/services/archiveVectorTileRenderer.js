@@ -0,0 +1,270 @@
+import {
+  TILE_RENDERER_REVISION,
+  archiveVersionForPoints,
+  getArchiveTilePath,
+  lonLatToWorldPixels,
+  segmentIntersectsBounds,
+  tileGeoBounds
+} from './archiveTileRenderer.js';
+
+// Bump when the feature layout changes so cached .mvt files are not reused.
+export const VECTOR_TILE_REVISION = `${TILE_RENDERER_REVISION}-mvt1`;
+export const VECTOR_TILE_CONTENT_TYPE = 'application/vnd.mapbox-vector-tile';
+export const ARCHIVE_VECTOR_LAYER = 'archive-path';
+export const VECTOR_TILE_EXTENT = 4096;
+const VECTOR_TILE_BUFFER = 64;
+
+const GEOMETRY_TYPES = { Point: 1, LineString: 2 };
+const MOVE_TO = 1;
+const LINE_TO = 2;
+
+function zigzag(value) {
+  return value < 0 ? -2 * value - 1 : 2 * value;
+}
+
+// Just enough protobuf to write the Mapbox Vector Tile 2.1 schema.
+class ProtobufWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  varint(value) {
+    let remaining = Math.max(0, Math.floor(value));
+    while (remaining > 127) {
+      this.bytes.push((remaining % 128) | 128);
+      remaining = Math.floor(remaining / 128);
+    }
+    this.bytes.push(remaining);
+  }
+
+  tag(field, wireType) {
+    this.varint(field * 8 + wireType);
+  }
+
+  uint(field, value) {
+    this.tag(field, 0);
+    this.varint(value);
+  }
+
+  sint(field, value) {
+    this.tag(field, 0);
+    this.varint(zigzag(value));
+  }
+
+  double(field, value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleLE(value);
+    this.tag(field, 1);
+    this.#append(buffer);
+  }
+
+  string(field, value) {
+    this.bytesField(field, Buffer.from(String(value), 'utf8'));
+  }
+
+  bytesField(field, bytes) {
+    this.tag(field, 2);
+    this.varint(bytes.length);
+    this.#append(bytes);
+  }
+
+  packed(field, values) {
+    if (values.length === 0) return;
+    const inner = new ProtobufWriter();
+    for (const value of values) inner.varint(value);
+    this.bytesField(field, inner.bytes);
+  }
+
+  message(field, write) {
+    const inner = new ProtobufWriter();
+    write(inner);
+    this.bytesField(field, inner.bytes);
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+
+  #append(bytes) {
+    // Element-wise so large features do not overflow the argument limit of push(...bytes).
+    for (let i = 0; i < bytes.length; i += 1) this.bytes.push(bytes[i]);
+  }
+}
+
+function writeValue(out, value) {
+  if (typeof value === 'string') out.string(1, value);
+  else if (typeof value === 'boolean') out.uint(7, value ? 1 : 0);
+  else if (!Number.isInteger(value)) out.double(3, value);
+  else if (value < 0) out.sint(6, value);
+  else out.uint(5, value);
+}
+
+function encodeGeometry(type, geometry) {
+  const commands = [];
+  let cursorX = 0;
+  let cursorY = 0;
+  const pushPoint = ([px, py]) => {
+    commands.push(zigzag(px - cursorX), zigzag(py - cursorY));
+    cursorX = px;
+    cursorY = py;
+  };
+
+  if (type === 'Point') {
+    commands.push(MOVE_TO | (geometry.length << 3));
+    geometry.forEach(pushPoint);
+    return commands;
+  }
+
+  for (const line of geometry) {
+    if (line.length < 2) continue;
+    commands.push(MOVE_TO | (1 << 3));
+    pushPoint(line[0]);
+    commands.push(LINE_TO | ((line.length - 1) << 3));
+    line.slice(1).forEach(pushPoint);
+  }
+  return commands;
+}
+
+/**
+ * Encodes layers of tile-space features as a Mapbox Vector Tile.
+ * Features are `{ type: 'Point'|'LineString', geometry, properties, id? }` where Point geometry is
+ * a list of [x, y] and LineString geometry a list of lines; null properties are left out.
+ * @param {{name:string, extent?:number, features:object[]}[]} layers
+ * @returns {Buffer}
+ */
+export function encodeVectorTile(layers) {
+  const tile = new ProtobufWriter();
+  for (const layer of layers) {
+    if (!layer.features?.length) continue;
+    const keys = new Map();
+    const values = new Map();
+    const indexOf = (map, key, value) => {
+      if (!map.has(key)) map.set(key, { index: map.size, value });
+      return map.get(key).index;
+    };
+
+    tile.message(3, (out) => {
+      out.uint(15, 2);
+      out.string(1, layer.name);
+      for (const feature of layer.features) {
+        out.message(2, (encoded) => {
+          if (feature.id != null) encoded.uint(1, feature.id);
+          const tags = [];
+          for (const [key, value] of Object.entries(feature.properties || {})) {
+            if (value == null) continue;
+            tags.push(indexOf(keys, key, key), indexOf(values, `${typeof value}:${value}`, value));
+          }
+          encoded.packed(2, tags);
+          encoded.uint(3, GEOMETRY_TYPES[feature.type]);
+          encoded.packed(4, encodeGeometry(feature.type, feature.geometry));
+        });
+      }
+      for (const { value } of keys.values()) out.string(3, value);
+      for (const { value } of values.values()) out.message(4, encoded => writeValue(encoded, value));
+      out.uint(5, layer.extent || VECTOR_TILE_EXTENT);
+    });
+  }
+  return tile.toBuffer();
+}
+
+// Liang-Barsky: the part of a segment inside the square [min, max]², or null.
+function clipSegment([x0, y0], [x1, y1], min, max) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  let t0 = 0;
+  let t1 = 1;
+  for (const [p, q] of [[-dx, x0 - min], [dx, max - x0], [-dy, y0 - min], [dy, max - y0]]) {
+    if (p === 0) {
+      if (q < 0) return null;
+      continue;
+    }
+    const r = q / p;
+    if (p < 0) {
+      if (r > t1) return null;
+      if (r > t0) t0 = r;
+    } else {
+      if (r < t0) return null;
+      if (r < t1) t1 = r;
+    }
+  }
+  return [[x0 + t0 * dx, y0 + t0 * dy], [x0 + t1 * dx, y0 + t1 * dy]];
+}
+
+function stepOf(point) {
+  const step = Number(point?.stepCount);
+  return Number.isFinite(step) && step >= 0 ? Math.floor(step) : 0;
+}
+
+function epochSeconds(timestamp) {
+  if (timestamp == null || timestamp === '') return null;
+  const time = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+  return Number.isFinite(time) ? Math.floor(time / 1000) : null;
+}
+
+/**
+ * One LineString feature per segment of the simplified archived path that crosses the tile.
+ * A segment spans `startStep`..`endStep` and takes `mode` and `timestamp` (epoch seconds)
+ * from the step that reached its end. Segments shorter than a tile unit are folded into the next.
+ * Segments walked by an additional agent carry its `agentId`.
+ */
+export function buildArchiveVectorFeatures(sourcePath, z, x, y, {
+  archivedCount,
+  pathCache = null,
+  extent = VECTOR_TILE_EXTENT,
+  buffer = VECTOR_TILE_BUFFER
+} = {}) {
+  const boundedArchivedCount = Math.max(
+    0,
+    Math.min(archiveVersionForPoints(archivedCount ?? sourcePath.length), sourcePath.length)
+  );
+  if (boundedArchivedCount < 2) return [];
+
+  const pathArr = getArchiveTilePath(sourcePath, z, boundedArchivedCount, pathCache);
+  const scale = extent / 256;
+  const bounds = tileGeoBounds(z, x, y, buffer / scale);
+  const tileOriginX = x * 256;
+  const tileOriginY = y * 256;
+  const project = (point) => {
+    const [wx, wy] = lonLatToWorldPixels(point.lng, point.lat, z);
+    return [(wx - tileOriginX) * scale, (wy - tileOriginY) * scale];
+  };
+
+  const features = [];
+  let carriedStartStep = null;
+  for (let i = 0; i < pathArr.length - 1; i += 1) {
+    const a = pathArr[i];
+    const b = pathArr[i + 1];
+    const clipped = segmentIntersectsBounds(a, b, bounds)
+      ? clipSegment(project(a), project(b), -buffer, extent + buffer)
+      : null;
+    if (!clipped) {
+      carriedStartStep = null;
+      continue;
+    }
+
+    const [start, end] = clipped.map(([px, py]) => [Math.round(px), Math.round(py)]);
+    const startStep = carriedStartStep ?? stepOf(a);
+    if (start[0] === end[0] && start[1] === end[1]) {
+      carriedStartStep = startStep;
+      continue;
+    }
+    carriedStartStep = null;
+    features.push({
+      type: 'LineString',
+      geometry: [[start, end]],
+      properties: {
+        startStep,
+        endStep: stepOf(b),
+        mode: b.mode || null,
+        timestamp: epochSeconds(b.timestamp),
+        ...(b.agentId ? { agentId: b.agentId } : {})
+      }
+    });
+  }
+  return features;
+}
+
+export function renderArchiveVectorTile(sourcePath, z, x, y, options = {}) {
+  const features = buildArchiveVectorFeatures(sourcePath, z, x, y, options);
+  return encodeVectorTile([{ name: ARCHIVE_VECTOR_LAYER, extent: options.extent, features }]);
+}
@@ -1,3 +1,10 @@
+import { projectPosition } from '../utils/geoUtils.js';
+import { SpatialGridIndex } from './spatialIndex.js';
+import { deriveStreetSegments } from './streetSegments.js';
+
+// The run's first agent. Graph nodes and path points without an agentId belong to it.
+export const DEFAULT_AGENT_ID = 'agent-1';
+
 export class CoverageTracker {
   constructor() {
     this.visitedPanos = new Set();
@@ -11,14 +18,73 @@ export class CoverageTracker {
     this.visitCounts = new Map(); // panoId -> number of visits
     this.recentHistory = []; // Last N panoramas visited (for loop detection)
     this.maxHistorySize = 10;
+    // Further agents sharing this tracker keep their own history and last position, keyed by agentId
+    this.walkers = new Map();
+    this.frontierClaims = new Map(); // agentId (null for the first agent) -> frontier panoId it is heading for
     
     // Graph structure with full node information
     // panoId -> { lat, lng, visited, neighbors: Set, timestamp }
     this.graph = new Map();
     this.panoAliases = new Map(); // stale/alias panoId -> canonical panoId
+    // Street coverage is derived from the graph; on large graphs it is refreshed at most every
+    // STREET_COVERAGE_REFRESH_MS so per-step stats stay cheap.
+    this.streetCoverage = null;
+    this.streetCoverageDirty = true;
+    this.streetCoverageComputedAt = 0;
+    this.streetCoverageEagerNodes = parseInt(process.env.STREET_COVERAGE_EAGER_NODES || '20000', 10);
+    this.streetCoverageRefreshMs = parseInt(process.env.STREET_COVERAGE_REFRESH_MS || '10000', 10);
+    // Mirrors graph node positions for radius / nearest-neighbour queries
+    this.spatialIndex = new SpatialGridIndex({
+      cellSizeMeters: parseFloat(process.env.SPATIAL_INDEX_CELL_M || '50')
+    });
 
     // Spatial de-duplication to detect alias loops (different pano IDs, same spot)
     this.cellSizeMeters = parseFloat(process.env.LOOP_CELL_SIZE_M || '3');
+
+    // Optional run boundary; links estimated to land outside never become frontier
+    this.geofence = null;
+    this.geofenceProbeMeters = parseFloat(process.env.GEOFENCE_LINK_PROBE_M || '10');
+    this.fencedPanos = new Set();
+  }
+
+  setGeofence(geofence) {
+    this.geofence = geofence || null;
+    this.fencedPanos.clear();
+    if (!this.geofence) return 0;
+
+    let dropped = 0;
+    for (const [panoId, data] of this.frontier.entries()) {
+      const origin = this.graph.get(data?.discoveredFrom);
+      if (origin && !this.isLinkInsideGeofence(origin, { pano: panoId, heading: data.heading })) {
+        this.fencePano(panoId);
+        dropped++;
+      }
+    }
+    return dropped;
+  }
+
+  // Unvisited link targets have no coordinates yet, so probe a short distance along the link heading.
+  isLinkInsideGeofence(origin, link) {
+    if (!this.geofence) return true;
+    const node = this.graph.get(this.canonicalizePanoId(link?.pano));
+    if (node) {
+      return this.geofence.contains(node);
+    }
+    const heading = parseFloat(link?.heading);
+    const probe = Number.isFinite(heading)
+      ? projectPosition(origin, heading, this.geofenceProbeMeters)
+      : origin;
+    return this.geofence.contains(probe);
+  }
+
+  isFenced(panoId) {
+    return this.fencedPanos.has(this.canonicalizePanoId(panoId));
+  }
+
+  // Keeps a pano found to lie outside the run boundary out of the frontier until the next reset.
+  fencePano(panoId) {
+    this.frontier.delete(panoId);
+    this.fencedPanos.add(panoId);
   }
 
   canonicalizePanoId(panoId) {
@@ -47,8 +113,13 @@ export class CoverageTracker {
     return Array.from(normalized.values());
   }
 
-  addVisited(panoId, position, links = []) {
+  /**
+   * Records a visit and its links. Agents that share this tracker pass their agentId so loop
+   * detection and distance follow each walker separately; the first agent passes none.
+   */
+  addVisited(panoId, position, links = [], { agentId = null } = {}) {
     const originalPanoId = panoId;
+    const walker = this.#walker(agentId);
     panoId = this.canonicalizePanoId(panoId);
     links = this.normalizeLinks(links, panoId);
 
@@ -59,15 +130,17 @@ export class CoverageTracker {
     const isNewCell = !this.visitedCells.has(cellKey);
     this.visitedCells.add(cellKey);
 
-    this.path.push({ ...position, panoId, timestamp: Date.now() });
+    const pathPoint = { ...position, panoId, timestamp: Date.now() };
+    if (agentId) pathPoint.agentId = agentId;
+    this.path.push(pathPoint);
     
     // Update visit count
     this.visitCounts.set(panoId, (this.visitCounts.get(panoId) || 0) + 1);
     
     // Update recent history for loop detection
-    this.recentHistory.push(panoId);
-    if (this.recentHistory.length > this.maxHistorySize) {
-      this.recentHistory.shift();
+    walker.recentHistory.push(panoId);
+    if (walker.recentHistory.length > this.maxHistorySize) {
+      walker.recentHistory.shift();
     }
     
     // Remove from frontier since we've now visited it
@@ -92,6 +165,10 @@ export class CoverageTracker {
       node.lng = position.lng;
       node.timestamp = Date.now();
     }
+    if (agentId) node.agentId = agentId;
+    else delete node.agentId;
+    this.spatialIndex.insert(panoId, node);
+    this.streetCoverageDirty = true;
     
     // Process all links - add ALL neighbors (visited and unvisited)
     links.forEach(link => {
@@ -108,24 +185,62 @@ export class CoverageTracker {
       }
       
       // Update frontier (unvisited neighbors)
+      if (!this.visitedPanos.has(link.pano) && (this.isFenced(link.pano) || !this.isLinkInsideGeofence(position, link))) {
+        this.fencePano(link.pano);
+        return;
+      }
       if (!this.visitedPanos.has(link.pano) && !this.frontier.has(link.pano)) {
         this.frontier.set(link.pano, {
           discoveredFrom: panoId,
           heading: link.heading,
-          description: link.description
+          description: link.description,
+          discoveredAt: Date.now()
         });
       }
     });
     
-    if (this.lastPosition) {
-      const distance = this.calculateDistance(this.lastPosition, position);
+    if (walker.lastPosition) {
+      const distance = this.calculateDistance(walker.lastPosition, position);
       this.totalDistance += distance;
     }
     
-    this.lastPosition = position;
+    walker.lastPosition = position;
     return { isNewPano, isNewCell, cellKey };
   }
 
+  // The first agent's state lives on the tracker itself, so single-agent runs read it as before.
+  #walker(agentId) {
+    if (!agentId) return this;
+    let walker = this.walkers.get(agentId);
+    if (!walker) {
+      walker = { recentHistory: [], lastPosition: null };
+      this.walkers.set(agentId, walker);
+    }
+    return walker;
+  }
+
+  getRecentHistory(agentId = null) {
+    return this.#walker(agentId).recentHistory;
+  }
+
+  /**
+   * Marks the frontier pano an agent is heading for, so other agents sharing the tracker pick
+   * different ones. Each agent holds at most one claim; a null panoId drops it.
+   */
+  claimFrontier(agentId, panoId) {
+    if (panoId) this.frontierClaims.set(agentId ?? null, panoId);
+    else this.frontierClaims.delete(agentId ?? null);
+  }
+
+  // A frontier pano no other agent has claimed.
+  isFrontierOpen(panoId, agentId = null) {
+    if (!this.frontier.has(panoId)) return false;
+    for (const [claimant, claimedPanoId] of this.frontierClaims) {
+      if (claimedPanoId === panoId && claimant !== (agentId ?? null)) return false;
+    }
+    return true;
+  }
+
   hasVisited(panoId) {
     return this.visitedPanos.has(this.canonicalizePanoId(panoId));
   }
@@ -135,13 +250,43 @@ export class CoverageTracker {
   }
 
   getStats() {
+    const streets = this.getStreetCoverage();
     return {
       locationsVisited: this.visitedPanos.size,
       distanceTraveled: Math.round(this.totalDistance),
-      pathLength: this.path.length
+      pathLength: this.path.length,
+      segmentsWalked: streets.segmentsWalked,
+      segmentsPartial: streets.segmentsPartial,
+      streetLengthCovered: streets.streetLengthCovered
     };
   }
 
+  /**
+   * How much of the street network the graph covers, as opposed to how far the agent walked.
+   * Segments are chains of panos between intersections; see deriveStreetSegments.
+   * @returns {{segmentsWalked:number, segmentsPartial:number, streetLengthCovered:number}}
+   */
+  getStreetCoverage({ force = false } = {}) {
+    const stale = this.streetCoverageDirty && (
+      force ||
+      !this.streetCoverage ||
+      this.graph.size <= this.streetCoverageEagerNodes ||
+      Date.now() - this.streetCoverageComputedAt >= this.streetCoverageRefreshMs
+    );
+    if (stale) {
+      const { segments, lengthCoveredMeters } = deriveStreetSegments(this.graph);
+      const segmentsWalked = segments.filter(segment => segment.walked).length;
+      this.streetCoverage = {
+        segmentsWalked,
+        segmentsPartial: segments.length - segmentsWalked,
+        streetLengthCovered: Math.round(lengthCoveredMeters)
+      };
+      this.streetCoverageDirty = false;
+      this.streetCoverageComputedAt = Date.now();
+    }
+    return { ...this.streetCoverage };
+  }
+
   getPath() {
     return this.path;
   }
@@ -161,9 +306,9 @@ export class CoverageTracker {
     return R * c;
   }
 
-  isInLoop(panoId) {
+  isInLoop(panoId, agentId = null) {
     // Check if we've been to this pano multiple times recently
-    const recentOccurrences = this.recentHistory.filter(id => id === panoId).length;
+    const recentOccurrences = this.getRecentHistory(agentId).filter(id => id === panoId).length;
     return recentOccurrences >= 1;
   }
 
@@ -186,11 +331,12 @@ export class CoverageTracker {
    * and whether taking nextPanoId would continue that pattern.
    * @param {string} nextPanoId
    * @param {number} minNodes - minimum alternating tail length including next node
+   * @param {string|null} [agentId] - whose history to check; the first agent's by default
    * @returns {boolean}
    */
-  isAlternatingLoop(nextPanoId, minNodes = 6) {
+  isAlternatingLoop(nextPanoId, minNodes = 6, agentId = null) {
     if (!nextPanoId) return false;
-    const nodes = [...this.recentHistory, nextPanoId];
+    const nodes = [...this.getRecentHistory(agentId), nextPanoId];
     if (nodes.length < minNodes) return false;
 
     const n = nodes.length;
@@ -217,6 +363,7 @@ export class CoverageTracker {
    * @param {number} options.minPeriod
    * @param {number} options.maxPeriod
    * @param {number} options.minRepeats
+   * @param {string|null} [options.agentId] - whose history to check; the first agent's by default
    * @returns {boolean}
    */
   wouldExtendRepeatingCycle(nextPanoId, options = {}) {
@@ -231,7 +378,7 @@ export class CoverageTracker {
     const maxPeriod = Math.max(minPeriod, parseOr(options.maxPeriod ?? 6, 6));
     const minRepeats = Math.max(2, parseOr(options.minRepeats ?? 3, 3));
 
-    const nodes = [...this.recentHistory, nextPanoId];
+    const nodes = [...this.getRecentHistory(options.agentId), nextPanoId];
     const n = nodes.length;
     if (n < minPeriod * minRepeats) return false;
 
@@ -280,6 +427,7 @@ export class CoverageTracker {
     }
 
     this.panoAliases.set(aliasPanoId, canonicalPanoId);
+    this.streetCoverageDirty = true;
     for (const [alias, target] of this.panoAliases.entries()) {
       if (target === aliasPanoId) {
         this.panoAliases.set(alias, canonicalPanoId);
@@ -304,6 +452,7 @@ export class CoverageTracker {
         this.visitedCells.add(this.positionToCell({ lat: aliasNode.lat, lng: aliasNode.lng }));
       }
       this.graph.delete(aliasPanoId);
+      this.spatialIndex.remove(aliasPanoId);
     }
 
     if (this.visitedPanos.has(aliasPanoId)) {
@@ -317,9 +466,14 @@ export class CoverageTracker {
       );
       this.visitCounts.delete(aliasPanoId);
     }
-    this.recentHistory = this.recentHistory.map(panoId =>
-      panoId === aliasPanoId ? canonicalPanoId : panoId
-    );
+    for (const walker of [this, ...this.walkers.values()]) {
+      walker.recentHistory = walker.recentHistory.map(panoId =>
+        panoId === aliasPanoId ? canonicalPanoId : panoId
+      );
+    }
+    for (const [claimant, claimedPanoId] of this.frontierClaims) {
+      if (claimedPanoId === aliasPanoId) this.frontierClaims.set(claimant, canonicalPanoId);
+    }
     for (const point of this.path) {
       if (point.panoId === aliasPanoId) {
         point.panoId = canonicalPanoId;
@@ -351,6 +505,54 @@ export class CoverageTracker {
     return true;
   }
   
+  /**
+   * Visited graph nodes within radiusMeters of position, closest first.
+   * @returns {Array<{panoId:string,lat:number,lng:number,distanceMeters:number}>}
+   */
+  findNodesWithinRadius(position, radiusMeters, { filter = null } = {}) {
+    return this.spatialIndex.withinRadius(position, radiusMeters, { filter })
+      .map(({ id, ...rest }) => ({ panoId: id, ...rest }));
+  }
+
+  /**
+   * The k visited graph nodes closest to position, closest first.
+   * @returns {Array<{panoId:string,lat:number,lng:number,distanceMeters:number}>}
+   */
+  findNearestNodes(position, k = 1, { maxRadiusMeters = Infinity, filter = null } = {}) {
+    return this.spatialIndex.nearest(position, k, { maxRadiusMeters, filter })
+      .map(({ id, ...rest }) => ({ panoId: id, ...rest }));
+  }
+
+  /**
+   * Frontier whose discovering node is closest to position; same contract as
+   * selectClosestFrontierByDiscovery but answered from the spatial index.
+   * Frontiers claimed by agents other than `agentId` are skipped.
+   */
+  findClosestFrontierByDiscovery(position, { agentId = null } = {}) {
+    if (this.frontier.size === 0) return null;
+
+    const [anchor] = this.findNearestNodes(position, 1, {
+      filter: (panoId) => this.#frontierDiscoveredAt(panoId, agentId) !== null
+    });
+    if (!anchor) return null;
+
+    const frontierPanoId = this.#frontierDiscoveredAt(anchor.panoId, agentId);
+    return {
+      frontier: { panoId: frontierPanoId, ...this.frontier.get(frontierPanoId) },
+      anchorPosition: { lat: anchor.lat, lng: anchor.lng },
+      distanceMeters: anchor.distanceMeters
+    };
+  }
+
+  #frontierDiscoveredAt(panoId, agentId = null) {
+    for (const neighborId of this.graph.get(panoId)?.neighbors || []) {
+      if (this.frontier.get(neighborId)?.discoveredFrom === panoId && this.isFrontierOpen(neighborId, agentId)) {
+        return neighborId;
+      }
+    }
+    return null;
+  }
+
   getFrontierSize() {
     return this.frontier.size;
   }
@@ -375,8 +577,14 @@ export class CoverageTracker {
     this.frontier.clear();
     this.visitCounts.clear();
     this.recentHistory = [];
+    this.walkers.clear();
+    this.frontierClaims.clear();
     this.graph.clear();
+    this.streetCoverage = null;
+    this.streetCoverageDirty = true;
+    this.spatialIndex.clear();
     this.panoAliases.clear();
+    this.fencedPanos.clear();
   }
   
   // Serialize the graph for saving (converts Sets to Arrays, rounds coordinates)
@@ -390,6 +598,7 @@ export class CoverageTracker {
         neighbors: Array.from(node.neighbors),
         timestamp: node.timestamp
       };
+      if (node.agentId) serialized[panoId].agentId = node.agentId;
     }
     return serialized;
   }
@@ -424,6 +633,7 @@ export class CoverageTracker {
         graphNode.lat = node.lat;
         graphNode.lng = node.lng;
         graphNode.timestamp = Math.max(Number(graphNode.timestamp) || 0, Number(node.timestamp) || 0);
+        if (node.agentId) graphNode.agentId = node.agentId;
         for (const neighborId of node.neighbors || []) {
           const canonicalNeighborId = this.canonicalizePanoId(neighborId);
           if (canonicalNeighborId && canonicalNeighborId !== canonicalPanoId) {
@@ -431,6 +641,7 @@ export class CoverageTracker {
           }
         }
         this.graph.set(canonicalPanoId, graphNode);
+        this.spatialIndex.insert(canonicalPanoId, graphNode);
         
         // All nodes in graph are visited
         this.visitedPanos.add(canonicalPanoId);
@@ -446,7 +657,8 @@ export class CoverageTracker {
               this.frontier.set(neighborId, {
                 discoveredFrom: panoId,
                 heading: null,  // We don't have this info anymore
-                description: null
+                description: null,
+                discoveredAt: Number(node.timestamp) || null  // Saves keep no discovery time; use the last visit
               });
             }
           }
@@ -462,6 +674,7 @@ export class CoverageTracker {
           panoId,
           lat: node.lat,
           lng: node.lng,
+          ...(node.agentId ? { agentId: node.agentId } : {}),
           timestamp: node.timestamp
         });
       }
@@ -477,11 +690,15 @@ export class CoverageTracker {
     if (saveData.recentHistory) {
       this.recentHistory = saveData.recentHistory;
     }
+    for (const agent of saveData.additionalAgents || []) {
+      if (agent?.agentId && Array.isArray(agent.recentHistory)) {
+        this.#walker(agent.agentId).recentHistory = [...agent.recentHistory];
+      }
+    }
     
-    // Set last position
-    if (this.path.length > 0) {
-      const lastNode = this.path[this.path.length - 1];
-      this.lastPosition = { lat: lastNode.lat, lng: lastNode.lng };
+    // Set each agent's last position from the latest node it visited
+    for (const point of this.path) {
+      this.#walker(point.agentId).lastPosition = { lat: point.lat, lng: point.lng };
     }
   }
   
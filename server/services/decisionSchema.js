@@ -0,0 +1,103 @@
+/**
+ * The contract of a move decision, declared once as a JSON Schema. Providers that support it send
+ * the schema as a structured-output constraint; every decision is checked against it either way.
+ *
+ * Output failures fall into DECISION_FAILURE_CATEGORIES:
+ * - `empty`: no content, or only whitespace (often the token budget went on reasoning)
+ * - `invalid_json`: no JSON object could be read from the content
+ * - `schema`: JSON that is not an object, misses a required field or has a field of the wrong type
+ * - `out_of_range`: a `selectedIndex` that names no option
+ */
+
+export const DECISION_SCHEMA_NAME = 'exploration_decision';
+export const DECISION_FAILURE_CATEGORIES = ['empty', 'invalid_json', 'schema', 'out_of_range'];
+
+export function decisionOutputError(category, message) {
+  const error = new Error(message);
+  error.category = category;
+  return error;
+}
+
+/**
+ * Builds the decision schema for one branch point. Strict structured output wants every property
+ * listed as required, so optional fields are nullable instead.
+ * @param {object} options
+ * @param {number} options.optionCount - Number of options the model chooses from
+ * @param {boolean} [options.intent] - Whether to ask if the choice follows the exploration intent
+ */
+export function buildDecisionSchema({ optionCount, intent = false }) {
+  const properties = {
+    selectedIndex: {
+      type: 'integer',
+      minimum: 0,
+      maximum: Math.max(0, optionCount - 1),
+      description: 'Index of the chosen option'
+    },
+    reasoning: {
+      type: 'string',
+      description: 'One concrete, lightly poetic sentence about why this route was chosen'
+    },
+    sceneTag: {
+      type: ['string', 'null'],
+      description: 'public-street | open-branch | loop-break | indoor-escape | constrained-fallback | other'
+    }
+  };
+  if (intent) {
+    properties.intentFollowed = {
+      type: ['boolean', 'null'],
+      description: 'Whether the chosen option serves the current exploration intent'
+    };
+  }
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Checks a parsed decision against `buildDecisionSchema()` output and throws a categorised error
+ * when it does not fit. Providers held to `json_object` still leave nullable fields out and add
+ * fields of their own, so missing nullable fields and unknown fields are let through.
+ * @returns {object} the decision
+ */
+export function validateDecision(decision, schema) {
+  if (!matchesType(decision, 'object')) {
+    throw decisionOutputError('schema', `Decision is not a JSON object: ${JSON.stringify(decision)?.substring(0, 120)}`);
+  }
+  for (const [field, rule] of Object.entries(schema.properties)) {
+    const types = [].concat(rule.type);
+    const value = decision[field];
+    if (value === undefined) {
+      if (schema.required.includes(field) && !types.includes('null')) {
+        throw decisionOutputError('schema', `Decision is missing "${field}"`);
+      }
+      continue;
+    }
+    if (!types.some(type => matchesType(value, type))) {
+      throw decisionOutputError('schema', `Decision field "${field}" should be ${types.join(' or ')}, got ${JSON.stringify(value)?.substring(0, 60)}`);
+    }
+    if ((rule.minimum !== undefined && value < rule.minimum) || (rule.maximum !== undefined && value > rule.maximum)) {
+      throw decisionOutputError('out_of_range', `Decision field "${field}" is ${value}, outside ${rule.minimum}-${rule.maximum}`);
+    }
+  }
+  return decision;
+}
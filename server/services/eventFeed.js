@@ -0,0 +1,209 @@
+import { WebhookDispatcher, parseEventFilter } from './webhookDispatcher.js';
+
+const parseIntOr = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const DEFAULT_HEARTBEAT_MS = parseIntOr(process.env.EVENT_FEED_HEARTBEAT_MS, 25000);
+const DEFAULT_REPLAY_LIMIT = parseIntOr(process.env.EVENT_FEED_REPLAY_LIMIT, 1000);
+const SSE_RETRY_MS = 3000;
+
+function eventSequence(data) {
+  const sequence = Number(data?.sequence);
+  return Number.isFinite(sequence) && sequence > 0 ? sequence : null;
+}
+
+/**
+ * A committed step from the run log in the shape of its live `move-decision` broadcast.
+ * Intermediate hops are not stored separately, so replay only yields the committed step.
+ */
+export function stepEventToBroadcast(event) {
+  const { intermediateEvents, ...stepData } = event?.payload?.stepData || {};
+  return {
+    event: 'move-decision',
+    data: {
+      ...stepData,
+      runId: event.runId,
+      activeEpoch: event.epoch,
+      stepId: event.stepId,
+      sequence: event.sequence,
+      replayed: true
+    }
+  };
+}
+
+/**
+ * Fans the worker's broadcasts out to Server-Sent Events clients and webhooks.
+ * SSE ids are RunStore sequence numbers, so a client reconnecting with Last-Event-ID
+ * gets the steps it missed replayed from the event log before live events resume.
+ * Broadcasts that are not tied to a logged event (position updates, lifecycle
+ * notices) are sent without an id and are not replayed.
+ */
+export class EventFeed {
+  constructor({
+    runStore,
+    getRunId = () => null,
+    webhooks = [],
+    heartbeatMs = DEFAULT_HEARTBEAT_MS,
+    replayLimit = DEFAULT_REPLAY_LIMIT,
+    logger = console
+  } = {}) {
+    this.runStore = runStore;
+    this.getRunId = getRunId;
+    this.heartbeatMs = heartbeatMs;
+    this.replayLimit = replayLimit;
+    this.logger = logger;
+    this.clients = new Set();
+    this.webhooks = webhooks.map(config => new WebhookDispatcher({ logger, ...config }));
+    this.heartbeatTimer = null;
+  }
+
+  publish(name, data) {
+    const feedEvent = {
+      id: eventSequence(data),
+      event: name,
+      data: data ?? null,
+      timestamp: new Date().toISOString()
+    };
+    for (const client of this.clients) {
+      if (client.filter && !client.filter.has(name)) continue;
+      if (client.pending) {
+        client.pending.push(feedEvent);
+      } else {
+        this.#write(client, feedEvent);
+      }
+    }
+    for (const webhook of this.webhooks) {
+      webhook.enqueue(feedEvent);
+    }
+  }
+
+  /**
+   * Express handler for GET /api/events. `events` filters by broadcast name (comma-separated);
+   * `lastEventId` stands in for the Last-Event-ID header on a client's first connect.
+   */
+  async handleSse(req, res) {
+    const filter = parseEventFilter(req.query?.events);
+    const lastEventId = req.get('last-event-id') ?? req.query?.lastEventId;
+    const afterSequence = Math.max(0, parseIntOr(lastEventId, 0));
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders?.();
+    res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+    // Live events wait in `pending` until the replay has been written, keeping ids in order.
+    const client = { res, filter, pending: afterSequence > 0 ? [] : null };
+    this.clients.add(client);
+    this.#ensureHeartbeat();
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) this.#stopHeartbeat();
+    });
+
+    if (!client.pending) return;
+
+    let lastReplayed = afterSequence;
+    try {
+      lastReplayed = await this.#replay(client, afterSequence);
+    } catch (error) {
+      this.logger.warn(`Event feed replay failed: ${error.message}`);
+    }
+    const pending = client.pending;
+    client.pending = null;
+    for (const feedEvent of pending) {
+      if (feedEvent.id !== null && feedEvent.id <= lastReplayed) continue;
+      this.#write(client, feedEvent);
+    }
+  }
+
+  async #replay(client, afterSequence) {
+    const runId = this.getRunId();
+    if (!runId || !this.runStore) return afterSequence;
+    if (client.filter && !client.filter.has('move-decision')) return afterSequence;
+
+    let cursor = afterSequence;
+    let sent = 0;
+    while (sent < this.replayLimit && this.clients.has(client)) {
+      const page = await this.runStore.readEventPage(runId, {
+        afterSequence: cursor,
+        limit: Math.min(500, this.replayLimit - sent),
+        types: ['step_completed']
+      });
+      for (const warning of page.warnings) this.logger.warn(warning);
+      for (const event of page.events) {
+        const { event: name, data } = stepEventToBroadcast(event);
+        this.#write(client, { id: event.sequence, event: name, data });
+        sent += 1;
+      }
+      cursor = page.nextAfterSequence;
+      if (!page.hasMore) break;
+    }
+    return cursor;
+  }
+
+  #write(client, { id, event, data }) {
+    let frame = '';
+    if (id !== null && id !== undefined) frame += `id: ${id}\n`;
+    frame += `event: ${event}\n`;
+    frame += `data: ${JSON.stringify(data)}\n\n`;
+    try {
+      client.res.write(frame);
+    } catch (error) {
+      this.logger.warn(`Dropping event feed client: ${error.message}`);
+      this.clients.delete(client);
+    }
+  }
+
+  #ensureHeartbeat() {
+    if (this.heartbeatTimer || !(this.heartbeatMs > 0)) return;
+    // Comment lines keep proxies from closing idle streams.
+    this.heartbeatTimer = setInterval(() => {
+      for (const client of this.clients) {
+        try {
+          client.res.write(': ping\n\n');
+        } catch {
+          this.clients.delete(client);
+        }
+      }
+    }, this.heartbeatMs);
+    this.heartbeatTimer.unref?.();
+  }
+
+  #stopHeartbeat() {
+    if (!this.heartbeatTimer) return;
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  getMetrics() {
+    const webhooks = this.webhooks.reduce((totals, webhook) => ({
+      delivered: totals.delivered + webhook.stats.delivered,
+      failed: totals.failed + webhook.stats.failed,
+      dropped: totals.dropped + webhook.stats.dropped,
+      queued: totals.queued + webhook.queue.length
+    }), { delivered: 0, failed: 0, dropped: 0, queued: 0 });
+    return {
+      eventFeedClients: this.clients.size,
+      webhookTargets: this.webhooks.length,
+      webhookDelivered: webhooks.delivered,
+      webhookFailed: webhooks.failed,
+      webhookDropped: webhooks.dropped,
+      webhookQueued: webhooks.queued
+    };
+  }
+
+  close() {
+    this.#stopHeartbeat();
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+    for (const webhook of this.webhooks) webhook.close();
+  }
+}
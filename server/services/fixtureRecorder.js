@@ -0,0 +1,233 @@
+import { promises as fsp } from 'fs';
+import path from 'path';
+import { FIXTURE_MANIFEST_FILE, FIXTURE_VERSION, loadFixtureBundle } from './fixtureStreetView.js';
+
+function safePathSegment(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/**
+ * Collects pano metadata, links and per-heading screenshots into the bundle
+ * layout FixtureStreetView reads, so a live session can be replayed offline.
+ */
+export class FixtureRecorder {
+  constructor({ outputDir, name = null, flushEvery = 25 } = {}) {
+    if (!outputDir) {
+      throw new Error('FixtureRecorder requires an output directory');
+    }
+    this.outputDir = outputDir;
+    this.name = name || path.basename(outputDir);
+    this.flushEvery = flushEvery;
+    this.startPanoId = null;
+    this.panos = new Map();
+    this.aliases = new Map();
+    this.pendingChanges = 0;
+    this.initialized = false;
+    this.initializing = null;
+    this.flushPromise = Promise.resolve();
+  }
+
+  // Recorders can be shared by several sources; they all wait for the same bundle load.
+  async initialize() {
+    if (this.initialized) return;
+    if (!this.initializing) {
+      this.initializing = this.#load().finally(() => {
+        this.initializing = null;
+      });
+    }
+    await this.initializing;
+  }
+
+  async #load() {
+    await fsp.mkdir(path.join(this.outputDir, 'images'), { recursive: true });
+
+    // Resume into an existing bundle so restarts keep extending the same recording.
+    try {
+      const existing = await loadFixtureBundle(this.outputDir);
+      this.name = existing.name || this.name;
+      this.startPanoId = existing.startPanoId;
+      for (const [panoId, pano] of existing.panos) {
+        this.panos.set(panoId, pano);
+      }
+      for (const [alias, canonical] of existing.aliases) {
+        this.aliases.set(alias, canonical);
+      }
+      console.log(`Resuming fixture recording in ${this.outputDir} (${this.panos.size} panos)`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    this.initialized = true;
+  }
+
+  recordPanorama(panoData) {
+    if (!panoData?.panoId || !panoData.position) return;
+    const existing = this.panos.get(panoData.panoId);
+    this.panos.set(panoData.panoId, {
+      panoId: panoData.panoId,
+      position: { lat: panoData.position.lat, lng: panoData.position.lng },
+      links: (panoData.links || [])
+        .filter(link => link?.pano)
+        .map(link => ({
+          pano: link.pano,
+          heading: Number(link.heading) || 0,
+          description: link.description || ''
+        })),
+      images: existing?.images || {}
+    });
+    if (!this.startPanoId) {
+      this.startPanoId = panoData.panoId;
+    }
+    this.#markChanged();
+  }
+
+  recordAlias(requestedPanoId, settledPanoId) {
+    if (!requestedPanoId || !settledPanoId || requestedPanoId === settledPanoId) return;
+    if (this.aliases.get(requestedPanoId) === settledPanoId) return;
+    this.aliases.set(requestedPanoId, settledPanoId);
+    this.#markChanged();
+  }
+
+  async recordScreenshot(panoId, heading, buffer) {
+    const pano = this.panos.get(panoId);
+    if (!pano || !buffer) return;
+    const headingKey = String(Math.round(((Number(heading) || 0) % 360 + 360) % 360));
+    const relativePath = path.posix.join('images', safePathSegment(panoId), `${headingKey}.jpg`);
+
+    await fsp.mkdir(path.join(this.outputDir, 'images', safePathSegment(panoId)), { recursive: true });
+    await fsp.writeFile(path.join(this.outputDir, relativePath), buffer);
+    pano.images[headingKey] = relativePath;
+    this.#markChanged();
+  }
+
+  #markChanged() {
+    this.pendingChanges += 1;
+    if (this.pendingChanges >= this.flushEvery) {
+      this.flush().catch(error => console.warn(`Fixture recorder flush failed: ${error.message}`));
+    }
+  }
+
+  toManifest() {
+    return {
+      version: FIXTURE_VERSION,
+      name: this.name,
+      recordedAt: new Date().toISOString(),
+      startPanoId: this.startPanoId,
+      panos: [...this.panos.values()],
+      aliases: Object.fromEntries(this.aliases)
+    };
+  }
+
+  flush() {
+    // Serialize writes so an interval flush never races the final one. A failed write must not
+    // poison the queue: the changes stay pending and the next flush tries again.
+    const next = this.flushPromise.catch(() => {}).then(async () => {
+      if (this.pendingChanges === 0 || this.panos.size === 0) return;
+      const flushed = this.pendingChanges;
+      this.pendingChanges = 0;
+      const manifestPath = path.join(this.outputDir, FIXTURE_MANIFEST_FILE);
+      const tmpPath = `${manifestPath}.tmp`;
+      try {
+        await fsp.writeFile(tmpPath, JSON.stringify(this.toManifest(), null, 2));
+        await fsp.rename(tmpPath, manifestPath);
+      } catch (error) {
+        this.pendingChanges += flushed;
+        throw error;
+      }
+    });
+    this.flushPromise = next.catch(() => {});
+    return next;
+  }
+}
+
+/**
+ * Wraps any Street View source (live or fixture) and mirrors every pano it
+ * resolves and every screenshot it takes into a FixtureRecorder.
+ */
+export class RecordingStreetView {
+  constructor(source, recorder) {
+    this.source = source;
+    this.recorder = recorder;
+    this.lastHeading = 0;
+  }
+
+  get currentPanoId() {
+    return this.source.currentPanoId;
+  }
+
+  set currentPanoId(panoId) {
+    this.source.currentPanoId = panoId;
+  }
+
+  async initialize(initial = {}) {
+    await this.recorder.initialize();
+    return await this.source.initialize(initial);
+  }
+
+  async getPanorama(position) {
+    const panoData = await this.source.getPanorama(position);
+    this.recorder.recordPanorama(panoData);
+    if (typeof position === 'string') {
+      this.recorder.recordAlias(position, panoData.panoId);
+    }
+    return panoData;
+  }
+
+  async getCurrentPosition() {
+    return await this.source.getCurrentPosition();
+  }
+
+  async getCurrentPanorama() {
+    const panoData = await this.source.getCurrentPanorama();
+    this.recorder.recordPanorama(panoData);
+    return panoData;
+  }
+
+  async navigateToPano(panoId) {
+    const result = await this.source.navigateToPano(panoId);
+    if (result?.reason !== 'timeout') {
+      this.recorder.recordAlias(panoId, result?.settledPanoId || this.source.currentPanoId);
+    }
+    return result;
+  }
+
+  async navigateAndGetPanorama(panoId) {
+    const panoData = await this.source.navigateAndGetPanorama(panoId);
+    this.recorder.recordPanorama(panoData);
+    this.recorder.recordAlias(panoId, panoData.panoId);
+    return panoData;
+  }
+
+  async setHeading(heading) {
+    this.lastHeading = heading;
+    return await this.source.setHeading(heading);
+  }
+
+  async getScreenshot() {
+    const buffer = await this.source.getScreenshot();
+    try {
+      await this.recorder.recordScreenshot(this.source.currentPanoId, this.lastHeading, buffer);
+    } catch (error) {
+      console.warn(`Fixture recorder failed to store screenshot: ${error.message}`);
+    }
+    return buffer;
+  }
+
+  async refreshPage() {
+    await this.source.refreshPage();
+  }
+
+  async refreshBrowser() {
+    await this.source.refreshBrowser();
+  }
+
+  shouldRefresh(stepCount) {
+    return this.source.shouldRefresh(stepCount);
+  }
+
+  async close() {
+    await this.recorder.flush().catch(error => {
+      console.warn(`Fixture recorder flush failed on close: ${error.message}`);
+    });
+    await this.source.close();
+  }
+}
@@ -0,0 +1,227 @@
+import { promises as fsp } from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+
+export const FIXTURE_MANIFEST_FILE = 'fixture.json';
+export const FIXTURE_VERSION = 1;
+
+export async function loadFixtureBundle(fixtureDir) {
+  if (!fixtureDir) {
+    throw new Error('STREETVIEW_FIXTURE_DIR is required for the fixture Street View provider');
+  }
+
+  const manifestPath = path.join(fixtureDir, FIXTURE_MANIFEST_FILE);
+  const manifest = JSON.parse(await fsp.readFile(manifestPath, 'utf8'));
+  if (manifest?.version !== FIXTURE_VERSION) {
+    throw new Error(`Unsupported fixture version ${manifest?.version} in ${manifestPath}`);
+  }
+
+  const panos = new Map();
+  for (const pano of manifest.panos || []) {
+    if (!pano?.panoId || !Number.isFinite(pano.position?.lat) || !Number.isFinite(pano.position?.lng)) {
+      continue;
+    }
+    panos.set(pano.panoId, {
+      panoId: pano.panoId,
+      position: { lat: pano.position.lat, lng: pano.position.lng },
+      links: (pano.links || [])
+        .filter(link => link?.pano)
+        .map(link => ({
+          pano: link.pano,
+          heading: Number(link.heading) || 0,
+          description: link.description || ''
+        })),
+      images: pano.images || {}
+    });
+  }
+
+  if (panos.size === 0) {
+    throw new Error(`Fixture ${manifestPath} contains no panoramas`);
+  }
+
+  return {
+    dir: fixtureDir,
+    name: manifest.name || path.basename(fixtureDir),
+    startPanoId: panos.has(manifest.startPanoId) ? manifest.startPanoId : panos.keys().next().value,
+    panos,
+    aliases: new Map(Object.entries(manifest.aliases || {}))
+  };
+}
+
+/**
+ * Drop-in replacement for StreetViewHeadless that serves a recorded pano
+ * graph from disk, so the exploration loop can run without a browser or
+ * network access.
+ */
+export class FixtureStreetView {
+  constructor({ fixtureDir = process.env.STREETVIEW_FIXTURE_DIR, snapRadiusMeters } = {}) {
+    this.fixtureDir = fixtureDir;
+    this.fixture = null;
+    this.currentPanoId = null;
+    this.currentHeading = 0;
+    this.snapRadiusMeters = snapRadiusMeters ?? this.#parseIntOr(process.env.STREETVIEW_FIXTURE_SNAP_RADIUS_M, 50);
+    this.placeholderImage = null;
+  }
+
+  #parseIntOr(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) ? parsed : fallback;
+  }
+
+  #calculateDistance(pos1, pos2) {
+    const R = 6371e3;
+    const phi1 = pos1.lat * Math.PI / 180;
+    const phi2 = pos2.lat * Math.PI / 180;
+    const deltaPhi = (pos2.lat - pos1.lat) * Math.PI / 180;
+    const deltaLambda = (pos2.lng - pos1.lng) * Math.PI / 180;
+    const a = Math.sin(deltaPhi / 2) ** 2 +
+      Math.cos(phi1) * Math.cos(phi2) * Math.sin(deltaLambda / 2) ** 2;
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  #resolvePanoId(panoId) {
+    if (this.fixture.panos.has(panoId)) return panoId;
+    const alias = this.fixture.aliases.get(panoId);
+    return alias && this.fixture.panos.has(alias) ? alias : null;
+  }
+
+  #findNearestPano(position) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const pano of this.fixture.panos.values()) {
+      const distance = this.#calculateDistance(position, pano.position);
+      if (distance < nearestDistance) {
+        nearest = pano;
+        nearestDistance = distance;
+      }
+    }
+    return nearestDistance <= this.snapRadiusMeters ? nearest : null;
+  }
+
+  #toPanoramaData(pano) {
+    return {
+      panoId: pano.panoId,
+      position: { ...pano.position },
+      links: pano.links.map(link => ({ ...link }))
+    };
+  }
+
+  #requireFixture() {
+    if (!this.fixture) {
+      throw new Error('Fixture Street View is not initialized');
+    }
+  }
+
+  async initialize(initial = {}) {
+    if (!this.fixture) {
+      this.fixture = await loadFixtureBundle(this.fixtureDir);
+      console.log(`Loaded Street View fixture "${this.fixture.name}" (${this.fixture.panos.size} panos)`);
+    }
+
+    const initialPanoId = initial.panoId ? this.#resolvePanoId(initial.panoId) : null;
+    const initialPano = initialPanoId
+      ? this.fixture.panos.get(initialPanoId)
+      : initial.position ? this.#findNearestPano(initial.position) : null;
+    this.currentPanoId = initialPano?.panoId || this.currentPanoId || this.fixture.startPanoId;
+  }
+
+  async getPanorama(position) {
+    this.#requireFixture();
+    const pano = typeof position === 'string'
+      ? this.fixture.panos.get(this.#resolvePanoId(position))
+      : position && Number.isFinite(position.lat) && Number.isFinite(position.lng)
+        ? this.#findNearestPano(position)
+        : null;
+
+    if (!pano) {
+      const label = typeof position === 'string'
+        ? `pano:${position}`
+        : `lat:${position?.lat},lng:${position?.lng}`;
+      throw new Error(`No panorama found at location (${label})`);
+    }
+
+    return this.#toPanoramaData(pano);
+  }
+
+  async getCurrentPosition() {
+    this.#requireFixture();
+    const pano = this.fixture.panos.get(this.currentPanoId);
+    return pano ? { ...pano.position } : null;
+  }
+
+  async getCurrentPanorama() {
+    this.#requireFixture();
+    if (!this.currentPanoId) {
+      throw new Error('No current panorama available');
+    }
+    return await this.getPanorama(this.currentPanoId);
+  }
+
+  async navigateToPano(panoId) {
+    this.#requireFixture();
+    const startPanoId = this.currentPanoId;
+    const settledPanoId = this.#resolvePanoId(panoId);
+    if (!settledPanoId) {
+      console.warn(`Fixture navigation to ${panoId} failed: pano not recorded; staying at ${startPanoId || 'unknown'}`);
+      return { requestedPanoId: panoId, startPanoId, settledPanoId: startPanoId, reason: 'timeout' };
+    }
+
+    if (settledPanoId !== panoId) {
+      console.log(`Fixture canonicalized pano ${panoId} -> ${settledPanoId}`);
+    }
+    this.currentPanoId = settledPanoId;
+    return {
+      requestedPanoId: panoId,
+      startPanoId,
+      settledPanoId,
+      reason: startPanoId === settledPanoId ? 'already-there' : 'pano_changed'
+    };
+  }
+
+  async navigateAndGetPanorama(panoId) {
+    await this.navigateToPano(panoId);
+    return await this.getCurrentPanorama();
+  }
+
+  async setHeading(heading) {
+    const parsed = Number(heading);
+    this.currentHeading = Number.isFinite(parsed) ? ((parsed % 360) + 360) % 360 : 0;
+  }
+
+  async getScreenshot() {
+    this.#requireFixture();
+    const pano = this.fixture.panos.get(this.currentPanoId);
+    let closestPath = null;
+    let closestDelta = Infinity;
+    for (const [heading, relativePath] of Object.entries(pano?.images || {})) {
+      const diff = Math.abs(Number(heading) - this.currentHeading) % 360;
+      const delta = Math.min(diff, 360 - diff);
+      if (delta < closestDelta) {
+        closestDelta = delta;
+        closestPath = relativePath;
+      }
+    }
+
+    if (closestPath) {
+      return await fsp.readFile(path.join(this.fixture.dir, closestPath));
+    }
+
+    // Graph-only fixtures still need a decodable JPEG for thumbnails.
+    if (!this.placeholderImage) {
+      this.placeholderImage = await sharp({
+        create: { width: 64, height: 48, channels: 3, background: '#808080' }
+      }).jpeg().toBuffer();
+    }
+    return this.placeholderImage;
+  }
+
+  async refreshPage() {}
+
+  async refreshBrowser() {}
+
+  shouldRefresh() {
+    return false;
+  }
+
+  async close() {}
+}
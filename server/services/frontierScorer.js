@@ -0,0 +1,160 @@
+export const FRONTIER_SCORE_FACTORS = ['distance', 'unexploredNeighbors', 'regionDeficit', 'age', 'boundary'];
+
+// Distance alone reproduces the old nearest-frontier choice.
+export const DEFAULT_FRONTIER_WEIGHTS = Object.freeze({
+  distance: 1,
+  unexploredNeighbors: 0,
+  regionDeficit: 0,
+  age: 0,
+  boundary: 0
+});
+
+const parseFloatOr = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Normalizes frontier weights given as an object or a `factor=weight,...` string (the
+ * FRONTIER_WEIGHTS format). Factors left out keep their default weight.
+ * @param {object|string|null} value
+ * @returns {Record<string, number>}
+ * @throws {Error} on unknown factors or non-numeric weights
+ */
+export function parseFrontierWeights(value) {
+  if (value == null || value === '') return { ...DEFAULT_FRONTIER_WEIGHTS };
+
+  const entries = typeof value === 'string'
+    ? value.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => pair.split('=').map(part => part.trim()))
+    : Object.entries(value);
+  const weights = { ...DEFAULT_FRONTIER_WEIGHTS };
+  for (const [factor, raw] of entries) {
+    if (!FRONTIER_SCORE_FACTORS.includes(factor)) {
+      throw new Error(`Unknown frontier factor "${factor}" (expected one of: ${FRONTIER_SCORE_FACTORS.join(', ')})`);
+    }
+    const weight = Number(raw);
+    if (raw === '' || raw === null || !Number.isFinite(weight)) {
+      throw new Error(`Frontier weight for "${factor}" must be a number`);
+    }
+    weights[factor] = weight;
+  }
+  return weights;
+}
+
+/**
+ * Ranks frontier panos for teleports and route planning. Every factor is scaled to 0..1 (1 is
+ * the most attractive) and multiplied by its weight; negative weights turn a preference around.
+ *
+ * - distance: closeness of the pano the frontier was discovered from
+ * - unexploredNeighbors: how many unvisited links leave that pano
+ * - regionDeficit: share of the region's known panos that are still frontier (needs regions)
+ * - age: how long ago the frontier was discovered
+ * - boundary: how far inside the run boundary it lies (needs a geofence)
+ */
+export class FrontierScorer {
+  constructor({
+    weights = null,
+    distanceScaleMeters = parseFloatOr(process.env.FRONTIER_DISTANCE_SCALE_M, 200),
+    ageScaleMs = parseFloatOr(process.env.FRONTIER_AGE_SCALE_MS, 600000),
+    boundaryScaleMeters = parseFloatOr(process.env.FRONTIER_BOUNDARY_SCALE_M, 100),
+    neighborCap = 4
+  } = {}) {
+    this.weights = parseFrontierWeights(weights);
+    this.distanceScaleMeters = distanceScaleMeters;
+    this.ageScaleMs = ageScaleMs;
+    this.boundaryScaleMeters = boundaryScaleMeters;
+    this.neighborCap = neighborCap;
+  }
+
+  // With only the distance factor in play, the nearest frontier wins and cheaper lookups apply.
+  get isDistanceOnly() {
+    return FRONTIER_SCORE_FACTORS.every(factor => factor === 'distance' || this.weights[factor] === 0) &&
+      this.weights.distance > 0;
+  }
+
+  #factor(factor, context, anchorPanoId, anchor, frontier) {
+    const { coverage } = context;
+    switch (factor) {
+      case 'distance': {
+        const meters = coverage.calculateDistance(context.position, anchor);
+        return { value: Math.round(meters), score: this.distanceScaleMeters / (this.distanceScaleMeters + meters) };
+      }
+      case 'unexploredNeighbors': {
+        let count = 0;
+        for (const neighborId of anchor.neighbors) {
+          if (!coverage.hasVisited(neighborId) && !coverage.isFenced(neighborId)) count += 1;
+        }
+        return { value: count, score: Math.min(count, this.neighborCap) / this.neighborCap };
+      }
+      case 'regionDeficit': {
+        const deficit = context.regionDeficit ? context.regionDeficit(anchorPanoId) : null;
+        return { value: deficit === null ? null : round(deficit), score: deficit ?? 0 };
+      }
+      case 'age': {
+        const discoveredAt = Number(frontier.discoveredAt);
+        if (!discoveredAt) return { value: null, score: 0 };
+        const ageMs = Math.max(0, context.now - discoveredAt);
+        return { value: Math.round(ageMs / 1000), score: ageMs / (ageMs + this.ageScaleMs) };
+      }
+      case 'boundary': {
+        const { geofence } = coverage;
+        if (!geofence) return { value: null, score: 0 };
+        const meters = geofence.contains(anchor) ? geofence.distanceToEdgeMeters(anchor) : 0;
+        return { value: Math.round(meters), score: Math.min(meters, this.boundaryScaleMeters) / this.boundaryScaleMeters };
+      }
+      default:
+        return { value: null, score: 0 };
+    }
+  }
+
+  /**
+   * Scores one frontier; null when the pano it was discovered from has no known position.
+   * Only weighted factors are evaluated and reported.
+   * @param {{panoId:string, discoveredFrom:string, discoveredAt?:number}} frontier
+   * @param {object} context
+   * @param {import('./coverage.js').CoverageTracker} context.coverage
+   * @param {{lat:number, lng:number}} context.position - Where the agent is now
+   * @param {(panoId:string)=>number|null} [context.regionDeficit]
+   * @param {number} [context.now=Date.now()]
+   * @returns {{panoId:string, anchorPanoId:string, anchorPosition:{lat:number,lng:number}, total:number,
+   *   factors:Record<string, {value:number|null, score:number, weight:number}>}|null}
+   */
+  score(frontier, context) {
+    const anchorPanoId = context.coverage.canonicalizePanoId(frontier?.discoveredFrom);
+    const anchor = anchorPanoId ? context.coverage.graph.get(anchorPanoId) : null;
+    if (!anchor || typeof anchor.lat !== 'number' || typeof anchor.lng !== 'number') return null;
+
+    const scoringContext = { now: Date.now(), ...context };
+    const factors = {};
+    let total = 0;
+    for (const factor of FRONTIER_SCORE_FACTORS) {
+      const weight = this.weights[factor];
+      if (!weight) continue;
+      const { value, score } = this.#factor(factor, scoringContext, anchorPanoId, anchor, frontier);
+      factors[factor] = { value, score: round(score), weight };
+      total += weight * score;
+    }
+
+    return {
+      panoId: frontier.panoId,
+      anchorPanoId,
+      anchorPosition: { lat: anchor.lat, lng: anchor.lng },
+      total: round(total),
+      factors
+    };
+  }
+
+  /**
+   * Scores every frontier and returns them best first; frontiers without a known anchor are left out.
+   * Ties keep the frontier order.
+   */
+  rank(frontiers, context) {
+    const now = context.now ?? Date.now();
+    return frontiers
+      .map(frontier => this.score(frontier, { ...context, now }))
+      .filter(Boolean)
+      .sort((a, b) => b.total - a.total);
+  }
+}
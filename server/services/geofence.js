@@ -0,0 +1,148 @@
+import { promises as fsp } from 'fs';
+import path from 'path';
+
+function isPosition(value) {
+  return Array.isArray(value) && Number.isFinite(value[0]) && Number.isFinite(value[1]);
+}
+
+function normalizeRing(ring) {
+  const points = (ring || []).filter(isPosition).map(([lng, lat]) => [lng, lat]);
+  if (points.length > 1) {
+    const [firstLng, firstLat] = points[0];
+    const [lastLng, lastLat] = points[points.length - 1];
+    if (firstLng === lastLng && firstLat === lastLat) points.pop();
+  }
+  return points.length >= 3 ? points : null;
+}
+
+// Ray casting over [lng, lat] pairs; fine at city scale where edges are short.
+function ringContains(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function collectPolygons(geojson, polygons) {
+  if (!geojson || typeof geojson !== 'object') return;
+
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      for (const feature of geojson.features || []) collectPolygons(feature, polygons);
+      break;
+    case 'Feature':
+      collectPolygons(geojson.geometry, polygons);
+      break;
+    case 'GeometryCollection':
+      for (const geometry of geojson.geometries || []) collectPolygons(geometry, polygons);
+      break;
+    case 'Polygon':
+      polygons.push(geojson.coordinates);
+      break;
+    case 'MultiPolygon':
+      for (const polygon of geojson.coordinates || []) polygons.push(polygon);
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Run boundary made of one or more GeoJSON polygons (holes supported).
+ * Positions are { lat, lng }; GeoJSON coordinates stay [lng, lat].
+ */
+export class Geofence {
+  constructor({ name = null, polygons = [] } = {}) {
+    this.name = name;
+    this.geojson = null;
+    this.polygons = polygons
+      .map(rings => (rings || []).map(normalizeRing))
+      .filter(rings => rings.length > 0 && rings[0])
+      .map(rings => rings.filter(Boolean));
+
+    if (this.polygons.length === 0) {
+      throw new Error('Geofence requires at least one polygon with three or more points');
+    }
+
+    this.bounds = { minLat: Infinity, minLng: Infinity, maxLat: -Infinity, maxLng: -Infinity };
+    for (const [outer] of this.polygons) {
+      for (const [lng, lat] of outer) {
+        this.bounds.minLat = Math.min(this.bounds.minLat, lat);
+        this.bounds.maxLat = Math.max(this.bounds.maxLat, lat);
+        this.bounds.minLng = Math.min(this.bounds.minLng, lng);
+        this.bounds.maxLng = Math.max(this.bounds.maxLng, lng);
+      }
+    }
+  }
+
+  static fromGeoJSON(geojson, { name = null } = {}) {
+    const polygons = [];
+    collectPolygons(geojson, polygons);
+    const featureName = geojson?.properties?.name || geojson?.name || null;
+    return new Geofence({ name: name || featureName, polygons });
+  }
+
+  contains(position) {
+    const lat = Number(position?.lat);
+    const lng = Number(position?.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+
+    const { minLat, minLng, maxLat, maxLng } = this.bounds;
+    if (lat < minLat || lat > maxLat || lng < minLng || lng > maxLng) return false;
+
+    return this.polygons.some(([outer, ...holes]) =>
+      ringContains(outer, lng, lat) && !holes.some(hole => ringContains(hole, lng, lat))
+    );
+  }
+
+  // Meters to the nearest ring edge (outer or hole), on a local flat projection.
+  distanceToEdgeMeters(position) {
+    const lat = Number(position?.lat);
+    const lng = Number(position?.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+    const metersPerDegreeLat = 111320;
+    const metersPerDegreeLng = 111320 * Math.cos(lat * Math.PI / 180);
+    let nearest = Infinity;
+    for (const rings of this.polygons) {
+      for (const ring of rings) {
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+          const ax = (ring[j][0] - lng) * metersPerDegreeLng;
+          const ay = (ring[j][1] - lat) * metersPerDegreeLat;
+          const dx = (ring[i][0] - ring[j][0]) * metersPerDegreeLng;
+          const dy = (ring[i][1] - ring[j][1]) * metersPerDegreeLat;
+          const lengthSquared = dx * dx + dy * dy;
+          const t = lengthSquared > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+          nearest = Math.min(nearest, Math.hypot(ax + t * dx, ay + t * dy));
+        }
+      }
+    }
+    return nearest;
+  }
+
+  toGeoJSON() {
+    if (this.geojson) return this.geojson;
+    const closed = ring => [...ring, ring[0]];
+    this.geojson = {
+      type: 'Feature',
+      properties: { name: this.name },
+      geometry: {
+        type: 'MultiPolygon',
+        coordinates: this.polygons.map(rings => rings.map(closed))
+      }
+    };
+    return this.geojson;
+  }
+}
+
+export async function loadGeofence(filePath) {
+  const geojson = JSON.parse(await fsp.readFile(filePath, 'utf8'));
+  const geofence = Geofence.fromGeoJSON(geojson);
+  geofence.name = geofence.name || path.basename(filePath, path.extname(filePath));
+  return geofence;
+}
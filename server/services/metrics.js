@@ -0,0 +1,239 @@
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+// Seconds; covers fast cache reads up to a slow model call.
+export const DEFAULT_BUCKETS = Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]);
+
+// Accepts (labels, value), (value) or (labels) like the common Prometheus clients.
+function labelsAndValue(first, second, fallback) {
+  if (first !== null && typeof first === 'object') return [first, second ?? fallback];
+  return [{}, first ?? fallback];
+}
+
+class Metric {
+  constructor(type, name, help, { labelNames = [] } = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label values joined by \u0001 -> { labels, ... }
+  }
+
+  #key(labels) {
+    for (const label of Object.keys(labels)) {
+      if (!this.labelNames.includes(label)) {
+        throw new Error(`Metric ${this.name} has no label "${label}"`);
+      }
+    }
+    return this.labelNames.map(label => String(labels[label] ?? '')).join('\u0001');
+  }
+
+  seriesFor(labels, create) {
+    const key = this.#key(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      const picked = {};
+      for (const label of this.labelNames) {
+        if (labels[label] !== undefined) picked[label] = String(labels[label]);
+      }
+      entry = { labels: picked, ...create() };
+      this.series.set(key, entry);
+    }
+    return entry;
+  }
+
+  get(labels = {}) {
+    return this.series.get(this.#key(labels))?.value ?? 0;
+  }
+
+  clear() {
+    this.series.clear();
+  }
+
+  collect() {
+    return {
+      name: this.name,
+      help: this.help,
+      type: this.type,
+      samples: [...this.series.values()].map(({ labels, value }) => ({ labels, value }))
+    };
+  }
+}
+
+export class Counter extends Metric {
+  constructor(name, help, options) {
+    super('counter', name, help, options);
+    // Unlabelled counters read 0 from the start, so rate() has a baseline before the first event.
+    if (this.labelNames.length === 0) this.seriesFor({}, () => ({ value: 0 }));
+  }
+
+  inc(labels, value) {
+    const [picked, amount] = labelsAndValue(labels, value, 1);
+    if (!(amount >= 0)) {
+      throw new Error(`Counter ${this.name} can only go up`);
+    }
+    this.seriesFor(picked, () => ({ value: 0 })).value += amount;
+  }
+}
+
+export class Gauge extends Metric {
+  constructor(name, help, options) {
+    super('gauge', name, help, options);
+  }
+
+  set(labels, value) {
+    const [picked, next] = labelsAndValue(labels, value, 0);
+    this.seriesFor(picked, () => ({ value: 0 })).value = Number(next);
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, { buckets = DEFAULT_BUCKETS, ...options } = {}) {
+    super('histogram', name, help, options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const [picked, observed] = labelsAndValue(labels, value, 0);
+    const entry = this.seriesFor(picked, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (observed <= bound) entry.counts[index] += 1;
+    });
+    entry.sum += observed;
+    entry.count += 1;
+  }
+
+  /**
+   * Starts timing an operation; call the returned function when it ends, optionally with labels
+   * only known by then (such as the outcome). Returns the observed seconds.
+   */
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (endLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...endLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  // Times an async operation, whether it resolves or throws.
+  async time(labels, operation) {
+    const done = this.startTimer(labels);
+    try {
+      return await operation();
+    } finally {
+      done();
+    }
+  }
+
+  collect() {
+    return {
+      name: this.name,
+      help: this.help,
+      type: this.type,
+      buckets: this.buckets,
+      samples: [...this.series.values()].map(({ labels, counts, sum, count }) => ({
+        labels,
+        counts: [...counts],
+        sum,
+        count
+      }))
+    };
+  }
+}
+
+/**
+ * A set of named counters, gauges and histograms. `collect()` returns plain objects, so the
+ * worker can send its families over IPC and the supervisor renders them next to its own.
+ * Registering a name twice returns the existing metric.
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  #register(MetricClass, name, help, options) {
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (!(existing instanceof MetricClass)) {
+        throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = new MetricClass(name, help, options);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  counter(name, help, options) {
+    return this.#register(Counter, name, help, options);
+  }
+
+  gauge(name, help, options) {
+    return this.#register(Gauge, name, help, options);
+  }
+
+  histogram(name, help, options) {
+    return this.#register(Histogram, name, help, options);
+  }
+
+  collect() {
+    return [...this.metrics.values()].map(metric => metric.collect());
+  }
+}
+
+// Process-wide registry for instruments that live in services rather than on one object.
+export const metrics = new MetricsRegistry();
+
+const escapeHelp = text => String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+const escapeLabelValue = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatNumber(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatLabels(labels, extra = null) {
+  const pairs = Object.entries(extra ? { ...labels, ...extra } : labels);
+  if (pairs.length === 0) return '';
+  return `{${pairs.map(([label, value]) => `${label}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Renders collected metric families in the Prometheus text format, or in OpenMetrics when
+ * asked (counter families lose their `_total` suffix and the output ends with `# EOF`).
+ * Families with no samples are left out. When two families share a name the first one wins.
+ * @param {object[]} families - from `MetricsRegistry#collect()`
+ * @param {{openMetrics?: boolean}} [options]
+ * @returns {string}
+ */
+export function renderMetrics(families, { openMetrics = false } = {}) {
+  const lines = [];
+  const seen = new Set();
+  for (const family of families) {
+    if (!family?.name || seen.has(family.name) || !family.samples?.length) continue;
+    seen.add(family.name);
+
+    const familyName = openMetrics && family.type === 'counter' ? family.name.replace(/_total$/, '') : family.name;
+    lines.push(`# HELP ${familyName} ${escapeHelp(family.help)}`);
+    lines.push(`# TYPE ${familyName} ${family.type}`);
+
+    for (const sample of family.samples) {
+      if (family.type !== 'histogram') {
+        const sampleName = family.type === 'counter' && openMetrics ? `${familyName}_total` : family.name;
+        lines.push(`${sampleName}${formatLabels(sample.labels)} ${formatNumber(sample.value)}`);
+        continue;
+      }
+      family.buckets.forEach((bound, index) => {
+        lines.push(`${family.name}_bucket${formatLabels(sample.labels, { le: formatNumber(bound) })} ${sample.counts[index]}`);
+      });
+      lines.push(`${family.name}_bucket${formatLabels(sample.labels, { le: '+Inf' })} ${sample.count}`);
+      lines.push(`${family.name}_sum${formatLabels(sample.labels)} ${formatNumber(sample.sum)}`);
+      lines.push(`${family.name}_count${formatLabels(sample.labels)} ${sample.count}`);
+    }
+  }
+  if (openMetrics) lines.push('# EOF');
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
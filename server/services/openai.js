@@ -1,7 +1,34 @@
-import OpenAI from 'openai';
+import { createVisionProvider } from './visionProviders.js';
+import { metrics } from './metrics.js';
+import { addUsage, emptyUsage, parseModelPrices, priceUsage } from './usageAccounting.js';
+import { DECISION_SCHEMA_NAME, buildDecisionSchema, decisionOutputError, validateDecision } from './decisionSchema.js';
+
+const modelRequestSeconds = metrics.histogram(
+  'scout_model_request_duration_seconds',
+  'Vision model request latency, one observation per attempt',
+  { labelNames: ['provider', 'model', 'outcome'], buckets: [0.25, 0.5, 1, 2, 5, 10, 20, 45, 90] }
+);
+const modelTokens = metrics.counter(
+  'scout_model_tokens_total',
+  'Tokens reported by the vision model',
+  { labelNames: ['provider', 'model', 'kind'] }
+);
+const modelCostUsd = metrics.counter(
+  'scout_model_cost_usd_total',
+  'Vision model spend from the MODEL_PRICES table',
+  { labelNames: ['provider', 'model'] }
+);
+const decisionFailures = metrics.counter(
+  'scout_model_decision_failures_total',
+  'Decision attempts whose output could not be used, by failure category',
+  { labelNames: ['provider', 'model', 'category'] }
+);
+
+// Models already warned about missing from the price table.
+const unpricedModelsWarned = new Set();
 
 export class OpenAIService {
-  constructor() {
+  constructor(visionConfig = {}) {
     const parseOr = (value, fallback) => {
       const parsed = parseInt(value, 10);
       return Number.isFinite(parsed) ? parsed : fallback;
@@ -10,14 +37,14 @@ export class OpenAIService {
     this.openaiTimeoutMs = parseOr(process.env.OPENAI_TIMEOUT_MS ?? '45000', 45000);
     this.openaiMaxRetries = parseOr(process.env.OPENAI_MAX_RETRIES ?? '1', 1);
 
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-      timeout: this.openaiTimeoutMs,
+    this.provider = visionConfig.instance || createVisionProvider(visionConfig, {
+      timeoutMs: this.openaiTimeoutMs,
       maxRetries: this.openaiMaxRetries
     });
 
     this.maxDecisionRetries = parseOr(process.env.OPENAI_DECISION_RETRIES ?? '1', 1);
     this.decisionMaxTokens = parseOr(process.env.OPENAI_DECISION_MAX_TOKENS ?? '2000', 2000);
+    this.prices = parseModelPrices(visionConfig.prices ?? process.env.MODEL_PRICES);
 
     this.fallbackLines = [
       'Model unavailable; advancing toward a less-visited branch to keep coverage expanding.',
@@ -26,19 +53,108 @@ export class OpenAIService {
     ];
   }
 
-  getIntentForStep() {
-    return null;
+  // Kept so callers and tests can swap the chat-completions client directly.
+  get client() {
+    return this.provider.client;
+  }
+
+  set client(client) {
+    this.provider.client = client;
+  }
+
+  describeProvider() {
+    return { provider: this.provider.name, model: this.provider.model };
+  }
+
+  // Whether the model has a price, so that usage budgets can see its spend.
+  get isPriced() {
+    return Boolean(this.prices[this.provider.model]);
+  }
+
+  // Prices one response into `usage` and the model metrics; returns the priced usage or null.
+  #recordUsage(response, usage, modelLabels) {
+    const priced = response?.usage ? priceUsage(response.usage, this.provider.model, this.prices) : null;
+    addUsage(usage, priced || { requests: 1 });
+    if (priced?.unpricedTokens && !unpricedModelsWarned.has(this.provider.model)) {
+      unpricedModelsWarned.add(this.provider.model);
+      console.warn(`No price for model "${this.provider.model}"; its tokens count as unpricedTokens at $0. Add it to MODEL_PRICES.`);
+    }
+    if (priced) {
+      modelTokens.inc({ ...modelLabels, kind: 'prompt' }, priced.inputTokens);
+      modelTokens.inc({ ...modelLabels, kind: 'completion' }, priced.outputTokens);
+      modelCostUsd.inc(modelLabels, priced.costUsd);
+    }
+    return priced;
+  }
+
+  /**
+   * Asks the model for the next multi-step exploration goal (see IntentPlanner). One attempt, no
+   * retries; the planner falls back to its own goals when this yields no intent.
+   * @returns {Promise<{text:string|null, heading:number|null, usage:object}>}
+   */
+  async planIntent({ position, regionName, stats, recentNarratives, previousIntents = [], horizonSteps, stepNumber }) {
+    const usage = { ...emptyUsage(), provider: this.provider.name, model: this.provider.model || null };
+    const modelLabels = { provider: this.provider.name, model: this.provider.model || '' };
+    const context = [
+      position ? `Current coordinates: ${this.#formatCoordinate(position.lat)}, ${this.#formatCoordinate(position.lng)}.` : '',
+      regionName ? `Current region: ${regionName}.` : '',
+      stats ? `Coverage so far: ${stats.locationsVisited ?? 0} locations visited, ${Math.round(stats.distanceTraveled ?? 0)}m traveled.` : '',
+      previousIntents.length > 0 ? `Earlier intents, do not repeat them:\n${previousIntents.map(text => `- ${text}`).join('\n')}` : '',
+      recentNarratives?.length > 0 ? `Recent field notes:\n${recentNarratives.slice(-4).map(line => `- ${line}`).join('\n')}` : ''
+    ].filter(Boolean).join('\n');
+
+    const endRequest = modelRequestSeconds.startTimer(modelLabels);
+    let response;
+    try {
+      response = await this.provider.complete({
+        messages: [
+          {
+            role: 'system',
+            content: `You plan the next stretch of a wanderer's walk through Google Street View. Set one concrete goal for about the next ${horizonSteps} steps that a street network can plausibly serve, such as "follow the waterfront north" or "find a park".
+
+Respond with a JSON object:
+{
+  "intent": "short goal in under 12 words",
+  "heading": <compass degrees 0-359 the goal leads toward, or null when it has no direction>
+}`
+          },
+          { role: 'user', content: context || 'No context yet; the walk has just begun.' }
+        ],
+        maxTokens: 600,
+        purpose: 'intent',
+        stepNumber
+      });
+      endRequest({ outcome: 'ok' });
+    } catch (error) {
+      endRequest({ outcome: 'error' });
+      throw error;
+    }
+    this.#recordUsage(response, usage, modelLabels);
+
+    let planned = null;
+    try {
+      planned = this.#parseDecisionContent(response?.content);
+    } catch (error) {
+      console.warn(`Unusable intent from ${this.provider.name}: ${error.message}`);
+    }
+    const text = typeof planned?.intent === 'string' ? planned.intent.trim().slice(0, 120) : '';
+    const heading = Number(planned?.heading);
+    return {
+      text: text || null,
+      heading: planned?.heading !== null && Number.isFinite(heading) ? heading : null,
+      usage
+    };
   }
 
   #parseDecisionContent(rawContent) {
     if (rawContent === null || rawContent === undefined) {
-      throw new Error('Model returned empty content');
+      throw decisionOutputError('empty', 'Model returned empty content');
     }
 
     const text = typeof rawContent === 'string' ? rawContent : JSON.stringify(rawContent);
     const trimmed = text.trim();
     if (!trimmed) {
-      throw new Error('Model returned blank content');
+      throw decisionOutputError('empty', 'Model returned blank content');
     }
 
     try {
@@ -63,20 +179,13 @@ export class OpenAIService {
           // Normalize all parse failures into a single retryable error.
         }
       }
-      throw new Error(`Invalid JSON response from AI: ${trimmed.substring(0, 240)}`);
+      throw decisionOutputError('invalid_json', `Invalid JSON response from AI: ${trimmed.substring(0, 240)}`);
     }
   }
 
+  // Output the model produced but that could not be used; see DECISION_FAILURE_CATEGORIES.
   #isParseError(error) {
-    const message = (error?.message || '').toLowerCase();
-    return [
-      'invalid json response from ai',
-      'unexpected end of json',
-      'unexpected token',
-      'json at position',
-      'model returned blank content',
-      'model returned empty content'
-    ].some(fragment => message.includes(fragment));
+    return Boolean(error?.category);
   }
 
   #isRetryableApiError(error) {
@@ -162,18 +271,9 @@ ${loopWarning ? '- Warning: recent moves may be revisiting the same locations.\n
     return normalized ? normalized.slice(0, 40) : null;
   }
 
-  #sanitizeDecision(decision, links, rawContent) {
-    const selectedIndex = parseInt(decision?.selectedIndex, 10);
-    if (isNaN(selectedIndex) || selectedIndex < 0 || selectedIndex >= links.length) {
-      console.warn('AI selected invalid index:', decision?.selectedIndex, 'Valid range: 0-' + (links.length - 1));
-      console.warn('Full AI response:', typeof rawContent === 'string' ? rawContent : JSON.stringify(rawContent).substring(0, 500));
-      return {
-        selectedPanoId: links[0].pano,
-        reasoning: 'Falling back to the first available direction after an invalid index.',
-        fallbackCause: null
-      };
-    }
-
+  // Takes a decision that passed validateDecision(); the index is known to name an option.
+  #sanitizeDecision(decision, links) {
+    const { selectedIndex } = decision;
     const selectedPanoId = links[selectedIndex].pano;
     console.log(`AI selected index ${selectedIndex} => panoId: ${selectedPanoId}`);
 
@@ -185,10 +285,65 @@ ${loopWarning ? '- Warning: recent moves may be revisiting the same locations.\n
       selectedPanoId,
       reasoning,
       sceneTag: this.#sanitizeSceneTag(decision?.sceneTag),
+      ...(typeof decision?.intentFollowed === 'boolean' ? { intentFollowed: decision.intentFollowed } : {}),
       fallbackCause: null
     };
   }
 
+  /**
+   * Condenses the run's recent diary into its long-term memory (see RunMemory). One attempt; the
+   * caller builds a summary itself when this yields none.
+   * @returns {Promise<{text:string|null, usage:object}>}
+   */
+  async summarizeMemory({ previousSummary, notes = [], regions = [], scenes = {}, fromStep, stepNumber }) {
+    const usage = { ...emptyUsage(), provider: this.provider.name, model: this.provider.model || null };
+    const modelLabels = { provider: this.provider.name, model: this.provider.model || '' };
+    const sceneCounts = Object.entries(scenes).map(([tag, count]) => `${tag} ${count}`).join(', ');
+    const context = [
+      previousSummary ? `Memory so far:\n${previousSummary}` : 'Memory so far: nothing yet, the walk has just begun.',
+      regions.length > 0 ? `Time by region: ${regions.map(region => `${region.name} ${region.steps} steps`).join(', ')}.` : '',
+      sceneCounts ? `Scene tags so far: ${sceneCounts}.` : '',
+      `Field notes from steps ${fromStep}-${stepNumber}:\n${notes.map(note =>
+        `- step ${note.step}${note.region ? ` in ${note.region}` : ''}: ${note.text}`).join('\n')}`
+    ].filter(Boolean).join('\n\n');
+
+    const endRequest = modelRequestSeconds.startTimer(modelLabels);
+    let response;
+    try {
+      response = await this.provider.complete({
+        messages: [
+          {
+            role: 'system',
+            content: `You keep the long-term memory of a wanderer walking through Google Street View. Fold the new field notes into the memory so far: where the walk has been, how long it lingered, notable scenes, and the arc it is on. Keep it under 120 words, in the past tense, concrete rather than poetic.
+
+Respond with a JSON object:
+{
+  "summary": "the updated memory"
+}`
+          },
+          { role: 'user', content: context }
+        ],
+        maxTokens: 800,
+        purpose: 'memory',
+        stepNumber
+      });
+      endRequest({ outcome: 'ok' });
+    } catch (error) {
+      endRequest({ outcome: 'error' });
+      throw error;
+    }
+    this.#recordUsage(response, usage, modelLabels);
+
+    let parsed = null;
+    try {
+      parsed = this.#parseDecisionContent(response?.content);
+    } catch (error) {
+      console.warn(`Unusable memory summary from ${this.provider.name}: ${error.message}`);
+    }
+    const text = typeof parsed?.summary === 'string' ? parsed.summary.trim() : '';
+    return { text: text || null, usage };
+  }
+
   async decideNextMove({
     currentPosition,
     screenshots,
@@ -199,6 +354,7 @@ ${loopWarning ? '- Warning: recent moves may be revisiting the same locations.\n
     recentMovements,
     tone,
     intent,
+    memory,
     recentNarratives
   }) {
     const imageContents = screenshots.map((screenshot) => ({
@@ -210,6 +366,11 @@ ${loopWarning ? '- Warning: recent moves may be revisiting the same locations.\n
     }));
 
     const optionContext = this.#formatOptionContext({ screenshots, links, visitedPanos });
+    const options = screenshots.map((screenshot, index) => ({
+      index,
+      pano: links[index]?.pano ?? null,
+      visited: Boolean(screenshot.visited || (links[index]?.pano && visitedPanos.includes(links[index].pano)))
+    }));
     const movementContext = this.#formatRecentMovementContext(recentMovements);
     const recentNarrativeContext = recentNarratives && recentNarratives.length > 0
       ? `Recent field notes:\n${recentNarratives.slice(-4).map(line => `- ${line}`).join('\n')}`
@@ -224,8 +385,12 @@ ${loopWarning ? '- Warning: recent moves may be revisiting the same locations.\n
       ? `Narrative tone: ${tone}.`
       : 'Narrative tone: observant, concrete, lightly poetic.';
     const intentContext = intent
-      ? `Current exploration intent: ${intent}.`
+      ? `Current exploration intent: ${intent}. Let it steer the choice wherever the policy leaves room.`
+      : '';
+    const intentField = intent
+      ? ',\n  "intentFollowed": true if the chosen option serves the current exploration intent, otherwise false'
       : '';
+    const decisionSchema = buildDecisionSchema({ optionCount: links.length, intent: Boolean(intent) });
 
     const systemPrompt = `You are an AI wanderer exploring the world through Google Street View. The project wants curiosity, not efficiency: choose the direction whose public path feels most alive and most likely to reveal a fresh piece of the world.
 
@@ -244,11 +409,13 @@ Respond with a JSON object containing:
 {
   "selectedIndex": <number between 0 and ${screenshots.length - 1}>,
   "reasoning": "one concrete, lightly poetic sentence about why this route balances curiosity with better exploration",
-  "sceneTag": "public-street | open-branch | loop-break | indoor-escape | constrained-fallback | other"
+  "sceneTag": "public-street | open-branch | loop-break | indoor-escape | constrained-fallback | other"${intentField}
 }`;
 
     const maxAttempts = Math.max(1, this.maxDecisionRetries + 1);
     let lastError = null;
+    // Every attempt is billed, including the ones whose output could not be used.
+    const usage = { ...emptyUsage(), provider: this.provider.name, model: this.provider.model || null };
 
     let attemptMaxTokens = this.decisionMaxTokens;
     const maxRetryTokens = Math.max(attemptMaxTokens, 2400);
@@ -258,9 +425,11 @@ Respond with a JSON object containing:
         ? '\n\nRetry note: previous output could not be used. Return only valid JSON matching the schema.'
         : '';
 
+      const modelLabels = { provider: this.provider.name, model: this.provider.model || '' };
+      const endRequest = modelRequestSeconds.startTimer(modelLabels);
+      let response = null;
       try {
-        const response = await this.client.chat.completions.create({
-          model: 'gpt-5-nano',
+        response = await this.provider.complete({
           messages: [
             {
               role: 'system',
@@ -277,6 +446,7 @@ ${positionContext}
 ${statsContext}
 ${toneContext}
 ${intentContext}
+${memory || ''}
 
 Options:
 ${optionContext}
@@ -289,28 +459,33 @@ ${retryNote}`
               ]
             }
           ],
-          response_format: { type: 'json_object' },
-          max_completion_tokens: attemptMaxTokens
+          maxTokens: attemptMaxTokens,
+          responseSchema: { name: DECISION_SCHEMA_NAME, schema: decisionSchema },
+          options,
+          stepNumber
         });
+        endRequest({ outcome: 'ok' });
 
-        if (response.usage) {
+        if (this.#recordUsage(response, usage, modelLabels)) {
           const step = stepNumber ? `Step ${stepNumber} - ` : '';
           const attemptSuffix = maxAttempts > 1 ? ` [attempt ${attempt}/${maxAttempts}]` : '';
           console.log(`${step}Token usage${attemptSuffix} - Input: ${response.usage.prompt_tokens}, Output: ${response.usage.completion_tokens}, Total: ${response.usage.total_tokens}`);
         }
 
-        const rawContent = response?.choices?.[0]?.message?.content;
-        const decision = this.#parseDecisionContent(rawContent);
-        return this.#sanitizeDecision(decision, links, rawContent);
+        const rawContent = response?.content;
+        const decision = validateDecision(this.#parseDecisionContent(rawContent), decisionSchema);
+        return { ...this.#sanitizeDecision(decision, links), usage };
       } catch (error) {
+        if (!response) endRequest({ outcome: 'error' });
         lastError = error;
         const parseFailure = this.#isParseError(error);
         const retryable = parseFailure || this.#isRetryableApiError(error);
 
         if (parseFailure) {
-          console.error(`Failed to parse AI response as JSON on attempt ${attempt}/${maxAttempts}:`, error.message);
+          decisionFailures.inc({ ...modelLabels, category: error.category });
+          console.error(`Unusable AI decision (${error.category}) on attempt ${attempt}/${maxAttempts}:`, error.message);
         } else {
-          console.error(`Error in OpenAI decision on attempt ${attempt}/${maxAttempts}:`, error.message);
+          console.error(`Error in ${this.provider.name} decision on attempt ${attempt}/${maxAttempts}:`, error.message);
           if (error.response) {
             console.error('API Response status:', error.response.status);
             console.error('API Response data:', JSON.stringify(error.response.data).substring(0, 500));
@@ -320,7 +495,7 @@ ${retryNote}`
         if (attempt < maxAttempts && retryable) {
           // GPT-5 chat completions can consume completion budget on reasoning tokens only.
           // Escalate budget on blank-content parse failures so retries can produce JSON output.
-          if (parseFailure && /blank content|empty content/i.test(error?.message || '')) {
+          if (error.category === 'empty') {
             attemptMaxTokens = Math.min(maxRetryTokens, Math.max(attemptMaxTokens * 2, 600));
           }
           continue;
@@ -338,7 +513,7 @@ ${retryNote}`
       fallbackCause = 'parse_error_after_retries';
     }
 
-    console.warn(`OpenAI fallback engaged at step ${stepNumber || '?'} (cause=${fallbackCause})`);
-    return this.#buildFallbackDecision(links, visitedPanos, stepNumber, fallbackCause);
+    console.warn(`${this.provider.name} fallback engaged at step ${stepNumber || '?'} (cause=${fallbackCause})`);
+    return { ...this.#buildFallbackDecision(links, visitedPanos, stepNumber, fallbackCause), usage };
   }
 }
@@ -2,6 +2,7 @@ import * as fsp from 'fs/promises';
 import path from 'path';
 import { randomUUID } from 'crypto';
 import { TILE_RENDERER_REVISION } from './archiveTileRenderer.js';
+import { DEFAULT_AGENT_ID } from './coverage.js';
 
 function cloneJson(value) {
   return value == null ? value : JSON.parse(JSON.stringify(value));
@@ -29,6 +30,11 @@ const DEFAULT_TILE_VERSION_BUCKET_POINTS = parseIntOr(
   process.env.MINIMAP_TILE_VERSION_BUCKET_POINTS,
   1000
 );
+// Points of additional agents carry their agentId; the first agent's points stay untagged.
+function agentField(agentId) {
+  return agentId && agentId !== DEFAULT_AGENT_ID ? { agentId } : {};
+}
+
 function validPosition(position) {
   if (!position || typeof position !== 'object') return null;
   const lat = Number(position.lat);
@@ -100,6 +106,8 @@ export function extractPathPointFromStepEvent(event) {
     return {
       ...position,
       panoId: stepData.panoId || stepData.coverageDelta?.panoId || null,
+      ...agentField(stepData.agentId || event.agentId),
+      mode: stepData.mode || null,
       stepCount: numberOr(stepData.stepCount, numberOr(event.stepCount, 0)),
       sequence: numberOr(event.sequence, 0),
       timestamp: event.timestamp || null
@@ -112,6 +120,7 @@ export function extractPathPointFromStepEvent(event) {
   return {
     ...position,
     panoId: snapshot.currentState?.panoId || null,
+    mode: snapshot.currentState?.mode || null,
     stepCount: numberOr(snapshot.stepCount, numberOr(event.stepCount, 0)),
     sequence: numberOr(event.sequence, 0),
     timestamp: event.timestamp || snapshot.lastUpdated || null
@@ -127,6 +136,8 @@ export function extractPathPointFromMove(data) {
   return {
     ...position,
     panoId: data.panoId || null,
+    ...agentField(data.agentId),
+    mode: data.mode || null,
     stepCount: numberOr(data.stepCount, 0),
     sequence,
     timestamp: data.timestamp || new Date().toISOString()
@@ -368,6 +379,8 @@ export class PathProjection {
         return {
           ...position,
           panoId,
+          ...agentField(node.agentId),
+          mode: null,
           stepCount: 0,
           sequence: 0,
           timestamp: Number(node.timestamp) || null
@@ -395,6 +408,8 @@ export class PathProjection {
             return {
               ...position,
               panoId: point.panoId || null,
+              ...agentField(point.agentId),
+              mode: point.mode || null,
               stepCount: numberOr(point.stepCount, 0),
               sequence: numberOr(point.sequence, 0),
               timestamp: point.timestamp || null
@@ -1,7 +1,66 @@
+export const PATHFINDER_MODES = ['bfs', 'astar'];
+
+// Minimal binary heap keyed on `priority`, enough for Dijkstra/A* over the coverage graph.
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
 export class Pathfinder {
-  constructor(coverage) {
+  constructor(coverage, options = {}) {
     this.coverage = coverage;
+    // Agent this pathfinder routes for when several share the coverage; frontiers other agents claimed are skipped
+    this.agentId = options.agentId ?? null;
     this.clusterRadiusMeters = parseFloat(process.env.PATHFINDER_CLUSTER_RADIUS_M || '0');
+
+    const mode = String(options.mode ?? process.env.PATHFINDER_MODE ?? 'bfs').toLowerCase();
+    if (!PATHFINDER_MODES.includes(mode)) {
+      throw new Error(`Unknown PATHFINDER_MODE "${mode}" (expected one of: ${PATHFINDER_MODES.join(', ')})`);
+    }
+    this.mode = mode;
+    this.revisitPenaltyMeters = options.revisitPenaltyMeters ??
+      parseFloat(process.env.PATHFINDER_REVISIT_PENALTY_M || '0');
+    // Unvisited panos have no coordinates yet, so the final hop onto one costs a nominal step.
+    this.frontierEdgeMeters = options.frontierEdgeMeters ??
+      parseFloat(process.env.PATHFINDER_FRONTIER_EDGE_M || '10');
   }
   
   /**
@@ -14,6 +73,16 @@ export class Pathfinder {
       console.log('No frontier panoramas available');
       return null;
     }
+
+    if (this.mode === 'astar') {
+      const weighted = this.findWeightedPath(startPanoId);
+      if (weighted) {
+        console.log(`Found weighted path to frontier: ${weighted.pathLength} steps (${Math.round(weighted.distanceMeters)}m) to ${weighted.targetPanoId}`);
+      } else {
+        console.log('No path to frontier found');
+      }
+      return weighted;
+    }
     
     // BFS to find shortest path to any frontier panorama
     const queue = [{ panoId: startPanoId, path: [], distance: 0 }];
@@ -35,7 +104,7 @@ export class Pathfinder {
         const newPath = [...path, nextPanoId];
         
         // Check if this panorama is in the frontier
-        if (this.coverage.frontier.has(nextPanoId)) {
+        if (this.coverage.isFrontierOpen(nextPanoId, this.agentId)) {
           console.log(`Found path to frontier: ${newPath.length} steps to ${nextPanoId}`);
           return {
             targetPanoId: nextPanoId,
@@ -60,7 +129,132 @@ export class Pathfinder {
     console.log('No path to frontier found');
     return null;
   }
-  
+
+  /**
+   * Find the shortest hop path to a specific panorama using BFS
+   * @param {string} startPanoId - Current panorama ID
+   * @param {string} targetPanoId - Panorama to reach (may be an unvisited neighbor)
+   * @returns {object|null} - Route info shaped like findPathToNearestFrontier, or null
+   */
+  findPathToPano(startPanoId, targetPanoId) {
+    if (!startPanoId || !targetPanoId || startPanoId === targetPanoId) return null;
+    if (this.mode === 'astar') {
+      return this.findWeightedPath(startPanoId, { targetPanoId });
+    }
+
+    const queue = [{ panoId: startPanoId, path: [] }];
+    const visited = new Set([startPanoId]);
+    let expanded = 0;
+
+    while (queue.length > 0) {
+      const { panoId, path } = queue.shift();
+      expanded++;
+
+      const node = this.coverage.graph.get(panoId);
+      const connections = node ? node.neighbors : new Set();
+
+      for (const nextPanoId of connections) {
+        if (visited.has(nextPanoId)) continue;
+        visited.add(nextPanoId);
+
+        const newPath = [...path, nextPanoId];
+        if (nextPanoId === targetPanoId) {
+          return {
+            targetPanoId,
+            nextStep: newPath[0],
+            pathLength: newPath.length,
+            fullPath: newPath,
+            expanded
+          };
+        }
+
+        if (this.coverage.hasVisited(nextPanoId)) {
+          queue.push({ panoId: nextPanoId, path: newPath });
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the cheapest path by geographic length, optionally penalizing revisits.
+   * Runs A* with a haversine heuristic when the target has known coordinates,
+   * and Dijkstra otherwise (nearest frontier, or an unvisited target pano).
+   * @param {string} startPanoId - Current panorama ID
+   * @param {object} [options]
+   * @param {string|null} [options.targetPanoId] - Specific pano to reach; nearest frontier when omitted
+   * @param {number} [options.revisitPenaltyMeters] - Extra cost per prior visit of each node entered
+   * @returns {object|null} - Route info shaped like findPathToNearestFrontier plus distanceMeters and cost
+   */
+  findWeightedPath(startPanoId, { targetPanoId = null, revisitPenaltyMeters = this.revisitPenaltyMeters } = {}) {
+    if (!startPanoId || startPanoId === targetPanoId) return null;
+
+    const targetNode = targetPanoId ? this.coverage.graph.get(targetPanoId) : null;
+    const heuristic = targetNode
+      ? (node) => node ? this.coverage.calculateDistance(node, targetNode) : 0
+      : () => 0;
+    const isGoal = targetPanoId
+      ? (panoId) => panoId === targetPanoId
+      : (panoId) => this.coverage.isFrontierOpen(panoId, this.agentId);
+
+    const best = new Map([[startPanoId, { cost: 0, distance: 0, previous: null }]]);
+    const closed = new Set();
+    const open = new MinHeap();
+    open.push({ panoId: startPanoId, priority: heuristic(this.coverage.graph.get(startPanoId)) });
+    let expanded = 0;
+
+    while (open.size > 0) {
+      const { panoId } = open.pop();
+      if (closed.has(panoId)) continue;
+      closed.add(panoId);
+
+      if (panoId !== startPanoId && isGoal(panoId)) {
+        const fullPath = [];
+        for (let step = panoId; step !== startPanoId; step = best.get(step).previous) {
+          fullPath.unshift(step);
+        }
+        const { cost, distance } = best.get(panoId);
+        return {
+          targetPanoId: panoId,
+          nextStep: fullPath[0],
+          pathLength: fullPath.length,
+          fullPath,
+          expanded,
+          distanceMeters: distance,
+          cost
+        };
+      }
+
+      // Only expand through visited panoramas (we can't go through unvisited ones)
+      if (panoId !== startPanoId && !this.coverage.hasVisited(panoId)) continue;
+      expanded++;
+
+      const node = this.coverage.graph.get(panoId);
+      if (!node) continue;
+      const current = best.get(panoId);
+
+      for (const nextPanoId of node.neighbors) {
+        if (closed.has(nextPanoId)) continue;
+        const nextNode = this.coverage.graph.get(nextPanoId);
+        const edgeMeters = nextNode
+          ? this.coverage.calculateDistance(node, nextNode)
+          : this.frontierEdgeMeters;
+        const penalty = revisitPenaltyMeters > 0
+          ? this.coverage.getVisitCount(nextPanoId) * revisitPenaltyMeters
+          : 0;
+        const cost = current.cost + edgeMeters + penalty;
+
+        const known = best.get(nextPanoId);
+        if (known && known.cost <= cost) continue;
+        best.set(nextPanoId, { cost, distance: current.distance + edgeMeters, previous: panoId });
+        open.push({ panoId: nextPanoId, priority: cost + heuristic(nextNode) });
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Find the direction that leads to the most unexplored areas
    * @param {string} currentPanoId - Current panorama ID
@@ -88,7 +282,7 @@ export class Pathfinder {
       score += reachableFrontier * 5;
       
       // Penalize if in recent history
-      const recentIndex = this.coverage.recentHistory.lastIndexOf(link.pano);
+      const recentIndex = this.coverage.getRecentHistory(this.agentId).lastIndexOf(link.pano);
       if (recentIndex !== -1) {
         score -= (10 - recentIndex) * 2; // More recent = bigger penalty
       }
@@ -164,15 +358,11 @@ export class Pathfinder {
       members.add(n.panoId);
       while (queue.length > 0) {
         const cur = queue.shift();
-        for (let j = 0; j < nodes.length; j++) {
-          const m = nodes[j];
+        for (const m of this.coverage.findNodesWithinRadius(cur, radius)) {
           if (clusterOf.has(m.panoId)) continue;
-          const dist = this.coverage.calculateDistance({ lat: cur.lat, lng: cur.lng }, { lat: m.lat, lng: m.lng });
-          if (dist <= radius) {
-            clusterOf.set(m.panoId, clusterId);
-            members.add(m.panoId);
-            queue.push(m);
-          }
+          clusterOf.set(m.panoId, clusterId);
+          members.add(m.panoId);
+          queue.push(m);
         }
       }
       clusters.set(clusterId, { members, hasBoundary: false });
@@ -0,0 +1,223 @@
+import { promises as fsp } from 'fs';
+import path from 'path';
+import { Geofence } from './geofence.js';
+
+function collectRegionFeatures(geojson, features) {
+  if (!geojson || typeof geojson !== 'object') return;
+  if (geojson.type === 'FeatureCollection') {
+    for (const feature of geojson.features || []) collectRegionFeatures(feature, features);
+  } else if (geojson.type === 'Feature') {
+    features.push(geojson);
+  } else if (geojson.type) {
+    features.push({ type: 'Feature', properties: {}, geometry: geojson });
+  }
+}
+
+/**
+ * Builds regions from a GeoJSON region set, one per feature with a (Multi)Polygon geometry.
+ * Ids come from `feature.id` or `properties.id`, names from `properties.name`; both fall back
+ * to the feature's position in the file.
+ * @returns {{id:string, name:string, area:Geofence}[]}
+ */
+export function regionsFromGeoJSON(geojson) {
+  const features = [];
+  collectRegionFeatures(geojson, features);
+
+  const regions = [];
+  const seenIds = new Set();
+  features.forEach((feature, index) => {
+    const properties = feature.properties || {};
+    let id = String(feature.id ?? properties.id ?? index + 1);
+    if (seenIds.has(id)) id = `${id}-${index + 1}`;
+    const name = String(properties.name ?? properties.NAME ?? `Region ${index + 1}`);
+    try {
+      regions.push({ id, name, area: Geofence.fromGeoJSON(feature, { name }) });
+      seenIds.add(id);
+    } catch {
+      console.warn(`Skipping region "${name}": no polygon with three or more points`);
+    }
+  });
+
+  if (regions.length === 0) {
+    throw new Error('Region set requires at least one polygon feature');
+  }
+  return regions;
+}
+
+/**
+ * Attributes visited panos to named regions (neighborhoods, districts, ...) and keeps per-region
+ * totals up to date as the coverage path grows. Each pano belongs to the first region containing
+ * it; each link between visited panos is counted once, split evenly between its two ends' regions.
+ */
+export class RegionCoverage {
+  constructor(regions, { name = null } = {}) {
+    this.name = name;
+    this.regions = regions;
+    this.reset();
+  }
+
+  reset() {
+    this.panoRegions = new Map(); // panoId -> region index, -1 outside every region
+    this.countedLinks = new Set(); // `${a}|${b}` with a < b
+    this.pendingLinks = new Map(); // unvisited panoId -> visited panoIds linking to it
+    this.pathCursor = 0;
+    this.totals = this.regions.map(() => ({ panosVisited: 0, distanceMeters: 0, firstVisitStep: null }));
+    this.outside = { panosVisited: 0, distanceMeters: 0 };
+  }
+
+  #totalsFor(regionIndex) {
+    return regionIndex >= 0 ? this.totals[regionIndex] : this.outside;
+  }
+
+  #locate(node) {
+    return this.regions.findIndex(region => region.area.contains(node));
+  }
+
+  // The first region containing the position, or null outside every region.
+  regionAt(position) {
+    const region = position ? this.regions[this.#locate(position)] : null;
+    return region ? { id: region.id, name: region.name } : null;
+  }
+
+  #countLink(coverage, a, b) {
+    const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+    if (this.countedLinks.has(key)) return;
+    this.countedLinks.add(key);
+    const half = coverage.calculateDistance(coverage.graph.get(a), coverage.graph.get(b)) / 2;
+    this.#totalsFor(this.panoRegions.get(a)).distanceMeters += half;
+    this.#totalsFor(this.panoRegions.get(b)).distanceMeters += half;
+  }
+
+  #recordVisit(coverage, panoId, stepCount) {
+    const node = coverage.graph.get(panoId);
+    if (!node) return; // merged into another pano as an alias since it was visited
+
+    if (!this.panoRegions.has(panoId)) {
+      const regionIndex = this.#locate(node);
+      this.panoRegions.set(panoId, regionIndex);
+      const totals = this.#totalsFor(regionIndex);
+      totals.panosVisited += 1;
+      if (regionIndex >= 0 && totals.firstVisitStep === null) totals.firstVisitStep = stepCount;
+    }
+
+    // Revisits can bring links the first visit did not have, so links are checked every time.
+    for (const neighborId of node.neighbors) {
+      if (this.panoRegions.has(neighborId)) {
+        this.#countLink(coverage, panoId, neighborId);
+      } else {
+        const waiting = this.pendingLinks.get(neighborId);
+        if (waiting) waiting.add(panoId);
+        else this.pendingLinks.set(neighborId, new Set([panoId]));
+      }
+    }
+    for (const linkedFrom of this.pendingLinks.get(panoId) || []) {
+      if (this.panoRegions.has(linkedFrom)) this.#countLink(coverage, linkedFrom, panoId);
+    }
+    this.pendingLinks.delete(panoId);
+  }
+
+  /**
+   * Folds in the coverage path entries added since the last call.
+   * @param {import('./coverage.js').CoverageTracker} coverage
+   * @param {number|null} stepCount - step the new entries belong to, recorded as first visits
+   */
+  update(coverage, stepCount = null) {
+    const { path: visits } = coverage;
+    for (; this.pathCursor < visits.length; this.pathCursor += 1) {
+      this.#recordVisit(coverage, visits[this.pathCursor].panoId, stepCount);
+    }
+  }
+
+  /**
+   * Recomputes everything from the coverage graph, e.g. after a reset or a restore. First-visit
+   * steps cannot be recovered from the graph, so they come from a previous `serialize()` and
+   * default to `fallbackStep` for regions that already have visits.
+   */
+  rebuild(coverage, { firstVisitSteps = {}, fallbackStep = null } = {}) {
+    this.reset();
+    for (const panoId of coverage.graph.keys()) {
+      this.#recordVisit(coverage, panoId, fallbackStep);
+    }
+    this.pathCursor = coverage.path.length;
+    this.regions.forEach((region, index) => {
+      const saved = Number(firstVisitSteps?.[region.id]);
+      if (this.totals[index].panosVisited > 0 && Number.isFinite(saved)) {
+        this.totals[index].firstVisitStep = saved;
+      }
+    });
+  }
+
+  serialize() {
+    const firstVisitSteps = {};
+    this.regions.forEach((region, index) => {
+      const step = this.totals[index].firstVisitStep;
+      if (step !== null) firstVisitSteps[region.id] = step;
+    });
+    return { firstVisitSteps };
+  }
+
+  #countFrontier(coverage) {
+    const frontier = this.regions.map(() => 0);
+    let frontierOutside = 0;
+    for (const { discoveredFrom } of coverage?.frontier.values() || []) {
+      const regionIndex = this.panoRegions.get(coverage.canonicalizePanoId(discoveredFrom)) ?? -1;
+      if (regionIndex >= 0) frontier[regionIndex] += 1;
+      else frontierOutside += 1;
+    }
+    return { frontier, frontierOutside };
+  }
+
+  /**
+   * Returns a lookup from a visited pano to its region's coverage deficit: the share of the region's
+   * known panos that are still frontier (0..1), or null outside every region. Frontier counts are
+   * taken once, when the lookup is made.
+   */
+  deficitLookup(coverage) {
+    const { frontier } = this.#countFrontier(coverage);
+    return (panoId) => {
+      const regionIndex = this.panoRegions.get(panoId) ?? -1;
+      if (regionIndex < 0) return null;
+      const known = frontier[regionIndex] + this.totals[regionIndex].panosVisited;
+      return known > 0 ? frontier[regionIndex] / known : null;
+    };
+  }
+
+  /**
+   * Per-region totals. Frontier panos have no position yet, so each one is counted in the region
+   * of the pano it was discovered from. Without a coverage tracker (no agent yet) every total is zero.
+   */
+  getSummary(coverage = null) {
+    const { frontier, frontierOutside } = this.#countFrontier(coverage);
+
+    const frontierPercent = (remaining, visited) =>
+      (remaining + visited > 0 ? Math.round(remaining / (remaining + visited) * 1000) / 10 : null);
+
+    return {
+      name: this.name,
+      regions: this.regions.map((region, index) => {
+        const totals = this.totals[index];
+        return {
+          id: region.id,
+          name: region.name,
+          panosVisited: totals.panosVisited,
+          uniqueDistanceMeters: Math.round(totals.distanceMeters),
+          firstVisitStep: totals.firstVisitStep,
+          frontierRemaining: frontier[index],
+          frontierRemainingPercent: frontierPercent(frontier[index], totals.panosVisited)
+        };
+      }),
+      outside: {
+        panosVisited: this.outside.panosVisited,
+        uniqueDistanceMeters: Math.round(this.outside.distanceMeters),
+        frontierRemaining: frontierOutside
+      }
+    };
+  }
+}
+
+export async function loadRegionCoverage(filePath) {
+  const geojson = JSON.parse(await fsp.readFile(filePath, 'utf8'));
+  return new RegionCoverage(regionsFromGeoJSON(geojson), {
+    name: geojson?.name || path.basename(filePath, path.extname(filePath))
+  });
+}
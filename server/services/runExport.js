@@ -0,0 +1,216 @@
+export const RUN_EXPORT_FORMATS = {
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+const COORDINATE_DIGITS = 6;
+
+function round(value) {
+  return Number(Number(value).toFixed(COORDINATE_DIGITS));
+}
+
+function isoTime(value) {
+  if (value == null || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Gathers what every export format needs: the walked path from PathProjection and the
+ * visited panos from the restored graph (CoverageTracker.serializeGraph shape), annotated
+ * with the step, mode and sceneTag of their first visit from the event log.
+ * @param {object} options
+ * @param {import('./runStore.js').RunStore} options.runStore
+ * @param {import('./pathProjection.js').PathProjection} options.pathProjection
+ * @param {string} options.runId
+ * @returns {Promise<{runId:string, name:string|null, stepCount:number, path:object[], panos:object[]}>}
+ */
+export async function collectRunExport({ runStore, pathProjection, runId, logger = console }) {
+  const { snapshot } = await runStore.restoreRun(runId);
+  const renderPath = await pathProjection.getRenderPath(runId);
+  const catalog = await runStore.readCatalog().catch(() => null);
+
+  const firstVisits = new Map();
+  const visitCounts = new Map();
+  const events = runStore.streamEvents(runId, {
+    types: ['step_completed'],
+    onWarning: warning => logger.warn?.(warning)
+  });
+  for await (const event of events) {
+    const stepData = event.payload?.stepData;
+    const panoId = stepData?.panoId || stepData?.coverageDelta?.panoId;
+    if (!panoId) continue;
+    visitCounts.set(panoId, (visitCounts.get(panoId) || 0) + 1);
+    if (firstVisits.has(panoId)) continue;
+    firstVisits.set(panoId, {
+      step: Number(stepData.stepCount ?? event.stepCount) || null,
+      visitedAt: isoTime(event.timestamp),
+      mode: stepData.mode || null,
+      sceneTag: stepData.sceneTag || null
+    });
+  }
+
+  const panos = Object.entries(snapshot.graph || {})
+    .filter(([, node]) => Number.isFinite(Number(node?.lat)) && Number.isFinite(Number(node?.lng)))
+    .map(([panoId, node]) => ({
+      panoId,
+      lat: round(node.lat),
+      lng: round(node.lng),
+      // The graph keeps the latest visit; the first step event, when there is one, wins.
+      visitedAt: isoTime(node.timestamp),
+      step: null,
+      mode: null,
+      sceneTag: null,
+      ...firstVisits.get(panoId),
+      visits: visitCounts.get(panoId) || 0
+    }))
+    .sort((a, b) => (a.step ?? Infinity) - (b.step ?? Infinity));
+
+  return {
+    runId,
+    name: catalog?.runs?.[runId]?.name || null,
+    stepCount: Number(snapshot.stepCount) || renderPath.stepCount || 0,
+    path: renderPath.points
+      .filter(point => Number.isFinite(point?.lat) && Number.isFinite(point?.lng))
+      .map(point => ({
+        lat: round(point.lat),
+        lng: round(point.lng),
+        stepCount: point.stepCount,
+        time: isoTime(point.timestamp)
+      })),
+    panos
+  };
+}
+
+function titleOf(data) {
+  return data.name || `Scout run ${data.runId}`;
+}
+
+export function toGeoJSON(data) {
+  const features = [];
+  if (data.path.length > 0) {
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: data.path.length > 1 ? 'LineString' : 'Point',
+        coordinates: data.path.length > 1
+          ? data.path.map(point => [point.lng, point.lat])
+          : [data.path[0].lng, data.path[0].lat]
+      },
+      properties: {
+        kind: 'path',
+        runId: data.runId,
+        name: titleOf(data),
+        stepCount: data.stepCount,
+        startedAt: data.path[0].time,
+        endedAt: data.path[data.path.length - 1].time
+      }
+    });
+  }
+  for (const pano of data.panos) {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [pano.lng, pano.lat] },
+      properties: {
+        kind: 'pano',
+        panoId: pano.panoId,
+        step: pano.step,
+        mode: pano.mode,
+        sceneTag: pano.sceneTag,
+        visits: pano.visits,
+        visitedAt: pano.visitedAt
+      }
+    });
+  }
+  return JSON.stringify({ type: 'FeatureCollection', features });
+}
+
+export function toGpx(data) {
+  const points = data.path.map(point => {
+    const time = point.time ? `<time>${point.time}</time>` : '';
+    return `      <trkpt lat="${point.lat}" lon="${point.lng}">${time}</trkpt>`;
+  });
+  const startedAt = data.path[0]?.time;
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Scout" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(titleOf(data))}</name>`,
+    ...(startedAt ? [`    <time>${startedAt}</time>`] : []),
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXml(titleOf(data))}</name>`,
+    '    <trkseg>',
+    ...points,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+export function toKml(data) {
+  const coordinates = data.path.map(point => `${point.lng},${point.lat},0`).join(' ');
+  const placemarks = data.panos.map(pano => {
+    const fields = [['step', pano.step], ['mode', pano.mode], ['sceneTag', pano.sceneTag], ['visits', pano.visits]]
+      .filter(([, value]) => value != null)
+      .map(([name, value]) => `<Data name="${name}"><value>${escapeXml(value)}</value></Data>`)
+      .join('');
+    const when = pano.visitedAt ? `<TimeStamp><when>${pano.visitedAt}</when></TimeStamp>` : '';
+    return `      <Placemark><name>${escapeXml(pano.panoId)}</name>${when}` +
+      `<ExtendedData>${fields}</ExtendedData>` +
+      `<Point><coordinates>${pano.lng},${pano.lat},0</coordinates></Point></Placemark>`;
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(titleOf(data))}</name>`,
+    '    <Style id="path"><LineStyle><color>ff07c1ff</color><width>3</width></LineStyle></Style>',
+    ...(data.path.length > 1 ? [
+      '    <Placemark>',
+      '      <name>Path</name>',
+      '      <styleUrl>#path</styleUrl>',
+      `      <LineString><tessellate>1</tessellate><coordinates>${coordinates}</coordinates></LineString>`,
+      '    </Placemark>'
+    ] : []),
+    '    <Folder>',
+    '      <name>Visited panoramas</name>',
+    ...placemarks,
+    '    </Folder>',
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+const SERIALIZERS = { geojson: toGeoJSON, gpx: toGpx, kml: toKml };
+
+/**
+ * @param {object} options - collectRunExport options plus `format`
+ * @returns {Promise<{body:string, contentType:string, filename:string}>}
+ */
+export async function exportRun({ format, ...options }) {
+  const key = String(format || '').toLowerCase();
+  if (!SERIALIZERS[key]) {
+    const error = new Error(`Unsupported export format ${format}; use ${Object.keys(SERIALIZERS).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  const data = await collectRunExport(options);
+  return {
+    body: SERIALIZERS[key](data),
+    contentType: RUN_EXPORT_FORMATS[key].contentType,
+    filename: `scout-${options.runId}.${RUN_EXPORT_FORMATS[key].extension}`
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Long-term memory of a run: a rolling summary of the diary plus the time spent in each region and
+ * the scene tags seen, so the decision prompt remembers more than the last few moves. Steps add
+ * their diary line, region and scene tag; every `intervalSteps` steps the notes gathered since the
+ * last summary are condensed into a new summary (by the model, or mechanically when it cannot).
+ *
+ * The state is plain JSON, and the fold functions below are pure so run log replay rebuilds it the
+ * same way the live run does.
+ */
+
+const MEMORY_NOTES_LIMIT = 40;
+const MEMORY_SUMMARY_MAX_CHARS = 900;
+const MEMORY_PROMPT_REGIONS = 6;
+
+export function emptyRunMemory() {
+  return { summary: null, summarizedAtStep: null, notes: [], regions: [], scenes: {} };
+}
+
+function copyRunMemory(memory) {
+  const empty = emptyRunMemory();
+  return {
+    summary: typeof memory?.summary === 'string' ? memory.summary : empty.summary,
+    summarizedAtStep: Number.isFinite(memory?.summarizedAtStep) ? memory.summarizedAtStep : empty.summarizedAtStep,
+    notes: Array.isArray(memory?.notes) ? memory.notes.map(note => ({ ...note })) : empty.notes,
+    regions: Array.isArray(memory?.regions) ? memory.regions.map(region => ({ ...region })) : empty.regions,
+    scenes: { ...(memory?.scenes || {}) }
+  };
+}
+
+/**
+ * Folds one committed step into the memory: model decisions add their diary line, steps with a
+ * `region` ({id, name}) add to that region's time, scene tags are tallied.
+ * @returns {object} a new memory
+ */
+export function recordStepInMemory(memory, stepData) {
+  const next = copyRunMemory(memory);
+  if (!stepData) return next;
+  const step = Number(stepData.stepCount) || 0;
+
+  const region = stepData.region;
+  if (region?.name) {
+    const key = region.id ?? region.name;
+    const entry = next.regions.find(saved => (saved.id ?? saved.name) === key);
+    if (entry) {
+      entry.steps += 1;
+      entry.lastStep = step;
+    } else {
+      next.regions.push({ id: region.id ?? null, name: region.name, steps: 1, firstStep: step, lastStep: step });
+    }
+  }
+  if (stepData.sceneTag) {
+    next.scenes[stepData.sceneTag] = (next.scenes[stepData.sceneTag] || 0) + 1;
+  }
+  if (!stepData.autoMove && stepData.diaryLine) {
+    next.notes = [
+      ...next.notes,
+      { step, text: String(stepData.diaryLine), sceneTag: stepData.sceneTag || null, region: region?.name || null }
+    ].slice(-MEMORY_NOTES_LIMIT);
+  }
+  return next;
+}
+
+// Replaces the summary; the notes it condensed are dropped.
+export function applyMemorySummary(memory, { summary, summarizedAtStep }) {
+  const next = copyRunMemory(memory);
+  next.summary = summary || next.summary;
+  next.summarizedAtStep = Number.isFinite(summarizedAtStep) ? summarizedAtStep : next.summarizedAtStep;
+  next.notes = [];
+  return next;
+}
+
+function regionsByTime(memory, limit = MEMORY_PROMPT_REGIONS) {
+  return [...memory.regions].sort((a, b) => b.steps - a.steps).slice(0, limit);
+}
+
+// Keeps the newest sentences when a summary grows past the limit.
+function clampSummary(text) {
+  if (text.length <= MEMORY_SUMMARY_MAX_CHARS) return text;
+  const tail = text.slice(-MEMORY_SUMMARY_MAX_CHARS);
+  const sentenceStart = tail.search(/[.!?]\s+\S/);
+  return sentenceStart >= 0 ? tail.slice(sentenceStart + 1).trim() : tail.trim();
+}
+
+/**
+ * A summary built without the model: the previous summary, where the time went and the last note.
+ */
+export function fallbackMemorySummary(memory, step) {
+  const from = (memory.summarizedAtStep ?? 0) + 1;
+  const parts = [`Steps ${from}-${step}:`];
+  const regions = regionsByTime(memory, 3);
+  if (regions.length > 0) {
+    parts.push(`most time in ${regions.map(region => `${region.name} (${region.steps} steps)`).join(', ')};`);
+  }
+  const scenes = Object.entries(memory.scenes).sort((a, b) => b[1] - a[1]).slice(0, 3);
+  if (scenes.length > 0) {
+    parts.push(`scenes mostly ${scenes.map(([tag, count]) => `${tag} (${count})`).join(', ')};`);
+  }
+  const lastNote = memory.notes[memory.notes.length - 1];
+  parts.push(lastNote ? `last note: "${lastNote.text}"` : 'no new notes');
+  return clampSummary(`${memory.summary ? `${memory.summary} ` : ''}${parts.join(' ')}.`);
+}
+
+// The memory as the decision prompt states it; empty while there is nothing to remember.
+export function formatRunMemory(memory) {
+  const lines = [];
+  if (memory?.summary) {
+    lines.push(memory.summary);
+  }
+  const regions = memory ? regionsByTime(memory) : [];
+  if (regions.length > 0) {
+    lines.push(`Time by region: ${regions.map(region =>
+      `${region.name} ${region.steps} steps (steps ${region.firstStep}-${region.lastStep})`).join(', ')}.`);
+  }
+  return lines.length > 0 ? `Long-term memory of this run:\n${lines.join('\n')}` : '';
+}
+
+export class RunMemory {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.intervalSteps] - Steps between summaries; 0 keeps no summary
+   */
+  constructor({ intervalSteps = 50 } = {}) {
+    this.intervalSteps = Math.max(0, Number(intervalSteps) || 0);
+    this.reset();
+  }
+
+  reset() {
+    this.state = emptyRunMemory();
+  }
+
+  restore(saved) {
+    this.state = copyRunMemory(saved);
+  }
+
+  recordStep(stepData) {
+    this.state = recordStepInMemory(this.state, stepData);
+  }
+
+  isDue(step) {
+    return this.intervalSteps > 0 &&
+      this.state.notes.length > 0 &&
+      step - (this.state.summarizedAtStep ?? 0) >= this.intervalSteps;
+  }
+
+  /**
+   * Condenses the notes into a new summary. `summarize(context)` asks the model
+   * (OpenAIService#summarizeMemory); when it fails or returns nothing the summary is built here.
+   * @returns {Promise<{summary:string, source:'model'|'fallback', usage:object|null}>}
+   */
+  async condense(step, summarize = null) {
+    let result = null;
+    if (summarize) {
+      try {
+        result = await summarize({
+          previousSummary: this.state.summary,
+          notes: this.state.notes,
+          regions: regionsByTime(this.state),
+          scenes: this.state.scenes,
+          fromStep: (this.state.summarizedAtStep ?? 0) + 1,
+          stepNumber: step
+        });
+      } catch (error) {
+        console.warn(`Run memory summary failed at step ${step}: ${error.message}`);
+      }
+    }
+    const source = result?.text ? 'model' : 'fallback';
+    const summary = result?.text ? clampSummary(result.text) : fallbackMemorySummary(this.state, step);
+    this.state = applyMemorySummary(this.state, { summary, summarizedAtStep: step });
+    return { summary, source, usage: result?.usage || null };
+  }
+
+  describe() {
+    return formatRunMemory(this.state);
+  }
+
+  // Summary and region times, without the pending notes.
+  overview() {
+    return {
+      summary: this.state.summary,
+      summarizedAtStep: this.state.summarizedAtStep,
+      regions: this.state.regions.map(region => ({ ...region }))
+    };
+  }
+
+  toJSON() {
+    return copyRunMemory(this.state);
+  }
+}
@@ -1,11 +1,18 @@
 import * as fsp from 'fs/promises';
+import { createReadStream } from 'fs';
 import path from 'path';
+import readline from 'readline';
 import { randomUUID } from 'crypto';
+import { DEFAULT_AGENT_ID } from './coverage.js';
+import { addUsage, emptyUsage } from './usageAccounting.js';
+import { applyMemorySummary, recordStepInMemory } from './runMemory.js';
 
 export const EVENT_LOG_VERSION = 1;
 export const SNAPSHOT_SCHEMA_VERSION = 2;
+export const RUN_CATALOG_VERSION = 1;
 const EVENT_LOG_TAIL_READ_CHUNK_BYTES = 1024 * 1024;
 const DEFAULT_EVENT_LOG_COMPACT_MAX_BYTES = 128 * 1024 * 1024;
+export const EVENT_PAGE_MAX_LIMIT = 500;
 
 function parseIntOr(value, fallback) {
   const parsed = parseInt(value, 10);
@@ -22,6 +29,7 @@ const RESTORE_RECOVERY_LOOKBACK_EVENTS = parseIntOr(
 );
 const SNAPSHOT_REPLACEMENT_EVENTS = new Set([
   'legacy_snapshot_imported',
+  'run_forked',
   'run_reset',
   'snapshot_checkpoint',
   'step_completed'
@@ -40,16 +48,132 @@ function appendUnique(list, value) {
   return list.includes(value) ? list : [...list, value];
 }
 
+// Folds a step's intent summary into the run's intent state, moving a replaced intent to the history
+// the way IntentPlanner does.
+function mergeStepIntent(saved, intent) {
+  let history = asArray(saved?.history);
+  const previous = saved?.current;
+  if (previous && previous.setAtStep !== intent.current?.setAtStep) {
+    history = [...history, { ...previous, endedAtStep: intent.current?.setAtStep ?? null }].slice(-10);
+  }
+  return { current: cloneJson(intent.current) || null, history: cloneJson(history), totals: cloneJson(intent.totals) || null };
+}
+
 function compactDecisionStep(stepData) {
   if (!stepData || typeof stepData !== 'object') return stepData;
   const { coverageDelta, ...compact } = stepData;
   return compact;
 }
 
+// Adds a step's pano and links to the shared graph; nodes reached by additional agents are tagged with their id.
+function mergeStepIntoGraph(graph, { stepData, delta, panoId, position, event, agentId = null }) {
+  const merged = { ...(graph || {}) };
+  const existing = merged[panoId] || {};
+  const linkNeighbors = asArray(delta.links)
+    .map(link => link?.pano)
+    .filter(Boolean);
+  const traversedFrom = delta.traversedFrom || stepData.previousPanoId || null;
+  const neighbors = [
+    ...asArray(existing.neighbors),
+    ...linkNeighbors
+  ];
+  if (traversedFrom) neighbors.push(traversedFrom);
+
+  merged[panoId] = {
+    lat: typeof position.lat === 'number' ? position.lat : existing.lat,
+    lng: typeof position.lng === 'number' ? position.lng : existing.lng,
+    neighbors: Array.from(new Set(neighbors)),
+    timestamp: Number(delta.timestamp) || existing.timestamp || Date.parse(event.timestamp) || Date.now()
+  };
+  if (agentId) merged[panoId].agentId = agentId;
+
+  if (traversedFrom && merged[traversedFrom]) {
+    merged[traversedFrom] = {
+      ...merged[traversedFrom],
+      neighbors: appendUnique(asArray(merged[traversedFrom].neighbors), panoId)
+    };
+  }
+
+  for (const neighborId of linkNeighbors) {
+    if (!merged[neighborId]) continue;
+    merged[neighborId] = {
+      ...merged[neighborId],
+      neighbors: appendUnique(asArray(merged[neighborId].neighbors), panoId)
+    };
+  }
+
+  return merged;
+}
+
+function stepAgentId(event) {
+  return event.payload?.stepData?.agentId || event.agentId || null;
+}
+
+function isAdditionalAgentStep(snapshot, agentId) {
+  if (!agentId) return false;
+  return agentId !== (snapshot?.currentState?.agentId || DEFAULT_AGENT_ID);
+}
+
+// Steps of agents after the first move that agent's entry in additionalAgents; the graph and stats stay shared.
+function applyAdditionalAgentStep(snapshot, event, agentId) {
+  const stepData = event.payload.stepData;
+  const delta = stepData.coverageDelta || {};
+  const panoId = stepData.panoId || delta.panoId;
+  const position = stepData.newPosition || delta.position;
+  const saved = asArray(snapshot?.additionalAgents).find(entry => entry?.agentId === agentId);
+  const currentStepCount = Number(saved?.stepCount) || 0;
+  const stepCount = Number(stepData.stepCount) || Number(event.stepCount) || currentStepCount;
+  if (stepCount <= currentStepCount) return snapshot;
+
+  const reduced = cloneJson(snapshot);
+  reduced.schemaVersion = SNAPSHOT_SCHEMA_VERSION;
+  const agent = {
+    agentId,
+    stepCount,
+    currentState: {
+      panoId: panoId || saved?.currentState?.panoId || null,
+      position: position || saved?.currentState?.position || null,
+      heading: Number.isFinite(stepData.direction) ? stepData.direction : saved?.currentState?.heading,
+      mode: stepData.mode || saved?.currentState?.mode || 'exploration'
+    },
+    recentHistory: Array.isArray(delta.recentHistory)
+      ? delta.recentHistory.slice(-10)
+      : [...asArray(saved?.recentHistory), panoId].filter(Boolean).slice(-10),
+    ...(stepData.intent
+      ? { intent: mergeStepIntent(saved?.intent, stepData.intent) }
+      : (saved?.intent ? { intent: cloneJson(saved.intent) } : {}))
+  };
+  reduced.additionalAgents = saved
+    ? reduced.additionalAgents.map(entry => (entry?.agentId === agentId ? agent : entry))
+    : [...asArray(reduced.additionalAgents), agent];
+
+  if (stepData.stats) {
+    reduced.stats = cloneJson(stepData.stats);
+  }
+  if (panoId && position) {
+    reduced.graph = mergeStepIntoGraph(reduced.graph, { stepData, delta, panoId, position, event, agentId });
+  }
+  if (stepData.usage) {
+    reduced.usage = addUsage(addUsage(emptyUsage(), reduced.usage), stepData.usage);
+  }
+  reduced.memory = recordStepInMemory(reduced.memory, stepData);
+  reduced.decisionHistory = [
+    ...asArray(reduced.decisionHistory),
+    compactDecisionStep(stepData)
+  ].slice(-100);
+
+  return reduced;
+}
+
 function applyCompletedStepDelta(snapshot, event) {
   const stepData = event.payload?.stepData;
   if (!stepData) return snapshot;
 
+  const agentId = stepAgentId(event);
+  if (isAdditionalAgentStep(snapshot, agentId)) {
+    return applyAdditionalAgentStep(snapshot, event, agentId);
+  }
+
   const delta = stepData.coverageDelta || {};
   const panoId = stepData.panoId || delta.panoId;
   const position = stepData.newPosition || delta.position;
@@ -68,47 +192,21 @@ function applyCompletedStepDelta(snapshot, event) {
     heading: Number.isFinite(stepData.direction) ? stepData.direction : reduced.currentState?.heading,
     mode: stepData.mode || reduced.currentState?.mode || 'exploration'
   };
+  if (stepData.destination) {
+    reduced.currentState.destination = stepData.destination.status === 'active'
+      ? cloneJson(stepData.destination)
+      : null;
+  }
 
   if (stepData.stats) {
     reduced.stats = cloneJson(stepData.stats);
   }
+  if (stepData.intent) {
+    reduced.intent = mergeStepIntent(reduced.intent, stepData.intent);
+  }
 
   if (panoId && position) {
-    const graph = { ...(reduced.graph || {}) };
-    const existing = graph[panoId] || {};
-    const linkNeighbors = asArray(delta.links)
-      .map(link => link?.pano)
-      .filter(Boolean);
-    const traversedFrom = delta.traversedFrom || stepData.previousPanoId || null;
-    const neighbors = [
-      ...asArray(existing.neighbors),
-      ...linkNeighbors
-    ];
-    if (traversedFrom) neighbors.push(traversedFrom);
-
-    graph[panoId] = {
-      lat: typeof position.lat === 'number' ? position.lat : existing.lat,
-      lng: typeof position.lng === 'number' ? position.lng : existing.lng,
-      neighbors: Array.from(new Set(neighbors)),
-      timestamp: Number(delta.timestamp) || existing.timestamp || Date.parse(event.timestamp) || Date.now()
-    };
-
-    if (traversedFrom && graph[traversedFrom]) {
-      graph[traversedFrom] = {
-        ...graph[traversedFrom],
-        neighbors: appendUnique(asArray(graph[traversedFrom].neighbors), panoId)
-      };
-    }
-
-    for (const neighborId of linkNeighbors) {
-      if (!graph[neighborId]) continue;
-      graph[neighborId] = {
-        ...graph[neighborId],
-        neighbors: appendUnique(asArray(graph[neighborId].neighbors), panoId)
-      };
-    }
-
-    reduced.graph = graph;
+    reduced.graph = mergeStepIntoGraph(reduced.graph, { stepData, delta, panoId, position, event });
   }
 
   if (Array.isArray(delta.recentHistory)) {
@@ -117,6 +215,10 @@ function applyCompletedStepDelta(snapshot, event) {
     reduced.recentHistory = [...asArray(reduced.recentHistory), panoId].slice(-10);
   }
 
+  if (stepData.usage) {
+    reduced.usage = addUsage(addUsage(emptyUsage(), reduced.usage), stepData.usage);
+  }
+  reduced.memory = recordStepInMemory(reduced.memory, stepData);
   reduced.decisionHistory = [
     ...asArray(reduced.decisionHistory),
     compactDecisionStep(stepData)
@@ -125,11 +227,23 @@ function applyCompletedStepDelta(snapshot, event) {
   return reduced;
 }
 
+function applyDestinationEvent(snapshot, event) {
+  const destination = event.payload?.destination;
+  const reduced = cloneJson(snapshot);
+  reduced.currentState = {
+    ...(reduced.currentState || {}),
+    destination: event.type === 'destination_set' && destination?.status === 'active'
+      ? cloneJson(destination)
+      : null
+  };
+  return reduced;
+}
+
 function shouldApplySnapshotPayload(event, snapshot, currentSnapshot) {
   if (!event?.type || !snapshot || typeof snapshot !== 'object') return false;
   if (!SNAPSHOT_REPLACEMENT_EVENTS.has(event.type)) return false;
 
-  if (event.type === 'run_reset' || event.type === 'legacy_snapshot_imported') {
+  if (event.type === 'run_reset' || event.type === 'run_forked' || event.type === 'legacy_snapshot_imported') {
     return true;
   }
 
@@ -138,6 +252,80 @@ function shouldApplySnapshotPayload(event, snapshot, currentSnapshot) {
   return snapshotStepCount > currentStepCount;
 }
 
+function eventStepCount(event) {
+  return Number(event.payload?.stepData?.stepCount) ||
+    Number(event.stepCount) ||
+    Number(event.payload?.snapshot?.stepCount) ||
+    0;
+}
+
+// Page payloads drop the bulky parts that only matter for restores.
+function compactEventForPage(event) {
+  const { snapshot, stepData, ...payload } = event.payload || {};
+  if (stepData) payload.stepData = compactDecisionStep(stepData);
+  if (snapshot) payload.snapshotStepCount = Number(snapshot.stepCount) || 0;
+  return { ...event, payload };
+}
+
+function earliestGraphNode(graph) {
+  let earliest = null;
+  for (const [panoId, node] of Object.entries(graph || {})) {
+    if (!Number.isFinite(node?.lat) || !Number.isFinite(node?.lng)) continue;
+    const timestamp = Number(node.timestamp) || 0;
+    if (!earliest || timestamp < earliest.timestamp) {
+      earliest = { panoId, timestamp, position: { lat: node.lat, lng: node.lng } };
+    }
+  }
+  return earliest;
+}
+
+function summarizeSnapshot(snapshot) {
+  const stats = snapshot?.stats || {};
+  return {
+    stepCount: Number(snapshot?.stepCount) || 0,
+    distanceTraveled: Number(stats.distanceTraveled) || 0,
+    locationsVisited: Number(stats.locationsVisited) || 0,
+    lastPosition: cloneJson(snapshot?.currentState?.position) || null,
+    strategy: snapshot?.strategy || null,
+    costUsd: Number(snapshot?.usage?.costUsd) || 0,
+    updatedAt: snapshot?.lastUpdated || new Date().toISOString()
+  };
+}
+
+function createCatalogEntry(runId, snapshot = null) {
+  // Runs that predate the catalog have no recorded start; the oldest graph node is the best guess.
+  const start = earliestGraphNode(snapshot?.graph);
+  return {
+    runId,
+    name: null,
+    createdAt: snapshot?.createdAt || snapshot?.lastUpdated || new Date().toISOString(),
+    archivedAt: null,
+    parentRunId: snapshot?.forkedFrom?.runId || null,
+    forkedAtStep: snapshot?.forkedFrom ? Number(snapshot.forkedFrom.stepCount) || 0 : null,
+    startLocation: start?.position || cloneJson(snapshot?.currentState?.position) || null,
+    startPanoId: start?.panoId || snapshot?.currentState?.panoId || null,
+    ...summarizeSnapshot(snapshot)
+  };
+}
+
+function runStatus(entry, activeRunId) {
+  if (entry.archivedAt) return 'archived';
+  return entry.runId === activeRunId ? 'active' : 'idle';
+}
+
+// Run ids become directory names under the data dir, so nothing else may reach a path.
+const RUN_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+export function isValidRunId(runId) {
+  return typeof runId === 'string' && RUN_ID_PATTERN.test(runId);
+}
+
+function notFound(message) {
+  const error = new Error(message);
+  error.statusCode = 404;
+  return error;
+}
+
 async function atomicWriteJson(filePath, value) {
   await fsp.mkdir(path.dirname(filePath), { recursive: true });
   const tempPath = `${filePath}.${process.pid}.${Date.now()}.${randomUUID()}.tmp`;
@@ -171,6 +359,17 @@ export function reduceSnapshotWithEvents(snapshot, events = []) {
       reduced = cloneJson(eventSnapshot);
     } else if (event.type === 'step_completed' && event.payload?.stepData) {
       reduced = applyCompletedStepDelta(reduced, event);
+    } else if (event.type === 'destination_set' || event.type === 'destination_cleared') {
+      reduced = applyDestinationEvent(reduced, event);
+    } else if (event.type === 'frontier_weights_set') {
+      reduced.frontierWeights = cloneJson(event.payload?.frontierWeights) || null;
+    } else if (event.type === 'usage_budget_exceeded' && event.payload?.strategy) {
+      reduced.strategy = event.payload.strategy;
+    } else if (event.type === 'memory_summarized' && event.payload?.summary) {
+      reduced.memory = applyMemorySummary(reduced.memory, event.payload);
+      if (event.payload.usage) {
+        reduced.usage = addUsage(addUsage(emptyUsage(), reduced.usage), event.payload.usage);
+      }
     }
 
     reduced.schemaVersion = SNAPSHOT_SCHEMA_VERSION;
@@ -201,10 +400,18 @@ export class RunStore {
     this.logger = logger;
     this.eventLogCompactMaxBytes = eventLogCompactMaxBytes;
     this.lastSequenceByRun = new Map();
+    this.eventLogBytesByRun = new Map();
     this.appendQueues = new Map();
+    this.catalogQueue = Promise.resolve();
+    this.usageQueue = Promise.resolve();
   }
 
   getRunDir(runId) {
+    if (!isValidRunId(runId)) {
+      const error = new Error(`Invalid run id ${JSON.stringify(runId)}`);
+      error.statusCode = 400;
+      throw error;
+    }
     return path.join(this.dataDir, 'runs', runId);
   }
 
@@ -220,20 +427,158 @@ export class RunStore {
     return path.join(this.dataDir, 'saves', 'current-run.json');
   }
 
-  async findHighestStepSnapshot() {
-    const runsDir = path.join(this.dataDir, 'runs');
+  getCatalogPath() {
+    return path.join(this.dataDir, 'runs', 'catalog.json');
+  }
+
+  getDailyUsagePath() {
+    return path.join(this.dataDir, 'runs', 'usage.json');
+  }
+
+  async #listRunIds() {
     let entries = [];
     try {
-      entries = await fsp.readdir(runsDir, { withFileTypes: true });
+      entries = await fsp.readdir(path.join(this.dataDir, 'runs'), { withFileTypes: true });
     } catch (error) {
-      if (error.code === 'ENOENT') return null;
+      if (error.code === 'ENOENT') return [];
       throw error;
     }
+    return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+  }
+
+  async readCatalog() {
+    const catalogPath = this.getCatalogPath();
+    try {
+      const catalog = JSON.parse(await fsp.readFile(catalogPath, 'utf8'));
+      return { version: RUN_CATALOG_VERSION, activeRunId: null, ...catalog, runs: catalog.runs || {} };
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        // The catalog only indexes the run directories, so an unreadable one is set aside and rebuilt.
+        const asidePath = `${catalogPath}.corrupt-${Date.now()}`;
+        await fsp.rename(catalogPath, asidePath).catch(() => {});
+        this.logger.warn?.(`Run catalog was unreadable (${error.message}); moved it to ${asidePath} and rebuilt it`);
+      } else if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
 
+    // No catalog yet: rebuild it from the run snapshots already on disk.
+    const catalog = { version: RUN_CATALOG_VERSION, activeRunId: null, runs: {} };
+    for (const runId of await this.#listRunIds()) {
+      const snapshot = await this.readSnapshot(runId).catch(error => {
+        this.logger.warn?.(`Failed to read snapshot for run ${runId}: ${error.message}`);
+        return null;
+      });
+      if (!snapshot?.runId) continue;
+      catalog.runs[runId] = createCatalogEntry(runId, snapshot);
+    }
+    return catalog;
+  }
+
+  async #updateCatalog(mutate) {
+    const operation = async () => {
+      const catalog = await this.readCatalog();
+      const result = await mutate(catalog);
+      await atomicWriteJson(this.getCatalogPath(), catalog);
+      return result;
+    };
+    const next = this.catalogQueue.catch(() => {}).then(operation);
+    this.catalogQueue = next.catch(() => {});
+    return next;
+  }
+
+  // Model spend per UTC day across all runs, kept next to the catalog (see DailyUsage).
+  // Daily totals are bookkeeping only: an unreadable file is set aside and counting starts over.
+  async readDailyUsage() {
+    const usagePath = this.getDailyUsagePath();
+    try {
+      const saved = JSON.parse(await fsp.readFile(usagePath, 'utf8'));
+      return { days: saved?.days || {} };
+    } catch (error) {
+      if (error.code === 'ENOENT') return { days: {} };
+      if (!(error instanceof SyntaxError)) throw error;
+      const asidePath = `${usagePath}.corrupt-${Date.now()}`;
+      await fsp.rename(usagePath, asidePath).catch(() => {});
+      this.logger.warn?.(`Daily model usage was unreadable (${error.message}); moved it to ${asidePath} and started over`);
+      return { days: {} };
+    }
+  }
+
+  async writeDailyUsage(value) {
+    const next = this.usageQueue.catch(() => {}).then(() => atomicWriteJson(this.getDailyUsagePath(), value));
+    this.usageQueue = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Every known run with its start point, progress and status, most recently updated first.
+   * @param {object} [options]
+   * @param {string} [options.activeRunId] - Run to report as active; defaults to the catalog's
+   * @returns {Promise<Array<object>>}
+   */
+  async listRuns({ activeRunId } = {}) {
+    const catalog = await this.readCatalog();
+    const active = activeRunId === undefined ? catalog.activeRunId : activeRunId;
+    return Object.values(catalog.runs)
+      .map(entry => ({ ...entry, status: runStatus(entry, active) }))
+      .sort((a, b) => Date.parse(b.updatedAt || 0) - Date.parse(a.updatedAt || 0));
+  }
+
+  async registerRun(runId, {
+    name = null,
+    startLocation = null,
+    startPanoId = null,
+    parentRunId = null,
+    forkedAtStep = null
+  } = {}) {
+    if (!runId) {
+      throw new Error('Cannot register run without runId');
+    }
+
+    return this.#updateCatalog(catalog => {
+      const entry = catalog.runs[runId] || createCatalogEntry(runId);
+      catalog.runs[runId] = {
+        ...entry,
+        name: name ?? entry.name,
+        startLocation: cloneJson(startLocation) || entry.startLocation,
+        startPanoId: startPanoId || entry.startPanoId,
+        parentRunId: parentRunId || entry.parentRunId || null,
+        forkedAtStep: forkedAtStep ?? entry.forkedAtStep ?? null
+      };
+      return { ...catalog.runs[runId], status: runStatus(catalog.runs[runId], catalog.activeRunId) };
+    });
+  }
+
+  async setActiveRun(runId) {
+    return this.#updateCatalog(catalog => {
+      const entry = catalog.runs[runId];
+      if (!entry) {
+        throw notFound(`Unknown run ${runId}`);
+      }
+      entry.archivedAt = null;
+      catalog.activeRunId = runId;
+      return { ...entry, status: 'active' };
+    });
+  }
+
+  async archiveRun(runId) {
+    return this.#updateCatalog(catalog => {
+      const entry = catalog.runs[runId];
+      if (!entry) {
+        throw notFound(`Unknown run ${runId}`);
+      }
+      if (runId === catalog.activeRunId) {
+        throw new Error('Cannot archive the active run');
+      }
+      entry.archivedAt = entry.archivedAt || new Date().toISOString();
+      return { ...entry, status: 'archived' };
+    });
+  }
+
+  async findHighestStepSnapshot({ excludeRunIds = new Set() } = {}) {
     let best = null;
-    for (const entry of entries) {
-      if (!entry.isDirectory()) continue;
-      const runId = entry.name;
+    for (const runId of await this.#listRunIds()) {
+      if (excludeRunIds.has(runId)) continue;
       const snapshot = await this.readSnapshot(runId).catch(error => {
         this.logger.warn?.(`Failed to read snapshot for run ${runId}: ${error.message}`);
         return null;
@@ -253,7 +598,14 @@ export class RunStore {
   }
 
   async chooseCurrentSnapshot(snapshot) {
-    const highest = await this.findHighestStepSnapshot();
+    const catalog = await this.readCatalog();
+    // A run picked explicitly through the catalog is never second-guessed by step count.
+    if (snapshot?.runId && snapshot.runId === catalog.activeRunId) return snapshot;
+
+    const archivedRunIds = new Set(
+      Object.values(catalog.runs).filter(entry => entry.archivedAt).map(entry => entry.runId)
+    );
+    const highest = await this.findHighestStepSnapshot({ excludeRunIds: archivedRunIds });
     if (!highest) return snapshot;
     if (!snapshot) return highest;
 
@@ -308,6 +660,7 @@ export class RunStore {
       timestamp: eventInput.timestamp || new Date().toISOString(),
       stepId: eventInput.stepId || null,
       stepCount: Number.isFinite(eventInput.stepCount) ? eventInput.stepCount : null,
+      ...(eventInput.agentId ? { agentId: eventInput.agentId } : {}),
       payload: eventInput.payload || {}
     };
 
@@ -316,6 +669,7 @@ export class RunStore {
     try {
       await handle.write(`${JSON.stringify(event)}\n`);
       await handle.sync();
+      this.eventLogBytesByRun.set(runId, (await handle.stat()).size);
     } finally {
       await handle.close();
     }
@@ -324,6 +678,15 @@ export class RunStore {
     return event;
   }
 
+  /**
+   * Size of the run's event log as of this store's last append or compaction; null before either.
+   * @param {string} runId
+   * @returns {number|null}
+   */
+  getEventLogSize(runId) {
+    return this.eventLogBytesByRun.get(runId) ?? null;
+  }
+
   async prepareEventLogForAppend(runId) {
     const logPath = this.getEventLogPath(runId);
     try {
@@ -428,6 +791,89 @@ export class RunStore {
     return { events, warnings };
   }
 
+  /**
+   * Streams a run's event log in sequence order without holding it in memory. Corrupt lines
+   * are skipped and reported through onWarning; a missing log yields nothing.
+   * @param {string} runId
+   * @param {object} [options]
+   * @param {number} [options.afterSequence=0] - Only events after this sequence
+   * @param {string[]} [options.types] - Only these event types
+   * @param {(warning:string)=>void} [options.onWarning]
+   * @returns {AsyncGenerator<object>}
+   */
+  async *streamEvents(runId, { afterSequence = 0, types = null, onWarning = () => {} } = {}) {
+    const minSequence = Number(afterSequence) || 0;
+    const typeFilter = Array.isArray(types) && types.length > 0 ? new Set(types) : null;
+    const stream = createReadStream(this.getEventLogPath(runId), { encoding: 'utf8' });
+    try {
+      const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+      let lineNumber = 0;
+      for await (const rawLine of lines) {
+        lineNumber += 1;
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        let event = null;
+        try {
+          event = JSON.parse(line);
+        } catch {
+          onWarning(`Skipped corrupt event log line ${lineNumber} for run ${runId}`);
+          continue;
+        }
+
+        if ((Number(event.sequence) || 0) <= minSequence) continue;
+        if (typeFilter && !typeFilter.has(event.type)) continue;
+        yield event;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    } finally {
+      stream.destroy();
+    }
+  }
+
+  /**
+   * One page of a run's event log in sequence order, streamed so early pages stay cheap on
+   * long runs. Step payloads are compacted and snapshots replaced by their step count.
+   * @param {string} runId
+   * @param {object} [options]
+   * @param {number} [options.afterSequence=0] - Only events after this sequence
+   * @param {number} [options.fromStep=0] - Only events at or after this step
+   * @param {number} [options.limit=100] - Page size, capped at EVENT_PAGE_MAX_LIMIT
+   * @param {string[]} [options.types] - Only these event types
+   * @param {string} [options.agentId] - Only this agent's events; the first agent's also match events without an id
+   * @returns {Promise<{events:object[], nextAfterSequence:number, hasMore:boolean, warnings:string[]}>}
+   */
+  async readEventPage(runId, { afterSequence = 0, fromStep = 0, limit = 100, types = null, agentId = null } = {}) {
+    const pageSize = Math.max(1, Math.min(EVENT_PAGE_MAX_LIMIT, parseIntOr(limit, 100)));
+    const minStep = Number(fromStep) || 0;
+
+    const events = [];
+    const warnings = [];
+    let hasMore = false;
+    const stream = this.streamEvents(runId, {
+      afterSequence,
+      types,
+      onWarning: warning => warnings.push(warning)
+    });
+    for await (const event of stream) {
+      if (minStep > 0 && eventStepCount(event) < minStep) continue;
+      if (agentId && (event.agentId || DEFAULT_AGENT_ID) !== agentId) continue;
+      if (events.length === pageSize) {
+        hasMore = true;
+        break;
+      }
+      events.push(compactEventForPage(event));
+    }
+
+    return {
+      events,
+      nextAfterSequence: events.length > 0 ? events[events.length - 1].sequence : Number(afterSequence) || 0,
+      hasMore,
+      warnings
+    };
+  }
+
   async #readEventsAfterSequence(runId, afterSequence) {
     let stat = null;
     try {
@@ -492,7 +938,7 @@ export class RunStore {
     return { events, warnings };
   }
 
-  async writeSnapshot(runId, snapshot) {
+  async writeSnapshot(runId, snapshot, { updateCurrent = true } = {}) {
     if (!runId) {
       throw new Error('Cannot write run snapshot without runId');
     }
@@ -509,7 +955,18 @@ export class RunStore {
     };
 
     await atomicWriteJson(this.getSnapshotPath(runId), normalized);
-    await atomicWriteJson(this.getCurrentSavePath(), normalized);
+    if (updateCurrent) {
+      await atomicWriteJson(this.getCurrentSavePath(), normalized);
+    }
+    // The snapshot is saved at this point; a catalog that cannot be updated must not fail the save.
+    await this.#updateCatalog(catalog => {
+      catalog.runs[runId] = {
+        ...(catalog.runs[runId] || createCatalogEntry(runId, normalized)),
+        ...summarizeSnapshot(normalized)
+      };
+    }).catch(error => {
+      this.logger.warn?.(`Failed to update the run catalog for run ${runId}: ${error.message}`);
+    });
     await this.compactEventLogIfNeeded(runId, normalized);
     return normalized;
   }
@@ -572,6 +1029,7 @@ export class RunStore {
         checkpointSequence
       );
       this.lastSequenceByRun.set(runId, lastSequence);
+      this.eventLogBytesByRun.set(runId, Buffer.byteLength(contents));
       this.logger.log?.(
         `Compacted event log for run ${runId}: ${freshStat.size} bytes -> ${Buffer.byteLength(contents)} bytes`
       );
@@ -598,7 +1056,126 @@ export class RunStore {
   }
 
   async restoreCurrent() {
-    const snapshot = await this.chooseCurrentSnapshot(await this.readCurrentSnapshot());
+    return this.#restoreSnapshot(await this.chooseCurrentSnapshot(await this.readCurrentSnapshot()));
+  }
+
+  async restoreRun(runId) {
+    const snapshot = await this.readSnapshot(runId);
+    if (!snapshot) {
+      throw notFound(`No snapshot found for run ${runId}`);
+    }
+    return this.#restoreSnapshot(snapshot);
+  }
+
+  /**
+   * Rebuild a run's state as it was right after stepCount completed, by replaying its
+   * event log from the run start (or from the saved snapshot, if that is not past the step).
+   * @param {string} runId
+   * @param {number} stepCount
+   * @returns {Promise<object>} snapshot-shaped state at that step
+   */
+  async materializeAtStep(runId, stepCount) {
+    const targetStep = Number(stepCount);
+    if (!Number.isInteger(targetStep) || targetStep < 0) {
+      throw new Error('Step must be a non-negative integer');
+    }
+
+    const saved = await this.readSnapshot(runId);
+    const fromSaved = Boolean(saved) && (Number(saved.stepCount) || 0) <= targetStep;
+    const base = fromSaved ? saved : {
+      schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+      runId,
+      stepCount: 0,
+      currentState: {},
+      stats: {},
+      graph: {},
+      recentHistory: [],
+      decisionHistory: []
+    };
+    const { events, warnings } = await this.readEvents(runId, {
+      afterSequence: fromSaved ? Number(saved.eventLog?.lastSequence) || 0 : 0
+    });
+    for (const warning of warnings) {
+      this.logger.warn?.(warning);
+    }
+    if (!saved && events.length === 0) {
+      throw notFound(`Unknown run ${runId}`);
+    }
+    if (!fromSaved && events[0]?.type === 'snapshot_checkpoint') {
+      throw new Error(
+        `Run ${runId} history before step ${eventStepCount(events[0])} was compacted; ` +
+        `step ${targetStep} can no longer be rebuilt`
+      );
+    }
+
+    // Only the first agent's steps count toward the target; additional agents keep their own counters.
+    const replay = [];
+    for (const event of events) {
+      if (
+        event.type === 'step_completed' &&
+        !isAdditionalAgentStep(base, stepAgentId(event)) &&
+        eventStepCount(event) > targetStep
+      ) break;
+      replay.push(event);
+    }
+
+    const materialized = reduceSnapshotWithEvents(base, replay);
+    if ((Number(materialized.stepCount) || 0) !== targetStep) {
+      throw new Error(`Run ${runId} has no recorded state at step ${targetStep}`);
+    }
+    return materialized;
+  }
+
+  /**
+   * Copy a run's state at stepCount into a brand-new run. The parent run is not modified.
+   * @param {string} parentRunId
+   * @param {number} stepCount
+   * @param {object} [options]
+   * @param {string} [options.name]
+   * @param {string} [options.strategy] - Exploration strategy the fork continues with instead of the parent's
+   * @param {object} [options.vision] - Vision provider and model ({provider, model, baseURL}) instead of the parent's
+   * @returns {Promise<object>} catalog entry of the new run
+   */
+  async forkRun(parentRunId, stepCount, { name = null, strategy = null, vision = null } = {}) {
+    const materialized = await this.materializeAtStep(parentRunId, stepCount);
+    const runId = randomUUID();
+    const timestamp = new Date().toISOString();
+    const forkedFrom = { runId: parentRunId, stepCount: Number(stepCount) };
+    const snapshot = {
+      ...materialized,
+      runId,
+      activeEpoch: 0,
+      lastUpdated: timestamp,
+      forkedFrom,
+      // Spend already counted against the parent is not the fork's.
+      usage: emptyUsage(),
+      ...(strategy ? { strategy } : {}),
+      ...(vision ? { vision } : {}),
+      eventLog: { lastSequence: 0, lastEventId: null }
+    };
+
+    const event = await this.appendEvent(runId, {
+      type: 'run_forked',
+      stepCount: snapshot.stepCount,
+      timestamp,
+      payload: { parentRunId, parentStepCount: forkedFrom.stepCount, snapshot }
+    });
+    await this.writeSnapshot(runId, {
+      ...snapshot,
+      eventLog: { lastSequence: event.sequence, lastEventId: event.eventId }
+    }, { updateCurrent: false });
+
+    const parent = (await this.readCatalog()).runs[parentRunId];
+    return this.registerRun(runId, {
+      name,
+      startLocation: parent?.startLocation,
+      startPanoId: parent?.startPanoId,
+      parentRunId,
+      forkedAtStep: forkedFrom.stepCount
+    });
+  }
+
+  async #restoreSnapshot(snapshot) {
     if (!snapshot) {
       return {
         snapshot: null,
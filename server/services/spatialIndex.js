@@ -0,0 +1,186 @@
+const METERS_PER_DEGREE_LAT = 111320;
+
+function haversineMeters(a, b) {
+  const R = 6371e3;
+  const phi1 = a.lat * Math.PI / 180;
+  const phi2 = b.lat * Math.PI / 180;
+  const deltaPhi = (b.lat - a.lat) * Math.PI / 180;
+  const deltaLambda = (b.lng - a.lng) * Math.PI / 180;
+  const h = Math.sin(deltaPhi / 2) ** 2 +
+    Math.cos(phi1) * Math.cos(phi2) * Math.sin(deltaLambda / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+function metersPerDegreeLng(lat) {
+  return METERS_PER_DEGREE_LAT * Math.max(Math.cos(lat * Math.PI / 180), 0.01);
+}
+
+/**
+ * Uniform lat/lng grid over point ids, updated incrementally.
+ * Cell width in longitude is fixed from the first inserted point, which keeps
+ * cells close to square at city scale.
+ */
+export class SpatialGridIndex {
+  constructor({ cellSizeMeters = 50 } = {}) {
+    if (!(cellSizeMeters > 0)) {
+      throw new Error('SpatialGridIndex requires a positive cell size');
+    }
+    this.cellSizeMeters = cellSizeMeters;
+    this.latStep = cellSizeMeters / METERS_PER_DEGREE_LAT;
+    this.lngStep = null;
+    this.cells = new Map(); // "row:col" -> Map<id, { lat, lng }>
+    this.entries = new Map(); // id -> { lat, lng, key }
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  #cellOf(lat, lng) {
+    return {
+      row: Math.floor(lat / this.latStep),
+      col: Math.floor(lng / this.lngStep)
+    };
+  }
+
+  insert(id, position) {
+    const lat = Number(position?.lat);
+    const lng = Number(position?.lng);
+    if (id == null || !Number.isFinite(lat) || !Number.isFinite(lng)) return false;
+
+    if (this.lngStep === null) {
+      this.lngStep = this.cellSizeMeters / metersPerDegreeLng(lat);
+    }
+
+    const { row, col } = this.#cellOf(lat, lng);
+    const key = `${row}:${col}`;
+    const existing = this.entries.get(id);
+    if (existing && existing.key !== key) {
+      this.remove(id);
+    }
+
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = new Map();
+      this.cells.set(key, cell);
+    }
+    cell.set(id, { lat, lng });
+    this.entries.set(id, { lat, lng, key });
+    return true;
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    const cell = this.cells.get(entry.key);
+    if (cell) {
+      cell.delete(id);
+      if (cell.size === 0) this.cells.delete(entry.key);
+    }
+    this.entries.delete(id);
+    return true;
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+    this.lngStep = null;
+  }
+
+  /**
+   * All points within radiusMeters of position, closest first.
+   * @param {{lat:number,lng:number}} position
+   * @param {number} radiusMeters
+   * @param {object} [options]
+   * @param {(id:any)=>boolean} [options.filter] - Skip ids for which this returns false
+   * @returns {Array<{id:any,lat:number,lng:number,distanceMeters:number}>}
+   */
+  withinRadius(position, radiusMeters, { filter = null } = {}) {
+    if (this.entries.size === 0 || !(radiusMeters >= 0)) return [];
+
+    const deltaLat = radiusMeters / METERS_PER_DEGREE_LAT;
+    const deltaLng = radiusMeters / metersPerDegreeLng(position.lat);
+    const min = this.#cellOf(position.lat - deltaLat, position.lng - deltaLng);
+    const max = this.#cellOf(position.lat + deltaLat, position.lng + deltaLng);
+
+    const results = [];
+    const visit = (id, point) => {
+      if (filter && !filter(id)) return;
+      const distanceMeters = haversineMeters(position, point);
+      if (distanceMeters <= radiusMeters) {
+        results.push({ id, lat: point.lat, lng: point.lng, distanceMeters });
+      }
+    };
+
+    // Sparse queries over a wide box are cheaper as a scan of occupied cells.
+    if ((max.row - min.row + 1) * (max.col - min.col + 1) > this.cells.size) {
+      for (const [id, point] of this.entries) visit(id, point);
+    } else {
+      for (let row = min.row; row <= max.row; row++) {
+        for (let col = min.col; col <= max.col; col++) {
+          const cell = this.cells.get(`${row}:${col}`);
+          if (!cell) continue;
+          for (const [id, point] of cell) visit(id, point);
+        }
+      }
+    }
+
+    return results.sort((a, b) => a.distanceMeters - b.distanceMeters);
+  }
+
+  /**
+   * The k closest points to position, closest first, searched ring by ring.
+   * @param {{lat:number,lng:number}} position
+   * @param {number} [k=1]
+   * @param {object} [options]
+   * @param {number} [options.maxRadiusMeters=Infinity]
+   * @param {(id:any)=>boolean} [options.filter] - Skip ids for which this returns false
+   * @returns {Array<{id:any,lat:number,lng:number,distanceMeters:number}>}
+   */
+  nearest(position, k = 1, { maxRadiusMeters = Infinity, filter = null } = {}) {
+    if (this.entries.size === 0 || k <= 0) return [];
+
+    const found = [];
+    const consider = (id, point) => {
+      if (filter && !filter(id)) return;
+      const distanceMeters = haversineMeters(position, point);
+      if (distanceMeters > maxRadiusMeters) return;
+      found.push({ id, lat: point.lat, lng: point.lng, distanceMeters });
+    };
+    const finish = () => found.sort((a, b) => a.distanceMeters - b.distanceMeters).slice(0, k);
+
+    const center = this.#cellOf(position.lat, position.lng);
+    const cellWidthMeters = this.lngStep * metersPerDegreeLng(position.lat);
+    const minCellMeters = Math.min(this.cellSizeMeters, cellWidthMeters);
+    let cellsVisited = 0;
+
+    for (let ring = 0; ; ring++) {
+      // Anything in ring r+1 or beyond is at least r whole cells away.
+      const ringLowerBound = ring === 0 ? 0 : (ring - 1) * minCellMeters;
+      if (ringLowerBound > maxRadiusMeters) return finish();
+      if (found.length >= k) {
+        found.sort((a, b) => a.distanceMeters - b.distanceMeters);
+        if (found[k - 1].distanceMeters <= ringLowerBound) return finish();
+      }
+
+      // Once rings cover more cells than are occupied, finish with a direct scan.
+      const ringCells = ring === 0 ? 1 : ring * 8;
+      if (cellsVisited + ringCells > this.cells.size * 4) {
+        found.length = 0;
+        for (const [id, point] of this.entries) consider(id, point);
+        return finish();
+      }
+      cellsVisited += ringCells;
+
+      for (let row = center.row - ring; row <= center.row + ring; row++) {
+        const onEdgeRow = row === center.row - ring || row === center.row + ring;
+        const step = onEdgeRow ? 1 : ring * 2 || 1;
+        for (let col = center.col - ring; col <= center.col + ring; col += step) {
+          const cell = this.cells.get(`${row}:${col}`);
+          if (!cell) continue;
+          for (const [id, point] of cell) consider(id, point);
+        }
+      }
+    }
+  }
+}
@@ -0,0 +1,105 @@
+function haversineMeters(a, b) {
+  const R = 6371e3;
+  const phi1 = a.lat * Math.PI / 180;
+  const phi2 = b.lat * Math.PI / 180;
+  const deltaPhi = (b.lat - a.lat) * Math.PI / 180;
+  const deltaLambda = (b.lng - a.lng) * Math.PI / 180;
+  const h = Math.sin(deltaPhi / 2) ** 2 +
+    Math.cos(phi1) * Math.cos(phi2) * Math.sin(deltaLambda / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+/**
+ * Splits the pano graph into street segments: maximal chains of degree-2 panos between
+ * intersections (degree 3+) and dead ends. Links are treated as undirected, and linked panos
+ * that were never visited count with the links seen so far, so a frontier pano usually ends a
+ * segment. A segment is walked when every pano on it was visited and partial otherwise.
+ * @param {Map<string, {lat:number, lng:number, neighbors:Set<string>}>} graph - CoverageTracker.graph
+ * @returns {{segments:{panoIds:string[], walked:boolean, lengthMeters:number}[], lengthCoveredMeters:number}}
+ *   `lengthMeters` only counts links between visited panos, so each street meter is counted once
+ */
+export function deriveStreetSegments(graph) {
+  // The tracker mirrors most links, so only the missing reverse links and the links into
+  // unvisited panos need their own index.
+  const reverseLinks = new Map();
+  const addReverse = (to, from) => {
+    const links = reverseLinks.get(to);
+    if (links) links.push(from);
+    else reverseLinks.set(to, [from]);
+  };
+  for (const [panoId, node] of graph) {
+    for (const neighborId of node.neighbors) {
+      const neighbor = graph.get(neighborId);
+      if (!neighbor || !neighbor.neighbors.has(panoId)) addReverse(neighborId, panoId);
+    }
+  }
+
+  const neighborsOf = (panoId) => {
+    const node = graph.get(panoId);
+    const reverse = reverseLinks.get(panoId);
+    if (!node) return reverse;
+    return reverse ? [...node.neighbors, ...reverse] : node.neighbors;
+  };
+  const degreeOf = (panoId) => {
+    const node = graph.get(panoId);
+    const reverse = reverseLinks.get(panoId)?.length || 0;
+    return node ? node.neighbors.size + reverse : reverse;
+  };
+
+  const segments = [];
+  let lengthCoveredMeters = 0;
+  const chained = new Set(); // degree-2 panos already placed on a segment
+
+  const trace = (start, next) => {
+    const chain = [start];
+    let previous = start;
+    let current = next;
+    while (current !== start && degreeOf(current) === 2 && !chained.has(current)) {
+      chained.add(current);
+      chain.push(current);
+      const [a, b] = neighborsOf(current);
+      const following = a === previous ? b : a;
+      previous = current;
+      current = following;
+    }
+    chain.push(current);
+
+    let lengthMeters = 0;
+    let walked = true;
+    for (let i = 0; i < chain.length; i += 1) {
+      const node = graph.get(chain[i]);
+      if (!node) {
+        walked = false;
+        continue;
+      }
+      const before = i > 0 ? graph.get(chain[i - 1]) : null;
+      if (before) lengthMeters += haversineMeters(before, node);
+    }
+    lengthCoveredMeters += lengthMeters;
+    segments.push({ panoIds: chain, walked, lengthMeters });
+  };
+
+  const ends = [];
+  for (const panoId of graph.keys()) {
+    if (degreeOf(panoId) !== 2) ends.push(panoId);
+  }
+  for (const panoId of reverseLinks.keys()) {
+    if (!graph.has(panoId) && degreeOf(panoId) !== 2) ends.push(panoId);
+  }
+  for (const end of ends) {
+    for (const neighbor of neighborsOf(end) || []) {
+      if (chained.has(neighbor)) continue;
+      // A link straight between two ends is its own segment; take it from one side only.
+      if (degreeOf(neighbor) !== 2 && neighbor < end) continue;
+      trace(end, neighbor);
+    }
+  }
+  // Whatever is left are loops made only of degree-2 panos, like a block walked all the way round.
+  for (const panoId of graph.keys()) {
+    if (chained.has(panoId) || degreeOf(panoId) !== 2) continue;
+    chained.add(panoId);
+    trace(panoId, neighborsOf(panoId)[Symbol.iterator]().next().value);
+  }
+
+  return { segments, lengthCoveredMeters };
+}
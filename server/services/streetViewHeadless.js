@@ -1,4 +1,11 @@
 import puppeteer from 'puppeteer';
+import { metrics } from './metrics.js';
+
+const streetViewSeconds = metrics.histogram(
+  'scout_streetview_duration_seconds',
+  'Headless Street View navigation, panorama lookup and screenshot timings',
+  { labelNames: ['operation'], buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20] }
+);
 
 /**
  * Headless Street View service for server-side operations.
@@ -268,13 +275,13 @@ export class StreetViewHeadless {
   }
 
   async getPanorama(position) {
-    const result = await this.#withTimeout(
+    const result = await streetViewSeconds.time({ operation: 'lookup' }, () => this.#withTimeout(
       this.page.evaluate((pos) => {
         return window.getPanorama(pos);
       }, position),
       this.metadataTimeoutMs,
       'Street View panorama lookup'
-    );
+    ));
 
     if (!result) {
       const label = typeof position === 'string'
@@ -332,13 +339,13 @@ export class StreetViewHeadless {
   }
 
   async navigateToPano(panoId) {
-    const navResult = await this.#withTimeout(
+    const navResult = await streetViewSeconds.time({ operation: 'navigate' }, () => this.#withTimeout(
       this.page.evaluate(async ({ id, timeoutMs }) => {
         return await window.navigateToPano(id, timeoutMs);
       }, { id: panoId, timeoutMs: this.navigationTimeoutMs }),
       this.navigationTimeoutMs + 1000,
       `Street View navigation to ${panoId}`
-    );
+    ));
 
     const settledPanoId = navResult?.settledPanoId || await this.#withTimeout(
       this.page.evaluate(() => window.getCurrentPano()),
@@ -384,14 +391,14 @@ export class StreetViewHeadless {
   }
 
   async getScreenshot() {
-    return await this.#withTimeout(
+    return await streetViewSeconds.time({ operation: 'screenshot' }, () => this.#withTimeout(
       this.page.screenshot({
         type: 'jpeg',
         quality: 80  // Reduced from 80 to save memory
       }),
       this.screenshotTimeoutMs,
       'Street View screenshot'
-    );
+    ));
   }
 
   async #restoreAfterRefresh(savedPanoId, savedPosition, context) {
@@ -0,0 +1,38 @@
+import path from 'path';
+import { StreetViewHeadless } from './streetViewHeadless.js';
+import { FixtureStreetView } from './fixtureStreetView.js';
+import { FixtureRecorder, RecordingStreetView } from './fixtureRecorder.js';
+
+export const STREETVIEW_SOURCE_NAMES = ['google', 'fixture'];
+
+function createBaseSource(env) {
+  const source = String(env.STREETVIEW_PROVIDER || 'google').trim().toLowerCase();
+  switch (source) {
+    case 'google':
+      return new StreetViewHeadless();
+    case 'fixture':
+      return new FixtureStreetView({ fixtureDir: env.STREETVIEW_FIXTURE_DIR });
+    default:
+      throw new Error(`Unknown STREETVIEW_PROVIDER "${source}" (expected one of: ${STREETVIEW_SOURCE_NAMES.join(', ')})`);
+  }
+}
+
+// Every agent of a run records into the same bundle, so they share one recorder per directory;
+// separate recorders would each rewrite the manifest with only their own panos.
+const recorders = new Map();
+
+function recorderFor(outputDir) {
+  const key = path.resolve(outputDir);
+  if (!recorders.has(key)) {
+    recorders.set(key, new FixtureRecorder({ outputDir }));
+  }
+  return recorders.get(key);
+}
+
+export function createStreetViewSource(env = process.env) {
+  const source = createBaseSource(env);
+  if (!env.STREETVIEW_RECORD_DIR) {
+    return source;
+  }
+  return new RecordingStreetView(source, recorderFor(env.STREETVIEW_RECORD_DIR));
+}
@@ -0,0 +1,169 @@
+// USD per million tokens; MODEL_PRICES adds models or overrides these.
+export const DEFAULT_MODEL_PRICES = Object.freeze({
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'mock-vision': { input: 0, output: 0 }
+});
+
+export const USAGE_BUDGET_ACTIONS = ['pause', 'fallback'];
+
+const round = (value, digits = 6) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Normalizes a price table given as an object or a `model=input/output,...` string (the
+ * MODEL_PRICES format), both in USD per million tokens, on top of the defaults.
+ * @param {object|string|null} value
+ * @returns {Record<string, {input:number, output:number}>}
+ * @throws {Error} on prices that are not two non-negative numbers
+ */
+export function parseModelPrices(value) {
+  const prices = { ...DEFAULT_MODEL_PRICES };
+  if (value == null || value === '') return prices;
+
+  const entries = typeof value === 'string'
+    ? value.split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+      const [model, price = ''] = pair.split('=').map(part => part.trim());
+      const [input, output] = price.split('/');
+      return [model, { input, output }];
+    })
+    : Object.entries(value);
+  for (const [model, price] of entries) {
+    const input = Number(price?.input);
+    const output = Number(price?.output);
+    if (!model || price?.input === '' || price?.output === '' ||
+      !(Number.isFinite(input) && input >= 0) || !(Number.isFinite(output) && output >= 0)) {
+      throw new Error(`Model price for "${model}" must be "<input>/<output>" USD per million tokens`);
+    }
+    prices[model] = { input, output };
+  }
+  return prices;
+}
+
+export function emptyUsage() {
+  return { requests: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, costUsd: 0, unpricedTokens: 0 };
+}
+
+/**
+ * Turns one response's OpenAI-style `usage` into counted tokens and cost. Models missing from
+ * the price table cost nothing and are counted in `unpricedTokens` instead.
+ */
+export function priceUsage(usage, model, prices = DEFAULT_MODEL_PRICES) {
+  const inputTokens = Number(usage?.prompt_tokens) || 0;
+  const outputTokens = Number(usage?.completion_tokens) || 0;
+  const totalTokens = Number(usage?.total_tokens) || inputTokens + outputTokens;
+  const price = prices[model];
+  return {
+    requests: 1,
+    inputTokens,
+    outputTokens,
+    totalTokens,
+    costUsd: price ? round((inputTokens * price.input + outputTokens * price.output) / 1e6) : 0,
+    unpricedTokens: price ? 0 : totalTokens
+  };
+}
+
+// Adds `usage` into `total` in place and returns it.
+export function addUsage(total, usage) {
+  if (!usage) return total;
+  for (const field of Object.keys(emptyUsage())) {
+    total[field] = field === 'costUsd'
+      ? round((Number(total[field]) || 0) + (Number(usage[field]) || 0))
+      : (Number(total[field]) || 0) + (Number(usage[field]) || 0);
+  }
+  return total;
+}
+
+// Budgets follow UTC days.
+export const usageDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Spend per UTC day across every run, so starting a new run does not reset the daily budget.
+ * Only the most recent `retentionDays` days are kept.
+ */
+export class DailyUsage {
+  constructor({ days = {}, retentionDays = 90 } = {}) {
+    this.retentionDays = retentionDays;
+    this.days = {};
+    for (const [day, usage] of Object.entries(days || {})) {
+      this.days[day] = addUsage(emptyUsage(), usage);
+    }
+  }
+
+  record(usage, at = new Date()) {
+    const day = usageDay(at);
+    this.days[day] = addUsage(this.days[day] || emptyUsage(), usage);
+    const keep = Object.keys(this.days).sort().slice(-this.retentionDays);
+    if (keep.length < Object.keys(this.days).length) {
+      this.days = Object.fromEntries(keep.map(key => [key, this.days[key]]));
+    }
+  }
+
+  get(day = usageDay()) {
+    return this.days[day] || emptyUsage();
+  }
+
+  // Most recent first.
+  list(limit = 30) {
+    return Object.keys(this.days).sort().reverse().slice(0, limit)
+      .map(day => ({ day, ...this.days[day] }));
+  }
+
+  toJSON() {
+    return { days: this.days };
+  }
+}
+
+/**
+ * Reads USAGE_BUDGET_RUN_USD, USAGE_BUDGET_DAILY_USD and USAGE_BUDGET_ACTION. Limits left
+ * empty are off.
+ * @returns {{runUsd:number|null, dailyUsd:number|null, action:string}}
+ */
+export function parseUsageBudget(env = process.env) {
+  const limit = (name) => {
+    const raw = env[name];
+    if (raw == null || String(raw).trim() === '') return null;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative number of USD`);
+    }
+    return value;
+  };
+  const action = String(env.USAGE_BUDGET_ACTION || 'pause').trim().toLowerCase();
+  if (!USAGE_BUDGET_ACTIONS.includes(action)) {
+    throw new Error(`Unknown USAGE_BUDGET_ACTION "${action}" (expected one of: ${USAGE_BUDGET_ACTIONS.join(', ')})`);
+  }
+  return { runUsd: limit('USAGE_BUDGET_RUN_USD'), dailyUsd: limit('USAGE_BUDGET_DAILY_USD'), action };
+}
+
+/**
+ * The first budget that spending has reached, run before daily; null while both have room.
+ * @returns {{scope:'run'|'daily', limitUsd:number, spentUsd:number}|null}
+ */
+export function exceededBudget({ run, today }, budget) {
+  if (budget.runUsd !== null && run.costUsd >= budget.runUsd) {
+    return { scope: 'run', limitUsd: budget.runUsd, spentUsd: run.costUsd };
+  }
+  if (budget.dailyUsd !== null && today.costUsd >= budget.dailyUsd) {
+    return { scope: 'daily', limitUsd: budget.dailyUsd, spentUsd: today.costUsd };
+  }
+  return null;
+}
+
+export function describeExceededBudget({ scope, limitUsd, spentUsd }) {
+  return `Usage budget exceeded: ${scope} spend $${spentUsd} of $${limitUsd}`;
+}
+
+/**
+ * Budgets only see priced spend, so a budget would never trip on a model without a price. Returns
+ * the reason to refuse starting when a budget is set and any of `unpricedModels` is in use.
+ * @param {string[]} unpricedModels - Models in use that are missing from the price table
+ * @returns {string|null}
+ */
+export function describeUnpricedBudget(unpricedModels, budget) {
+  if ((budget.runUsd === null && budget.dailyUsd === null) || unpricedModels.length === 0) return null;
+  const models = [...new Set(unpricedModels)].map(model => `"${model}"`).join(', ');
+  return `Usage budget cannot be enforced: no price for model ${models}; add it to MODEL_PRICES`;
+}
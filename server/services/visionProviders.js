@@ -0,0 +1,196 @@
+import OpenAI from 'openai';
+
+export const DEFAULT_VISION_MODEL = 'gpt-5-nano';
+export const VISION_PROVIDER_NAMES = ['openai', 'openai-compatible', 'mock'];
+export const STRUCTURED_OUTPUT_MODES = ['json_schema', 'json_object'];
+
+/**
+ * Vision providers turn a prepared chat request into raw model output.
+ * They only transport: prompt building, JSON parsing, retries and fallbacks
+ * stay in OpenAIService so every provider shares them.
+ *
+ * complete({ messages, maxTokens, responseSchema, options, stepNumber, purpose })
+ * resolves to { content, usage } where usage follows the OpenAI token field names.
+ * `purpose` is 'intent' for intent planning, 'memory' for run memory summaries
+ * and unset for move decisions. `responseSchema` ({ name, schema }) comes with
+ * move decisions; providers in `json_schema` mode constrain the output to it,
+ * the rest only ask for a JSON object.
+ */
+export function parseStructuredOutputMode(value, fallback) {
+  const mode = String(value || '').trim().toLowerCase();
+  if (!mode) return fallback;
+  if (!STRUCTURED_OUTPUT_MODES.includes(mode)) {
+    throw new Error(`Unknown VISION_STRUCTURED_OUTPUT "${mode}" (expected one of: ${STRUCTURED_OUTPUT_MODES.join(', ')})`);
+  }
+  return mode;
+}
+
+export class OpenAIVisionProvider {
+  constructor({ apiKey, baseURL, model, timeoutMs, maxRetries, client, structuredOutput } = {}) {
+    this.name = 'openai';
+    this.model = model || DEFAULT_VISION_MODEL;
+    this.structuredOutput = parseStructuredOutputMode(structuredOutput, 'json_schema');
+    this.client = client || new OpenAI({
+      apiKey: apiKey ?? process.env.OPENAI_API_KEY,
+      ...(baseURL ? { baseURL } : {}),
+      timeout: timeoutMs,
+      maxRetries
+    });
+  }
+
+  buildResponseFormat(responseSchema) {
+    if (this.structuredOutput === 'json_schema' && responseSchema) {
+      return {
+        type: 'json_schema',
+        json_schema: { name: responseSchema.name, schema: responseSchema.schema, strict: true }
+      };
+    }
+    return { type: 'json_object' };
+  }
+
+  buildRequest({ messages, maxTokens, responseSchema }) {
+    return {
+      model: this.model,
+      messages,
+      response_format: this.buildResponseFormat(responseSchema),
+      max_completion_tokens: maxTokens
+    };
+  }
+
+  async complete(request) {
+    const response = await this.client.chat.completions.create(this.buildRequest(request));
+    return {
+      content: response?.choices?.[0]?.message?.content,
+      usage: response?.usage || null
+    };
+  }
+}
+
+// llama.cpp, Ollama and vLLM expose the chat-completions route but still
+// expect the older max_tokens field. Their support for json_schema output
+// varies by version, so it is opt-in here.
+export class OpenAICompatibleVisionProvider extends OpenAIVisionProvider {
+  constructor({ baseURL, apiKey, structuredOutput, ...rest } = {}) {
+    if (!baseURL) {
+      throw new Error('VISION_BASE_URL is required for the openai-compatible vision provider');
+    }
+    // The SDK refuses to build a client without a key; local servers ignore it.
+    super({
+      ...rest,
+      baseURL,
+      apiKey: apiKey || 'not-needed',
+      structuredOutput: parseStructuredOutputMode(structuredOutput, 'json_object')
+    });
+    this.name = 'openai-compatible';
+    this.baseURL = baseURL;
+  }
+
+  buildRequest({ messages, maxTokens, responseSchema }) {
+    return {
+      model: this.model,
+      messages,
+      response_format: this.buildResponseFormat(responseSchema),
+      max_tokens: maxTokens
+    };
+  }
+}
+
+const MOCK_INTENT_HEADINGS = [['north', 0], ['east', 90], ['south', 180], ['west', 270]];
+
+// Deterministic stand-in for offline runs and tests: takes the first
+// unvisited option, otherwise rotates through options by step number.
+// Intents point to a compass direction picked by step number; memory summaries
+// are left to the caller's own fallback.
+export class MockVisionProvider {
+  constructor({ model } = {}) {
+    this.name = 'mock';
+    this.model = model || 'mock-vision';
+    this.client = null;
+  }
+
+  async complete({ options = [], stepNumber, purpose }) {
+    if (purpose === 'intent') {
+      const [name, heading] = MOCK_INTENT_HEADINGS[Math.abs(Number(stepNumber) || 0) % MOCK_INTENT_HEADINGS.length];
+      return {
+        content: JSON.stringify({ intent: `Mock provider heads ${name}`, heading }),
+        usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+      };
+    }
+    if (purpose === 'memory') {
+      return { content: JSON.stringify({ summary: null }), usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } };
+    }
+
+    const unvisitedIndex = options.findIndex(option => !option.visited);
+    const rotation = Number.isFinite(stepNumber) && options.length > 0 ? stepNumber % options.length : 0;
+    const selectedIndex = unvisitedIndex >= 0 ? unvisitedIndex : rotation;
+
+    return {
+      content: JSON.stringify({
+        selectedIndex,
+        reasoning: unvisitedIndex >= 0
+          ? `Mock provider took the first unvisited option (${selectedIndex}).`
+          : `Mock provider rotated to option ${selectedIndex} with every branch visited.`,
+        sceneTag: unvisitedIndex >= 0 ? 'open-branch' : 'loop-break'
+      }),
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+}
+
+export function resolveVisionConfig(overrides = {}, env = process.env) {
+  const provider = String(overrides.provider || env.VISION_PROVIDER || 'openai').trim().toLowerCase();
+  if (!VISION_PROVIDER_NAMES.includes(provider)) {
+    throw new Error(`Unknown VISION_PROVIDER "${provider}" (expected one of: ${VISION_PROVIDER_NAMES.join(', ')})`);
+  }
+
+  return {
+    provider,
+    model: overrides.model || env.VISION_MODEL || null,
+    baseURL: overrides.baseURL || env.VISION_BASE_URL || null,
+    apiKey: overrides.apiKey || (provider === 'openai' ? env.OPENAI_API_KEY : env.VISION_API_KEY) || null
+  };
+}
+
+/**
+ * Checks a run's own vision settings, `{ provider, model }`. Fields left out fall back to the
+ * VISION_* env vars. The server and its API key always come from the environment: a run may not
+ * name a base URL, or it could send the server's key to a host of its choosing.
+ * @returns {{provider:string|null, model:string|null}|null} null when nothing is set
+ */
+export function parseVisionConfig(vision, env = process.env) {
+  if (vision === null || vision === undefined) return null;
+  if (typeof vision !== 'object' || Array.isArray(vision)) {
+    throw new Error('Vision config must be an object with provider and model');
+  }
+  if (vision.baseURL !== undefined && vision.baseURL !== null) {
+    throw new Error('Runs cannot set a vision baseURL; it comes from VISION_BASE_URL');
+  }
+  const text = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const config = {
+    provider: text(vision.provider)?.toLowerCase() || null,
+    model: text(vision.model)
+  };
+  if (!config.provider && !config.model) return null;
+
+  const { provider, baseURL } = resolveVisionConfig(config, env);
+  if (provider === 'openai-compatible' && !baseURL) {
+    throw new Error('VISION_BASE_URL is required for the openai-compatible vision provider');
+  }
+  return config;
+}
+
+export function createVisionProvider(config = {}, { timeoutMs, maxRetries } = {}) {
+  const { provider, model, baseURL, apiKey } = resolveVisionConfig(config);
+  const structuredOutput = config.structuredOutput || process.env.VISION_STRUCTURED_OUTPUT || null;
+  const shared = { model, timeoutMs, maxRetries, structuredOutput };
+
+  switch (provider) {
+    case 'mock':
+      return new MockVisionProvider(shared);
+    case 'openai-compatible':
+      return new OpenAICompatibleVisionProvider({ ...shared, baseURL, apiKey });
+    case 'openai':
+    default:
+      return new OpenAIVisionProvider({ ...shared, baseURL, apiKey });
+  }
+}
@@ -0,0 +1,112 @@
+import { lonLatToWorldPixels, tileGeoBounds } from './archiveTileRenderer.js';
+import { VECTOR_TILE_EXTENT, encodeVectorTile } from './archiveVectorTileRenderer.js';
+
+const parseIntOr = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+export const HEATMAP_LAYER = 'visit-density';
+const DEFAULT_MAX_DWELL_MS = parseIntOr(process.env.HEATMAP_MAX_DWELL_MS, 120000);
+// A minute spent at a spot weighs as much as one more visit.
+const DWELL_SECONDS_PER_VISIT = 60;
+// 64 tile units is 4px on a 256px tile: coarse enough to keep low zooms small, fine enough
+// that neighbouring panos stay apart from z17 on.
+const HEATMAP_CELL_UNITS = 64;
+// Heat blurs across tile edges, so neighbouring cells are included too.
+const HEATMAP_BUFFER = 512;
+
+function timeOf(point) {
+  const value = point?.timestamp;
+  if (value == null || value === '') return NaN;
+  return typeof value === 'number' ? value : Date.parse(value);
+}
+
+/**
+ * Folds a run's path into one entry per pano: how often the agent arrived there and how long it
+ * stayed (time until the next step, capped so stops and restarts do not dominate). The visit counts
+ * match CoverageTracker.visitCounts, but come from the event log so they survive restarts.
+ * @param {object[]} points - PathProjection render path points
+ * @returns {{lat:number, lng:number, visits:number, dwellMs:number}[]}
+ */
+export function aggregateVisits(points, { maxDwellMs = DEFAULT_MAX_DWELL_MS } = {}) {
+  const byPano = new Map();
+  for (let i = 0; i < points.length; i += 1) {
+    const point = points[i];
+    const lat = Number(point?.lat);
+    const lng = Number(point?.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+
+    const key = point.panoId || `${lat.toFixed(6)},${lng.toFixed(6)}`;
+    let entry = byPano.get(key);
+    if (!entry) {
+      entry = { lat, lng, visits: 0, dwellMs: 0 };
+      byPano.set(key, entry);
+    }
+    entry.visits += 1;
+
+    const dwellMs = timeOf(points[i + 1]) - timeOf(point);
+    if (Number.isFinite(dwellMs) && dwellMs > 0) {
+      entry.dwellMs += Math.min(dwellMs, maxDwellMs);
+    }
+  }
+  return Array.from(byPano.values());
+}
+
+/**
+ * Bins aggregated visits into a grid of tile cells; each occupied cell becomes a Point at its
+ * visit-weighted centre with `visits`, `panos`, `dwellSeconds` and the combined `weight`.
+ */
+export function buildHeatmapFeatures(visits, z, x, y, {
+  extent = VECTOR_TILE_EXTENT,
+  cellUnits = HEATMAP_CELL_UNITS,
+  buffer = HEATMAP_BUFFER
+} = {}) {
+  const scale = extent / 256;
+  const bounds = tileGeoBounds(z, x, y, buffer / scale);
+  const tileOriginX = x * 256;
+  const tileOriginY = y * 256;
+
+  const cells = new Map();
+  for (const visit of visits) {
+    if (
+      visit.lat < bounds.south || visit.lat > bounds.north ||
+      visit.lng < bounds.west || visit.lng > bounds.east
+    ) {
+      continue;
+    }
+    const [wx, wy] = lonLatToWorldPixels(visit.lng, visit.lat, z);
+    const tx = (wx - tileOriginX) * scale;
+    const ty = (wy - tileOriginY) * scale;
+    const key = `${Math.floor(tx / cellUnits)}:${Math.floor(ty / cellUnits)}`;
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { sumX: 0, sumY: 0, visits: 0, panos: 0, dwellMs: 0 };
+      cells.set(key, cell);
+    }
+    cell.sumX += tx * visit.visits;
+    cell.sumY += ty * visit.visits;
+    cell.visits += visit.visits;
+    cell.panos += 1;
+    cell.dwellMs += visit.dwellMs;
+  }
+
+  return Array.from(cells.values(), (cell) => {
+    const dwellSeconds = Math.round(cell.dwellMs / 1000);
+    return {
+      type: 'Point',
+      geometry: [[Math.round(cell.sumX / cell.visits), Math.round(cell.sumY / cell.visits)]],
+      properties: {
+        visits: cell.visits,
+        panos: cell.panos,
+        dwellSeconds,
+        weight: Math.round((cell.visits + dwellSeconds / DWELL_SECONDS_PER_VISIT) * 100) / 100
+      }
+    };
+  });
+}
+
+export function renderVisitHeatmapTile(visits, z, x, y, options = {}) {
+  const features = buildHeatmapFeatures(visits, z, x, y, options);
+  return encodeVectorTile([{ name: HEATMAP_LAYER, extent: options.extent, features }]);
+}
@@ -0,0 +1,188 @@
+import crypto, { randomUUID } from 'crypto';
+
+const parseIntOr = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const DEFAULT_MAX_ATTEMPTS = parseIntOr(process.env.EVENT_WEBHOOK_MAX_ATTEMPTS, 6);
+const DEFAULT_BACKOFF_MS = parseIntOr(process.env.EVENT_WEBHOOK_BACKOFF_MS, 1000);
+const DEFAULT_MAX_BACKOFF_MS = parseIntOr(process.env.EVENT_WEBHOOK_MAX_BACKOFF_MS, 60000);
+const DEFAULT_TIMEOUT_MS = parseIntOr(process.env.EVENT_WEBHOOK_TIMEOUT_MS, 10000);
+const DEFAULT_MAX_QUEUE = parseIntOr(process.env.EVENT_WEBHOOK_MAX_QUEUE, 1000);
+
+/**
+ * Comma-separated event names to a Set; empty or '*' means every event.
+ * @param {string|string[]|null|undefined} value
+ * @returns {Set<string>|null}
+ */
+export function parseEventFilter(value) {
+  const names = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  if (names.length === 0 || names.includes('*')) return null;
+  return new Set(names);
+}
+
+/**
+ * Webhook targets from EVENT_WEBHOOKS: a JSON array of `{ url, events?, secret? }`, or a plain
+ * comma-separated list of URLs that receive every event.
+ * @param {string|undefined} value
+ * @returns {Array<{url:string, events:Set<string>|null, secret:string|null}>}
+ */
+export function parseWebhookConfig(value) {
+  const raw = String(value ?? '').trim();
+  if (!raw) return [];
+
+  let entries = null;
+  if (raw.startsWith('[')) {
+    try {
+      entries = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`EVENT_WEBHOOKS is not valid JSON: ${error.message}`);
+    }
+  } else {
+    entries = raw.split(',').map(url => ({ url: url.trim() })).filter(entry => entry.url);
+  }
+
+  return entries.map((entry, index) => {
+    let url = null;
+    try {
+      url = new URL(entry?.url);
+    } catch {
+      throw new Error(`EVENT_WEBHOOKS entry ${index} needs an absolute http(s) url`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`EVENT_WEBHOOKS entry ${index} needs an absolute http(s) url`);
+    }
+    return {
+      url: url.toString(),
+      events: parseEventFilter(entry.events),
+      secret: entry.secret || null
+    };
+  });
+}
+
+/**
+ * Posts feed events to one URL in order. Network errors, 429 and 5xx responses are retried with
+ * exponential backoff; other 4xx responses drop the event. A delivery that runs out of attempts
+ * is dropped so one dead endpoint cannot stall the queue forever.
+ */
+export class WebhookDispatcher {
+  constructor({
+    url,
+    events = null,
+    secret = null,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    backoffMs = DEFAULT_BACKOFF_MS,
+    maxBackoffMs = DEFAULT_MAX_BACKOFF_MS,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    maxQueue = DEFAULT_MAX_QUEUE,
+    fetchFn = globalThis.fetch,
+    sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref?.()),
+    logger = console
+  }) {
+    this.url = url;
+    this.events = events;
+    this.secret = secret;
+    this.maxAttempts = Math.max(1, maxAttempts);
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.timeoutMs = timeoutMs;
+    this.maxQueue = maxQueue;
+    this.fetchFn = fetchFn;
+    this.sleep = sleep;
+    this.logger = logger;
+    this.queue = [];
+    this.draining = null;
+    this.closed = false;
+    this.stats = { delivered: 0, failed: 0, dropped: 0, retries: 0 };
+  }
+
+  accepts(name) {
+    return !this.events || this.events.has(name);
+  }
+
+  enqueue(feedEvent) {
+    if (this.closed || !this.accepts(feedEvent.event)) return false;
+    if (this.queue.length >= this.maxQueue) {
+      this.queue.shift();
+      this.stats.dropped += 1;
+      this.logger.warn(`Webhook queue for ${this.url} is full; dropped the oldest event`);
+    }
+    this.queue.push(feedEvent);
+    if (!this.draining) {
+      this.draining = this.#drain().finally(() => {
+        this.draining = null;
+      });
+    }
+    return true;
+  }
+
+  // Resolves once everything queued so far has been delivered or given up on.
+  async idle() {
+    while (this.draining) await this.draining;
+  }
+
+  close() {
+    this.closed = true;
+    this.queue.length = 0;
+  }
+
+  backoffFor(attempt) {
+    return Math.min(this.maxBackoffMs, this.backoffMs * 2 ** (attempt - 1));
+  }
+
+  async #drain() {
+    while (this.queue.length > 0 && !this.closed) {
+      const feedEvent = this.queue.shift();
+      if (await this.#deliver(feedEvent)) {
+        this.stats.delivered += 1;
+      } else {
+        this.stats.failed += 1;
+      }
+    }
+  }
+
+  async #deliver(feedEvent) {
+    const body = JSON.stringify(feedEvent);
+    const deliveryId = randomUUID();
+    const headers = {
+      'content-type': 'application/json',
+      'x-scout-event': feedEvent.event,
+      'x-scout-delivery': deliveryId
+    };
+    if (this.secret) {
+      headers['x-scout-signature'] = `sha256=${crypto.createHmac('sha256', this.secret).update(body).digest('hex')}`;
+    }
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let reason = null;
+      try {
+        const response = await this.fetchFn(this.url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(this.timeoutMs)
+        });
+        if (response.ok) return true;
+        reason = `HTTP ${response.status}`;
+        if (response.status !== 429 && response.status < 500) {
+          this.logger.warn(`Webhook ${this.url} rejected ${feedEvent.event} (${reason}); not retrying`);
+          return false;
+        }
+      } catch (error) {
+        reason = error.message;
+      }
+
+      if (this.closed) return false;
+      if (attempt === this.maxAttempts) {
+        this.logger.warn(`Webhook ${this.url} failed ${feedEvent.event} after ${attempt} attempts: ${reason}`);
+        return false;
+      }
+      this.stats.retries += 1;
+      await this.sleep(this.backoffFor(attempt));
+    }
+    return false;
+  }
+}
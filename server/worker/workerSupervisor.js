@@ -4,7 +4,11 @@ import { dirname, join } from 'path';
 import fs from 'fs';
 import * as fsp from 'fs/promises';
 import { RunStore } from '../services/runStore.js';
+import { DEFAULT_AGENT_ID } from '../services/coverage.js';
 import { PathProjection } from '../services/pathProjection.js';
+import { EventFeed } from '../services/eventFeed.js';
+import { parseWebhookConfig } from '../services/webhookDispatcher.js';
+import { exportRun } from '../services/runExport.js';
 import {
   TILE_RENDERER_REVISION,
   archivedPointCount,
@@ -12,6 +16,9 @@ import {
   drawArchiveTileFromPath,
   pruneArchiveTileVersions
 } from '../services/archiveTileRenderer.js';
+import { VECTOR_TILE_REVISION, renderArchiveVectorTile } from '../services/archiveVectorTileRenderer.js';
+import { aggregateVisits, renderVisitHeatmapTile } from '../services/visitHeatmap.js';
+import { MetricsRegistry, renderMetrics } from '../services/metrics.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -148,7 +155,8 @@ export class WorkerSupervisor {
     bootTimeoutMs = DEFAULT_BOOT_TIMEOUT_MS,
     heartbeatStaleMs = DEFAULT_HEARTBEAT_STALE_MS,
     restartWindowMs = DEFAULT_RESTART_WINDOW_MS,
-    maxRestarts = DEFAULT_MAX_RESTARTS
+    maxRestarts = DEFAULT_MAX_RESTARTS,
+    webhooks = parseWebhookConfig(process.env.EVENT_WEBHOOKS)
   } = {}) {
     this.workerPath = workerPath;
     this.onBroadcast = onBroadcast;
@@ -156,11 +164,18 @@ export class WorkerSupervisor {
     this.forkFn = forkFn;
     this.runStore = new RunStore({ dataDir, logger });
     this.pathProjection = new PathProjection({ runStore: this.runStore, logger });
+    this.eventFeed = new EventFeed({
+      runStore: this.runStore,
+      getRunId: () => this.lastState?.runId || this.lastMetrics?.runId || null,
+      webhooks,
+      logger
+    });
     this.connectedClients = new Set();
     this.pendingRequests = new Map();
     this.tileCache = new Map();
     this.tilePathCache = new Map();
     this.tileRenderPromises = new Map();
+    this.heatmapVisits = null;
     this.tileWarmupKeys = new Set();
     this.fullVectorBinaryCache = new Map();
     this.lastState = createFallbackState();
@@ -183,6 +198,25 @@ export class WorkerSupervisor {
     this.heartbeatStaleMs = heartbeatStaleMs;
     this.restartWindowMs = restartWindowMs;
     this.maxRestarts = maxRestarts;
+    // Supervisor-side series for /metrics; the worker's arrive with its heartbeats
+    this.metrics = new MetricsRegistry();
+    this.workerMetricFamilies = [];
+    this.instruments = {
+      workerRestarts: this.metrics.counter('scout_worker_restarts_total', 'Exploration worker restarts'),
+      workerUp: this.metrics.gauge('scout_worker_up', 'Whether the exploration worker is ready (1) or not (0)'),
+      heartbeatAge: this.metrics.gauge('scout_worker_heartbeat_age_seconds', 'Time since the last worker heartbeat'),
+      clients: this.metrics.gauge('scout_clients_connected', 'Socket.IO clients connected'),
+      tileRequests: this.metrics.counter('scout_tile_requests_total', 'Map tile requests by where the tile came from', {
+        labelNames: ['kind', 'cache']
+      }),
+      tileHitRatio: this.metrics.gauge('scout_tile_cache_hit_ratio', 'Share of tile requests served without a new render', {
+        labelNames: ['kind']
+      }),
+      tileRenderSeconds: this.metrics.histogram('scout_tile_render_duration_seconds', 'Time to render a tile that no cache held', {
+        labelNames: ['kind'],
+        buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5]
+      })
+    };
   }
 
   getSavePath() {
@@ -287,6 +321,7 @@ export class WorkerSupervisor {
     if (message.kind === 'broadcast') {
       this.#recordBroadcast(message.name, message.data);
       this.onBroadcast(message.name, message.data);
+      this.eventFeed.publish(message.name, message.data);
       return;
     }
 
@@ -307,6 +342,7 @@ export class WorkerSupervisor {
 
     if (message.kind === 'metrics') {
       this.#recordWorkerMetrics(message.data || {});
+      this.#recordWorkerMetricFamilies(message.metricFamilies);
       return;
     }
 
@@ -314,6 +350,7 @@ export class WorkerSupervisor {
       this.lastHeartbeatAt = Date.now();
       this.workerReady = true;
       this.#recordWorkerMetrics(message.metrics || {});
+      this.#recordWorkerMetricFamilies(message.metricFamilies);
       return;
     }
 
@@ -323,6 +360,10 @@ export class WorkerSupervisor {
     }
   }
 
+  #recordWorkerMetricFamilies(families) {
+    if (Array.isArray(families)) this.workerMetricFamilies = families;
+  }
+
   #recordWorkerMetrics(metrics) {
     if (!metrics || typeof metrics !== 'object') return;
 
@@ -404,7 +445,17 @@ export class WorkerSupervisor {
     };
   }
 
+  // Additional agents move their own entry in lastState.agents; the top-level position follows the first agent.
+  #recordAgentState(agentId, update) {
+    const agents = Array.isArray(this.lastState.agents) ? [...this.lastState.agents] : [];
+    const index = agents.findIndex(agent => agent?.agentId === agentId);
+    if (index >= 0) agents[index] = { ...agents[index], ...update };
+    else agents.push({ agentId, ...update });
+    this.lastState = { ...this.lastState, agents };
+  }
+
   #recordBroadcast(name, data) {
+    const additionalAgentId = data?.agentId && data.agentId !== DEFAULT_AGENT_ID ? data.agentId : null;
     if (name === 'exploration-started') {
       this.lastState = { ...this.lastState, isExploring: true };
       this.lastMetrics = {
@@ -419,6 +470,33 @@ export class WorkerSupervisor {
         isExploring: false,
         stepStatus: 'idle'
       };
+    } else if (name === 'position-update' && additionalAgentId) {
+      this.#recordAgentState(additionalAgentId, { position: data.position, panoId: data.panoId });
+      this.lastState = { ...this.lastState, stats: data.stats ?? this.lastState.stats };
+    } else if (name === 'move-decision' && additionalAgentId) {
+      if (data.intermediate) return;
+      this.#recordAgentState(additionalAgentId, {
+        position: data.newPosition,
+        panoId: data.panoId,
+        heading: data.direction,
+        mode: data.mode,
+        stepCount: data.stepCount
+      });
+      const recentHistory = Array.isArray(this.lastState.recentHistory) ? this.lastState.recentHistory : [];
+      this.lastState = {
+        ...this.lastState,
+        stats: data.stats ?? this.lastState.stats,
+        lastEventSequence: data.sequence ?? this.lastState.lastEventSequence,
+        recentHistory: [
+          ...recentHistory.filter(entry => entry?.stepCount !== data.stepCount || entry?.agentId !== data.agentId),
+          data
+        ].slice(-100)
+      };
+      this.pathProjection.recordLiveMove(data)
+        .then(pathState => this.#warmArchiveOverviewTiles(pathState))
+        .catch(error => {
+          this.logger.warn('Failed to update minimap path projection from live move:', error.message);
+        });
     } else if (name === 'position-update') {
       this.lastState = {
         ...this.lastState,
@@ -437,9 +515,23 @@ export class WorkerSupervisor {
         runId: data?.runId ?? this.lastState.runId,
         lastEventSequence: data?.sequence ?? this.lastState.lastEventSequence
       };
+      if (data?.destination) {
+        this.lastState.destination = data.destination.status === 'active' ? data.destination : null;
+      }
+      if (Array.isArray(this.lastState.agents) && !data?.intermediate) {
+        this.#recordAgentState(DEFAULT_AGENT_ID, {
+          position: this.lastState.position,
+          panoId: this.lastState.panoId,
+          heading: data?.direction,
+          mode: data?.mode,
+          stepCount: this.lastState.stepCount
+        });
+      }
       if (!data?.intermediate) {
         const recentHistory = Array.isArray(this.lastState.recentHistory) ? this.lastState.recentHistory : [];
-        const dedupedHistory = recentHistory.filter(entry => entry?.stepCount !== data?.stepCount);
+        const dedupedHistory = recentHistory.filter(entry =>
+          entry?.stepCount !== data?.stepCount || (entry?.agentId || DEFAULT_AGENT_ID) !== (data?.agentId || DEFAULT_AGENT_ID)
+        );
         this.lastState = {
           ...this.lastState,
           recentHistory: [...dedupedHistory, data].slice(-100)
@@ -462,6 +554,12 @@ export class WorkerSupervisor {
             this.logger.warn('Failed to update minimap path projection from live move:', error.message);
           });
       }
+    } else if (name === 'destination-updated') {
+      const destination = data?.destination;
+      this.lastState = {
+        ...this.lastState,
+        destination: destination?.status === 'active' ? destination : null
+      };
     } else if (name === 'state-loaded') {
       const stats = data?.stats || {};
       this.lastState = {
@@ -472,6 +570,9 @@ export class WorkerSupervisor {
         stats: data?.stats ?? this.lastState.stats,
         stepCount: data?.stepCount ?? this.lastState.stepCount,
         recentHistory: data?.decisionHistory ?? this.lastState.recentHistory,
+        geofence: data?.geofence !== undefined ? data.geofence : this.lastState.geofence,
+        forkedFrom: data?.forkedFrom !== undefined ? data.forkedFrom : this.lastState.forkedFrom,
+        agents: data?.agents ?? this.lastState.agents,
         lastEventSequence: data?.sequence ?? this.lastState.lastEventSequence
       };
       this.#recordWorkerMetrics({
@@ -553,6 +654,7 @@ export class WorkerSupervisor {
       }
       this.restartTimestamps.push(Date.now());
       this.workerRestarts += 1;
+      this.instruments.workerRestarts.inc();
       try {
         await this.#startWorker({
           autoRestore: true,
@@ -686,10 +788,112 @@ export class WorkerSupervisor {
     return this.#sendCommand('saveNow');
   }
 
+  async setDestination(destination) {
+    return this.#sendCommand('setDestination', destination);
+  }
+
+  async clearDestination() {
+    return this.#sendCommand('clearDestination');
+  }
+
+  async setFrontierWeights(frontierWeights) {
+    return this.#sendCommand('setFrontierWeights', { frontierWeights });
+  }
+
+  async listRuns() {
+    return this.#sendCommand('listRuns');
+  }
+
+  async createRun(start) {
+    this.desiredExploring = false;
+    return this.#sendCommand('createRun', start);
+  }
+
+  async switchRun(runId) {
+    this.desiredExploring = false;
+    return this.#sendCommand('switchRun', { runId });
+  }
+
+  async archiveRun(runId) {
+    return this.#sendCommand('archiveRun', { runId });
+  }
+
+  async getRegionCoverage() {
+    return this.#sendCommand('getRegionCoverage');
+  }
+
+  async getUsage() {
+    return this.#sendCommand('getUsage');
+  }
+
+  async forkRun(fork) {
+    if (fork?.activate !== false) {
+      this.desiredExploring = false;
+    }
+    return this.#sendCommand('forkRun', fork);
+  }
+
   async renderTile(z, x, y, { tileVersion = null } = {}) {
+    return this.#renderArchiveTile(z, x, y, {
+      tileVersion,
+      revision: TILE_RENDERER_REVISION,
+      extension: 'png',
+      render: (points, archivedCount) => drawArchiveTileFromPath(points, z, x, y, {
+        archivedCount,
+        pathCache: this.tilePathCache
+      })
+    });
+  }
+
+  async renderVectorTile(z, x, y, { tileVersion = null } = {}) {
+    return this.#renderArchiveTile(z, x, y, {
+      tileVersion,
+      revision: VECTOR_TILE_REVISION,
+      extension: 'mvt',
+      render: async (points, archivedCount) => renderArchiveVectorTile(points, z, x, y, {
+        archivedCount,
+        pathCache: this.tilePathCache
+      })
+    });
+  }
+
+  // Heatmap tiles cover the whole path, tail included, and are keyed by path sequence so
+  // every committed step invalidates them; clients choose how often to refetch.
+  async renderHeatmapTile(z, x, y) {
     const runId = this.lastState?.runId || this.lastMetrics?.runId || null;
     if (!runId) {
-      return drawArchiveTileFromPath([], z, x, y, { archivedCount: 0 });
+      return renderVisitHeatmapTile([], z, x, y);
+    }
+
+    const renderPath = await this.pathProjection.getRenderPath(runId, {
+      expectedSequence: this.lastState?.lastEventSequence || this.lastMetrics?.lastEventSequence || 0,
+      clonePoints: false
+    });
+    const visitsKey = `${runId}@${renderPath.pathSequence}`;
+    if (this.heatmapVisits?.key !== visitsKey) {
+      this.heatmapVisits = { key: visitsKey, visits: aggregateVisits(renderPath.points) };
+    }
+    const cacheKey = `heatmap/${visitsKey}/${z}/${x}/${y}`;
+    const cached = this.tileCache.get(cacheKey);
+    if (cached) {
+      this.instruments.tileRequests.inc({ kind: 'heatmap', cache: 'memory' });
+      return cached;
+    }
+
+    const endRender = this.instruments.tileRenderSeconds.startTimer({ kind: 'heatmap' });
+    const tile = renderVisitHeatmapTile(this.heatmapVisits.visits, z, x, y);
+    endRender();
+    this.instruments.tileRequests.inc({ kind: 'heatmap', cache: 'miss' });
+    cacheSet(this.tileCache, cacheKey, tile);
+    return tile;
+  }
+
+  // PNG and MVT tiles share the archive cutover and version, so a `?v=` from path-state
+  // addresses the same archived points in either format.
+  async #renderArchiveTile(z, x, y, { tileVersion, revision, extension, render }) {
+    const runId = this.lastState?.runId || this.lastMetrics?.runId || null;
+    if (!runId) {
+      return render([], 0);
     }
 
     const renderPath = await this.pathProjection.getRenderPath(runId, {
@@ -699,35 +903,33 @@ export class WorkerSupervisor {
     const currentArchivedCount = archivedPointCount(renderPath.points.length, TILE_TAIL_POINTS);
     const requestedArchivedCount = resolveRequestedArchivedCount(tileVersion, currentArchivedCount);
     const version = archiveVersionForPoints(requestedArchivedCount);
-    const cacheKey = `${runId}/${z}/${x}/${y}@r${TILE_RENDERER_REVISION}@v${version}`;
+    const cacheKey = `${runId}/${z}/${x}/${y}@r${revision}@v${version}`;
+    const { tileRequests, tileRenderSeconds } = this.instruments;
     const cached = this.tileCache.get(cacheKey);
-    if (cached) return cached;
+    if (cached) {
+      tileRequests.inc({ kind: extension, cache: 'memory' });
+      return cached;
+    }
     const inFlight = this.tileRenderPromises.get(cacheKey);
-    if (inFlight) return inFlight;
+    if (inFlight) {
+      tileRequests.inc({ kind: extension, cache: 'inflight' });
+      return inFlight;
+    }
 
-    const filePath = join(
-      DATA_DIR,
-      'tiles',
-      runId,
-      `renderer-${TILE_RENDERER_REVISION}`,
-      String(version),
-      String(z),
-      String(x),
-      `${y}.png`
-    );
+    const tileDir = join(DATA_DIR, 'tiles', runId, `renderer-${revision}`, String(version), String(z), String(x));
+    const filePath = join(tileDir, `${y}.${extension}`);
     const renderPromise = (async () => {
       try {
         const data = fs.readFileSync(filePath);
+        tileRequests.inc({ kind: extension, cache: 'disk' });
         cacheSet(this.tileCache, cacheKey, data);
         return data;
       } catch {
-        const tile = await drawArchiveTileFromPath(renderPath.points, z, x, y, {
-          archivedCount: requestedArchivedCount,
-          pathCache: this.tilePathCache
-        });
-        fsp.mkdir(join(DATA_DIR, 'tiles', runId, `renderer-${TILE_RENDERER_REVISION}`, String(version), String(z), String(x)), { recursive: true })
+        const tile = await tileRenderSeconds.time({ kind: extension }, () => render(renderPath.points, requestedArchivedCount));
+        tileRequests.inc({ kind: extension, cache: 'miss' });
+        fsp.mkdir(tileDir, { recursive: true })
           .then(() => fsp.writeFile(filePath, tile))
-          .then(() => pruneArchiveTileVersions(DATA_DIR, runId))
+          .then(() => pruneArchiveTileVersions(DATA_DIR, runId, { rendererRevision: revision }))
           .catch(() => {});
         cacheSet(this.tileCache, cacheKey, tile);
         return tile;
@@ -810,6 +1012,53 @@ export class WorkerSupervisor {
     };
   }
 
+  // Server-Sent Events stream of worker broadcasts; see EventFeed for replay semantics.
+  streamEvents(req, res) {
+    return this.eventFeed.handleSse(req, res);
+  }
+
+  // Paged event log reads go straight to disk; the worker never sees them.
+  async getRunEvents(runId, options = {}) {
+    const page = await this.runStore.readEventPage(runId, options);
+    for (const warning of page.warnings) {
+      this.logger.warn(warning);
+    }
+    return {
+      runId,
+      events: page.events,
+      nextAfterSequence: page.nextAfterSequence,
+      hasMore: page.hasMore
+    };
+  }
+
+  // GeoJSON, GPX or KML of any run, built from its path projection and restored graph.
+  async exportRun(runId, format) {
+    return exportRun({
+      runStore: this.runStore,
+      pathProjection: this.pathProjection,
+      runId,
+      format,
+      logger: this.logger
+    });
+  }
+
+  // Whole path of any run, current or not, for drawing sibling branches on the minimap.
+  async getRunPath(runId) {
+    const renderPath = await this.pathProjection.getRenderPath(runId, { clonePoints: false });
+    const coordinates = [];
+    for (const point of renderPath.points) {
+      const lng = roundCoordinate(point?.lng);
+      const lat = roundCoordinate(point?.lat);
+      if (lng == null || lat == null) continue;
+      coordinates.push([lng, lat]);
+    }
+    return {
+      runId: renderPath.runId,
+      stepCount: renderPath.stepCount,
+      coordinates
+    };
+  }
+
   async getFullPathVectorBinarySnapshot({
     runId = null,
     expectedSequence = 0,
@@ -1012,12 +1261,41 @@ export class WorkerSupervisor {
       workerHeartbeatStaleThresholdSec: Math.floor(this.heartbeatStaleMs / 1000),
       workerDesiredExploring: this.desiredExploring,
       clientsConnected: this.connectedClients.size,
+      ...this.eventFeed.getMetrics(),
       ...this.pathProjection.getMetrics()
     };
   }
 
+  /**
+   * Supervisor and worker series in the Prometheus text format, or OpenMetrics. Worker series are
+   * as of its last heartbeat and restart from zero with a new worker process.
+   * @param {{openMetrics?: boolean}} [options]
+   * @returns {string}
+   */
+  getPrometheusMetrics({ openMetrics = false } = {}) {
+    const { workerUp, heartbeatAge, clients, tileRequests, tileHitRatio } = this.instruments;
+    workerUp.set(this.workerReady ? 1 : 0);
+    if (this.lastHeartbeatAt) heartbeatAge.set((Date.now() - this.lastHeartbeatAt) / 1000);
+    else heartbeatAge.clear();
+    clients.set(this.connectedClients.size);
+
+    const totals = new Map();
+    for (const { labels, value } of tileRequests.collect().samples) {
+      const total = totals.get(labels.kind) || { requests: 0, misses: 0 };
+      total.requests += value;
+      if (labels.cache === 'miss') total.misses += value;
+      totals.set(labels.kind, total);
+    }
+    for (const [kind, { requests, misses }] of totals) {
+      tileHitRatio.set({ kind }, (requests - misses) / requests);
+    }
+
+    return renderMetrics([...this.metrics.collect(), ...this.workerMetricFamilies], { openMetrics });
+  }
+
   async shutdown() {
     this.shuttingDown = true;
+    this.eventFeed.close();
     if (this.monitorTimer) {
       clearInterval(this.monitorTimer);
       this.monitorTimer = null;
@@ -1042,6 +1320,7 @@ export class WorkerSupervisor {
 
   dispose() {
     this.shuttingDown = true;
+    this.eventFeed.close();
     if (this.monitorTimer) {
       clearInterval(this.monitorTimer);
       this.monitorTimer = null;
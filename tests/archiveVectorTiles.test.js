@@ -0,0 +1,165 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ARCHIVE_VECTOR_LAYER,
+  buildArchiveVectorFeatures,
+  renderArchiveVectorTile
+} from '../server/services/archiveVectorTileRenderer.js';
+
+function lonLatToTile(lng, lat, z) {
+  const n = Math.pow(2, z);
+  const latRad = lat * Math.PI / 180;
+  return {
+    x: Math.floor(((lng + 180) / 360) * n),
+    y: Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n)
+  };
+}
+
+function createReader(buffer) {
+  let offset = 0;
+  return {
+    done: () => offset >= buffer.length,
+    varint() {
+      let value = 0;
+      let scale = 1;
+      let byte;
+      do {
+        byte = buffer[offset++];
+        value += (byte & 127) * scale;
+        scale *= 128;
+      } while (byte & 128);
+      return value;
+    },
+    double() {
+      offset += 8;
+      return buffer.readDoubleLE(offset - 8);
+    },
+    bytes(length) {
+      offset += length;
+      return buffer.subarray(offset - length, offset);
+    }
+  };
+}
+
+function readFields(buffer) {
+  const reader = createReader(buffer);
+  const fields = [];
+  while (!reader.done()) {
+    const key = reader.varint();
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+    if (wireType === 0) fields.push({ field, value: reader.varint() });
+    else if (wireType === 1) fields.push({ field, value: reader.double() });
+    else if (wireType === 2) fields.push({ field, value: reader.bytes(reader.varint()) });
+    else throw new Error(`unexpected wire type ${wireType}`);
+  }
+  return fields;
+}
+
+function readPacked(bytes) {
+  const reader = createReader(bytes);
+  const values = [];
+  while (!reader.done()) values.push(reader.varint());
+  return values;
+}
+
+const unzigzag = value => (value % 2 === 1 ? -(value + 1) / 2 : value / 2);
+
+function decodeLine(commands) {
+  const points = [];
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < commands.length;) {
+    const count = commands[i] >> 3;
+    i += 1;
+    for (let j = 0; j < count; j += 1) {
+      x += unzigzag(commands[i++]);
+      y += unzigzag(commands[i++]);
+      points.push([x, y]);
+    }
+  }
+  return points;
+}
+
+function decodeTile(buffer) {
+  return readFields(buffer).filter(({ field }) => field === 3).map(({ value }) => {
+    const layer = { keys: [], values: [], features: [] };
+    for (const { field, value: entry } of readFields(value)) {
+      if (field === 1) layer.name = entry.toString('utf8');
+      if (field === 5) layer.extent = entry;
+      if (field === 15) layer.version = entry;
+      if (field === 3) layer.keys.push(entry.toString('utf8'));
+      if (field === 4) {
+        const [{ field: valueField, value: raw }] = readFields(entry);
+        layer.values.push(valueField === 1 ? raw.toString('utf8') : raw);
+      }
+      if (field === 2) layer.features.push(readFields(entry));
+    }
+    layer.features = layer.features.map((fields) => {
+      const tags = readPacked(fields.find(f => f.field === 2)?.value || Buffer.alloc(0));
+      const properties = {};
+      for (let i = 0; i < tags.length; i += 2) properties[layer.keys[tags[i]]] = layer.values[tags[i + 1]];
+      return {
+        type: fields.find(f => f.field === 3).value,
+        properties,
+        line: decodeLine(readPacked(fields.find(f => f.field === 4).value))
+      };
+    });
+    return layer;
+  });
+}
+
+const START = { lat: 40.7501, lng: -73.9801 };
+const { x: TILE_X, y: TILE_Y } = lonLatToTile(START.lng, START.lat, 16);
+
+function point(stepCount, dLat, dLng, mode = 'exploration') {
+  return {
+    lat: START.lat + dLat,
+    lng: START.lng + dLng,
+    stepCount,
+    mode,
+    timestamp: new Date(Date.UTC(2026, 5, 1, 12, 0, stepCount)).toISOString()
+  };
+}
+
+test('archive vector features carry step range, mode and time and are clipped to the tile buffer', () => {
+  const path = [
+    point(0, 0, 0),
+    point(1, 0.0003, 0),
+    point(2, 0.0003, 0.0000001),
+    point(3, 0.0003, 0.0004, 'pathfinding'),
+    point(4, 0.0003, 0.05, 'pathfinding'),
+    point(5, 0.0003, 0.06, 'pathfinding')
+  ];
+  const features = buildArchiveVectorFeatures(path, 16, TILE_X, TILE_Y, { archivedCount: path.length });
+
+  assert.deepEqual(features.map(feature => feature.properties), [
+    { startStep: 0, endStep: 1, mode: 'exploration', timestamp: Date.UTC(2026, 5, 1, 12, 0, 1) / 1000 },
+    { startStep: 1, endStep: 3, mode: 'pathfinding', timestamp: Date.UTC(2026, 5, 1, 12, 0, 3) / 1000 },
+    { startStep: 3, endStep: 4, mode: 'pathfinding', timestamp: Date.UTC(2026, 5, 1, 12, 0, 4) / 1000 }
+  ], 'the sub-unit step 2 folds into the next segment and the segment outside the tile is dropped');
+  const [, , leaving] = features;
+  assert.equal(leaving.geometry[0][1][0], 4096 + 64, 'the segment leaving the tile ends on the buffer edge');
+
+  assert.equal(buildArchiveVectorFeatures(path, 16, TILE_X, TILE_Y, { archivedCount: 2 }).length, 1);
+  assert.deepEqual(buildArchiveVectorFeatures(path, 16, TILE_X + 40, TILE_Y, { archivedCount: path.length }), []);
+});
+
+test('archive vector tiles decode as Mapbox Vector Tile 2 line layers', () => {
+  const path = [point(0, 0, 0), point(1, 0.0003, 0), point(2, 0.0003, 0.0004, 'pathfinding')];
+  const tile = renderArchiveVectorTile(path, 16, TILE_X, TILE_Y, { archivedCount: path.length });
+  const [layer, ...others] = decodeTile(tile);
+
+  assert.equal(others.length, 0);
+  assert.equal(layer.name, ARCHIVE_VECTOR_LAYER);
+  assert.equal(layer.version, 2);
+  assert.equal(layer.extent, 4096);
+  assert.deepEqual(layer.features.map(feature => [feature.type, feature.properties.mode, feature.properties.endStep]), [
+    [2, 'exploration', 1],
+    [2, 'pathfinding', 2]
+  ]);
+  const expected = buildArchiveVectorFeatures(path, 16, TILE_X, TILE_Y, { archivedCount: path.length });
+  assert.deepEqual(layer.features.map(feature => feature.line), expected.map(feature => feature.geometry[0]));
+
+  assert.equal(renderArchiveVectorTile(path, 16, TILE_X, TILE_Y, { archivedCount: 1 }).length, 0, 'no path, empty tile');
+});
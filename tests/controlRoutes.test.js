@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createControlRouter } from '../server/api/controlRoutes.js';
+import { buildOpenApiDocument } from '../server/api/openapi.js';
+
+function createFakeExploration() {
+  const calls = [];
+  const record = (name, result = { success: true }) => async (...args) => {
+    calls.push([name, ...args]);
+    return typeof result === 'function' ? result(...args) : result;
+  };
+  return {
+    calls,
+    getCurrentState: async () => ({
+      isExploring: false,
+      runId: 'run-1',
+      stepCount: 7,
+      recentHistory: [{ stepCount: 7 }],
+      fullPath: [[0, 0]]
+    }),
+    getMetrics: () => ({ workerReady: true, workerRestarts: 2, lastSnapshotAgeSec: 4 }),
+    startExploration: record('start', { error: 'Exploration already in progress' }),
+    stopExploration: record('stop'),
+    takeSingleStep: record('step', { success: true, stepCount: 8 }),
+    resetExploration: record('reset'),
+    loadState: record('load', { error: 'No save file found' }),
+    saveNow: async () => {
+      throw new Error('Exploration worker is not running');
+    },
+    setDestination: record('setDestination', (destination) => ({ success: true, destination })),
+    clearDestination: record('clearDestination')
+  };
+}
+
+async function withServer(exploration, fn) {
+  const app = express();
+  app.use('/api/control', createControlRouter({
+    exploration,
+    verifyAdminToken: token => token === 'good-token',
+    logger: { error: () => {} }
+  }));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api/control`;
+  try {
+    await fn(base);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const admin = { authorization: 'Bearer good-token', 'content-type': 'application/json' };
+
+test('control routes require an admin token and mirror supervisor commands', async () => {
+  const exploration = createFakeExploration();
+  await withServer(exploration, async (base) => {
+    const status = await fetch(`${base}/status`);
+    assert.equal(status.status, 200);
+    const body = await status.json();
+    assert.equal(body.stepCount, 7);
+    assert.equal(body.workerRestarts, 2);
+    assert.equal(body.recentHistory, undefined, 'status leaves out the decision log and path');
+    assert.equal(body.fullPath, undefined);
+
+    const anonymous = await fetch(`${base}/step`, { method: 'POST' });
+    assert.equal(anonymous.status, 401);
+    assert.deepEqual(await anonymous.json(), { error: 'Admin authentication required', code: 'unauthorized' });
+    assert.equal(exploration.calls.length, 0);
+
+    const step = await fetch(`${base}/step`, { method: 'POST', headers: admin });
+    assert.deepEqual(await step.json(), { success: true, stepCount: 8 });
+
+    // The token can also travel in the body, as it does over Socket.IO.
+    const destination = await fetch(`${base}/destination`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ token: 'good-token', lat: 40.75, lng: -73.98, label: 'Bryant Park' })
+    });
+    assert.equal(destination.status, 200);
+    assert.deepEqual(exploration.calls.at(-1), ['setDestination', { lat: 40.75, lng: -73.98, label: 'Bryant Park' }]);
+
+    const cleared = await fetch(`${base}/destination`, { method: 'DELETE', headers: admin });
+    assert.equal(cleared.status, 200);
+    assert.deepEqual(exploration.calls.at(-1), ['clearDestination']);
+  });
+});
+
+test('control routes map command failures to status codes with one error shape', async () => {
+  await withServer(createFakeExploration(), async (base) => {
+    const cases = [
+      ['start', 409, 'conflict'],
+      ['load', 404, 'not_found'],
+      ['save', 503, 'worker_unavailable']
+    ];
+    for (const [command, status, code] of cases) {
+      const response = await fetch(`${base}/${command}`, { method: 'POST', headers: admin });
+      assert.equal(response.status, status, command);
+      const body = await response.json();
+      assert.equal(body.code, code);
+      assert.equal(typeof body.error, 'string');
+    }
+  });
+});
+
+test('the OpenAPI document covers every control route', async () => {
+  const document = buildOpenApiDocument({ version: '9.9.9' });
+  assert.equal(document.info.version, '9.9.9');
+
+  const exploration = createFakeExploration();
+  const router = createControlRouter({ exploration, verifyAdminToken: () => true });
+  const routes = router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => [`/api/control${layer.route.path}`, method]));
+  assert.ok(routes.length >= 9);
+  for (const [path, method] of routes) {
+    const operation = document.paths[path]?.[method];
+    assert.ok(operation, `${method.toUpperCase()} ${path} is documented`);
+    if (path !== '/api/control/status') {
+      assert.deepEqual(operation.security, [{ adminToken: [] }]);
+    }
+  }
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDecisionSchema, validateDecision } from '../server/services/decisionSchema.js';
+import { OpenAIService } from '../server/services/openai.js';
+import { metrics } from '../server/services/metrics.js';
+import {
+  OpenAICompatibleVisionProvider,
+  OpenAIVisionProvider,
+  createVisionProvider
+} from '../server/services/visionProviders.js';
+
+const responseSchema = { name: 'exploration_decision', schema: buildDecisionSchema({ optionCount: 3 }) };
+
+function categoryOf(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error.category;
+  }
+  return null;
+}
+
+test('decisions are validated against the schema with a category per failure', () => {
+  const schema = buildDecisionSchema({ optionCount: 3, intent: true });
+  assert.deepEqual(schema.required, ['selectedIndex', 'reasoning', 'sceneTag', 'intentFollowed']);
+  assert.equal(schema.properties.selectedIndex.maximum, 2);
+  assert.equal(buildDecisionSchema({ optionCount: 3 }).properties.intentFollowed, undefined);
+
+  const decision = { selectedIndex: 2, reasoning: 'Toward the bridge.', extra: 'kept' };
+  assert.equal(validateDecision(decision, schema), decision, 'nullable fields may be left out');
+  assert.equal(categoryOf(() => validateDecision([1], schema)), 'schema');
+  assert.equal(categoryOf(() => validateDecision({ reasoning: 'No index.' }, schema)), 'schema');
+  assert.equal(categoryOf(() => validateDecision({ selectedIndex: '1', reasoning: 'A string.' }, schema)), 'schema');
+  assert.equal(categoryOf(() => validateDecision({ selectedIndex: 1, reasoning: 'x', intentFollowed: 'yes' }, schema)), 'schema');
+  assert.equal(categoryOf(() => validateDecision({ selectedIndex: 3, reasoning: 'Off the end.' }, schema)), 'out_of_range');
+});
+
+test('providers send the schema as strict structured output where configured', () => {
+  const openai = new OpenAIVisionProvider({ client: {} });
+  assert.deepEqual(openai.buildRequest({ messages: [], maxTokens: 100, responseSchema }).response_format, {
+    type: 'json_schema',
+    json_schema: { ...responseSchema, strict: true }
+  });
+  assert.deepEqual(openai.buildRequest({ messages: [], maxTokens: 100 }).response_format, { type: 'json_object' });
+
+  const local = new OpenAICompatibleVisionProvider({ baseURL: 'http://127.0.0.1:8080/v1' });
+  assert.deepEqual(local.buildRequest({ messages: [], maxTokens: 100, responseSchema }).response_format, { type: 'json_object' });
+  const localStrict = createVisionProvider({
+    provider: 'openai-compatible',
+    baseURL: 'http://127.0.0.1:8080/v1',
+    structuredOutput: 'JSON_SCHEMA'
+  });
+  assert.equal(localStrict.buildRequest({ messages: [], maxTokens: 100, responseSchema }).response_format.type, 'json_schema');
+  assert.throws(() => new OpenAIVisionProvider({ client: {}, structuredOutput: 'yaml' }), /Unknown VISION_STRUCTURED_OUTPUT "yaml"/);
+});
+
+test('unusable decisions are retried and counted by category', async () => {
+  const failures = metrics.counter('scout_model_decision_failures_total', 'Decision attempts whose output could not be used');
+  const labels = category => ({ provider: 'custom', model: 'schema-test', category });
+  const before = ['out_of_range', 'schema'].map(category => failures.get(labels(category)));
+
+  const requests = [];
+  const replies = [
+    JSON.stringify({ selectedIndex: 5, reasoning: 'Off the end.' }),
+    JSON.stringify({ selectedIndex: 1, reasoning: 'Up the hill.', sceneTag: 'public-street' })
+  ];
+  const service = new OpenAIService({
+    instance: {
+      name: 'custom',
+      model: 'schema-test',
+      complete: async (request) => {
+        requests.push(request);
+        return { content: replies.shift(), usage: null };
+      }
+    }
+  });
+  const input = {
+    currentPosition: { lat: 40.75, lng: -73.98 },
+    screenshots: [{ base64: 'dGVzdA==' }, { base64: 'dGVzdA==' }],
+    links: [{ pano: 'A', heading: 0 }, { pano: 'B', heading: 90 }],
+    visitedPanos: ['A'],
+    stepNumber: 9
+  };
+
+  const decision = await service.decideNextMove(input);
+  assert.deepEqual([decision.selectedPanoId, decision.sceneTag, decision.fallbackCause], ['B', 'public-street', null]);
+  assert.equal(requests[0].responseSchema.name, 'exploration_decision');
+  assert.equal(requests[0].responseSchema.schema.properties.selectedIndex.maximum, 1);
+
+  replies.push(JSON.stringify({ index: 0 }), JSON.stringify({ index: 0 }));
+  const fallback = await service.decideNextMove(input);
+  assert.deepEqual([fallback.selectedPanoId, fallback.fallbackCause], ['B', 'parse_error_after_retries']);
+
+  assert.equal(failures.get(labels('out_of_range')) - before[0], 1);
+  assert.equal(failures.get(labels('schema')) - before[1], 2);
+});
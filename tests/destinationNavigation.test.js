@@ -0,0 +1,181 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ExplorationAgent } from '../server/agents/explorationAgent.js';
+import { Pathfinder } from '../server/services/pathfinder.js';
+import { reduceSnapshotWithEvents } from '../server/services/runStore.js';
+
+// An L-shaped street: A-B-C-D runs east, A-N1-N2 runs north.
+const PANOS = [
+  { panoId: 'A', position: { lat: 40.75, lng: -73.98 }, links: [{ pano: 'B', heading: 90 }, { pano: 'N1', heading: 0 }] },
+  { panoId: 'B', position: { lat: 40.75, lng: -73.9797 }, links: [{ pano: 'A', heading: 270 }, { pano: 'C', heading: 90 }] },
+  { panoId: 'C', position: { lat: 40.75, lng: -73.9794 }, links: [{ pano: 'B', heading: 270 }, { pano: 'D', heading: 90 }] },
+  { panoId: 'D', position: { lat: 40.75, lng: -73.9791 }, links: [{ pano: 'C', heading: 270 }] },
+  { panoId: 'N1', position: { lat: 40.7503, lng: -73.98 }, links: [{ pano: 'A', heading: 180 }, { pano: 'N2', heading: 0 }] },
+  { panoId: 'N2', position: { lat: 40.7506, lng: -73.98 }, links: [{ pano: 'N1', heading: 180 }] }
+];
+
+async function withFixtureAgent(fn, panos = PANOS) {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-destination-'));
+  const shotsDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-destination-shots-'));
+  await fsp.writeFile(path.join(dir, 'fixture.json'), JSON.stringify({ version: 1, startPanoId: 'A', panos }));
+
+  const previousEnv = {
+    STREETVIEW_PROVIDER: process.env.STREETVIEW_PROVIDER,
+    STREETVIEW_FIXTURE_DIR: process.env.STREETVIEW_FIXTURE_DIR,
+    VISION_PROVIDER: process.env.VISION_PROVIDER
+  };
+  process.env.STREETVIEW_PROVIDER = 'fixture';
+  process.env.STREETVIEW_FIXTURE_DIR = dir;
+  process.env.VISION_PROVIDER = 'mock';
+
+  try {
+    const agent = new ExplorationAgent({ broadcast: () => {} }, { log: () => {} });
+    agent.startPanoId = 'A';
+    agent.screenshot.baseDir = shotsDir;
+    await agent.initialize();
+    try {
+      await fn(agent);
+    } finally {
+      await agent.close();
+    }
+  } finally {
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+async function stepUntilSettled(agent, maxSteps = 10) {
+  const steps = [];
+  for (let i = 0; i < maxSteps; i++) {
+    const stepData = await agent.exploreStep();
+    steps.push(stepData);
+    if (stepData.destination?.status !== 'active') break;
+  }
+  return steps;
+}
+
+test('agent heads toward a lat/lng destination and hands back to exploration on arrival', async () => {
+  await withFixtureAgent(async (agent) => {
+    const status = await agent.setDestination({ lat: 40.75, lng: -73.9791, label: 'east end', arrivalRadiusMeters: 10 });
+    assert.equal(status.status, 'active');
+    assert.equal(agent.mode, 'navigating');
+
+    const steps = await stepUntilSettled(agent);
+    assert.deepEqual(steps.map(step => step.panoId), ['B', 'C', 'D']);
+    assert.ok(steps.every(step => step.autoMove && step.mode === 'navigating'));
+    assert.equal(steps[0].eventType, 'destination-heading');
+    assert.ok(steps[0].destination.progress > 0 && steps[0].destination.progress < 1);
+    assert.ok(steps[1].destination.distanceMeters < steps[0].destination.distanceMeters);
+    assert.equal(steps[1].destination.etaSteps, 1);
+
+    const last = steps[steps.length - 1];
+    assert.equal(last.eventType, 'destination-arrived');
+    assert.equal(last.destination.status, 'arrived');
+    assert.equal(last.destination.progress, 1);
+    assert.equal(agent.destination, null);
+    assert.equal(agent.mode, 'exploration');
+  });
+});
+
+test('agent routes back over known streets before probing links toward a pano target', async () => {
+  await withFixtureAgent(async (agent) => {
+    await agent.setDestination({ lat: 40.75, lng: -73.9791, arrivalRadiusMeters: 10 });
+    await stepUntilSettled(agent);
+
+    const status = await agent.setDestination({ panoId: 'N2' });
+    assert.equal(status.label, 'pano N2');
+    assert.deepEqual(status.position, { lat: 40.7506, lng: -73.98 });
+
+    const steps = await stepUntilSettled(agent);
+    assert.deepEqual(steps.map(step => step.panoId), ['C', 'B', 'A', 'N1', 'N2']);
+    assert.deepEqual(steps.slice(0, 3).map(step => step.eventType), ['destination-route', 'destination-route', 'destination-route']);
+    assert.equal(steps[3].eventType, 'destination-heading');
+    assert.equal(steps[4].eventType, 'destination-arrived');
+  });
+});
+
+test('steps that cannot move toward the destination count toward abandoning it', async () => {
+  // A has no links yet, so neither routing nor heading toward the target can move the agent.
+  const panos = [{ ...PANOS[0], links: [] }, ...PANOS.slice(1)];
+  await withFixtureAgent(async (agent) => {
+    agent.destinationStallSteps = 2;
+    await agent.setDestination({ lat: 40.75, lng: -73.97, label: 'far east' });
+
+    await assert.rejects(() => agent.exploreStep(), /No available navigation options/);
+    assert.equal(agent.destination.stepsSinceProgress, 1);
+    await assert.rejects(() => agent.exploreStep(), /No available navigation options/);
+    assert.equal(agent.destination, null);
+    assert.equal(agent.mode, 'exploration');
+
+    agent.streetViewHeadless.fixture.panos.get('A').links.push({ pano: 'B', heading: 90 });
+    const step = await agent.exploreStep();
+    assert.equal(step.panoId, 'B');
+    assert.deepEqual([step.destination.status, step.destination.label], ['abandoned', 'far east']);
+    assert.equal((await agent.exploreStep()).destination, undefined, 'the abandonment is reported once');
+  }, panos);
+});
+
+test('destination state round-trips and can be cleared', async () => {
+  await withFixtureAgent(async (agent) => {
+    const nearby = await agent.setDestination({ lat: 40.75, lng: -73.98001 });
+    assert.equal(nearby.status, 'arrived', 'a destination inside the arrival radius is not activated');
+    assert.equal(agent.destination, null);
+
+    await assert.rejects(() => agent.setDestination({ label: 'nowhere' }), /requires lat\/lng or a panoId/);
+    await assert.rejects(() => agent.setDestination({ lat: 120, lng: 0 }), /out of range/);
+
+    const active = await agent.setDestination({ lat: 40.7506, lng: -73.98 });
+    agent.restoreDestination(null);
+    assert.equal(agent.destination, null);
+    agent.restoreDestination(active);
+    assert.equal(agent.getDestinationStatus().label, active.label);
+
+    const cleared = agent.clearDestination();
+    assert.equal(cleared.status, 'cleared');
+    assert.equal(agent.mode, 'exploration');
+    assert.equal(agent.clearDestination(), null);
+  });
+});
+
+test('Pathfinder.findPathToPano walks visited nodes and may end on an unvisited neighbor', () => {
+  const visited = new Set(['A', 'B', 'C']);
+  const coverage = {
+    graph: new Map([
+      ['A', { neighbors: new Set(['B']) }],
+      ['B', { neighbors: new Set(['A', 'C', 'X']) }],
+      ['C', { neighbors: new Set(['B', 'Y']) }]
+    ]),
+    hasVisited: panoId => visited.has(panoId)
+  };
+  const pathfinder = new Pathfinder(coverage);
+
+  assert.deepEqual(pathfinder.findPathToPano('A', 'Y').fullPath, ['B', 'C', 'Y']);
+  assert.equal(pathfinder.findPathToPano('A', 'C').nextStep, 'B');
+  assert.equal(pathfinder.findPathToPano('A', 'Z'), null);
+  assert.equal(pathfinder.findPathToPano('A', 'A'), null);
+});
+
+test('reduceSnapshotWithEvents tracks destination set, progress and arrival', () => {
+  const base = { schemaVersion: 2, runId: 'run-d', stepCount: 1, currentState: { panoId: 'A' } };
+  const active = { label: 'park', status: 'active', position: { lat: 1, lng: 2 } };
+  const event = (sequence, type, payload, stepCount) => ({
+    eventId: `event-${sequence}`, runId: 'run-d', epoch: 1, sequence, type, stepCount, payload
+  });
+
+  const set = reduceSnapshotWithEvents(base, [event(2, 'destination_set', { destination: active })]);
+  assert.deepEqual(set.currentState.destination, active);
+
+  const arrived = reduceSnapshotWithEvents(set, [
+    event(3, 'step_completed', { stepData: { stepCount: 2, panoId: 'B', newPosition: { lat: 1, lng: 2 }, destination: { ...active, status: 'arrived' } } }, 2)
+  ]);
+  assert.equal(arrived.currentState.destination, null);
+  assert.equal(arrived.currentState.panoId, 'B');
+
+  const cleared = reduceSnapshotWithEvents(set, [event(3, 'destination_cleared', { destination: { ...active, status: 'cleared' } })]);
+  assert.equal(cleared.currentState.destination, null);
+});
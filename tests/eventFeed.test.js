@@ -0,0 +1,162 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import * as fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RunStore } from '../server/services/runStore.js';
+import { EventFeed } from '../server/services/eventFeed.js';
+import { WebhookDispatcher, parseWebhookConfig } from '../server/services/webhookDispatcher.js';
+
+const quietLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+async function makeStore() {
+  const dataDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'event-feed-'));
+  return new RunStore({ dataDir, logger: quietLogger });
+}
+
+async function appendStep(store, runId, stepCount) {
+  return store.appendEvent(runId, {
+    type: 'step_completed',
+    stepCount,
+    payload: {
+      stepData: {
+        stepCount,
+        panoId: `P${stepCount}`,
+        newPosition: { lat: 40.75, lng: -73.98 },
+        coverageDelta: { panoId: `P${stepCount}` }
+      }
+    }
+  });
+}
+
+function parseFrames(text) {
+  return text.split('\n\n').filter(Boolean).flatMap((block) => {
+    const frame = {};
+    for (const line of block.split('\n')) {
+      const [field, ...rest] = line.split(': ');
+      frame[field] = rest.join(': ');
+    }
+    return frame.event ? [{ ...frame, data: JSON.parse(frame.data) }] : [];
+  });
+}
+
+async function readUntil(reader, frames, predicate) {
+  const decoder = new TextDecoder();
+  let text = '';
+  while (!predicate(parseFrames(text))) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    text += decoder.decode(value, { stream: true });
+  }
+  frames.push(...parseFrames(text));
+}
+
+async function withFeedServer(feed, fn) {
+  const app = express();
+  app.get('/api/events', (req, res) => feed.handleSse(req, res));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/api/events`);
+  } finally {
+    feed.close();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('SSE clients resuming with Last-Event-ID get missed steps from the run log, then live events', async () => {
+  const store = await makeStore();
+  for (let step = 1; step <= 4; step++) await appendStep(store, 'run-1', step);
+  await store.appendEvent('run-1', { type: 'exploration_stopped' });
+
+  const feed = new EventFeed({ runStore: store, getRunId: () => 'run-1', heartbeatMs: 0, logger: quietLogger });
+  await withFeedServer(feed, async (url) => {
+    const controller = new AbortController();
+    const response = await fetch(`${url}?events=move-decision,exploration-stopped`, {
+      headers: { 'Last-Event-ID': '2' },
+      signal: controller.signal
+    });
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+    const reader = response.body.getReader();
+
+    const frames = [];
+    await readUntil(reader, frames, parsed => parsed.length >= 2);
+    assert.deepEqual(frames.map(frame => [frame.id, frame.data.panoId, frame.data.replayed]), [
+      ['3', 'P3', true],
+      ['4', 'P4', true]
+    ]);
+    assert.equal(frames[0].data.coverageDelta, undefined);
+
+    feed.publish('position-update', { position: { lat: 1, lng: 2 } });
+    feed.publish('move-decision', { runId: 'run-1', stepCount: 5, panoId: 'P5', sequence: 6 });
+    feed.publish('exploration-stopped', {});
+    const live = [];
+    await readUntil(reader, live, parsed => parsed.length >= 2);
+    assert.deepEqual(live.map(frame => [frame.event, frame.id]), [
+      ['move-decision', '6'],
+      ['exploration-stopped', undefined]
+    ], 'filtered events are skipped and unlogged broadcasts carry no id');
+    controller.abort();
+  });
+  assert.equal(feed.clients.size, 0);
+});
+
+test('webhooks retry 5xx with exponential backoff, sign bodies and give up on 4xx', async () => {
+  const attempts = [];
+  const statuses = [503, 500, 200, 400];
+  const sleeps = [];
+  const webhook = new WebhookDispatcher({
+    url: 'http://hooks.test/scout',
+    secret: 'shh',
+    backoffMs: 10,
+    maxBackoffMs: 15,
+    sleep: async (ms) => sleeps.push(ms),
+    logger: quietLogger,
+    fetchFn: async (url, request) => {
+      attempts.push(request);
+      const status = statuses.shift();
+      return { ok: status < 300, status };
+    }
+  });
+
+  webhook.enqueue({ id: 1, event: 'move-decision', data: { stepCount: 1 } });
+  webhook.enqueue({ id: 2, event: 'move-decision', data: { stepCount: 2 } });
+  await webhook.idle();
+
+  assert.equal(attempts.length, 4);
+  assert.deepEqual(sleeps, [10, 15]);
+  assert.deepEqual(webhook.stats, { delivered: 1, failed: 1, dropped: 0, retries: 2 });
+  assert.match(attempts[0].headers['x-scout-signature'], /^sha256=[0-9a-f]{64}$/);
+  assert.equal(JSON.parse(attempts[3].body).id, 2, 'events are delivered in order');
+
+  const failing = new WebhookDispatcher({
+    url: 'http://hooks.test/down',
+    maxAttempts: 3,
+    sleep: async () => {},
+    logger: quietLogger,
+    fetchFn: async () => {
+      throw new Error('connect ECONNREFUSED');
+    }
+  });
+  failing.enqueue({ id: null, event: 'exploration-started', data: {} });
+  await failing.idle();
+  assert.equal(failing.stats.failed, 1);
+  assert.equal(failing.stats.retries, 2);
+});
+
+test('parseWebhookConfig accepts JSON entries or a URL list', () => {
+  assert.deepEqual(parseWebhookConfig(''), []);
+  const [slack, overlay] = parseWebhookConfig(JSON.stringify([
+    { url: 'https://hooks.example.com/slack', events: ['move-decision'], secret: 'abc' },
+    { url: 'https://overlay.example.com/feed', events: '*' }
+  ]));
+  assert.deepEqual([...slack.events], ['move-decision']);
+  assert.equal(slack.secret, 'abc');
+  assert.equal(overlay.events, null);
+
+  assert.equal(parseWebhookConfig('https://a.example.com/x, https://b.example.com/y').length, 2);
+  assert.throws(() => parseWebhookConfig('[{"url":"ftp://nope"}]'), /http\(s\) url/);
+  assert.throws(() => parseWebhookConfig('[oops'), /not valid JSON/);
+});
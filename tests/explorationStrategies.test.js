@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CoverageTracker } from '../server/services/coverage.js';
+import { ExplorationAgent } from '../server/agents/explorationAgent.js';
+import {
+  createExplorationStrategy,
+  explorationStrategyNames,
+  loadExplorationStrategyModules,
+  registerExplorationStrategy
+} from '../server/agents/explorationStrategies.js';
+
+// The agent came north from S into a crossing: W, N and E lead on, S is visited.
+function crossingContext(extra = {}) {
+  const coverage = new CoverageTracker();
+  coverage.addVisited('S', { lat: 40.7498, lng: -73.98 }, [{ pano: 'X', heading: 0 }]);
+  coverage.addVisited('X', { lat: 40.75, lng: -73.98 }, []);
+  return {
+    step: 3,
+    panoId: 'X',
+    heading: 10,
+    coverage,
+    lastMove: { from: 'S', to: 'X' },
+    links: [
+      { pano: 'W', heading: 270 },
+      { pano: 'N', heading: 0 },
+      { pano: 'E', heading: 90 },
+      { pano: 'S', heading: 180 }
+    ],
+    plannedMove: null,
+    clearRoute: () => {},
+    frontierMove: async () => null,
+    ...extra
+  };
+}
+
+test('built-in strategies pick links by their own rule', async () => {
+  assert.deepEqual(explorationStrategyNames().slice(0, 4), ['model', 'frontier-greedy', 'random', 'right-hand']);
+  assert.equal(createExplorationStrategy().name, 'model');
+  assert.throws(() => createExplorationStrategy('spiral'), /Unknown exploration strategy "spiral" \(expected one of: model, /);
+
+  const rightHand = createExplorationStrategy('Right-Hand');
+  assert.equal(rightHand.name, 'right-hand');
+  assert.equal(rightHand.decide(crossingContext()).link.pano, 'E');
+  assert.equal(rightHand.decide(crossingContext({ links: [{ pano: 'W', heading: 270 }, { pano: 'S', heading: 180 }] })).link.pano, 'W');
+  const sharpRight = rightHand.decide(crossingContext({
+    heading: 0,
+    lastMove: null,
+    links: [{ pano: 'R', heading: 100 }, { pano: 'B', heading: 180 }, { pano: 'L', heading: 270 }]
+  }));
+  assert.equal(sharpRight.link.pano, 'R');
+  assert.match(sharpRight.reason, /Right-hand rule: 100° turn/);
+  assert.equal(rightHand.decide(crossingContext({
+    heading: 0,
+    lastMove: null,
+    links: [{ pano: 'R', heading: 170 }, { pano: 'N', heading: 0 }]
+  })).link.pano, 'R');
+  assert.equal(rightHand.decide(crossingContext({ links: [{ pano: 'S', heading: 180 }] })).link.pano, 'S', 'a dead end turns back');
+
+  const greedy = createExplorationStrategy('frontier-greedy');
+  const straight = await greedy.decide(crossingContext());
+  assert.deepEqual([straight.link.pano, straight.autoMove, straight.eventType], ['N', true, 'autopilot-strategy']);
+  const planned = { link: { pano: 'E', heading: 90 }, reason: 'planned' };
+  assert.equal(await greedy.decide(crossingContext({ plannedMove: planned })), planned);
+
+  const [first, last] = await Promise.all([0, 0.99].map(value => {
+    const walker = createExplorationStrategy('random');
+    walker.random = () => value;
+    return walker.decide(crossingContext());
+  }));
+  assert.equal(first.link.pano, 'W');
+  assert.equal(last.link.pano, 'E', 'the way back is left out while other links remain');
+});
+
+test('custom strategies register by name or load from EXPLORATION_STRATEGY_MODULES', async () => {
+  assert.throws(() => registerExplorationStrategy('model', () => ({})), /"model" is built in/);
+  registerExplorationStrategy('broken', () => ({}));
+  assert.throws(() => createExplorationStrategy('broken'), /"broken" has no decide\(context\)/);
+
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-strategy-'));
+  const modulePath = path.join(dir, 'firstLink.js');
+  await fsp.writeFile(modulePath, [
+    'export default () => ({',
+    "  name: 'First-Link',",
+    "  decide: ({ links }) => ({ link: links[0], reason: 'first link' })",
+    '});'
+  ].join('\n'));
+
+  assert.deepEqual(await loadExplorationStrategyModules(` ${modulePath} ,`), ['first-link']);
+  const strategy = createExplorationStrategy('first-link');
+  assert.equal(strategy.decide(crossingContext()).link.pano, 'W');
+  assert.ok(explorationStrategyNames().includes('first-link'));
+});
+
+test('an agent on a non-model strategy walks without asking the vision model', async () => {
+  process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+  const links = [{ pano: 'B', heading: 0, description: '' }, { pano: 'C', heading: 90, description: '' }];
+  const agent = new ExplorationAgent({ broadcast: () => {} }, { log: () => {} });
+  agent.ai = { decideNextMove: async () => { throw new Error('the model should not be asked'); } };
+  agent.streetViewHeadless = {
+    shouldRefresh: () => false,
+    getCurrentPanorama: async () => ({ panoId: 'A', position: { lat: 40.75, lng: -73.98 }, links }),
+    navigateAndGetPanorama: async (panoId) => ({
+      panoId,
+      position: { lat: 40.75, lng: -73.9797 },
+      links: [{ pano: 'A', heading: 270, description: '' }]
+    }),
+    setHeading: async () => {},
+    getScreenshot: async () => { throw new Error('no screenshots expected'); }
+  };
+  agent.currentPanoId = 'A';
+  agent.currentPosition = { lat: 40.75, lng: -73.98 };
+  agent.currentHeading = 0;
+
+  assert.equal(agent.setStrategy('right-hand'), 'right-hand');
+  const stepData = await agent.exploreStep();
+  assert.equal(stepData.panoId, 'C');
+  assert.match(stepData.reasoning, /Right-hand rule: 90° turn/);
+});
@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { FixtureStreetView } from '../server/services/fixtureStreetView.js';
+import { FixtureRecorder, RecordingStreetView } from '../server/services/fixtureRecorder.js';
+import { createStreetViewSource } from '../server/services/streetViewSources.js';
+
+async function makeSourceFixture() {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-record-src-'));
+  await fsp.mkdir(path.join(dir, 'images', 'A'), { recursive: true });
+  const image = await sharp({ create: { width: 16, height: 16, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+  await fsp.writeFile(path.join(dir, 'images', 'A', '90.jpg'), image);
+  await fsp.writeFile(path.join(dir, 'fixture.json'), JSON.stringify({
+    version: 1,
+    startPanoId: 'A',
+    panos: [
+      { panoId: 'A', position: { lat: 40.75, lng: -73.98 }, links: [{ pano: 'B', heading: 90 }], images: { 90: 'images/A/90.jpg' } },
+      { panoId: 'B', position: { lat: 40.75, lng: -73.9797 }, links: [{ pano: 'A', heading: 270 }, { pano: 'C', heading: 90 }] },
+      { panoId: 'C', position: { lat: 40.75, lng: -73.9794 }, links: [{ pano: 'B', heading: 270 }] }
+    ],
+    aliases: { 'B-old': 'B' }
+  }));
+  return { dir, image };
+}
+
+test('recorded session replays through FixtureStreetView', async () => {
+  const { dir, image } = await makeSourceFixture();
+  const outputDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-record-out-'));
+  const recording = new RecordingStreetView(
+    new FixtureStreetView({ fixtureDir: dir }),
+    new FixtureRecorder({ outputDir, name: 'midtown-walk' })
+  );
+
+  await recording.initialize();
+  await recording.getPanorama('A');
+  await recording.setHeading(90);
+  await recording.getScreenshot();
+  await recording.navigateAndGetPanorama('B-old');
+  await recording.close();
+
+  const replay = new FixtureStreetView({ fixtureDir: outputDir });
+  await replay.initialize();
+  assert.equal(replay.fixture.name, 'midtown-walk');
+  assert.equal(replay.currentPanoId, 'A');
+  assert.deepEqual(
+    (await replay.getPanorama('A')).links.map(link => link.pano),
+    ['B']
+  );
+  assert.equal((await replay.getPanorama('B-old')).panoId, 'B');
+  await replay.setHeading(90);
+  assert.deepEqual(await replay.getScreenshot(), image);
+  await assert.rejects(() => replay.getPanorama('C'), /No panorama found/, 'unvisited panos are not recorded');
+});
+
+test('recorder resumes an existing bundle instead of overwriting it', async () => {
+  const { dir } = await makeSourceFixture();
+  const outputDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-record-out-'));
+
+  const first = new RecordingStreetView(new FixtureStreetView({ fixtureDir: dir }), new FixtureRecorder({ outputDir }));
+  await first.initialize();
+  await first.getCurrentPanorama();
+  await first.close();
+
+  const second = new RecordingStreetView(new FixtureStreetView({ fixtureDir: dir }), new FixtureRecorder({ outputDir }));
+  await second.initialize({ panoId: 'C' });
+  await second.getCurrentPanorama();
+  await second.close();
+
+  const manifest = JSON.parse(await fsp.readFile(path.join(outputDir, 'fixture.json'), 'utf8'));
+  assert.equal(manifest.startPanoId, 'A');
+  assert.deepEqual(manifest.panos.map(pano => pano.panoId).sort(), ['A', 'C']);
+});
+
+test('createStreetViewSource wraps the source when a record dir is configured', () => {
+  const source = createStreetViewSource({
+    STREETVIEW_PROVIDER: 'fixture',
+    STREETVIEW_FIXTURE_DIR: '/tmp/none',
+    STREETVIEW_RECORD_DIR: '/tmp/recording'
+  });
+  assert.ok(source instanceof RecordingStreetView);
+  assert.ok(source.source instanceof FixtureStreetView);
+  assert.equal(source.recorder.outputDir, '/tmp/recording');
+});
+
+test('a failed manifest write does not stop later flushes', async () => {
+  const outputDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-record-out-'));
+  const recorder = new FixtureRecorder({ outputDir, flushEvery: 1000 });
+  await recorder.initialize();
+  recorder.recordPanorama({ panoId: 'A', position: { lat: 40.75, lng: -73.98 }, links: [] });
+
+  await fsp.rm(outputDir, { recursive: true, force: true });
+  await assert.rejects(() => recorder.flush(), { code: 'ENOENT' });
+
+  await fsp.mkdir(outputDir, { recursive: true });
+  await recorder.flush();
+  const manifest = JSON.parse(await fsp.readFile(path.join(outputDir, 'fixture.json'), 'utf8'));
+  assert.deepEqual(manifest.panos.map(pano => pano.panoId), ['A'], 'changes of the failed write are kept');
+});
+
+test('agents recording into one directory share the recorder and keep each other\'s panos', async () => {
+  const { dir } = await makeSourceFixture();
+  const outputDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-record-out-'));
+  const env = { STREETVIEW_PROVIDER: 'fixture', STREETVIEW_FIXTURE_DIR: dir, STREETVIEW_RECORD_DIR: outputDir };
+
+  const first = createStreetViewSource(env);
+  const second = createStreetViewSource(env);
+  assert.equal(first.recorder, second.recorder);
+  await Promise.all([first.initialize(), second.initialize({ panoId: 'C' })]);
+  await first.getCurrentPanorama();
+  await second.getCurrentPanorama();
+  await first.close();
+  await second.close();
+
+  const manifest = JSON.parse(await fsp.readFile(path.join(outputDir, 'fixture.json'), 'utf8'));
+  assert.deepEqual(manifest.panos.map(pano => pano.panoId).sort(), ['A', 'C']);
+});
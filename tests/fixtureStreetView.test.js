@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { FixtureStreetView } from '../server/services/fixtureStreetView.js';
+import { createStreetViewSource } from '../server/services/streetViewSources.js';
+import { ExplorationAgent } from '../server/agents/explorationAgent.js';
+
+// A small plus-shaped block: A is the hub, B/C/D hang off it and B continues to E.
+async function writeFixture(dir) {
+  await fsp.mkdir(path.join(dir, 'images', 'A'), { recursive: true });
+  const north = await sharp({ create: { width: 32, height: 24, channels: 3, background: '#224466' } }).jpeg().toBuffer();
+  await fsp.writeFile(path.join(dir, 'images', 'A', '0.jpg'), north);
+
+  const manifest = {
+    version: 1,
+    name: 'plus-block',
+    startPanoId: 'A',
+    panos: [
+      {
+        panoId: 'A',
+        position: { lat: 40.75, lng: -73.98 },
+        links: [
+          { pano: 'B', heading: 0, description: 'North St' },
+          { pano: 'C', heading: 90, description: 'East St' },
+          { pano: 'D', heading: 270, description: 'West St' }
+        ],
+        images: { 0: 'images/A/0.jpg' }
+      },
+      { panoId: 'B', position: { lat: 40.7502, lng: -73.98 }, links: [{ pano: 'A', heading: 180 }, { pano: 'E', heading: 0 }] },
+      { panoId: 'C', position: { lat: 40.75, lng: -73.9797 }, links: [{ pano: 'A', heading: 270 }] },
+      { panoId: 'D', position: { lat: 40.75, lng: -73.9803 }, links: [{ pano: 'A', heading: 90 }] },
+      { panoId: 'E', position: { lat: 40.7504, lng: -73.98 }, links: [{ pano: 'B', heading: 180 }] }
+    ],
+    aliases: { 'A-old': 'A' }
+  };
+  await fsp.writeFile(path.join(dir, 'fixture.json'), JSON.stringify(manifest));
+}
+
+async function makeFixtureDir() {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-fixture-'));
+  await writeFixture(dir);
+  return dir;
+}
+
+test('fixture source resolves panoramas by id, alias and nearby position', async () => {
+  const dir = await makeFixtureDir();
+  const source = new FixtureStreetView({ fixtureDir: dir });
+  await source.initialize();
+
+  assert.equal(source.currentPanoId, 'A');
+  assert.equal((await source.getPanorama('A-old')).panoId, 'A');
+  assert.equal((await source.getPanorama({ lat: 40.75021, lng: -73.98 })).panoId, 'B');
+  await assert.rejects(() => source.getPanorama('missing'), /No panorama found at location \(pano:missing\)/);
+  await assert.rejects(() => source.getPanorama({ lat: 41, lng: -73 }), /No panorama found/);
+
+  const pano = await source.getCurrentPanorama();
+  pano.links.push({ pano: 'Z', heading: 1 });
+  assert.equal((await source.getCurrentPanorama()).links.length, 3, 'callers cannot mutate the fixture graph');
+});
+
+test('fixture navigation reports settle reasons and stays put on unknown panos', async () => {
+  const dir = await makeFixtureDir();
+  const source = new FixtureStreetView({ fixtureDir: dir });
+  await source.initialize();
+
+  assert.equal((await source.navigateToPano('A')).reason, 'already-there');
+  const moved = await source.navigateAndGetPanorama('C');
+  assert.equal(moved.panoId, 'C');
+  assert.equal(source.currentPanoId, 'C');
+
+  const failed = await source.navigateToPano('nowhere');
+  assert.equal(failed.reason, 'timeout');
+  assert.equal(failed.settledPanoId, 'C');
+  assert.equal(source.currentPanoId, 'C');
+});
+
+test('fixture screenshots use the closest recorded heading or a placeholder JPEG', async () => {
+  const dir = await makeFixtureDir();
+  const source = new FixtureStreetView({ fixtureDir: dir });
+  await source.initialize();
+
+  await source.setHeading(350);
+  const recorded = await source.getScreenshot();
+  assert.deepEqual(recorded, await fsp.readFile(path.join(dir, 'images', 'A', '0.jpg')));
+
+  await source.navigateToPano('B');
+  const placeholder = await source.getScreenshot();
+  const meta = await sharp(placeholder).metadata();
+  assert.equal(meta.format, 'jpeg');
+});
+
+test('createStreetViewSource selects the fixture provider from config', async () => {
+  const source = createStreetViewSource({ STREETVIEW_PROVIDER: 'fixture', STREETVIEW_FIXTURE_DIR: '/tmp/none' });
+  assert.ok(source instanceof FixtureStreetView);
+  await assert.rejects(() => source.initialize(), /ENOENT/);
+  assert.throws(() => createStreetViewSource({ STREETVIEW_PROVIDER: 'bing' }), /Unknown STREETVIEW_PROVIDER/);
+});
+
+test('ExplorationAgent explores a fixture end-to-end with the mock vision provider', async () => {
+  const dir = await makeFixtureDir();
+  const shotsDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-fixture-shots-'));
+  const previousEnv = {
+    STREETVIEW_PROVIDER: process.env.STREETVIEW_PROVIDER,
+    STREETVIEW_FIXTURE_DIR: process.env.STREETVIEW_FIXTURE_DIR,
+    VISION_PROVIDER: process.env.VISION_PROVIDER
+  };
+  process.env.STREETVIEW_PROVIDER = 'fixture';
+  process.env.STREETVIEW_FIXTURE_DIR = dir;
+  process.env.VISION_PROVIDER = 'mock';
+
+  try {
+    const agent = new ExplorationAgent({ broadcast: () => {} }, { log: () => {} });
+    agent.startPanoId = 'A';
+    agent.screenshot.baseDir = shotsDir;
+    await agent.initialize();
+
+    const visited = new Set([agent.currentPanoId]);
+    for (let i = 0; i < 12 && visited.size < 5; i++) {
+      const stepData = await agent.exploreStep();
+      assert.ok(stepData, `step ${i + 1} should produce step data`);
+      visited.add(stepData.panoId);
+    }
+
+    assert.deepEqual([...visited].sort(), ['A', 'B', 'C', 'D', 'E']);
+    await agent.close();
+  } finally {
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+});
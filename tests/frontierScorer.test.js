@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_FRONTIER_WEIGHTS, FrontierScorer, parseFrontierWeights } from '../server/services/frontierScorer.js';
+import { CoverageTracker } from '../server/services/coverage.js';
+import { Geofence } from '../server/services/geofence.js';
+import { reduceSnapshotWithEvents } from '../server/services/runStore.js';
+
+const A = { lat: 40.75, lng: -73.98 };
+const B = { lat: 40.75, lng: -73.9797 };
+
+// The agent stands at A with one unexplored link; B, 25 m east, has three.
+function buildCoverage() {
+  const coverage = new CoverageTracker();
+  coverage.addVisited('A', A, [{ pano: 'B', heading: 90 }, { pano: 'X1', heading: 0 }]);
+  coverage.addVisited('B', B, [
+    { pano: 'A', heading: 270 },
+    { pano: 'Y1', heading: 0 },
+    { pano: 'Y2', heading: 90 },
+    { pano: 'Y3', heading: 180 }
+  ]);
+  return coverage;
+}
+
+const rankIds = (scorer, coverage, extra = {}) =>
+  scorer.rank(coverage.getFrontiers(), { coverage, position: A, ...extra }).map(scored => scored.panoId);
+
+test('frontier weights parse from FRONTIER_WEIGHTS strings and objects', () => {
+  assert.deepEqual(parseFrontierWeights(null), DEFAULT_FRONTIER_WEIGHTS);
+  assert.deepEqual(parseFrontierWeights('distance=0.5, age=2'), { ...DEFAULT_FRONTIER_WEIGHTS, distance: 0.5, age: 2 });
+  assert.deepEqual(parseFrontierWeights({ boundary: -1 }), { ...DEFAULT_FRONTIER_WEIGHTS, boundary: -1 });
+  assert.throws(() => parseFrontierWeights('closeness=1'), /Unknown frontier factor "closeness"/);
+  assert.throws(() => parseFrontierWeights({ age: 'old' }), /must be a number/);
+
+  assert.equal(new FrontierScorer().isDistanceOnly, true);
+  assert.equal(new FrontierScorer({ weights: { age: 0.1 } }).isDistanceOnly, false);
+});
+
+test('weights trade distance against unexplored neighbours, age and boundary depth', () => {
+  const coverage = buildCoverage();
+
+  const nearest = new FrontierScorer();
+  assert.equal(rankIds(nearest, coverage)[0], 'X1');
+
+  const branchy = new FrontierScorer({ weights: { distance: 1, unexploredNeighbors: 2 } });
+  const [best, ...rest] = branchy.rank(coverage.getFrontiers(), { coverage, position: A });
+  assert.equal(best.panoId, 'Y1');
+  assert.equal(best.anchorPanoId, 'B');
+  assert.deepEqual(best.factors.unexploredNeighbors, { value: 3, score: 0.75, weight: 2 });
+  assert.equal(best.factors.distance.value, 25);
+  assert.equal(rest.at(-1).panoId, 'X1');
+  assert.deepEqual(rest.at(-1).factors, {
+    distance: { value: 0, score: 1, weight: 1 },
+    unexploredNeighbors: { value: 1, score: 0.25, weight: 2 }
+  });
+
+  const now = Date.now();
+  for (const [panoId, entry] of coverage.frontier) entry.discoveredAt = panoId === 'X1' ? now - 600000 : now;
+  const oldest = new FrontierScorer({ weights: { distance: 0, age: 1 } });
+  const [aged] = oldest.rank(coverage.getFrontiers(), { coverage, position: A, now });
+  assert.deepEqual([aged.panoId, aged.total, aged.factors.age.value], ['X1', 0.5, 600]);
+
+  // The west edge of the boundary runs 42 m from A and 68 m from B.
+  coverage.setGeofence(new Geofence({
+    polygons: [[[[-73.9805, 40.74], [-73.97, 40.74], [-73.97, 40.76], [-73.9805, 40.76]]]]
+  }));
+  const inward = new FrontierScorer({ weights: { distance: 0, boundary: 1 } });
+  const ranked = inward.rank(coverage.getFrontiers(), { coverage, position: A });
+  assert.equal(ranked[0].anchorPanoId, 'B');
+  assert.ok(Math.abs(ranked[0].factors.boundary.value - 68) <= 1);
+  assert.ok(Math.abs(ranked.at(-1).factors.boundary.value - 42) <= 1);
+
+  const deficits = new FrontierScorer({ weights: { distance: 0, regionDeficit: 1 } });
+  assert.equal(rankIds(deficits, coverage, { regionDeficit: panoId => (panoId === 'A' ? 0.9 : 0.1) })[0], 'X1');
+});
+
+test('frontier weight changes replay from the run log', () => {
+  const base = { schemaVersion: 2, runId: 'run-w', stepCount: 3, currentState: { panoId: 'A' } };
+  const weights = { ...DEFAULT_FRONTIER_WEIGHTS, age: 0.5 };
+  const restored = reduceSnapshotWithEvents(base, [{
+    eventId: 'event-4', runId: 'run-w', epoch: 1, sequence: 4, type: 'frontier_weights_set', stepCount: 3,
+    payload: { frontierWeights: weights }
+  }]);
+  assert.deepEqual(restored.frontierWeights, weights);
+});
@@ -0,0 +1,139 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Geofence, loadGeofence } from '../server/services/geofence.js';
+import { CoverageTracker } from '../server/services/coverage.js';
+import { ExplorationAgent } from '../server/agents/explorationAgent.js';
+
+// Box around the plus-shaped block below, cut off just east of the hub so C falls outside.
+const FENCE = {
+  type: 'Feature',
+  properties: { name: 'west-of-hub' },
+  geometry: {
+    type: 'Polygon',
+    coordinates: [[
+      [-73.9806, 40.7497],
+      [-73.97995, 40.7497],
+      [-73.97995, 40.7506],
+      [-73.9806, 40.7506],
+      [-73.9806, 40.7497]
+    ]]
+  }
+};
+
+const PANOS = [
+  {
+    panoId: 'A',
+    position: { lat: 40.75, lng: -73.98 },
+    links: [{ pano: 'B', heading: 0 }, { pano: 'C', heading: 90 }, { pano: 'D', heading: 270 }]
+  },
+  { panoId: 'B', position: { lat: 40.7502, lng: -73.98 }, links: [{ pano: 'A', heading: 180 }, { pano: 'E', heading: 0 }] },
+  { panoId: 'C', position: { lat: 40.75, lng: -73.9797 }, links: [{ pano: 'A', heading: 270 }] },
+  { panoId: 'D', position: { lat: 40.75, lng: -73.9803 }, links: [{ pano: 'A', heading: 90 }] },
+  { panoId: 'E', position: { lat: 40.7504, lng: -73.98 }, links: [{ pano: 'B', heading: 180 }] }
+];
+
+test('Geofence handles polygons, holes, multipolygons and feature collections', () => {
+  const fence = Geofence.fromGeoJSON(FENCE);
+  assert.equal(fence.name, 'west-of-hub');
+  assert.equal(fence.contains({ lat: 40.75, lng: -73.98 }), true);
+  assert.equal(fence.contains({ lat: 40.75, lng: -73.9797 }), false);
+  assert.equal(fence.contains({ lat: 'x', lng: null }), false);
+
+  const donut = Geofence.fromGeoJSON({
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: {
+          type: 'MultiPolygon',
+          coordinates: [
+            [
+              [[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]],
+              [[4, 4], [6, 4], [6, 6], [4, 6], [4, 4]]
+            ],
+            [[[20, 20], [21, 20], [21, 21], [20, 20]]]
+          ]
+        }
+      }
+    ]
+  });
+  assert.equal(donut.contains({ lat: 2, lng: 2 }), true);
+  assert.equal(donut.contains({ lat: 5, lng: 5 }), false, 'holes are outside');
+  assert.equal(donut.contains({ lat: 20.2, lng: 20.8 }), true);
+  assert.deepEqual(Geofence.fromGeoJSON(donut.toGeoJSON()).polygons, donut.polygons);
+
+  assert.throws(() => Geofence.fromGeoJSON({ type: 'LineString', coordinates: [[0, 0], [1, 1]] }), /at least one polygon/);
+});
+
+test('loadGeofence names the fence after the file when the GeoJSON has no name', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-geofence-'));
+  const filePath = path.join(dir, 'manhattan.geojson');
+  await fsp.writeFile(filePath, JSON.stringify(FENCE.geometry));
+  const fence = await loadGeofence(filePath);
+  assert.equal(fence.name, 'manhattan');
+});
+
+test('CoverageTracker keeps links leading outside the geofence out of the frontier', () => {
+  const coverage = new CoverageTracker();
+  coverage.addVisited('A', PANOS[0].position, PANOS[0].links);
+  assert.deepEqual([...coverage.frontier.keys()].sort(), ['B', 'C', 'D']);
+
+  assert.equal(coverage.setGeofence(Geofence.fromGeoJSON(FENCE)), 1);
+  assert.deepEqual([...coverage.frontier.keys()].sort(), ['B', 'D']);
+  assert.equal(coverage.isFenced('C'), true);
+
+  coverage.fencePano('D');
+  coverage.addVisited('A', PANOS[0].position, PANOS[0].links);
+  assert.deepEqual([...coverage.frontier.keys()], ['B'], 'fenced panos are not rediscovered as frontier');
+  assert.equal(coverage.isFenced('D'), true);
+
+  coverage.reset();
+  coverage.addVisited('A', PANOS[0].position, PANOS[0].links);
+  assert.equal(coverage.frontier.has('C'), false, 'fence survives a coverage reset');
+  assert.equal(coverage.graph.get('A').neighbors.has('C'), true, 'the street graph itself is not pruned');
+});
+
+test('ExplorationAgent never leaves the geofence and rejects destinations outside it', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-geofence-fixture-'));
+  const shotsDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'scout-geofence-shots-'));
+  await fsp.writeFile(path.join(dir, 'fixture.json'), JSON.stringify({ version: 1, startPanoId: 'A', panos: PANOS }));
+  await fsp.writeFile(path.join(dir, 'fence.geojson'), JSON.stringify(FENCE));
+
+  const previousEnv = {
+    STREETVIEW_PROVIDER: process.env.STREETVIEW_PROVIDER,
+    STREETVIEW_FIXTURE_DIR: process.env.STREETVIEW_FIXTURE_DIR,
+    VISION_PROVIDER: process.env.VISION_PROVIDER,
+    GEOFENCE_PATH: process.env.GEOFENCE_PATH
+  };
+  process.env.STREETVIEW_PROVIDER = 'fixture';
+  process.env.STREETVIEW_FIXTURE_DIR = dir;
+  process.env.VISION_PROVIDER = 'mock';
+  process.env.GEOFENCE_PATH = path.join(dir, 'fence.geojson');
+
+  try {
+    const agent = new ExplorationAgent({ broadcast: () => {} }, { log: () => {} });
+    agent.startPanoId = 'A';
+    agent.screenshot.baseDir = shotsDir;
+    await agent.initialize();
+    assert.equal(agent.geofence.name, 'west-of-hub');
+
+    const visited = new Set([agent.currentPanoId]);
+    for (let i = 0; i < 10; i++) {
+      const stepData = await agent.exploreStep();
+      visited.add(stepData.panoId);
+    }
+
+    assert.deepEqual([...visited].sort(), ['A', 'B', 'D', 'E']);
+    assert.equal(agent.coverage.frontier.has('C'), false);
+    await assert.rejects(() => agent.setDestination({ panoId: 'C' }), /outside the run boundary/);
+    await agent.close();
+  } finally {
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+});
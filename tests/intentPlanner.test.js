@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { IntentPlanner, formatIntent } from '../server/agents/intentPlanner.js';
+import { OpenAIService } from '../server/services/openai.js';
+import { MockVisionProvider } from '../server/services/visionProviders.js';
+import { reduceSnapshotWithEvents } from '../server/services/runStore.js';
+
+test('intents are replanned on schedule and on entering a region, with fallbacks', async () => {
+  const asked = [];
+  const replies = [
+    { text: 'follow the waterfront north', heading: 0, usage: { requests: 1, totalTokens: 50, costUsd: 0.001 } },
+    { text: 'find a park', heading: null },
+    null
+  ];
+  const planner = new IntentPlanner({ intervalSteps: 10, plan: async (context) => { asked.push(context); return replies.shift(); } });
+
+  const first = await planner.getIntentForStep(3, { region: null, recentNarratives: ['A quiet block.'] });
+  assert.equal(formatIntent(first), 'follow the waterfront north (heading 0 degrees)');
+  assert.deepEqual([first.setAtStep, first.untilStep, first.source], [3, 13, 'model']);
+  assert.equal(planner.takeUsage().totalTokens, 50);
+  assert.equal(planner.takeUsage(), null);
+
+  assert.equal(await planner.getIntentForStep(12, { region: null }), first, 'kept until it is due');
+  const park = await planner.getIntentForStep(12, { region: { id: 'docks', name: 'Docks' } });
+  assert.equal(formatIntent(park), 'find a park');
+  assert.equal(park.regionName, 'Docks');
+  assert.deepEqual(asked[1].previousIntents, ['follow the waterfront north']);
+  assert.equal(asked[1].horizonSteps, 10);
+
+  const fallback = await planner.getIntentForStep(22, { region: { id: 'docks', name: 'Docks' } });
+  assert.equal(fallback.source, 'fallback');
+  assert.equal(fallback.text, 'drift south toward quieter blocks');
+
+  const failing = new IntentPlanner({ intervalSteps: 5, plan: async () => { throw new Error('offline'); } });
+  assert.equal((await failing.getIntentForStep(1)).text, 'push north along the main streets');
+  assert.equal(await new IntentPlanner({ intervalSteps: 0 }).getIntentForStep(1), null);
+});
+
+test('decisions are scored by heading, or by the model for intents without one', async () => {
+  const replies = [{ text: 'push east', heading: 90 }, { text: 'find a park', heading: null }];
+  const planner = new IntentPlanner({ intervalSteps: 10, plan: async () => replies.shift() });
+
+  await planner.getIntentForStep(1);
+  assert.equal(planner.recordDecision({ heading: 140 }), true);
+  assert.equal(planner.recordDecision({ heading: 270, intentFollowed: true }), false, 'the heading decides, not the model');
+  await planner.getIntentForStep(11);
+  assert.equal(planner.recordDecision({ heading: 0 }), null, 'nothing to score without the model\'s answer');
+  assert.equal(planner.recordDecision({ heading: 0, intentFollowed: true }), true);
+
+  const saved = planner.toJSON();
+  assert.deepEqual(saved.totals, { intents: 2, decisions: 3, followed: 2 });
+  assert.deepEqual([saved.history[0].text, saved.history[0].followed, saved.history[0].endedAtStep], ['push east', 1, 11]);
+
+  const restored = new IntentPlanner({ intervalSteps: 10 });
+  restored.restore(JSON.parse(JSON.stringify(saved)));
+  assert.deepEqual(restored.toJSON(), saved);
+  assert.equal((await restored.getIntentForStep(15)).text, 'find a park');
+});
+
+test('intents are planned through the vision provider and asked about in decisions', async () => {
+  const mock = new OpenAIService({ instance: new MockVisionProvider() });
+  const planned = await mock.planIntent({ stepNumber: 5, horizonSteps: 40 });
+  assert.deepEqual([planned.text, planned.heading, planned.usage.requests], ['Mock provider heads east', 90, 1]);
+
+  const requests = [];
+  const service = new OpenAIService({
+    instance: {
+      name: 'openai',
+      model: 'gpt-5-nano',
+      complete: async (request) => {
+        requests.push(request);
+        return {
+          content: JSON.stringify({ selectedIndex: 1, reasoning: 'Toward the green.', intentFollowed: true }),
+          usage: { prompt_tokens: 10, completion_tokens: 5 }
+        };
+      }
+    }
+  });
+  const decision = await service.decideNextMove({
+    currentPosition: { lat: 40.75, lng: -73.98 },
+    screenshots: [{ base64: 'dGVzdA==' }, { base64: 'dGVzdA==' }],
+    links: [{ pano: 'A', heading: 0 }, { pano: 'B', heading: 90 }],
+    visitedPanos: [],
+    stepNumber: 6,
+    intent: formatIntent({ text: 'find a park', heading: null })
+  });
+  assert.equal(decision.intentFollowed, true);
+  assert.match(requests[0].messages[0].content, /"intentFollowed"/);
+  assert.match(requests[0].messages[1].content[0].text, /Current exploration intent: find a park\./);
+});
+
+test('run log replay keeps the intent, moving replaced ones to the history', () => {
+  const intent = (text, setAtStep, decisions, followed) => ({
+    current: { text, heading: null, source: 'model', setAtStep, untilStep: setAtStep + 10, decisions, followed },
+    totals: { intents: setAtStep === 1 ? 1 : 2, decisions, followed }
+  });
+  const step = (sequence, stepCount, stepIntent) => ({
+    eventId: `event-${sequence}`, runId: 'run-i', epoch: 1, sequence, type: 'step_completed', stepCount,
+    payload: { stepData: { stepCount, panoId: `P${stepCount}`, intent: stepIntent } }
+  });
+
+  const restored = reduceSnapshotWithEvents({ schemaVersion: 2, runId: 'run-i', stepCount: 0, graph: {} }, [
+    step(1, 1, intent('find a park', 1, 1, 1)),
+    step(2, 2, null),
+    step(3, 12, intent('follow the river', 12, 0, 0))
+  ]);
+  assert.equal(restored.intent.current.text, 'follow the river');
+  assert.deepEqual(restored.intent.history.map(entry => [entry.text, entry.followed, entry.endedAtStep]), [['find a park', 1, 12]]);
+  assert.deepEqual(restored.intent.totals, { intents: 2, decisions: 0, followed: 0 });
+});
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { MetricsRegistry, renderMetrics } from '../server/services/metrics.js';
+
+test('metrics render in the Prometheus text format and as OpenMetrics', () => {
+  const registry = new MetricsRegistry();
+  const tokens = registry.counter('scout_model_tokens_total', 'Tokens used', { labelNames: ['kind'] });
+  tokens.inc({ kind: 'prompt' }, 120);
+  tokens.inc({ kind: 'prompt' }, 30);
+  tokens.inc({ kind: 'say "hi"\n' });
+  assert.equal(registry.counter('scout_model_tokens_total', 'Tokens used'), tokens);
+  assert.throws(() => registry.gauge('scout_model_tokens_total', 'Tokens used'), /already registered as a counter/);
+  assert.throws(() => tokens.inc({ model: 'x' }), /has no label "model"/);
+  assert.throws(() => tokens.inc(-1), /can only go up/);
+
+  registry.gauge('scout_worker_up', 'Worker ready').set(1);
+  registry.gauge('scout_unset', 'Never set');
+  const latency = registry.histogram('scout_step_duration_seconds', 'Step latency', { buckets: [1, 5] });
+  latency.observe(0.5);
+  latency.observe(3);
+  latency.observe(7);
+
+  const families = registry.collect();
+  assert.equal(renderMetrics(families), [
+    '# HELP scout_model_tokens_total Tokens used',
+    '# TYPE scout_model_tokens_total counter',
+    'scout_model_tokens_total{kind="prompt"} 150',
+    'scout_model_tokens_total{kind="say \\"hi\\"\\n"} 1',
+    '# HELP scout_worker_up Worker ready',
+    '# TYPE scout_worker_up gauge',
+    'scout_worker_up 1',
+    '# HELP scout_step_duration_seconds Step latency',
+    '# TYPE scout_step_duration_seconds histogram',
+    'scout_step_duration_seconds_bucket{le="1"} 1',
+    'scout_step_duration_seconds_bucket{le="5"} 2',
+    'scout_step_duration_seconds_bucket{le="+Inf"} 3',
+    'scout_step_duration_seconds_sum 10.5',
+    'scout_step_duration_seconds_count 3',
+    ''
+  ].join('\n'));
+
+  const openMetrics = renderMetrics(JSON.parse(JSON.stringify(families)), { openMetrics: true }).split('\n');
+  assert.deepEqual(openMetrics.slice(0, 3), [
+    '# HELP scout_model_tokens Tokens used',
+    '# TYPE scout_model_tokens counter',
+    'scout_model_tokens_total{kind="prompt"} 150'
+  ]);
+  assert.deepEqual(openMetrics.slice(-2), ['# EOF', '']);
+});
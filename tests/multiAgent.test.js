@@ -0,0 +1,124 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { CoverageTracker } from '../server/services/coverage.js';
+import { Pathfinder } from '../server/services/pathfinder.js';
+import { parseAgentStarts } from '../server/agents/explorationAgent.js';
+import { RunStore, reduceSnapshotWithEvents } from '../server/services/runStore.js';
+
+const at = lng => ({ lat: 40.75, lng });
+const link = pano => ({ pano, heading: 90 });
+
+test('agent starts parse from AGENT_STARTS', () => {
+  assert.deepEqual(parseAgentStarts(''), []);
+  assert.deepEqual(parseAgentStarts('40.758,-73.9855; CAoSLEFGMVFpcE ;'), [
+    { position: { lat: 40.758, lng: -73.9855 } },
+    { panoId: 'CAoSLEFGMVFpcE' }
+  ]);
+  assert.throws(() => parseAgentStarts('140,10'), /Agent start "140,10" is out of range/);
+});
+
+test('agents on one coverage keep their own history and never share a frontier', () => {
+  // A - B - C in a row; A leads on to X, C to Y.
+  const coverage = new CoverageTracker();
+  coverage.addVisited('A', at(-73.9802), [link('B'), link('X')]);
+  coverage.addVisited('C', at(-73.9798), [link('B'), link('Y')], { agentId: 'agent-2' });
+  coverage.addVisited('B', at(-73.98), [link('A'), link('C')]);
+
+  assert.deepEqual(coverage.getRecentHistory(), ['A', 'B']);
+  assert.deepEqual(coverage.getRecentHistory('agent-2'), ['C']);
+  assert.equal(coverage.graph.get('C').agentId, 'agent-2');
+  assert.equal(coverage.graph.get('A').agentId, undefined);
+  // 0.0002° of longitude is about 17 m here; the second agent has not moved yet.
+  assert.equal(Math.round(coverage.totalDistance), 17);
+
+  const first = new Pathfinder(coverage, { mode: 'bfs' });
+  const second = new Pathfinder(coverage, { mode: 'bfs', agentId: 'agent-2' });
+  const target = first.findPathToNearestFrontier('B').targetPanoId;
+  coverage.claimFrontier(null, target);
+  const other = second.findPathToNearestFrontier('B').targetPanoId;
+  assert.notEqual(other, target);
+  assert.equal(coverage.isFrontierOpen(target, 'agent-2'), false);
+  assert.equal(coverage.isFrontierOpen(target), true, 'an agent can still reach its own claim');
+
+  const nearX = coverage.findClosestFrontierByDiscovery(at(-73.9802), { agentId: 'agent-2' });
+  assert.equal(nearX.frontier.panoId, target === 'X' ? 'Y' : 'X');
+
+  coverage.claimFrontier(null, null);
+  assert.equal(coverage.isFrontierOpen(target, 'agent-2'), true);
+
+  // Restoring keeps whose node is whose.
+  const restored = new CoverageTracker();
+  restored.restoreFromSave({ graph: coverage.serializeGraph() });
+  assert.equal(restored.graph.get('C').agentId, 'agent-2');
+});
+
+test('run log replay moves additional agents without touching the first agent', () => {
+  const base = {
+    schemaVersion: 2,
+    runId: 'run-m',
+    stepCount: 4,
+    currentState: { panoId: 'A', position: at(-73.9802), agentId: 'agent-1' },
+    graph: { A: { lat: 40.75, lng: -73.9802, neighbors: [] } }
+  };
+  const step = (sequence, stepData) => ({
+    eventId: `event-${sequence}`, runId: 'run-m', epoch: 1, sequence, type: 'step_completed',
+    stepCount: stepData.stepCount, agentId: stepData.agentId, payload: { stepData }
+  });
+
+  const restored = reduceSnapshotWithEvents(base, [
+    step(5, { agentId: 'agent-2', stepCount: 1, panoId: 'C', newPosition: at(-73.9798), direction: 90 }),
+    step(6, { agentId: 'agent-1', stepCount: 5, panoId: 'B', newPosition: at(-73.98) }),
+    step(7, { agentId: 'agent-2', stepCount: 1, panoId: 'Z', newPosition: at(-73.97) })
+  ]);
+
+  assert.equal(restored.stepCount, 5);
+  assert.equal(restored.currentState.panoId, 'B');
+  assert.deepEqual(restored.additionalAgents, [{
+    agentId: 'agent-2',
+    stepCount: 1,
+    currentState: { panoId: 'C', position: at(-73.9798), heading: 90, mode: 'exploration' },
+    recentHistory: ['C']
+  }]);
+  assert.equal(restored.graph.C.agentId, 'agent-2');
+  assert.equal(restored.graph.B.agentId, undefined);
+  assert.equal(restored.graph.Z, undefined, 'replayed steps of an agent apply once');
+});
+
+test('forks cut the run log at the first agent\'s step, whatever the other agents counted', async () => {
+  const dataDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'multi-agent-fork-'));
+  const store = new RunStore({ dataDir, logger: { log: () => {}, warn: () => {}, error: () => {} } });
+  const step = (agentId, stepCount, panoId, lng) => ({
+    type: 'step_completed',
+    stepCount,
+    agentId,
+    payload: { stepData: { agentId, stepCount, panoId, newPosition: at(lng), direction: 90 } }
+  });
+  for (const event of [
+    step('agent-1', 1, 'A1', -73.981),
+    step('agent-2', 1, 'B1', -73.971),
+    step('agent-1', 2, 'A2', -73.982),
+    step('agent-2', 2, 'B2', -73.972),
+    step('agent-2', 3, 'B3', -73.973),
+    step('agent-2', 4, 'B4', -73.974),
+    step('agent-1', 3, 'A3', -73.983),
+    step('agent-2', 5, 'B5', -73.975)
+  ]) {
+    await store.appendEvent('run-f', event);
+  }
+
+  const atTwo = await store.materializeAtStep('run-f', 2);
+  assert.equal(atTwo.stepCount, 2);
+  assert.equal(atTwo.currentState.panoId, 'A2');
+  assert.deepEqual(atTwo.additionalAgents.map(agent => [agent.agentId, agent.stepCount, agent.currentState.panoId]), [
+    ['agent-2', 4, 'B4']
+  ]);
+  assert.equal(atTwo.graph.A3, undefined);
+
+  const fork = await store.forkRun('run-f', 1);
+  const { snapshot } = await store.restoreRun(fork.runId);
+  assert.equal(snapshot.currentState.panoId, 'A1');
+  assert.equal(snapshot.additionalAgents[0].currentState.panoId, 'B1');
+});
@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { CoverageTracker } from '../server/services/coverage.js';
+import { Pathfinder } from '../server/services/pathfinder.js';
+
+// Roughly 1.1m per 0.00001 degrees of latitude at this scale.
+const METERS_PER_DEGREE = 111320;
+
+function buildCoverage(nodes, edges, frontier = {}) {
+  const coverage = new CoverageTracker();
+  for (const [panoId, [lat, lng]] of Object.entries(nodes)) {
+    coverage.graph.set(panoId, { lat, lng, neighbors: new Set(), timestamp: 0 });
+    coverage.visitedPanos.add(panoId);
+    coverage.visitCounts.set(panoId, 1);
+  }
+  for (const [a, b] of edges) {
+    coverage.graph.get(a)?.neighbors.add(b);
+    coverage.graph.get(b)?.neighbors.add(a);
+  }
+  for (const [panoId, discoveredFrom] of Object.entries(frontier)) {
+    coverage.graph.get(discoveredFrom).neighbors.add(panoId);
+    coverage.frontier.set(panoId, { discoveredFrom });
+  }
+  return coverage;
+}
+
+function walkedMeters(coverage, startPanoId, route, frontierEdgeMeters = 10) {
+  let total = 0;
+  let previous = coverage.graph.get(startPanoId);
+  for (const panoId of route.fullPath) {
+    const node = coverage.graph.get(panoId);
+    total += node ? coverage.calculateDistance(previous, node) : frontierEdgeMeters;
+    previous = node;
+  }
+  return total;
+}
+
+// Seeded LCG so the random graphs are reproducible across runs.
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+}
+
+test('weighted mode prefers a short walk over a few long hops', () => {
+  // S -> L1 -> F1 is 2 hops but ~1km; S -> a -> b -> c -> F2 is 4 hops of ~20m.
+  const coverage = buildCoverage(
+    {
+      S: [0, 0],
+      L1: [500 / METERS_PER_DEGREE, 0],
+      a: [0, 20 / METERS_PER_DEGREE],
+      b: [0, 40 / METERS_PER_DEGREE],
+      c: [0, 60 / METERS_PER_DEGREE]
+    },
+    [['S', 'L1'], ['S', 'a'], ['a', 'b'], ['b', 'c']],
+    { F1: 'L1', F2: 'c' }
+  );
+
+  const bfs = new Pathfinder(coverage, { mode: 'bfs' }).findPathToNearestFrontier('S');
+  const weighted = new Pathfinder(coverage, { mode: 'astar' }).findPathToNearestFrontier('S');
+
+  assert.equal(bfs.targetPanoId, 'F1');
+  assert.equal(weighted.targetPanoId, 'F2');
+  assert.deepEqual(weighted.fullPath, ['a', 'b', 'c', 'F2']);
+  assert.ok(Math.abs(weighted.distanceMeters - walkedMeters(coverage, 'S', weighted)) < 1e-6);
+  assert.ok(weighted.distanceMeters < walkedMeters(coverage, 'S', bfs) / 5);
+});
+
+test('revisit penalties steer routes around heavily revisited nodes', () => {
+  // Two parallel corridors from S to T; the northern one is a little shorter but worn out.
+  const d = 20 / METERS_PER_DEGREE;
+  const coverage = buildCoverage(
+    { S: [0, 0], N: [d * 0.5, d], M: [-d, d], T: [0, d * 2] },
+    [['S', 'N'], ['N', 'T'], ['S', 'M'], ['M', 'T']]
+  );
+  coverage.visitCounts.set('N', 12);
+
+  const plain = new Pathfinder(coverage, { mode: 'astar', revisitPenaltyMeters: 0 });
+  assert.deepEqual(plain.findPathToPano('S', 'T').fullPath, ['N', 'T']);
+
+  const penalized = new Pathfinder(coverage, { mode: 'astar', revisitPenaltyMeters: 5 });
+  const route = penalized.findPathToPano('S', 'T');
+  assert.deepEqual(route.fullPath, ['M', 'T']);
+  assert.ok(route.cost > route.distanceMeters, 'cost includes the revisit penalty');
+  assert.deepEqual(
+    penalized.findWeightedPath('S', { targetPanoId: 'T', revisitPenaltyMeters: 0 }).fullPath,
+    ['N', 'T'],
+    'per-call penalty overrides the default'
+  );
+});
+
+test('weighted paths never walk further than BFS on random street grids', () => {
+  const random = createRandom(20260606);
+  const size = 7;
+  const spacing = 25 / METERS_PER_DEGREE;
+
+  for (let trial = 0; trial < 25; trial++) {
+    const nodes = {};
+    const edges = [];
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const jitter = () => (random() - 0.5) * spacing * 0.8;
+        nodes[`${row}:${col}`] = [row * spacing + jitter(), col * spacing + jitter()];
+        if (col > 0 && random() < 0.8) edges.push([`${row}:${col - 1}`, `${row}:${col}`]);
+        if (row > 0 && random() < 0.8) edges.push([`${row - 1}:${col}`, `${row}:${col}`]);
+      }
+    }
+    const coverage = buildCoverage(nodes, edges);
+    const bfs = new Pathfinder(coverage, { mode: 'bfs' });
+    const astar = new Pathfinder(coverage, { mode: 'astar' });
+    const target = `${size - 1}:${size - 1}`;
+
+    const bfsRoute = bfs.findPathToPano('0:0', target);
+    const astarRoute = astar.findPathToPano('0:0', target);
+    assert.equal(Boolean(astarRoute), Boolean(bfsRoute), `trial ${trial}: both modes agree on reachability`);
+    if (!bfsRoute) continue;
+
+    assert.ok(astarRoute.pathLength >= bfsRoute.pathLength, `trial ${trial}: BFS has the fewest hops`);
+    assert.ok(
+      astarRoute.distanceMeters <= walkedMeters(coverage, '0:0', bfsRoute) + 1e-6,
+      `trial ${trial}: A* is never longer on the ground`
+    );
+    assert.ok(
+      Math.abs(astarRoute.distanceMeters - walkedMeters(coverage, '0:0', astarRoute)) < 1e-6,
+      `trial ${trial}: reported distance matches the route`
+    );
+  }
+});
+
+test('weighted target search reaches unvisited panos and rejects unknown modes', () => {
+  const coverage = buildCoverage(
+    { A: [0, 0], B: [0.0002, 0] },
+    [['A', 'B']],
+    { X: 'B' }
+  );
+  const pathfinder = new Pathfinder(coverage, { mode: 'astar' });
+
+  const route = pathfinder.findPathToPano('A', 'X');
+  assert.deepEqual(route.fullPath, ['B', 'X']);
+  assert.equal(pathfinder.findPathToPano('A', 'missing'), null);
+  assert.equal(pathfinder.findWeightedPath('A', { targetPanoId: 'A' }), null);
+  assert.throws(() => new Pathfinder(coverage, { mode: 'greedy' }), /Unknown PATHFINDER_MODE/);
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { RegionCoverage, regionsFromGeoJSON } from '../server/services/regionCoverage.js';
+import { CoverageTracker } from '../server/services/coverage.js';
+
+const square = (west, east) => ({
+  type: 'Polygon',
+  coordinates: [[[west, 40.74], [east, 40.74], [east, 40.76], [west, 40.76], [west, 40.74]]]
+});
+
+const REGION_SET = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', id: 'west', properties: { name: 'West Side' }, geometry: square(-73.99, -73.98) },
+    { type: 'Feature', properties: { name: 'East Side' }, geometry: square(-73.98, -73.97) },
+    { type: 'Feature', properties: { name: 'Landmark' }, geometry: { type: 'Point', coordinates: [-73.98, 40.75] } }
+  ]
+};
+
+const at = lng => ({ lat: 40.75, lng });
+const link = pano => ({ pano, heading: 90 });
+
+// A and B lie in the west, C and D in the east; F and E stay unvisited. D's links leave out C.
+const WALK = [
+  ['A', -73.9802, [link('B'), link('F')]],
+  ['B', -73.9801, [link('A'), link('C')]],
+  ['C', -73.9799, [link('B'), link('D')]],
+  ['D', -73.9798, [link('E')]],
+  ['C', -73.9799, [link('B'), link('D')]]
+];
+
+test('regions load from polygon features with ids and names', () => {
+  const regions = regionsFromGeoJSON(REGION_SET);
+  assert.deepEqual(regions.map(region => [region.id, region.name]), [['west', 'West Side'], ['2', 'East Side']]);
+  assert.throws(() => regionsFromGeoJSON({ type: 'FeatureCollection', features: [] }), /at least one polygon/);
+});
+
+test('visits, unique distance, first-visit step and frontier are attributed per region', () => {
+  const coverage = new CoverageTracker();
+  const regions = new RegionCoverage(regionsFromGeoJSON(REGION_SET), { name: 'sides' });
+  WALK.forEach(([panoId, lng, links], index) => {
+    coverage.addVisited(panoId, at(lng), links);
+    regions.update(coverage, index + 1);
+  });
+
+  const summary = regions.getSummary(coverage);
+  assert.equal(summary.name, 'sides');
+  // 0.0001° of longitude is about 8.4 m here; the B-C link is split between both sides.
+  assert.deepEqual(summary.regions, [
+    {
+      id: 'west',
+      name: 'West Side',
+      panosVisited: 2,
+      uniqueDistanceMeters: 17,
+      firstVisitStep: 1,
+      frontierRemaining: 1,
+      frontierRemainingPercent: 33.3
+    },
+    {
+      id: '2',
+      name: 'East Side',
+      panosVisited: 2,
+      uniqueDistanceMeters: 17,
+      firstVisitStep: 3,
+      frontierRemaining: 1,
+      frontierRemainingPercent: 33.3
+    }
+  ]);
+  assert.deepEqual(summary.outside, { panosVisited: 0, uniqueDistanceMeters: 0, frontierRemaining: 0 });
+
+  // A restored run is rebuilt from its graph and keeps the saved first-visit steps.
+  const restored = new CoverageTracker();
+  restored.restoreFromSave({ graph: coverage.serializeGraph() });
+  const rebuilt = new RegionCoverage(regionsFromGeoJSON(REGION_SET), { name: 'sides' });
+  rebuilt.rebuild(restored, regions.serialize());
+  assert.deepEqual(rebuilt.getSummary(restored), summary);
+
+  restored.addVisited('E', at(-73.9797), [link('D')]);
+  rebuilt.update(restored, 6);
+  const [, east] = rebuilt.getSummary(restored).regions;
+  assert.equal(east.panosVisited, 3);
+  assert.equal(east.frontierRemaining, 0);
+  assert.equal(east.firstVisitStep, 3);
+});
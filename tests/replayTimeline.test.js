@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RunStore, EVENT_PAGE_MAX_LIMIT } from '../server/services/runStore.js';
+
+await import('../public/js/replayTimeline.js');
+const { ReplayStepCache } = globalThis;
+
+async function makeStore() {
+  const dataDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'replay-timeline-'));
+  return new RunStore({ dataDir, logger: { log: () => {}, warn: () => {}, error: () => {} } });
+}
+
+function stepEvent(stepCount) {
+  const position = { lat: 40.75 + stepCount * 0.0002, lng: -73.98 };
+  return {
+    type: 'step_completed',
+    stepCount,
+    payload: {
+      stepData: {
+        stepCount,
+        panoId: `P${stepCount}`,
+        newPosition: position,
+        direction: stepCount * 10,
+        reasoning: `step ${stepCount}`,
+        screenshots: [{ direction: 0, thumbnail: `/shots/${stepCount}-dir0.jpg` }],
+        coverageDelta: { panoId: `P${stepCount}`, position, links: [] }
+      }
+    }
+  };
+}
+
+test('readEventPage pages through step events with compact payloads', async () => {
+  const store = await makeStore();
+  await store.appendEvent('run', {
+    type: 'run_reset',
+    payload: { snapshot: { runId: 'run', stepCount: 0, graph: { P0: { lat: 40.75, lng: -73.98 } } } }
+  });
+  for (let step = 1; step <= 5; step++) {
+    await store.appendEvent('run', stepEvent(step));
+    if (step === 3) await store.appendEvent('run', { type: 'exploration_stopped', stepCount: 3 });
+  }
+
+  const first = await store.readEventPage('run', { limit: 3 });
+  assert.deepEqual(first.events.map(event => event.type), ['run_reset', 'step_completed', 'step_completed']);
+  assert.equal(first.events[0].payload.snapshot, undefined);
+  assert.equal(first.events[0].payload.snapshotStepCount, 0);
+  assert.equal(first.events[1].payload.stepData.coverageDelta, undefined, 'graph deltas are left out of pages');
+  assert.equal(first.events[1].payload.stepData.screenshots[0].thumbnail, '/shots/1-dir0.jpg');
+  assert.equal(first.hasMore, true);
+
+  const second = await store.readEventPage('run', { afterSequence: first.nextAfterSequence, limit: 10 });
+  assert.deepEqual(second.events.map(event => event.stepCount), [3, 3, 4, 5]);
+  assert.equal(second.hasMore, false);
+
+  const steps = await store.readEventPage('run', { fromStep: 4, types: ['step_completed'] });
+  assert.deepEqual(steps.events.map(event => event.payload.stepData.panoId), ['P4', 'P5']);
+
+  const capped = await store.readEventPage('run', { limit: EVENT_PAGE_MAX_LIMIT * 10 });
+  assert.equal(capped.events.length, 7);
+
+  await fsp.appendFile(store.getEventLogPath('run'), '{not json\n');
+  const withCorrupt = await store.readEventPage('run', { afterSequence: 6 });
+  assert.equal(withCorrupt.events.length, 1);
+  assert.equal(withCorrupt.warnings.length, 1);
+
+  assert.deepEqual(await store.readEventPage('missing-run'), {
+    events: [],
+    nextAfterSequence: 0,
+    hasMore: false,
+    warnings: []
+  });
+});
+
+test('ReplayStepCache fetches aligned pages once and reads fork history from the parent', async () => {
+  const store = await makeStore();
+  for (let step = 1; step <= 7; step++) await store.appendEvent('parent', stepEvent(step));
+  for (let step = 1; step <= 7; step++) await store.appendEvent('child', stepEvent(step));
+
+  const requests = [];
+  const cache = new ReplayStepCache({
+    pageSize: 3,
+    fetchPage: async (page) => {
+      requests.push(`${page.runId}:${page.fromStep}`);
+      return store.readEventPage(page.runId, page);
+    }
+  });
+  cache.setRun('child', { runId: 'parent', stepCount: 4 });
+
+  const [five, six] = await Promise.all([cache.getStep(5), cache.getStep(6)]);
+  assert.equal(five.panoId, 'P5');
+  assert.deepEqual(five.position, { lat: 40.75 + 5 * 0.0002, lng: -73.98 });
+  assert.equal(six.direction, 60);
+  assert.deepEqual(requests, ['child:4'], 'concurrent reads share one page request');
+
+  assert.equal((await cache.getStep(2)).panoId, 'P2');
+  assert.equal(cache.sourceRunFor(4), 'parent');
+  assert.equal((await cache.getStep(4)).panoId, 'P4');
+  assert.deepEqual(requests, ['child:4', 'parent:1', 'parent:4']);
+  assert.equal(await cache.getStep(9), null);
+
+  cache.setRun('parent');
+  assert.equal(cache.steps.size, 0, 'switching runs drops cached steps');
+  assert.equal(await cache.getStep(0), null);
+});
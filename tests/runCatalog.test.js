@@ -0,0 +1,247 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RunStore } from '../server/services/runStore.js';
+import { ExplorationAgent } from '../server/agents/explorationAgent.js';
+
+async function makeStore() {
+  const dataDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'run-catalog-'));
+  return new RunStore({ dataDir, logger: { log: () => {}, warn: () => {}, error: () => {} } });
+}
+
+function snapshotAt(stepCount, panoId, { lat = 40.75, lng = -73.98 } = {}) {
+  return {
+    stepCount,
+    currentState: { panoId, position: { lat, lng } },
+    stats: { locationsVisited: stepCount, distanceTraveled: stepCount * 10, pathLength: stepCount },
+    graph: {
+      [`${panoId}-start`]: { lat: lat - 0.001, lng, neighbors: [], timestamp: 1 },
+      [panoId]: { lat, lng, neighbors: [], timestamp: 2 }
+    },
+    recentHistory: [],
+    decisionHistory: [],
+    eventLog: { lastSequence: stepCount, lastEventId: `event-${stepCount}` }
+  };
+}
+
+test('RunStore catalog tracks progress on every snapshot and rebuilds when missing', async () => {
+  const store = await makeStore();
+  await store.registerRun('run-a', {
+    name: 'Midtown',
+    startLocation: { lat: 40.7, lng: -73.9 },
+    startPanoId: 'A0'
+  });
+  await store.writeSnapshot('run-a', { ...snapshotAt(12, 'A12'), lastUpdated: '2026-06-06T00:00:01.000Z' });
+  await store.writeSnapshot('run-b', { ...snapshotAt(3, 'B3'), lastUpdated: '2026-06-06T00:00:02.000Z' });
+
+  const runs = await store.listRuns({ activeRunId: 'run-b' });
+  assert.deepEqual(runs.map(run => [run.runId, run.status]), [['run-b', 'active'], ['run-a', 'idle']]);
+  const runA = runs.find(run => run.runId === 'run-a');
+  assert.equal(runA.name, 'Midtown');
+  assert.equal(runA.stepCount, 12);
+  assert.equal(runA.distanceTraveled, 120);
+  assert.deepEqual(runA.startLocation, { lat: 40.7, lng: -73.9 });
+
+  await fsp.rm(store.getCatalogPath());
+  const rebuilt = await store.readCatalog();
+  assert.deepEqual(Object.keys(rebuilt.runs).sort(), ['run-a', 'run-b']);
+  assert.equal(rebuilt.runs['run-b'].startPanoId, 'B3-start', 'legacy runs start at their oldest graph node');
+});
+
+test('a corrupt catalog is set aside and rebuilt without failing snapshot saves', async () => {
+  const dataDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'run-catalog-'));
+  const warnings = [];
+  const store = new RunStore({ dataDir, logger: { log: () => {}, warn: message => warnings.push(message), error: () => {} } });
+  await store.writeSnapshot('run-a', snapshotAt(4, 'A4'));
+  await fsp.writeFile(store.getCatalogPath(), '{"version":1,"runs":{"run-a":{"ste');
+
+  await store.writeSnapshot('run-b', snapshotAt(2, 'B2'));
+  assert.equal((await store.readSnapshot('run-b')).stepCount, 2);
+  assert.match(warnings[0], /Run catalog was unreadable/);
+  assert.deepEqual((await store.listRuns()).map(run => run.runId).sort(), ['run-a', 'run-b']);
+  const files = await fsp.readdir(path.dirname(store.getCatalogPath()));
+  assert.ok(files.some(file => file.startsWith('catalog.json.corrupt-')), 'the bad catalog is kept');
+
+  // A catalog that cannot be written at all still leaves the snapshot saved.
+  await fsp.rm(store.getCatalogPath());
+  await fsp.mkdir(store.getCatalogPath());
+  await store.writeSnapshot('run-b', snapshotAt(3, 'B3'));
+  assert.equal((await store.readSnapshot('run-b')).stepCount, 3);
+  assert.match(warnings.at(-1), /Failed to update the run catalog for run run-b/);
+});
+
+test('an explicitly activated run is restored even when another run has far more steps', async () => {
+  const store = await makeStore();
+  await store.writeSnapshot('long-run', snapshotAt(1000, 'LONG'));
+  await store.writeSnapshot('fresh-run', snapshotAt(2, 'FRESH'));
+
+  assert.equal((await store.restoreCurrent()).snapshot.runId, 'long-run', 'legacy recovery without a chosen run');
+
+  await store.setActiveRun('fresh-run');
+  assert.equal((await store.restoreCurrent()).snapshot.runId, 'fresh-run');
+
+  const restored = await store.restoreRun('long-run');
+  assert.equal(restored.snapshot.stepCount, 1000);
+  await assert.rejects(() => store.restoreRun('missing-run'), error => error.statusCode === 404);
+});
+
+test('archived runs are never recovered and the active run cannot be archived', async () => {
+  const store = await makeStore();
+  await store.writeSnapshot('old-run', snapshotAt(1000, 'OLD'));
+  await store.writeSnapshot('current-run', snapshotAt(2, 'CUR'));
+
+  await assert.rejects(() => store.archiveRun('missing-run'), /Unknown run/);
+  const archived = await store.archiveRun('old-run');
+  assert.equal(archived.status, 'archived');
+  assert.equal((await store.restoreCurrent()).snapshot.runId, 'current-run');
+
+  await store.setActiveRun('old-run');
+  const runs = await store.listRuns();
+  assert.equal(runs.find(run => run.runId === 'old-run').status, 'active', 'switching back un-archives');
+  await assert.rejects(() => store.archiveRun('old-run'), /Cannot archive the active run/);
+});
+
+test('ExplorationAgent.reset starts a new run at a chosen panorama', async () => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'run-catalog-fixture-'));
+  const shotsDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'run-catalog-shots-'));
+  await fsp.writeFile(path.join(dir, 'fixture.json'), JSON.stringify({
+    version: 1,
+    startPanoId: 'A',
+    panos: [
+      { panoId: 'A', position: { lat: 40.75, lng: -73.98 }, links: [{ pano: 'B', heading: 0 }] },
+      { panoId: 'B', position: { lat: 40.7502, lng: -73.98 }, links: [{ pano: 'A', heading: 180 }] }
+    ]
+  }));
+
+  const previousEnv = {
+    STREETVIEW_PROVIDER: process.env.STREETVIEW_PROVIDER,
+    STREETVIEW_FIXTURE_DIR: process.env.STREETVIEW_FIXTURE_DIR,
+    VISION_PROVIDER: process.env.VISION_PROVIDER
+  };
+  process.env.STREETVIEW_PROVIDER = 'fixture';
+  process.env.STREETVIEW_FIXTURE_DIR = dir;
+  process.env.VISION_PROVIDER = 'mock';
+
+  try {
+    const agent = new ExplorationAgent({ broadcast: () => {} }, { log: () => {} });
+    agent.startPanoId = 'A';
+    agent.screenshot.baseDir = shotsDir;
+    await agent.initialize();
+    const firstRunId = agent.runId;
+
+    await agent.reset({ panoId: 'B' });
+    // reset() points screenshots at the repo's runs/shots; drop the empty directory it made.
+    await fsp.rm(agent.screenshot.baseDir, { recursive: true, force: true });
+    assert.notEqual(agent.runId, firstRunId);
+    assert.equal(agent.currentPanoId, 'B');
+    assert.deepEqual(agent.currentPosition, { lat: 40.7502, lng: -73.98 });
+    assert.deepEqual([...agent.coverage.visitedPanos], ['B']);
+    await agent.close();
+  } finally {
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+});
+
+function stepEvent(stepCount, panoId, previousPanoId) {
+  const position = { lat: 40.75 + stepCount * 0.0002, lng: -73.98 };
+  return {
+    type: 'step_completed',
+    stepCount,
+    payload: {
+      stepData: {
+        stepCount,
+        panoId,
+        previousPanoId,
+        newPosition: position,
+        direction: 0,
+        mode: 'exploration',
+        stats: { locationsVisited: stepCount + 1, distanceTraveled: stepCount * 22, pathLength: stepCount + 1 },
+        coverageDelta: {
+          panoId,
+          position,
+          traversedFrom: previousPanoId,
+          links: [{ pano: `P${stepCount + 1}`, heading: 0 }],
+          timestamp: 1000 + stepCount
+        }
+      }
+    }
+  };
+}
+
+async function writeLinearRun(store, runId, steps) {
+  await store.appendEvent(runId, {
+    type: 'run_reset',
+    payload: {
+      snapshot: {
+        runId,
+        stepCount: 0,
+        currentState: { panoId: 'P0', position: { lat: 40.75, lng: -73.98 } },
+        stats: { locationsVisited: 1, distanceTraveled: 0, pathLength: 1 },
+        graph: { P0: { lat: 40.75, lng: -73.98, neighbors: ['P1'], timestamp: 1000 } },
+        recentHistory: ['P0'],
+        decisionHistory: []
+      }
+    }
+  });
+  let last = null;
+  for (let step = 1; step <= steps; step++) {
+    last = await store.appendEvent(runId, stepEvent(step, `P${step}`, `P${step - 1}`));
+  }
+  return store.writeSnapshot(runId, {
+    ...(await store.materializeAtStep(runId, steps)),
+    eventLog: { lastSequence: last.sequence, lastEventId: last.eventId }
+  });
+}
+
+test('forkRun materialises an earlier step into a new run and leaves the parent alone', async () => {
+  const store = await makeStore();
+  await writeLinearRun(store, 'parent', 4);
+  const parentBefore = await store.readSnapshot('parent');
+
+  const fork = await store.forkRun('parent', 2, { name: 'left at P2', vision: { provider: 'mock', model: null } });
+  assert.notEqual(fork.runId, 'parent');
+  assert.equal(fork.parentRunId, 'parent');
+  assert.equal(fork.forkedAtStep, 2);
+  assert.equal(fork.name, 'left at P2');
+
+  const { snapshot } = await store.restoreRun(fork.runId);
+  assert.equal(snapshot.runId, fork.runId);
+  assert.equal(snapshot.stepCount, 2);
+  assert.equal(snapshot.currentState.panoId, 'P2');
+  assert.deepEqual(Object.keys(snapshot.graph).sort(), ['P0', 'P1', 'P2']);
+  assert.deepEqual(snapshot.forkedFrom, { runId: 'parent', stepCount: 2 });
+  assert.equal(snapshot.stats.distanceTraveled, 44);
+  assert.deepEqual(snapshot.vision, { provider: 'mock', model: null });
+
+  assert.deepEqual(await store.readSnapshot('parent'), parentBefore);
+  assert.equal((await store.readCurrentSnapshot()).runId, 'parent', 'forking does not move the current save');
+
+  // Steps after the saved snapshot are replayed on top of it.
+  await store.appendEvent('parent', stepEvent(5, 'P5', 'P4'));
+  assert.equal((await store.materializeAtStep('parent', 5)).currentState.panoId, 'P5');
+  await assert.rejects(() => store.forkRun('parent', 9), /no recorded state at step 9/);
+  for (const runId of ['../parent', 'parent/..', '', null]) {
+    await assert.rejects(() => store.readSnapshot(runId), /Invalid run id/);
+    await assert.rejects(() => store.forkRun(runId, 2), /Invalid run id/);
+  }
+  await assert.rejects(() => store.appendEvent('../../saves', stepEvent(1, 'P1', 'P0')), { statusCode: 400 });
+});
+
+test('forkRun refuses steps whose history was compacted away', async () => {
+  const dataDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'run-catalog-'));
+  const store = new RunStore({
+    dataDir,
+    eventLogCompactMaxBytes: 1,
+    logger: { log: () => {}, warn: () => {}, error: () => {} }
+  });
+  await writeLinearRun(store, 'compacted', 4);
+
+  await assert.rejects(() => store.forkRun('compacted', 2), /was compacted/);
+  const fork = await store.forkRun('compacted', 4);
+  assert.equal((await store.readSnapshot(fork.runId)).stepCount, 4);
+});
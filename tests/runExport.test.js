@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import * as fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { RunStore } from '../server/services/runStore.js';
+import { PathProjection } from '../server/services/pathProjection.js';
+import { exportRun } from '../server/services/runExport.js';
+
+const execFileAsync = promisify(execFile);
+const quietLogger = { log: () => {}, warn: () => {}, error: () => {} };
+
+function stepEvent(stepCount, panoId, { mode = 'exploration', sceneTag = null } = {}) {
+  const position = { lat: 40.75 + stepCount * 0.0002, lng: -73.98 };
+  return {
+    type: 'step_completed',
+    stepCount,
+    timestamp: new Date(Date.UTC(2026, 5, 1, 12, 0, stepCount)).toISOString(),
+    payload: {
+      stepData: {
+        stepCount,
+        panoId,
+        newPosition: position,
+        mode,
+        sceneTag,
+        stats: { locationsVisited: stepCount + 1, distanceTraveled: stepCount * 22, pathLength: stepCount + 1 },
+        coverageDelta: { panoId, position, links: [], timestamp: Date.UTC(2026, 5, 1, 12, 0, stepCount) }
+      }
+    }
+  };
+}
+
+async function makeRun() {
+  const dataDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'run-export-'));
+  const runStore = new RunStore({ dataDir, logger: quietLogger });
+  await runStore.appendEvent('walk', {
+    type: 'run_reset',
+    payload: {
+      snapshot: {
+        runId: 'walk',
+        stepCount: 0,
+        currentState: { panoId: 'P0', position: { lat: 40.75, lng: -73.98 } },
+        graph: { P0: { lat: 40.75, lng: -73.98, neighbors: [], timestamp: Date.UTC(2026, 5, 1, 12) } }
+      }
+    }
+  });
+  await runStore.appendEvent('walk', stepEvent(1, 'P1', { sceneTag: 'park & <plaza>' }));
+  await runStore.appendEvent('walk', stepEvent(2, 'P2', { mode: 'pathfinding' }));
+  const last = await runStore.appendEvent('walk', stepEvent(3, 'P1'));
+  // The saved snapshot lags the log; export must still see step 3.
+  await runStore.writeSnapshot('walk', {
+    ...(await runStore.materializeAtStep('walk', 2)),
+    eventLog: { lastSequence: last.sequence - 1 }
+  });
+  await runStore.registerRun('walk', { name: 'Morning walk' });
+  return { dataDir, runStore, pathProjection: new PathProjection({ runStore, logger: quietLogger, writeDebounceMs: 0 }) };
+}
+
+test('GeoJSON export has the path line and one point per visited pano', async () => {
+  const { runStore, pathProjection } = await makeRun();
+  const exported = await exportRun({ runStore, pathProjection, runId: 'walk', format: 'geojson', logger: quietLogger });
+  assert.equal(exported.contentType, 'application/geo+json');
+  assert.equal(exported.filename, 'scout-walk.geojson');
+
+  const { features } = JSON.parse(exported.body);
+  const [line, ...points] = features;
+  assert.equal(line.geometry.type, 'LineString');
+  assert.equal(line.properties.name, 'Morning walk');
+  assert.deepEqual(line.geometry.coordinates.at(-1), [-73.98, 40.7506]);
+  assert.equal(line.properties.endedAt, '2026-06-01T12:00:03.000Z');
+
+  assert.deepEqual(points.map(point => point.properties.panoId), ['P1', 'P2', 'P0']);
+  assert.deepEqual(points[0].properties, {
+    kind: 'pano',
+    panoId: 'P1',
+    step: 1,
+    mode: 'exploration',
+    sceneTag: 'park & <plaza>',
+    visits: 2,
+    visitedAt: '2026-06-01T12:00:01.000Z'
+  });
+  assert.equal(points[1].properties.mode, 'pathfinding');
+  assert.equal(points[2].properties.step, null, 'the start pano has no step event');
+});
+
+test('GPX and KML exports carry timestamps and escape text', async () => {
+  const { runStore, pathProjection } = await makeRun();
+  const gpx = await exportRun({ runStore, pathProjection, runId: 'walk', format: 'GPX', logger: quietLogger });
+  assert.equal(gpx.contentType, 'application/gpx+xml');
+  assert.match(gpx.body, /<trkpt lat="40\.7502" lon="-73\.98"><time>2026-06-01T12:00:01\.000Z<\/time><\/trkpt>/);
+  assert.equal(gpx.body.match(/<trkpt /g).length, 4, 'the start point and three steps');
+
+  const kml = await exportRun({ runStore, pathProjection, runId: 'walk', format: 'kml', logger: quietLogger });
+  assert.match(kml.body, /<LineString><tessellate>1<\/tessellate><coordinates>-73\.98,40\.75,0 -73\.98,40\.7502,0 /);
+  assert.match(kml.body, /<Data name="sceneTag"><value>park &amp; &lt;plaza&gt;<\/value><\/Data>/);
+  assert.equal(kml.body.match(/<Placemark>/g).length, 4);
+
+  await assert.rejects(
+    () => exportRun({ runStore, pathProjection, runId: 'walk', format: 'shp' }),
+    error => error.statusCode === 400
+  );
+  await assert.rejects(
+    () => exportRun({ runStore, pathProjection, runId: 'missing', format: 'gpx' }),
+    error => error.statusCode === 404
+  );
+});
+
+test('the export CLI picks the format from the output file', async () => {
+  const { dataDir } = await makeRun();
+  const out = path.join(dataDir, 'walk.gpx');
+  await execFileAsync(process.execPath, ['tools/exportRun.js', 'walk', '--data-dir', dataDir, '--out', out], {
+    timeout: 30000
+  });
+  assert.match(await fsp.readFile(out, 'utf8'), /^<\?xml[\s\S]*<gpx version="1\.1"/);
+});
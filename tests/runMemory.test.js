@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  RunMemory,
+  emptyRunMemory,
+  fallbackMemorySummary,
+  formatRunMemory,
+  recordStepInMemory
+} from '../server/services/runMemory.js';
+import { OpenAIService } from '../server/services/openai.js';
+import { reduceSnapshotWithEvents } from '../server/services/runStore.js';
+
+const docks = { id: 'docks', name: 'Docks' };
+const park = { id: 'park', name: 'Park' };
+
+test('steps add diary notes, region time and scene tags; autopilot lines are left out', () => {
+  let memory = emptyRunMemory();
+  memory = recordStepInMemory(memory, { stepCount: 1, diaryLine: 'Cranes over the water.', sceneTag: 'industrial', region: docks });
+  memory = recordStepInMemory(memory, { stepCount: 2, diaryLine: 'Kept walking.', autoMove: true, region: docks });
+  memory = recordStepInMemory(memory, { stepCount: 3, diaryLine: 'A fountain.', sceneTag: 'park', region: park });
+
+  assert.deepEqual(memory.notes.map(note => [note.step, note.region]), [[1, 'Docks'], [3, 'Park']]);
+  assert.deepEqual(memory.regions.map(region => [region.name, region.steps, region.firstStep, region.lastStep]),
+    [['Docks', 2, 1, 2], ['Park', 1, 3, 3]]);
+  assert.deepEqual(memory.scenes, { industrial: 1, park: 1 });
+  assert.equal(
+    fallbackMemorySummary(memory, 3),
+    'Steps 1-3: most time in Docks (2 steps), Park (1 steps); scenes mostly industrial (1), park (1); last note: "A fountain.".'
+  );
+  assert.equal(formatRunMemory(emptyRunMemory()), '');
+});
+
+test('the memory is condensed on schedule by the model, or without it when it fails', async () => {
+  const asked = [];
+  const memory = new RunMemory({ intervalSteps: 2 });
+  memory.recordStep({ stepCount: 1, diaryLine: 'Cranes over the water.', region: docks });
+  assert.equal(memory.isDue(1), false);
+  memory.recordStep({ stepCount: 2, diaryLine: 'Gulls on the pier.', region: docks });
+  assert.equal(memory.isDue(2), true);
+
+  const condensed = await memory.condense(2, async (context) => {
+    asked.push(context);
+    return { text: 'Walked the docks among cranes and gulls.', usage: { requests: 1, totalTokens: 30 } };
+  });
+  assert.deepEqual([condensed.summary, condensed.source, condensed.usage.totalTokens],
+    ['Walked the docks among cranes and gulls.', 'model', 30]);
+  assert.deepEqual([asked[0].fromStep, asked[0].stepNumber, asked[0].notes.length], [1, 2, 2]);
+  assert.equal(memory.isDue(4), false, 'nothing new to condense');
+  assert.equal(memory.describe(),
+    'Long-term memory of this run:\nWalked the docks among cranes and gulls.\nTime by region: Docks 2 steps (steps 1-2).');
+
+  memory.recordStep({ stepCount: 3, diaryLine: 'A fountain.', region: park });
+  const fallback = await memory.condense(4, async () => { throw new Error('offline'); });
+  assert.equal(fallback.source, 'fallback');
+  assert.match(fallback.summary, /^Walked the docks among cranes and gulls\. Steps 3-4: most time in Docks/);
+
+  const restored = new RunMemory();
+  restored.restore(JSON.parse(JSON.stringify(memory.toJSON())));
+  assert.deepEqual(restored.overview(), memory.overview());
+  assert.equal(new RunMemory({ intervalSteps: 0 }).isDue(100), false);
+});
+
+test('summaries are asked of the provider and the memory reaches the decision prompt', async () => {
+  const requests = [];
+  const replies = [
+    JSON.stringify({ summary: 'Walked the docks.' }),
+    JSON.stringify({ selectedIndex: 0, reasoning: 'Back toward the water.' })
+  ];
+  const service = new OpenAIService({
+    instance: {
+      name: 'openai',
+      model: 'gpt-5-nano',
+      complete: async (request) => {
+        requests.push(request);
+        return { content: replies.shift(), usage: { prompt_tokens: 10, completion_tokens: 5 } };
+      }
+    }
+  });
+
+  const summarized = await service.summarizeMemory({
+    previousSummary: null,
+    notes: [{ step: 4, text: 'Cranes over the water.', region: 'Docks' }],
+    regions: [{ name: 'Docks', steps: 4 }],
+    fromStep: 1,
+    stepNumber: 4
+  });
+  assert.deepEqual([summarized.text, summarized.usage.requests, requests[0].purpose], ['Walked the docks.', 1, 'memory']);
+  assert.match(requests[0].messages[1].content, /- step 4 in Docks: Cranes over the water\./);
+
+  await service.decideNextMove({
+    currentPosition: { lat: 40.75, lng: -73.98 },
+    screenshots: [{ base64: 'dGVzdA==' }, { base64: 'dGVzdA==' }],
+    links: [{ pano: 'A', heading: 0 }, { pano: 'B', heading: 90 }],
+    visitedPanos: [],
+    stepNumber: 5,
+    memory: 'Long-term memory of this run:\nWalked the docks.'
+  });
+  assert.match(requests[1].messages[1].content[0].text, /Long-term memory of this run:\nWalked the docks\./);
+});
+
+test('run log replay rebuilds the memory from steps and summaries', () => {
+  const step = (sequence, stepCount, diaryLine) => ({
+    eventId: `event-${sequence}`, runId: 'run-m', epoch: 1, sequence, type: 'step_completed', stepCount,
+    payload: { stepData: { stepCount, panoId: `P${stepCount}`, diaryLine, region: docks } }
+  });
+
+  const restored = reduceSnapshotWithEvents({ schemaVersion: 2, runId: 'run-m', stepCount: 0, graph: {} }, [
+    step(1, 1, 'Cranes over the water.'),
+    step(2, 2, 'Gulls on the pier.'),
+    {
+      eventId: 'event-3', runId: 'run-m', epoch: 1, sequence: 3, type: 'memory_summarized', stepCount: 2,
+      payload: { summary: 'Walked the docks.', summarizedAtStep: 2, source: 'model', usage: { requests: 1, totalTokens: 30 } }
+    },
+    step(4, 3, 'A ferry leaving.')
+  ]);
+  assert.equal(restored.memory.summary, 'Walked the docks.');
+  assert.equal(restored.memory.summarizedAtStep, 2);
+  assert.deepEqual(restored.memory.notes.map(note => note.text), ['A ferry leaving.']);
+  assert.equal(restored.memory.regions[0].steps, 3);
+  assert.equal(restored.usage.totalTokens, 30);
+});
@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialGridIndex } from '../server/services/spatialIndex.js';
+import { CoverageTracker } from '../server/services/coverage.js';
+import { Pathfinder } from '../server/services/pathfinder.js';
+import { selectClosestFrontierByDiscovery } from '../server/agents/explorationAgent.js';
+
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0;
+    return state / 2 ** 32;
+  };
+}
+
+function randomPoint(random, spanDegrees = 0.02) {
+  return { lat: 40.74 + random() * spanDegrees, lng: -73.99 + random() * spanDegrees };
+}
+
+test('grid radius and nearest queries match a brute-force scan', () => {
+  const random = createRandom(7);
+  const coverage = new CoverageTracker();
+  const index = new SpatialGridIndex({ cellSizeMeters: 40 });
+  const points = new Map();
+  for (let i = 0; i < 600; i++) {
+    const point = randomPoint(random);
+    points.set(`p${i}`, point);
+    index.insert(`p${i}`, point);
+  }
+  // Move a few points and drop a few to exercise incremental updates.
+  for (let i = 0; i < 20; i++) {
+    const point = randomPoint(random);
+    points.set(`p${i}`, point);
+    index.insert(`p${i}`, point);
+    points.delete(`p${i + 100}`);
+    index.remove(`p${i + 100}`);
+  }
+  assert.equal(index.size, points.size);
+
+  const bruteForce = (query) => [...points.entries()]
+    .map(([id, point]) => ({ id, distanceMeters: coverage.calculateDistance(query, point) }))
+    .sort((a, b) => a.distanceMeters - b.distanceMeters);
+
+  for (let q = 0; q < 40; q++) {
+    const query = randomPoint(random, 0.03);
+    const expected = bruteForce(query);
+
+    const radius = 50 + random() * 300;
+    assert.deepEqual(
+      index.withinRadius(query, radius).map(hit => hit.id),
+      expected.filter(hit => hit.distanceMeters <= radius).map(hit => hit.id)
+    );
+
+    const k = 1 + Math.floor(random() * 8);
+    assert.deepEqual(index.nearest(query, k).map(hit => hit.id), expected.slice(0, k).map(hit => hit.id));
+
+    const evenOnly = id => Number(id.slice(1)) % 2 === 0;
+    assert.equal(index.nearest(query, 1, { filter: evenOnly })[0].id, expected.find(hit => evenOnly(hit.id)).id);
+  }
+
+  assert.deepEqual(index.nearest({ lat: 0, lng: 0 }, 3, { maxRadiusMeters: 1000 }), []);
+  index.clear();
+  assert.deepEqual(index.nearest({ lat: 40.75, lng: -73.98 }, 1), []);
+});
+
+test('CoverageTracker keeps the spatial index in step with the graph', () => {
+  const coverage = new CoverageTracker();
+  coverage.addVisited('A', { lat: 40.75, lng: -73.98 }, [{ pano: 'B', heading: 90 }]);
+  coverage.addVisited('B', { lat: 40.75, lng: -73.9799 }, [{ pano: 'C', heading: 90 }]);
+  coverage.addVisited('B-alias', { lat: 40.75, lng: -73.97989 }, []);
+  assert.equal(coverage.spatialIndex.size, 3);
+
+  coverage.resolvePanoAlias('B-alias', 'B');
+  assert.equal(coverage.spatialIndex.size, 2);
+  assert.deepEqual(
+    coverage.findNodesWithinRadius({ lat: 40.75, lng: -73.97995 }, 20).map(hit => hit.panoId).sort(),
+    ['A', 'B']
+  );
+
+  const restored = new CoverageTracker();
+  restored.restoreFromSave({ graph: coverage.serializeGraph() });
+  assert.deepEqual(restored.findNearestNodes({ lat: 40.75, lng: -73.97985 }, 1).map(hit => hit.panoId), ['B']);
+
+  restored.reset();
+  assert.equal(restored.spatialIndex.size, 0);
+});
+
+test('indexed frontier selection agrees with the linear reference', () => {
+  const random = createRandom(42);
+  const coverage = new CoverageTracker();
+  const ids = [];
+  for (let i = 0; i < 300; i++) {
+    const panoId = `n${i}`;
+    const links = [];
+    if (i > 0) links.push({ pano: ids[Math.floor(random() * ids.length)], heading: 0 });
+    if (random() < 0.2) links.push({ pano: `f${i}`, heading: 90 });
+    coverage.addVisited(panoId, randomPoint(random), links);
+    ids.push(panoId);
+  }
+  assert.ok(coverage.frontier.size > 10);
+
+  const distance = coverage.calculateDistance.bind(coverage);
+  for (let q = 0; q < 30; q++) {
+    const query = randomPoint(random);
+    const expected = selectClosestFrontierByDiscovery(coverage.getFrontiers(), coverage.graph, query, distance);
+    const actual = coverage.findClosestFrontierByDiscovery(query);
+    assert.equal(actual.frontier.discoveredFrom, expected.frontier.discoveredFrom);
+    assert.ok(Math.abs(actual.distanceMeters - expected.distanceMeters) < 1e-6);
+  }
+
+  coverage.frontier.clear();
+  assert.equal(coverage.findClosestFrontierByDiscovery({ lat: 40.75, lng: -73.98 }), null);
+});
+
+test('buildClusters groups chains of nearby nodes through the index', () => {
+  const coverage = new CoverageTracker();
+  // Two chains of nodes 1.5m apart, 100m between the chains.
+  for (let i = 0; i < 5; i++) {
+    coverage.addVisited(`w${i}`, { lat: 40.75, lng: -73.98 + i * 0.000018 }, []);
+    coverage.addVisited(`e${i}`, { lat: 40.75, lng: -73.9788 + i * 0.000018 }, []);
+  }
+  const pathfinder = new Pathfinder(coverage);
+  pathfinder.clusterRadiusMeters = 2;
+
+  const { clusterOf, clusters } = pathfinder.buildClusters();
+  assert.equal(clusters.size, 2);
+  assert.equal(clusterOf.get('w0'), clusterOf.get('w4'));
+  assert.notEqual(clusterOf.get('w0'), clusterOf.get('e0'));
+});
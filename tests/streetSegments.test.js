@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveStreetSegments } from '../server/services/streetSegments.js';
+import { CoverageTracker } from '../server/services/coverage.js';
+
+// One step north is 0.0001° of latitude, about 11.1 m.
+const STEP_METERS = 11.12;
+
+function graphOf(positions, links, { oneWay = [] } = {}) {
+  const graph = new Map();
+  for (const [panoId, [north, east]] of Object.entries(positions)) {
+    graph.set(panoId, { lat: 40.75 + north * 0.0001, lng: -73.98 + east * 0.0001, neighbors: new Set() });
+  }
+  for (const [a, b] of links) {
+    graph.get(a)?.neighbors.add(b);
+    graph.get(b)?.neighbors.add(a);
+  }
+  for (const [from, to] of oneWay) graph.get(from).neighbors.add(to);
+  return graph;
+}
+
+const summarize = ({ segments }) => segments
+  .map(segment => `${segment.panoIds.join('-')}${segment.walked ? '' : '?'}`)
+  .sort();
+
+test('segments run between intersections and dead ends; unvisited ends make them partial', () => {
+  // X is a T-junction: two walked arms and one arm that ends at the unvisited pano F.
+  const graph = graphOf(
+    { X: [0, 0], a1: [1, 0], a2: [2, 0], A: [3, 0], b1: [0, 1], B: [0, 2], c1: [-1, 0] },
+    [['X', 'a1'], ['a1', 'a2'], ['a2', 'A'], ['X', 'b1'], ['b1', 'B'], ['X', 'c1'], ['c1', 'F']]
+  );
+  const result = deriveStreetSegments(graph);
+
+  assert.deepEqual(summarize(result), ['X-a1-a2-A', 'X-b1-B', 'X-c1-F?']);
+  const [partial] = result.segments.filter(segment => !segment.walked);
+  assert.ok(Math.abs(partial.lengthMeters - STEP_METERS) < 0.1, 'only the walked part of a partial segment counts');
+  const eastStepMeters = STEP_METERS * Math.cos(40.75 * Math.PI / 180);
+  assert.ok(Math.abs(result.lengthCoveredMeters - (4 * STEP_METERS + 2 * eastStepMeters)) < 0.5);
+});
+
+test('one-way links, end-to-end links and closed loops each yield one segment', () => {
+  const graph = graphOf(
+    { D1: [0, 0], D2: [1, 0], P: [10, 0], Q: [11, 0], R: [11, 1], S: [20, 0], T: [21, 0], U: [22, 0] },
+    [['D1', 'D2'], ['P', 'Q'], ['Q', 'R'], ['R', 'P'], ['S', 'T']],
+    { oneWay: [['T', 'U']] }
+  );
+
+  assert.deepEqual(summarize(deriveStreetSegments(graph)), ['D1-D2', 'P-Q-R-P', 'S-T-U']);
+  assert.deepEqual(deriveStreetSegments(new Map()), { segments: [], lengthCoveredMeters: 0 });
+});
+
+test('coverage stats count each street once however often it is walked', () => {
+  const coverage = new CoverageTracker();
+  const at = north => ({ lat: 40.75 + north * 0.0001, lng: -73.98 });
+  const walk = [
+    ['A', 0, [{ pano: 'B', heading: 0 }]],
+    ['B', 1, [{ pano: 'A', heading: 180 }, { pano: 'C', heading: 0 }]],
+    ['C', 2, [{ pano: 'B', heading: 180 }, { pano: 'D', heading: 0 }]],
+    ['B', 1, [{ pano: 'A', heading: 180 }, { pano: 'C', heading: 0 }]],
+    ['A', 0, [{ pano: 'B', heading: 0 }]]
+  ];
+  for (const [panoId, north, links] of walk) coverage.addVisited(panoId, at(north), links);
+
+  const stats = coverage.getStats();
+  assert.ok(Math.abs(stats.distanceTraveled - 4 * STEP_METERS) < 1);
+  assert.equal(stats.streetLengthCovered, 22);
+  assert.equal(stats.segmentsWalked, 0);
+  assert.equal(stats.segmentsPartial, 1, 'the street continues past C to the unvisited D');
+
+  // Above the eager size the figures only refresh once the interval has passed, or on demand.
+  coverage.streetCoverageEagerNodes = 0;
+  coverage.addVisited('D', at(3), [{ pano: 'C', heading: 180 }]);
+  assert.equal(coverage.getStats().segmentsWalked, 0);
+  assert.deepEqual(coverage.getStreetCoverage({ force: true }), {
+    segmentsWalked: 1,
+    segmentsPartial: 0,
+    streetLengthCovered: 33
+  });
+});
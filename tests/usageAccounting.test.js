@@ -0,0 +1,174 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { OpenAIService } from '../server/services/openai.js';
+import { RunStore, reduceSnapshotWithEvents } from '../server/services/runStore.js';
+import {
+  DailyUsage,
+  describeUnpricedBudget,
+  exceededBudget,
+  parseModelPrices,
+  parseUsageBudget,
+  priceUsage
+} from '../server/services/usageAccounting.js';
+
+test('responses are priced per million tokens from the price table', () => {
+  const prices = parseModelPrices('local-llava=0/0, gpt-5-nano = 0.1/0.8');
+  assert.deepEqual(prices['local-llava'], { input: 0, output: 0 });
+  assert.deepEqual(prices['gpt-5-nano'], { input: 0.1, output: 0.8 });
+  assert.deepEqual(prices['gpt-4o'], { input: 2.5, output: 10 });
+  assert.throws(() => parseModelPrices('gpt-5=1.25'), /Model price for "gpt-5" must be "<input>\/<output>"/);
+  assert.throws(() => parseModelPrices({ 'gpt-5': { input: -1, output: 10 } }), /Model price for "gpt-5"/);
+
+  assert.deepEqual(priceUsage({ prompt_tokens: 2000, completion_tokens: 500 }, 'gpt-5-mini'), {
+    requests: 1,
+    inputTokens: 2000,
+    outputTokens: 500,
+    totalTokens: 2500,
+    costUsd: 0.0015,
+    unpricedTokens: 0
+  });
+  const unknown = priceUsage({ prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }, 'mystery');
+  assert.deepEqual([unknown.costUsd, unknown.unpricedTokens], [0, 15]);
+});
+
+test('daily usage rolls over by UTC day and budgets trip run before daily', () => {
+  const daily = new DailyUsage({ retentionDays: 2 });
+  daily.record({ requests: 1, costUsd: 0.25 }, new Date('2026-03-01T23:59:00Z'));
+  daily.record({ requests: 2, costUsd: 0.5 }, new Date('2026-03-02T00:01:00Z'));
+  daily.record({ requests: 1, costUsd: 0.125 }, new Date('2026-03-02T12:00:00Z'));
+  daily.record({ requests: 1, costUsd: 1 }, new Date('2026-03-03T08:00:00Z'));
+  assert.deepEqual(daily.list().map(({ day, requests, costUsd }) => [day, requests, costUsd]), [
+    ['2026-03-03', 1, 1],
+    ['2026-03-02', 3, 0.625]
+  ]);
+  assert.deepEqual(new DailyUsage(daily.toJSON()).get('2026-03-02').costUsd, 0.625);
+
+  assert.deepEqual(parseUsageBudget({}), { runUsd: null, dailyUsd: null, action: 'pause' });
+  assert.throws(() => parseUsageBudget({ USAGE_BUDGET_RUN_USD: 'lots' }), /USAGE_BUDGET_RUN_USD must be a non-negative number/);
+  assert.throws(() => parseUsageBudget({ USAGE_BUDGET_ACTION: 'panic' }), /Unknown USAGE_BUDGET_ACTION "panic"/);
+
+  const budget = parseUsageBudget({ USAGE_BUDGET_RUN_USD: '2', USAGE_BUDGET_DAILY_USD: '1', USAGE_BUDGET_ACTION: 'Fallback' });
+  assert.equal(budget.action, 'fallback');
+  assert.equal(exceededBudget({ run: { costUsd: 0.5 }, today: { costUsd: 0.9 } }, budget), null);
+  assert.deepEqual(exceededBudget({ run: { costUsd: 0.5 }, today: { costUsd: 1 } }, budget), { scope: 'daily', limitUsd: 1, spentUsd: 1 });
+  assert.deepEqual(exceededBudget({ run: { costUsd: 2.5 }, today: { costUsd: 3 } }, budget), { scope: 'run', limitUsd: 2, spentUsd: 2.5 });
+});
+
+test('a decision reports the usage of every attempt, retries included', async () => {
+  process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+  const replies = ['not json', JSON.stringify({ selectedIndex: 0, reasoning: 'Straight on.', sceneTag: 'public-street' })];
+  const service = new OpenAIService();
+  service.client = {
+    chat: {
+      completions: {
+        create: async () => ({
+          usage: { prompt_tokens: 1000, completion_tokens: 100, total_tokens: 1100 },
+          choices: [{ message: { content: replies.shift() } }]
+        })
+      }
+    }
+  };
+
+  const decision = await service.decideNextMove({
+    currentPosition: { lat: 40.75, lng: -73.98 },
+    screenshots: [{ base64: 'dGVzdA==' }, { base64: 'dGVzdA==' }],
+    links: [{ pano: 'A', heading: 0, description: '' }, { pano: 'B', heading: 180, description: '' }],
+    visitedPanos: [],
+    stats: { locationsVisited: 1 },
+    stepNumber: 3,
+    recentMovements: [],
+    recentNarratives: []
+  });
+  assert.equal(decision.selectedPanoId, 'A');
+  assert.deepEqual(decision.usage, {
+    requests: 2,
+    inputTokens: 2000,
+    outputTokens: 200,
+    totalTokens: 2200,
+    // gpt-5-nano: 2000 * 0.05 + 200 * 0.4 per million
+    costUsd: 0.00018,
+    unpricedTokens: 0,
+    provider: 'openai',
+    model: 'gpt-5-nano'
+  });
+});
+
+test('unpriced models are warned about once and refused while a budget is set', async () => {
+  const warnings = [];
+  const originalWarn = console.warn;
+  console.warn = (message) => warnings.push(message);
+  try {
+    const service = new OpenAIService({
+      instance: {
+        name: 'openai-compatible',
+        model: 'local-llava-unpriced',
+        complete: async () => ({
+          content: JSON.stringify({ summary: 'Walked the docks.' }),
+          usage: { prompt_tokens: 10, completion_tokens: 5 }
+        })
+      }
+    });
+    assert.equal(service.isPriced, false);
+    const context = { previousSummary: null, notes: [], regions: [], fromStep: 1, stepNumber: 2 };
+    const first = await service.summarizeMemory(context);
+    await service.summarizeMemory(context);
+    assert.deepEqual([first.usage.costUsd, first.usage.unpricedTokens], [0, 15]);
+    assert.equal(warnings.filter(message => /No price for model "local-llava-unpriced"/.test(message)).length, 1);
+  } finally {
+    console.warn = originalWarn;
+  }
+
+  const budget = parseUsageBudget({ USAGE_BUDGET_DAILY_USD: '1' });
+  assert.equal(describeUnpricedBudget(['local-llava', 'local-llava'], budget),
+    'Usage budget cannot be enforced: no price for model "local-llava"; add it to MODEL_PRICES');
+  assert.equal(describeUnpricedBudget([], budget), null);
+  assert.equal(describeUnpricedBudget(['local-llava'], parseUsageBudget({})), null);
+});
+
+test('run log replay sums step usage once and daily usage persists beside the catalog', async () => {
+  const step = (sequence, stepCount, costUsd) => ({
+    eventId: `event-${sequence}`, runId: 'run-u', epoch: 1, sequence, type: 'step_completed', stepCount,
+    payload: { stepData: { stepCount, panoId: `P${stepCount}`, usage: { requests: 1, totalTokens: 10, costUsd } } }
+  });
+  const restored = reduceSnapshotWithEvents({ schemaVersion: 2, runId: 'run-u', stepCount: 0, graph: {} }, [
+    step(1, 1, 0.001),
+    step(2, 2, 0.002),
+    step(3, 2, 0.002),
+    {
+      eventId: 'event-4', runId: 'run-u', epoch: 1, sequence: 4, type: 'usage_budget_exceeded',
+      payload: { scope: 'run', limitUsd: 0.003, spentUsd: 0.003, action: 'fallback', strategy: 'frontier-greedy' }
+    }
+  ]);
+  assert.deepEqual([restored.usage.requests, restored.usage.totalTokens, restored.usage.costUsd], [2, 20, 0.003]);
+  assert.equal(restored.strategy, 'frontier-greedy');
+
+  const dataDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'usage-'));
+  const store = new RunStore({ dataDir, logger: { log: () => {}, warn: () => {}, error: () => {} } });
+  assert.deepEqual(await store.readDailyUsage(), { days: {} });
+  const daily = new DailyUsage();
+  daily.record({ requests: 1, costUsd: 0.5 }, new Date('2026-03-02T10:00:00Z'));
+  await store.writeDailyUsage(daily.toJSON());
+  assert.equal(new DailyUsage(await store.readDailyUsage()).get('2026-03-02').costUsd, 0.5);
+  assert.deepEqual(await store.listRuns(), [], 'the usage file is not a run');
+});
+
+test('a corrupt daily usage file is set aside and counting starts over', async () => {
+  const dataDir = await fsp.mkdtemp(path.join(os.tmpdir(), 'usage-'));
+  const warnings = [];
+  const store = new RunStore({ dataDir, logger: { log: () => {}, warn: message => warnings.push(message), error: () => {} } });
+  await fsp.mkdir(path.dirname(store.getDailyUsagePath()), { recursive: true });
+  await fsp.writeFile(store.getDailyUsagePath(), '{"days":{"2026-03-02":{"requ');
+
+  assert.deepEqual(await store.readDailyUsage(), { days: {} });
+  assert.match(warnings[0], /Daily model usage was unreadable/);
+  const files = await fsp.readdir(path.dirname(store.getDailyUsagePath()));
+  assert.ok(files.some(file => file.startsWith(`${path.basename(store.getDailyUsagePath())}.corrupt-`)), 'the bad file is kept');
+
+  const daily = new DailyUsage(await store.readDailyUsage());
+  daily.record({ requests: 1, costUsd: 0.25 }, new Date('2026-03-02T10:00:00Z'));
+  await store.writeDailyUsage(daily.toJSON());
+  assert.equal(new DailyUsage(await store.readDailyUsage()).get('2026-03-02').costUsd, 0.25);
+});
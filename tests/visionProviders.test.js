@@ -0,0 +1,138 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { OpenAIService } from '../server/services/openai.js';
+import { ExplorationAgent } from '../server/agents/explorationAgent.js';
+import {
+  createVisionProvider,
+  MockVisionProvider,
+  OpenAICompatibleVisionProvider,
+  parseVisionConfig,
+  resolveVisionConfig
+} from '../server/services/visionProviders.js';
+
+function makeInput(overrides = {}) {
+  return {
+    currentPosition: { lat: 40.748817, lng: -73.985428 },
+    screenshots: [{ base64: 'dGVzdA==' }, { base64: 'dGVzdA==' }, { base64: 'dGVzdA==' }],
+    links: [
+      { pano: 'A', heading: 0, description: '' },
+      { pano: 'B', heading: 120, description: '' },
+      { pano: 'C', heading: 240, description: '' }
+    ],
+    visitedPanos: [],
+    stats: { locationsVisited: 10 },
+    stepNumber: 42,
+    recentMovements: [],
+    recentNarratives: [],
+    ...overrides
+  };
+}
+
+test('resolveVisionConfig defaults to openai and rejects unknown providers', () => {
+  assert.deepEqual(resolveVisionConfig({}, { OPENAI_API_KEY: 'k' }), {
+    provider: 'openai',
+    model: null,
+    baseURL: null,
+    apiKey: 'k'
+  });
+  assert.equal(resolveVisionConfig({}, { VISION_PROVIDER: 'Mock' }).provider, 'mock');
+  assert.throws(() => resolveVisionConfig({ provider: 'carrier-pigeon' }, {}), /Unknown VISION_PROVIDER/);
+});
+
+test('openai-compatible provider requires a base URL and sends max_tokens', async () => {
+  assert.throws(() => createVisionProvider({ provider: 'openai-compatible' }), /VISION_BASE_URL is required/);
+
+  const provider = new OpenAICompatibleVisionProvider({
+    baseURL: 'http://127.0.0.1:11434/v1',
+    model: 'llava'
+  });
+  let request = null;
+  provider.client = {
+    chat: {
+      completions: {
+        create: async (req) => {
+          request = req;
+          return { choices: [{ message: { content: '{"selectedIndex":0}' } }] };
+        }
+      }
+    }
+  };
+
+  const result = await provider.complete({ messages: [], maxTokens: 300 });
+  assert.equal(result.content, '{"selectedIndex":0}');
+  assert.equal(request.model, 'llava');
+  assert.equal(request.max_tokens, 300);
+  assert.equal(request.max_completion_tokens, undefined);
+});
+
+test('mock provider picks the first unvisited option deterministically', async () => {
+  const service = new OpenAIService({ provider: 'mock' });
+  assert.deepEqual(service.describeProvider(), { provider: 'mock', model: 'mock-vision' });
+
+  const input = makeInput({ visitedPanos: ['A'] });
+  const first = await service.decideNextMove(input);
+  const second = await service.decideNextMove(input);
+
+  assert.equal(first.selectedPanoId, 'B');
+  assert.equal(first.fallbackCause, null);
+  assert.deepEqual(second, first);
+});
+
+test('mock provider rotates by step number once every option is visited', async () => {
+  const service = new OpenAIService({ provider: 'mock' });
+  const result = await service.decideNextMove(makeInput({
+    visitedPanos: ['A', 'B', 'C'],
+    stepNumber: 7
+  }));
+
+  assert.equal(result.selectedPanoId, 'B');
+  assert.equal(result.sceneTag, 'loop-break');
+});
+
+test('shared parse fallback applies to any provider instance', async () => {
+  let calls = 0;
+  const service = new OpenAIService({
+    instance: {
+      name: 'custom',
+      model: 'custom-model',
+      client: null,
+      complete: async () => {
+        calls += 1;
+        return { content: 'not json at all', usage: null };
+      }
+    }
+  });
+
+  const result = await service.decideNextMove(makeInput());
+  assert.equal(calls, service.maxDecisionRetries + 1);
+  assert.equal(result.fallbackCause, 'parse_error_after_retries');
+  assert.equal(result.selectedPanoId, 'A');
+});
+
+test('mock provider can be constructed without options', async () => {
+  const provider = new MockVisionProvider();
+  const result = await provider.complete({ options: [], stepNumber: 3 });
+  assert.equal(JSON.parse(result.content).selectedIndex, 0);
+});
+
+test('runs pick their own vision provider and model', () => {
+  assert.equal(parseVisionConfig(null), null);
+  assert.equal(parseVisionConfig({ model: '  ' }), null);
+  assert.deepEqual(parseVisionConfig({ provider: ' Mock ', model: 'mock-b' }), { provider: 'mock', model: 'mock-b' });
+  assert.throws(() => parseVisionConfig({ provider: 'openai', baseURL: 'https://collector.example/v1' }), /Runs cannot set a vision baseURL/);
+  assert.deepEqual(parseVisionConfig({ provider: 'openai-compatible' }, { VISION_BASE_URL: 'http://127.0.0.1:8080/v1' }), { provider: 'openai-compatible', model: null });
+  assert.throws(() => parseVisionConfig({ provider: 'carrier-pigeon' }), /Unknown VISION_PROVIDER/);
+  assert.throws(() => parseVisionConfig({ provider: 'openai-compatible' }, {}), /VISION_BASE_URL is required/);
+  assert.throws(() => parseVisionConfig('mock'), /must be an object/);
+
+  process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+  const agent = new ExplorationAgent({ broadcast: () => {} }, { log: () => {} });
+  const defaultService = agent.ai;
+  assert.equal(agent.setVisionConfig(null), null);
+  assert.equal(agent.ai, defaultService, 'an unchanged config keeps the service');
+
+  assert.deepEqual(agent.setVisionConfig({ provider: 'mock', model: 'mock-b' }), { provider: 'mock', model: 'mock-b' });
+  assert.deepEqual(agent.ai.describeProvider(), { provider: 'mock', model: 'mock-b' });
+  assert.throws(() => agent.setVisionConfig({ provider: 'carrier-pigeon' }), /Unknown VISION_PROVIDER/);
+  assert.equal(agent.visionConfig.model, 'mock-b', 'a rejected config leaves the run\'s own in place');
+});
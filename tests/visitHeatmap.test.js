@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateVisits, buildHeatmapFeatures, renderVisitHeatmapTile } from '../server/services/visitHeatmap.js';
+
+function lonLatToTile(lng, lat, z) {
+  const n = Math.pow(2, z);
+  const latRad = lat * Math.PI / 180;
+  return {
+    x: Math.floor(((lng + 180) / 360) * n),
+    y: Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n)
+  };
+}
+
+const at = seconds => new Date(Date.UTC(2026, 5, 1, 12, 0, 0) + seconds * 1000).toISOString();
+
+// A loop around three panos, a long pause at B, then a pano one block away.
+const LOOP_PATH = [
+  { panoId: 'A', lat: 40.75, lng: -73.98, timestamp: at(0) },
+  { panoId: 'B', lat: 40.7501, lng: -73.98, timestamp: at(10) },
+  { panoId: 'C', lat: 40.7501, lng: -73.9799, timestamp: at(20) },
+  { panoId: 'A', lat: 40.75, lng: -73.98, timestamp: at(30) },
+  { panoId: 'B', lat: 40.7501, lng: -73.98, timestamp: at(40) },
+  { panoId: 'D', lat: 40.752, lng: -73.98, timestamp: at(3600) }
+];
+
+test('aggregateVisits counts arrivals per pano and caps dwell', () => {
+  const visits = aggregateVisits(LOOP_PATH, { maxDwellMs: 60000 });
+  assert.deepEqual(visits, [
+    { lat: 40.75, lng: -73.98, visits: 2, dwellMs: 20000 },
+    { lat: 40.7501, lng: -73.98, visits: 2, dwellMs: 70000 },
+    { lat: 40.7501, lng: -73.9799, visits: 1, dwellMs: 10000 },
+    { lat: 40.752, lng: -73.98, visits: 1, dwellMs: 0 }
+  ]);
+});
+
+test('heatmap cells merge nearby panos at low zoom and keep them apart when zoomed in', () => {
+  const visits = aggregateVisits(LOOP_PATH, { maxDwellMs: 60000 });
+
+  const far = lonLatToTile(-73.98, 40.75, 9);
+  const [cell, ...rest] = buildHeatmapFeatures(visits, 9, far.x, far.y);
+  assert.equal(rest.length, 0, 'the whole loop and D share one cell at z9');
+  assert.deepEqual(cell.properties, { visits: 6, panos: 4, dwellSeconds: 100, weight: 7.67 });
+
+  const near = lonLatToTile(-73.98, 40.75, 18);
+  const features = buildHeatmapFeatures(visits, 18, near.x, near.y);
+  assert.deepEqual(
+    features.map(feature => feature.properties.visits).sort(),
+    [1, 2, 2],
+    'D is outside the tile and its buffer at z18'
+  );
+  for (const feature of features) {
+    const [[px, py]] = feature.geometry;
+    assert.ok(px >= -512 && px <= 4096 + 512 && py >= -512 && py <= 4096 + 512);
+  }
+
+  assert.equal(renderVisitHeatmapTile([], 18, near.x, near.y).length, 0, 'no visits, empty tile');
+  assert.ok(renderVisitHeatmapTile(visits, 18, near.x, near.y).length > 0);
+});
@@ -5,6 +5,7 @@ import * as fsp from 'fs/promises';
 import os from 'os';
 import path from 'path';
 import { WorkerSupervisor } from '../server/worker/workerSupervisor.js';
+import { MetricsRegistry } from '../server/services/metrics.js';
 
 class FakeWorker extends EventEmitter {
   constructor({ autoRespond = true, exitOnKill = true } = {}) {
@@ -161,6 +162,62 @@ test('WorkerSupervisor records heartbeat metrics and forwards broadcasts', async
   assert.equal(state.panoId, 'P9');
 });
 
+test('WorkerSupervisor serves worker metric families next to its own', async (t) => {
+  const fakeWorker = new FakeWorker();
+  const supervisor = await makeSupervisor(fakeWorker);
+  t.after(() => supervisor.dispose());
+  await supervisor.start({ autoRestore: false, autoStart: false });
+
+  const workerRegistry = new MetricsRegistry();
+  workerRegistry.gauge('scout_event_log_bytes', 'Size of the current run event log').set(2048);
+  fakeWorker.emit('message', {
+    kind: 'heartbeat',
+    metrics: { isExploring: false, stepCount: 0 },
+    metricFamilies: workerRegistry.collect()
+  });
+  supervisor.instruments.tileRequests.inc({ kind: 'png', cache: 'memory' }, 3);
+  supervisor.instruments.tileRequests.inc({ kind: 'png', cache: 'miss' });
+
+  const text = supervisor.getPrometheusMetrics();
+  assert.match(text, /^scout_worker_up 1$/m);
+  assert.match(text, /^scout_worker_heartbeat_age_seconds \d/m);
+  assert.match(text, /^scout_tile_cache_hit_ratio\{kind="png"\} 0\.75$/m);
+  assert.match(text, /^scout_event_log_bytes 2048$/m);
+  assert.match(text, /^scout_worker_restarts_total 0$/m);
+  assert.match(supervisor.getPrometheusMetrics({ openMetrics: true }), /# EOF\n$/);
+});
+
+test('WorkerSupervisor feeds worker broadcasts to configured webhooks', async (t) => {
+  const delivered = [];
+  const fakeWorker = new FakeWorker();
+  const supervisor = await makeSupervisor(fakeWorker, {
+    webhooks: [{
+      url: 'http://hooks.test/scout',
+      events: new Set(['move-decision']),
+      fetchFn: async (url, request) => {
+        delivered.push(JSON.parse(request.body));
+        return { ok: true, status: 200 };
+      }
+    }]
+  });
+  t.after(() => supervisor.dispose());
+  await supervisor.start({ autoRestore: false, autoStart: false });
+
+  fakeWorker.emit('message', { kind: 'broadcast', name: 'exploration-started', data: {} });
+  fakeWorker.emit('message', {
+    kind: 'broadcast',
+    name: 'move-decision',
+    data: { runId: 'run-hooks', stepCount: 3, panoId: 'P3', sequence: 12 }
+  });
+  await supervisor.eventFeed.webhooks[0].idle();
+
+  assert.equal(delivered.length, 1);
+  assert.equal(delivered[0].event, 'move-decision');
+  assert.equal(delivered[0].id, 12);
+  assert.equal(delivered[0].data.panoId, 'P3');
+  assert.equal(supervisor.getMetrics().webhookDelivered, 1);
+});
+
 test('WorkerSupervisor advances cached metrics from move broadcasts', async (t) => {
   const fakeWorker = new FakeWorker();
   const supervisor = await makeSupervisor(fakeWorker);
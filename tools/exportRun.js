@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// Export a run's path and visited panoramas as GeoJSON, GPX or KML.
+//
+//   node tools/exportRun.js [runId|current] [--format geojson|gpx|kml] [--out file] [--data-dir dir]
+//
+// Without --out the export is written to stdout. The data dir defaults to the server's
+// (runs/ locally, /data in production).
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { RunStore } from '../server/services/runStore.js';
+import { PathProjection } from '../server/services/pathProjection.js';
+import { RUN_EXPORT_FORMATS, exportRun } from '../server/services/runExport.js';
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_DATA_DIR = process.env.NODE_ENV === 'production' ? '/data' : path.join(ROOT, 'runs');
+
+function parseArgs(argv) {
+  const args = { runId: 'current', format: null, out: null, dataDir: DEFAULT_DATA_DIR };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') args.format = argv[++i];
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--data-dir') args.dataDir = path.resolve(argv[++i]);
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else args.runId = arg;
+  }
+  if (!args.format) {
+    // Without --format, the output file's extension picks it.
+    const extension = path.extname(args.out || '').slice(1).toLowerCase();
+    args.format = RUN_EXPORT_FORMATS[extension] ? extension : 'geojson';
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log('Usage: node tools/exportRun.js [runId|current] [--format geojson|gpx|kml] [--out file] [--data-dir dir]');
+    return;
+  }
+
+  const logger = { log: () => {}, warn: message => console.error(`warning: ${message}`), error: console.error };
+  const runStore = new RunStore({ dataDir: args.dataDir, logger });
+  const runId = args.runId === 'current'
+    ? (await runStore.readCurrentSnapshot())?.runId
+    : args.runId;
+  if (!runId) {
+    throw new Error(`No current run in ${args.dataDir}`);
+  }
+
+  const pathProjection = new PathProjection({ runStore, logger, writeDebounceMs: 0 });
+  const exported = await exportRun({ runStore, pathProjection, runId, format: args.format, logger });
+  if (args.out) {
+    fs.writeFileSync(args.out, exported.body);
+    console.error(`Wrote ${args.out} (${exported.body.length} bytes)`);
+  } else {
+    process.stdout.write(exported.body);
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});